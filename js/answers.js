@@ -0,0 +1,268 @@
+/**
+ * Answers Module
+ * Numeric answer checking and a hint ladder for calculation exercises
+ */
+
+const Answers = {
+    /**
+     * Initialize answer checking for every exercise with an .answer-check block
+     */
+    init() {
+        document.querySelectorAll('.exercise .answer-check').forEach(block => {
+            this.setupBlock(block);
+        });
+    },
+
+    /**
+     * Turn the declared .answer-field elements into inputs and add the check/hint controls
+     * @param {HTMLElement} block - The .answer-check container
+     */
+    setupBlock(block) {
+        const exercise = block.closest('.exercise');
+
+        block.querySelectorAll('.answer-field').forEach((field, index) => {
+            const label = document.createElement('label');
+            label.className = 'answer-label';
+            while (field.firstChild) {
+                label.appendChild(field.firstChild);
+            }
+
+            const inputId = `${exercise.id}-answer-${index + 1}`;
+            label.setAttribute('for', inputId);
+
+            const input = document.createElement('input');
+            input.type = 'text';
+            input.inputMode = 'decimal';
+            input.id = inputId;
+            input.className = 'answer-input';
+            input.autocomplete = 'off';
+            input.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    this.check(block);
+                }
+            });
+
+            const unit = document.createElement('span');
+            unit.className = 'answer-unit';
+            unit.textContent = field.getAttribute('data-unit') || '';
+
+            const feedback = document.createElement('span');
+            feedback.className = 'answer-feedback';
+            feedback.setAttribute('aria-live', 'polite');
+
+            field.appendChild(label);
+            field.appendChild(input);
+            field.appendChild(unit);
+            field.appendChild(feedback);
+        });
+
+        const controls = document.createElement('div');
+        controls.className = 'answer-controls';
+        controls.setAttribute('data-search-ignore', '');
+
+        const checkBtn = document.createElement('button');
+        checkBtn.className = 'btn btn-primary';
+        checkBtn.textContent = 'Check Answers';
+        checkBtn.addEventListener('click', () => this.check(block));
+
+        const hintBtn = document.createElement('button');
+        hintBtn.className = 'btn btn-secondary answer-hint-btn';
+        hintBtn.addEventListener('click', () => this.showNextHint(block));
+
+        controls.appendChild(checkBtn);
+        controls.appendChild(hintBtn);
+        block.appendChild(controls);
+
+        const hints = document.createElement('div');
+        hints.className = 'answer-hints';
+        block.appendChild(hints);
+
+        this.updateHintButton(block);
+    },
+
+    /**
+     * Check every answer field in a block and show feedback
+     * @param {HTMLElement} block - The .answer-check container
+     */
+    check(block) {
+        let correctCount = 0;
+        let answeredCount = 0;
+        const fields = block.querySelectorAll('.answer-field');
+
+        fields.forEach(field => {
+            const input = field.querySelector('.answer-input');
+            const feedback = field.querySelector('.answer-feedback');
+            const raw = input.value.trim();
+
+            field.classList.remove('correct', 'incorrect');
+
+            if (raw === '') {
+                feedback.textContent = '';
+                return;
+            }
+
+            answeredCount++;
+            const value = this.parseNumber(raw);
+
+            if (value === null) {
+                field.classList.add('incorrect');
+                feedback.textContent = 'Not a number';
+                return;
+            }
+
+            const result = this.evaluate(value, field);
+            field.classList.add(result.correct ? 'correct' : 'incorrect');
+            feedback.textContent = result.message;
+
+            if (result.correct) correctCount++;
+        });
+
+        this.updateProgress(block, correctCount, answeredCount, fields.length);
+    },
+
+    /**
+     * Compare a value with the field's expected answer using its tolerance and rounding rules
+     *
+     * Supported attributes:
+     *   data-answer     expected value
+     *   data-tolerance  absolute ("0.5") or relative ("2%") tolerance, default exact
+     *   data-decimals   compare both values rounded to this many decimals
+     *
+     * @param {number} value - Parsed user input
+     * @param {HTMLElement} field - The .answer-field element
+     * @returns {{correct: boolean, message: string}} Evaluation result
+     */
+    evaluate(value, field) {
+        const expected = parseFloat(field.getAttribute('data-answer'));
+        const tolerance = field.getAttribute('data-tolerance');
+        const decimals = field.getAttribute('data-decimals');
+
+        let actual = value;
+        let target = expected;
+        if (decimals !== null) {
+            const factor = Math.pow(10, parseInt(decimals, 10));
+            actual = Math.round(value * factor) / factor;
+            target = Math.round(expected * factor) / factor;
+        }
+
+        let allowed = 1e-9;
+        if (tolerance) {
+            allowed = tolerance.endsWith('%')
+                ? Math.abs(target) * parseFloat(tolerance) / 100
+                : parseFloat(tolerance);
+        }
+
+        if (Math.abs(actual - target) <= allowed) {
+            return { correct: true, message: '✓ Correct' };
+        }
+
+        // Off by less than one on an integer answer usually means a missed ⌊⌋ or ⌈⌉
+        if (Number.isInteger(expected) && Math.abs(value - expected) < 1) {
+            return { correct: false, message: '✗ Check your rounding (floor vs. ceiling)' };
+        }
+
+        if (Math.abs(value - expected) <= Math.abs(expected) * 0.05) {
+            return { correct: false, message: '✗ Close, but not quite' };
+        }
+
+        return { correct: false, message: '✗ Incorrect' };
+    },
+
+    /**
+     * Parse a number as students tend to type it:
+     * "1,000,000", "1 000", "2.5e6", "2.5*10^6", "1,14" (decimal comma)
+     * @param {string} text - Raw input
+     * @returns {number|null} Parsed value or null if invalid
+     */
+    parseNumber(text) {
+        let cleaned = text.replace(/\s+/g, '').replace(/[×x·]/g, '*');
+
+        // Scientific notation written as a*10^b
+        const power = cleaned.match(/^(-?[\d.,]+)\*10\^(-?\d+)$/);
+        if (power) {
+            const mantissa = this.parseNumber(power[1]);
+            return mantissa === null ? null : mantissa * Math.pow(10, parseInt(power[2], 10));
+        }
+
+        if (/^-?\d{1,3}(,\d{3})+(\.\d+)?$/.test(cleaned)) {
+            // Comma as thousands separator
+            cleaned = cleaned.replace(/,/g, '');
+        } else if (/^-?\d+,\d+$/.test(cleaned)) {
+            // Decimal comma
+            cleaned = cleaned.replace(',', '.');
+        }
+
+        if (!/^-?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(cleaned)) {
+            return null;
+        }
+
+        return parseFloat(cleaned);
+    },
+
+    /**
+     * Record the outcome in the progress tracker
+     * @param {HTMLElement} block - The .answer-check container
+     * @param {number} correct - Number of correct answers
+     * @param {number} answered - Number of answered fields
+     * @param {number} total - Number of fields
+     */
+    updateProgress(block, correct, answered, total) {
+        const exercise = block.closest('.exercise');
+        // Generated problems have no fixed exercise to track
+        if (typeof Progress === 'undefined' || !exercise || !Progress.trackedPattern.test(exercise.id) || answered === 0) return;
+
+        if (correct === total) {
+            Progress.setStatus(exercise.id, 'solved');
+        } else if (Progress.getStatus(exercise.id) === 'not-started') {
+            Progress.setStatus(exercise.id, 'attempted');
+        }
+    },
+
+    /**
+     * Get the .formula blocks of the exercise's solution, in order
+     * @param {HTMLElement} block - The .answer-check container
+     * @returns {HTMLElement[]} Formula blocks
+     */
+    getFormulas(block) {
+        const solution = block.closest('.exercise').querySelector('.solution');
+        return solution ? Array.from(solution.querySelectorAll('.formula')) : [];
+    },
+
+    /**
+     * Reveal the next formula block of the solution as a hint
+     * @param {HTMLElement} block - The .answer-check container
+     */
+    showNextHint(block) {
+        const hints = block.querySelector('.answer-hints');
+        const formulas = this.getFormulas(block);
+        const shown = hints.children.length;
+
+        if (shown >= formulas.length) return;
+
+        const hint = formulas[shown].cloneNode(true);
+        hint.classList.add('answer-hint');
+        hints.appendChild(hint);
+
+        Exercises.renderMath(hint);
+        this.updateHintButton(block);
+    },
+
+    /**
+     * Update the hint button label with the number of hints left
+     * @param {HTMLElement} block - The .answer-check container
+     */
+    updateHintButton(block) {
+        const button = block.querySelector('.answer-hint-btn');
+        const total = this.getFormulas(block).length;
+        const shown = block.querySelector('.answer-hints').children.length;
+
+        if (total === 0) {
+            button.hidden = true;
+            return;
+        }
+
+        button.disabled = shown >= total;
+        button.textContent = shown >= total ? 'No more hints' : `Hint (${shown + 1}/${total})`;
+    }
+};
@@ -6,8 +6,20 @@
 const AudioPlayer = {
     player: null,
     subtitleDisplay: null,
-    track: null,
-    manualCues: [], // Store manually parsed cues
+    tracks: [],
+    currentTrack: -1,
+    currentCue: null,
+    manualCues: [], // Cues of the selected subtitle track
+    transcriptList: null,
+    transcriptCurrent: -1,
+    transcriptMatches: [],
+    transcriptMatch: -1,
+    transcriptHover: false,
+    storageKey: 'dbCheatsheet.audio',
+    chapters: [],
+    currentChapter: -1,
+    pendingSeek: null,
+    lastSavedPosition: 0,
 
     /**
      * Initialize audio player functionality
@@ -20,66 +32,120 @@ const AudioPlayer = {
             return;
         }
 
-        this.setupSubtitles();
         this.setupEventListeners();
-        this.loadVTTManually(); // Load VTT file manually as fallback
+        this.setupTranscript();
+        this.setupNavigation();
+        this.setupSubtitles();
+        this.loadChapters();
     },
 
     /**
-     * Set up subtitle synchronization
+     * Find the subtitle tracks of the player, fill the language switcher and load the default track
      */
     setupSubtitles() {
-        // Get the track element from the HTML
-        const trackElement = this.player.querySelector('track');
-
-        if (!trackElement) {
-            console.error('No track element found in audio player');
+        const select = document.getElementById('subtitleLanguage');
+        this.tracks = Array.from(this.player.querySelectorAll('track[kind="subtitles"], track[kind="captions"]')).map(track => ({
+            src: track.getAttribute('src'),
+            language: track.getAttribute('srclang') || '',
+            label: track.getAttribute('label') || track.getAttribute('srclang') || track.getAttribute('src'),
+            isDefault: track.hasAttribute('default'),
+            result: null
+        }));
+
+        if (this.tracks.length === 0) {
+            this.subtitleDisplay.textContent = 'No subtitles for this recording.';
             return;
         }
 
-        // Wait for the track to load
-        trackElement.addEventListener('load', () => {
-            console.log('Track loaded successfully');
+        // Cues are drawn by the page, so the browser must not show or parse them a second time
+        Array.from(this.player.textTracks || []).forEach(textTrack => {
+            if (textTrack.kind === 'subtitles' || textTrack.kind === 'captions') textTrack.mode = 'disabled';
+        });
 
-            if (this.player.textTracks.length > 0) {
-                this.track = this.player.textTracks[0];
-                this.track.mode = 'hidden'; // Use hidden to prevent browser's native display
+        const saved = this.fileState().language;
+        const savedIndex = this.tracks.findIndex(track => track.language === saved);
+        const defaultIndex = this.tracks.findIndex(track => track.isDefault);
+        const index = saved === 'off' ? -1 : (savedIndex >= 0 ? savedIndex : Math.max(defaultIndex, 0));
+
+        if (select) {
+            select.innerHTML = this.tracks.map((track, i) =>
+                `<option value="${i}">${Utils.escapeHTML(track.label)}</option>`
+            ).join('') + '<option value="-1">Off</option>';
+            select.value = String(index);
+            select.closest('label').hidden = false;
+            select.addEventListener('change', () => {
+                const chosen = Number(select.value);
+                this.saveFileState({ language: chosen >= 0 ? this.tracks[chosen].language : 'off' });
+                this.selectTrack(chosen);
+            });
+        }
 
-                console.log('Track object:', this.track);
-                console.log('Track readyState:', this.track.readyState);
-                console.log('Track cues available:', this.track.cues ? this.track.cues.length : 'null');
+        this.player.addEventListener('timeupdate', () => this.updateSubtitle());
+        this.player.addEventListener('seeked', () => this.updateSubtitle());
+        this.selectTrack(index);
+    },
 
-                // Listen for cue changes
-                this.track.addEventListener('cuechange', () => {
-                    console.log('Cue changed!');
-                    this.updateSubtitle();
-                });
-            }
-        });
+    /**
+     * Show the cues of a subtitle track, loading and parsing it on first use
+     * @param {number} index - Track index, -1 to turn subtitles off
+     */
+    selectTrack(index) {
+        this.currentTrack = index;
+        this.currentCue = null;
+        const track = this.tracks[index];
+
+        if (!track) {
+            this.manualCues = [];
+            this.renderTranscript();
+            this.renderSubtitleErrors(null);
+            this.subtitleDisplay.textContent = 'Subtitles are off.';
+            this.subtitleDisplay.classList.remove('active');
+            return;
+        }
+        if (track.result) {
+            this.showTrack(track);
+            return;
+        }
 
-        trackElement.addEventListener('error', (e) => {
-            console.error('Track failed to load:', e);
-            this.subtitleDisplay.textContent = 'Failed to load subtitles. Please check the VTT file.';
-        });
+        Utils.loadText(track.src)
+            .then(text => {
+                track.result = Subtitles.parse(text, track.src);
+                track.result.errors.forEach(error => console.warn(`${track.src}: ${error}`));
+                if (this.currentTrack === index) this.showTrack(track);
+            })
+            .catch(error => {
+                console.error(`Failed to load subtitles from ${track.src}:`, error);
+                if (this.currentTrack === index) {
+                    this.subtitleDisplay.textContent = 'Unable to load subtitles. Please use a local server or try Safari.';
+                }
+            });
+    },
 
-        // Force track to load by setting mode
-        setTimeout(() => {
-            if (this.player.textTracks.length > 0) {
-                this.track = this.player.textTracks[0];
-                this.track.mode = 'hidden';
-                console.log('Track initialized on timeout');
-            }
-        }, 100);
-
-        // Also listen to timeupdate as a fallback for subtitle updates
-        this.player.addEventListener('timeupdate', () => {
-            if (this.track && this.track.cues && this.track.cues.length > 0) {
-                this.updateSubtitleByTime();
-            } else if (this.track) {
-                // Track exists but cues not loaded yet
-                console.log('Waiting for cues to load...');
-            }
-        });
+    /**
+     * Use the parsed cues of a track for the subtitle display and the transcript
+     * @param {Object} track - Track with its parse result
+     */
+    showTrack(track) {
+        this.manualCues = track.result.cues;
+        this.renderTranscript();
+        this.renderSubtitleErrors(track);
+        this.subtitleDisplay.textContent = 'Press play to start the audio guide...';
+        this.updateSubtitle();
+    },
+
+    /**
+     * List the cues of a track that could not be read, with their line numbers
+     * @param {Object|null} track - Track with its parse result, null to clear the list
+     */
+    renderSubtitleErrors(track) {
+        const report = document.getElementById('subtitleErrors');
+        if (!report) return;
+
+        const errors = track ? track.result.errors : [];
+        report.hidden = errors.length === 0;
+        report.innerHTML = errors.length === 0 ? '' :
+            `<summary>${errors.length} problem${errors.length === 1 ? '' : 's'} in ${Utils.escapeHTML(track.src)}</summary>` +
+            `<ul>${errors.map(error => `<li>${Utils.escapeHTML(error)}</li>`).join('')}</ul>`;
     },
 
     /**
@@ -88,6 +154,7 @@ const AudioPlayer = {
     setupEventListeners() {
         // Update subtitle when audio ends
         this.player.addEventListener('ended', () => {
+            this.currentCue = null;
             this.subtitleDisplay.textContent = 'Audio finished. Click play to listen again.';
             this.subtitleDisplay.classList.remove('active');
         });
@@ -95,6 +162,7 @@ const AudioPlayer = {
         // Show ready message when paused at start
         this.player.addEventListener('pause', () => {
             if (this.player.currentTime === 0) {
+                this.currentCue = null;
                 this.subtitleDisplay.textContent = 'Press play to start the audio guide...';
                 this.subtitleDisplay.classList.remove('active');
             }
@@ -102,194 +170,565 @@ const AudioPlayer = {
 
         // Show initial message when playing starts
         this.player.addEventListener('play', () => {
-            if (this.player.currentTime < 1 && !this.track.activeCues.length) {
+            const track = this.tracks[this.currentTrack];
+            if (track && !track.result) {
                 this.subtitleDisplay.textContent = 'Loading subtitles...';
             }
         });
     },
 
     /**
-     * Update subtitle display with current cue
+     * Show the cue at the current playback position, with its speaker
      */
     updateSubtitle() {
-        if (!this.track || !this.subtitleDisplay) {
-            console.warn('Track or subtitle display not available');
-            return;
-        }
+        if (this.currentTrack < 0 || this.manualCues.length === 0) return;
 
-        const activeCues = this.track.activeCues;
+        const currentTime = this.player.currentTime;
+        const currentCue = this.manualCues.find(cue => currentTime >= cue.startTime && currentTime <= cue.endTime) || null;
+        if (currentCue === this.currentCue) return;
+        this.currentCue = currentCue;
 
-        if (activeCues && activeCues.length > 0) {
-            // Display the current subtitle
-            const cueText = activeCues[0].text;
-            this.subtitleDisplay.textContent = cueText;
+        if (currentCue) {
+            this.subtitleDisplay.innerHTML = this.cueHTML(currentCue);
             this.subtitleDisplay.classList.add('active');
-            console.log('Displaying subtitle:', cueText);
-        } else {
+        } else if (currentTime > 0 && !this.player.paused) {
             // No active cue
-            if (this.player && this.player.currentTime > 0 && !this.player.paused) {
-                this.subtitleDisplay.textContent = '...';
-                this.subtitleDisplay.classList.remove('active');
-            }
+            this.subtitleDisplay.textContent = '...';
+            this.subtitleDisplay.classList.remove('active');
         }
     },
 
     /**
-     * Update subtitle by manually checking current time against cues
-     * This is a fallback method when cuechange events don't fire
+     * Markup of a cue: the speaker of a voice tag followed by the text
+     * @param {Object} cue - Parsed cue
+     * @returns {string} HTML
      */
-    updateSubtitleByTime() {
-        const currentTime = this.player.currentTime;
-        let currentCue = null;
-
-        // Try native track cues first
-        if (this.track && this.track.cues && this.track.cues.length > 0) {
-            for (let i = 0; i < this.track.cues.length; i++) {
-                const cue = this.track.cues[i];
-                if (currentTime >= cue.startTime && currentTime <= cue.endTime) {
-                    currentCue = cue;
-                    break;
-                }
-            }
+    cueHTML(cue) {
+        const speaker = cue.voice ? `<span class="subtitle-speaker">${Utils.escapeHTML(cue.voice)}:</span> ` : '';
+        return `${speaker}${Utils.escapeHTML(cue.text)}`;
+    },
+
+    /**
+     * Set up the transcript panel: click to seek, follow-along highlighting, search and copy
+     */
+    setupTranscript() {
+        this.transcriptList = document.getElementById('transcriptList');
+        const search = document.getElementById('transcriptSearch');
+        const copy = document.getElementById('transcriptCopy');
+
+        if (!this.transcriptList || !search || !copy) {
+            return;
         }
-        // Fallback to manually loaded cues
-        else if (this.manualCues.length > 0) {
-            for (let i = 0; i < this.manualCues.length; i++) {
-                const cue = this.manualCues[i];
-                if (currentTime >= cue.startTime && currentTime <= cue.endTime) {
-                    currentCue = cue;
-                    break;
-                }
+
+        this.transcriptList.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-cue]');
+            if (!item) return;
+
+            // Let the listener select a passage without jumping away
+            const selection = window.getSelection();
+            if (selection && !selection.isCollapsed && !e.target.closest('.transcript-time')) return;
+
+            this.seekToCue(Number(item.dataset.cue));
+        });
+
+        // Stop following the audio while the pointer is over the panel, so it does not scroll away while reading
+        this.transcriptList.addEventListener('mouseenter', () => { this.transcriptHover = true; });
+        this.transcriptList.addEventListener('mouseleave', () => { this.transcriptHover = false; });
+
+        search.addEventListener('input', Utils.debounce(() => this.searchTranscript(search.value), 200));
+        search.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.nextTranscriptMatch(e.shiftKey ? -1 : 1);
             }
+        });
+
+        copy.addEventListener('click', () => this.copyTranscript());
+
+        this.player.addEventListener('timeupdate', () => this.highlightTranscript());
+        this.player.addEventListener('seeked', () => this.highlightTranscript());
+    },
+
+    /**
+     * Fill the transcript panel with every cue
+     */
+    renderTranscript() {
+        if (!this.transcriptList) return;
+
+        this.transcriptList.innerHTML = this.manualCues.map((cue, index) =>
+            `<li data-cue="${index}"><button type="button" class="transcript-time" title="Jump to ${this.formatTime(cue.startTime)}">${this.formatTime(cue.startTime)}</button> ` +
+            `${cue.voice ? `<span class="subtitle-speaker">${Utils.escapeHTML(cue.voice)}:</span> ` : ''}<span class="transcript-cue">${Utils.escapeHTML(cue.text)}</span></li>`
+        ).join('');
+
+        this.transcriptCurrent = -1;
+        const search = document.getElementById('transcriptSearch');
+        if (search && search.value.trim()) {
+            this.searchTranscript(search.value);
         }
+        this.highlightTranscript();
+    },
 
-        if (currentCue) {
-            // Display the current subtitle
-            this.subtitleDisplay.textContent = currentCue.text;
-            this.subtitleDisplay.classList.add('active');
-        } else {
-            // No active cue
-            if (this.player.currentTime > 0 && !this.player.paused) {
-                this.subtitleDisplay.textContent = '...';
-                this.subtitleDisplay.classList.remove('active');
-            }
+    /**
+     * Index of the cue being played, or of the last one before a pause in speech
+     * @param {number} time - Playback position in seconds
+     * @returns {number} Cue index, -1 before the first cue
+     */
+    cueIndexAt(time) {
+        let index = -1;
+        for (let i = 0; i < this.manualCues.length && this.manualCues[i].startTime <= time; i++) {
+            index = i;
         }
+        return index;
     },
 
     /**
-     * Manually load and parse VTT file as a fallback
+     * Highlight the current cue in the transcript and keep it in view
      */
-    loadVTTManually() {
-        fetch('assets/audio/Transcript.vtt')
-            .then(response => {
-                if (!response.ok) {
-                    throw new Error(`HTTP error! status: ${response.status}`);
-                }
-                return response.text();
-            })
-            .then(vttText => {
-                console.log('VTT file loaded manually via fetch');
-                this.parseVTT(vttText);
-            })
-            .catch(error => {
-                console.error('Failed to load VTT file via fetch:', error);
-                console.log('Fetch blocked - trying XMLHttpRequest fallback');
-                this.loadVTTWithXHR();
-            });
+    highlightTranscript() {
+        if (!this.transcriptList || this.manualCues.length === 0) return;
+
+        const index = this.cueIndexAt(this.player.currentTime);
+        if (index === this.transcriptCurrent) return;
+
+        const previous = this.transcriptList.querySelector('.transcript-current');
+        if (previous) {
+            previous.classList.remove('transcript-current');
+            previous.removeAttribute('aria-current');
+        }
+
+        this.transcriptCurrent = index;
+        const item = this.transcriptList.children[index];
+        if (!item) return;
+
+        item.classList.add('transcript-current');
+        item.setAttribute('aria-current', 'true');
+        if (!this.transcriptHover) {
+            this.scrollTranscriptTo(item);
+        }
     },
 
     /**
-     * Load VTT using XMLHttpRequest as fallback for strict browsers
+     * Scroll the transcript panel (not the page) so that a cue is in its upper third
+     * @param {HTMLElement} item - Cue element
      */
-    loadVTTWithXHR() {
-        const xhr = new XMLHttpRequest();
-        xhr.open('GET', 'assets/audio/Transcript.vtt', true);
+    scrollTranscriptTo(item) {
+        this.transcriptList.scrollTop = item.offsetTop - this.transcriptList.clientHeight / 3;
+    },
 
-        xhr.onload = () => {
-            if (xhr.status === 200 || xhr.status === 0) { // 0 for local files
-                console.log('VTT file loaded via XHR');
-                this.parseVTT(xhr.responseText);
-            } else {
-                console.error('XHR failed with status:', xhr.status);
-                this.subtitleDisplay.textContent = 'Unable to load subtitles. Please use a local server or try Safari.';
-            }
-        };
+    /**
+     * Move playback to the start of a cue
+     * @param {number} index - Cue index
+     */
+    seekToCue(index) {
+        const cue = this.manualCues[index];
+        if (!cue) return;
 
-        xhr.onerror = () => {
-            console.error('XHR request failed');
-            this.subtitleDisplay.textContent = 'Subtitles unavailable in this browser. Try Safari or use a local server.';
-        };
+        this.player.currentTime = cue.startTime;
+        this.highlightTranscript();
+    },
+
+    /**
+     * Mark the cues containing a phrase
+     * @param {string} query - Phrase to look for
+     */
+    searchTranscript(query) {
+        const phrase = query.trim();
+        // Matched and highlighted the way global search does: ignoring case and accents
+        const terms = phrase ? [Search.normalize(phrase)] : [];
+        const count = document.getElementById('transcriptCount');
+
+        this.transcriptMatches = [];
+        this.transcriptMatch = -1;
+        this.manualCues.forEach((cue, index) => {
+            const item = this.transcriptList.children[index];
+            const found = terms.length > 0 && Search.normalize(cue.text).includes(terms[0]);
+            if (found) this.transcriptMatches.push(index);
+
+            item.classList.toggle('transcript-match', found);
+            item.classList.remove('transcript-focus');
+            item.querySelector('.transcript-cue').innerHTML = Search.highlightHTML(cue.text, found ? terms : []);
+        });
+
+        if (count) {
+            const total = this.transcriptMatches.length;
+            count.textContent = !phrase ? '' : (total === 0 ? 'No matches' : `${total} cue${total === 1 ? '' : 's'} · Enter for next`);
+        }
+        if (this.transcriptMatches.length > 0) {
+            this.nextTranscriptMatch(1);
+        }
+    },
 
-        xhr.send();
+    /**
+     * Scroll to the next or previous cue matching the search
+     * @param {number} direction - 1 for next, -1 for previous
+     */
+    nextTranscriptMatch(direction) {
+        const total = this.transcriptMatches.length;
+        if (total === 0) return;
+
+        const previous = this.transcriptList.querySelector('.transcript-focus');
+        if (previous) previous.classList.remove('transcript-focus');
+
+        this.transcriptMatch = (this.transcriptMatch + direction + total) % total;
+        const item = this.transcriptList.children[this.transcriptMatches[this.transcriptMatch]];
+        item.classList.add('transcript-focus');
+        this.scrollTranscriptTo(item);
+
+        const count = document.getElementById('transcriptCount');
+        if (count) count.textContent = `${this.transcriptMatch + 1} of ${total}`;
+    },
+
+    /**
+     * Copy the selected passage of the transcript, or the current cue, with timestamps
+     */
+    async copyTranscript() {
+        const selection = window.getSelection();
+        let indices = [];
+
+        if (selection && !selection.isCollapsed && selection.rangeCount > 0) {
+            const range = selection.getRangeAt(0);
+            indices = this.manualCues.map((cue, index) => index)
+                .filter(index => range.intersectsNode(this.transcriptList.children[index]));
+        }
+        if (indices.length === 0 && this.transcriptCurrent >= 0) {
+            indices = [this.transcriptCurrent];
+        }
+        if (indices.length === 0) {
+            Utils.showNotification('Select a passage of the transcript to copy it', 'info');
+            return;
+        }
+
+        const text = indices
+            .map(index => this.manualCues[index])
+            .map(cue => `[${this.formatTime(cue.startTime)}] ${cue.voice ? `${cue.voice}: ` : ''}${cue.text}`)
+            .join('\n');
+        const copied = await Utils.copyToClipboard(text);
+        Utils.showNotification(
+            copied ? `Copied ${indices.length} cue${indices.length === 1 ? '' : 's'} with timestamps` : 'Could not copy to the clipboard',
+            copied ? 'success' : 'error'
+        );
+    },
+
+    /**
+     * Format seconds as m:ss or h:mm:ss
+     * @param {number} seconds - Time in seconds
+     * @returns {string} Formatted time
+     */
+    formatTime(seconds) {
+        const total = Math.floor(seconds);
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor(total % 3600 / 60);
+        const secs = String(total % 60).padStart(2, '0');
+        return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
     },
 
     /**
-     * Parse VTT text into cue objects
+     * Set up the seek bar, speed, resume position, bookmarks and #audio?t= links
      */
-    parseVTT(vttText) {
-        const lines = vttText.split('\n');
-        let i = 0;
+    setupNavigation() {
+        const seekBar = document.getElementById('audioSeekBar');
+        const speed = document.getElementById('audioSpeed');
+        const share = document.getElementById('audioShare');
+        const bookmarkForm = document.getElementById('audioBookmarkForm');
 
-        // Skip WEBVTT header
-        while (i < lines.length && !lines[i].includes('-->')) {
-            i++;
+        if (!seekBar || !speed || !share || !bookmarkForm) {
+            return;
+        }
+
+        const saved = this.fileState();
+        if (saved.rate) {
+            this.player.defaultPlaybackRate = saved.rate;
+            this.player.playbackRate = saved.rate;
+            speed.value = String(saved.rate);
         }
+        this.pendingSeek = this.hashTime();
+
+        seekBar.addEventListener('input', () => {
+            this.player.currentTime = Number(seekBar.value);
+        });
+        speed.addEventListener('change', () => {
+            this.player.defaultPlaybackRate = Number(speed.value);
+            this.player.playbackRate = Number(speed.value);
+        });
+        share.addEventListener('click', () => this.copyLink(this.player.currentTime));
 
-        // Parse cues
-        while (i < lines.length) {
-            const line = lines[i].trim();
-
-            // Check if this is a timestamp line
-            if (line.includes('-->')) {
-                const times = line.split('-->');
-                const startTime = this.parseTimestamp(times[0].trim());
-                const endTime = this.parseTimestamp(times[1].trim());
-
-                // Get the text (next non-empty lines until blank line)
-                i++;
-                let text = '';
-                while (i < lines.length && lines[i].trim() !== '') {
-                    if (text) text += ' ';
-                    text += lines[i].trim();
-                    i++;
+        bookmarkForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addBookmark(bookmarkForm.elements.name.value);
+            bookmarkForm.reset();
+        });
+
+        // Chapter list, seek bar ticks and bookmarks all jump with data-time
+        document.querySelectorAll('#audioChapters, #audioSeekTicks, #audioBookmarks, #audioStatus').forEach(container => {
+            container.addEventListener('click', (e) => {
+                const link = e.target.closest('[data-link]');
+                const remove = e.target.closest('[data-remove]');
+                const jump = e.target.closest('[data-time]');
+                if (link) {
+                    this.copyLink(Number(link.dataset.link));
+                } else if (remove) {
+                    this.removeBookmark(Number(remove.dataset.remove));
+                } else if (jump) {
+                    this.player.currentTime = Number(jump.dataset.time);
                 }
+            });
+        });
+
+        this.player.addEventListener('loadedmetadata', () => this.restorePosition());
+        this.player.addEventListener('timeupdate', () => this.updateNavigation());
+        this.player.addEventListener('ratechange', () => this.saveFileState({ rate: this.player.playbackRate }));
+        this.player.addEventListener('pause', () => this.savePosition());
+        this.player.addEventListener('ended', () => this.saveFileState({ position: 0 }));
+
+        window.addEventListener('hashchange', () => {
+            const time = this.hashTime();
+            if (time === null) return;
+            if (typeof Navigation !== 'undefined') Navigation.showSection('audio');
+            this.player.currentTime = time;
+        });
+
+        if (this.player.readyState >= 1) {
+            this.restorePosition();
+        }
+        this.renderBookmarks();
+    },
+
+    /**
+     * Read the start time from a link such as #audio?t=512 or #audio?t=8:32
+     * @returns {number|null} Time in seconds, or null without a time in the URL
+     */
+    hashTime() {
+        const match = window.location.hash.match(/^#audio\?(.*)$/);
+        if (!match) return null;
 
-                this.manualCues.push({
-                    startTime: startTime,
-                    endTime: endTime,
-                    text: text
-                });
+        const value = new URLSearchParams(match[1]).get('t');
+        if (!value || !/^\d+(:\d{1,2}){0,2}(\.\d+)?$/.test(value)) return null;
+        return value.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+    },
+
+    /**
+     * Jump to the time of a link, or to where the listener stopped last time, once the audio length is known
+     */
+    restorePosition() {
+        const seekBar = document.getElementById('audioSeekBar');
+        const status = document.getElementById('audioStatus');
+        const duration = this.player.duration;
+        if (seekBar && isFinite(duration)) seekBar.max = duration;
+        this.renderTicks();
+
+        const position = this.fileState().position || 0;
+        if (this.pendingSeek !== null) {
+            this.player.currentTime = this.pendingSeek;
+            this.pendingSeek = null;
+        } else if (position > 5 && (!isFinite(duration) || position < duration - 5) && this.player.currentTime < 1) {
+            this.player.currentTime = position;
+            if (status) {
+                status.innerHTML = `Resumed at ${this.formatTime(position)} · <button type="button" class="audio-link" data-time="0">Start over</button>`;
             }
-            i++;
         }
+        this.lastSavedPosition = this.player.currentTime;
+        this.updateNavigation();
+    },
 
-        console.log(`Parsed ${this.manualCues.length} cues from VTT file`);
+    /**
+     * Update the seek bar, time display and current chapter, and save the position every few seconds
+     */
+    updateNavigation() {
+        const seekBar = document.getElementById('audioSeekBar');
+        const time = document.getElementById('audioTime');
+        const current = this.player.currentTime;
+        const duration = this.player.duration;
+
+        if (seekBar && document.activeElement !== seekBar) seekBar.value = current;
+        if (time) time.textContent = `${this.formatTime(current)} / ${isFinite(duration) ? this.formatTime(duration) : '–:––'}`;
+
+        this.highlightChapter();
+        if (Math.abs(current - this.lastSavedPosition) >= 5) {
+            this.savePosition();
+        }
     },
 
     /**
-     * Parse VTT timestamp (HH:MM:SS.mmm) to seconds
+     * Save the playback position of the current file
      */
-    parseTimestamp(timestamp) {
-        const parts = timestamp.split(':');
-        const seconds = parts[parts.length - 1].split('.');
+    savePosition() {
+        this.lastSavedPosition = this.player.currentTime;
+        this.saveFileState({ position: Math.floor(this.player.currentTime) });
+    },
 
-        let totalSeconds = 0;
+    /**
+     * Key of the audio file in the saved state
+     * @returns {string} Source path of the file
+     */
+    fileKey() {
+        const source = this.player.querySelector('source');
+        return source ? source.getAttribute('src') : this.player.getAttribute('src') || '';
+    },
 
-        if (parts.length === 3) {
-            // HH:MM:SS.mmm
-            totalSeconds = parseInt(parts[0]) * 3600 + parseInt(parts[1]) * 60 + parseFloat(seconds[0]);
-        } else if (parts.length === 2) {
-            // MM:SS.mmm
-            totalSeconds = parseInt(parts[0]) * 60 + parseFloat(seconds[0]);
-        } else {
-            // SS.mmm
-            totalSeconds = parseFloat(seconds[0]);
+    /**
+     * Load the saved position, speed, subtitle language and bookmarks of every file
+     * @returns {Object} Map of file path to { position, rate, language, bookmarks }
+     */
+    loadState() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            return saved && saved.files && typeof saved.files === 'object' ? saved.files : {};
+        } catch (err) {
+            console.error('Failed to load audio state:', err);
+            return {};
         }
+    },
+
+    /**
+     * Saved state of the current file
+     * @returns {{position: number, rate: number, language: string, bookmarks: Object[]}} State
+     */
+    fileState() {
+        const state = this.loadState()[this.fileKey()] || {};
+        return {
+            position: Number(state.position) || 0,
+            rate: Number(state.rate) || 0,
+            language: typeof state.language === 'string' ? state.language : '',
+            bookmarks: Array.isArray(state.bookmarks)
+                ? state.bookmarks.filter(bookmark => bookmark && isFinite(bookmark.time) && typeof bookmark.name === 'string')
+                : []
+        };
+    },
 
-        if (seconds.length > 1) {
-            totalSeconds += parseFloat('0.' + seconds[1]);
+    /**
+     * Merge changes into the saved state of the current file
+     * @param {Object} changes - Fields to update
+     */
+    saveFileState(changes) {
+        try {
+            const files = this.loadState();
+            files[this.fileKey()] = Object.assign(this.fileState(), changes);
+            localStorage.setItem(this.storageKey, JSON.stringify({ version: 1, files }));
+        } catch (err) {
+            console.error('Failed to save audio state:', err);
         }
+    },
+
+    /**
+     * Load chapters from the chapters track of the player, or from a JSON sidecar file given in data-chapters
+     * ([{ "start": 0, "title": "Introduction" }, ...])
+     */
+    loadChapters() {
+        const track = this.player.querySelector('track[kind="chapters"]');
+        const url = track ? track.getAttribute('src') : this.player.dataset.chapters;
+        if (!url) return;
+
+        Utils.loadText(url)
+            .then(text => {
+                const chapters = /\.json$/i.test(url)
+                    ? JSON.parse(text).map(chapter => ({ start: Number(chapter.start), title: String(chapter.title) }))
+                    : Subtitles.parse(text, url).cues.map(cue => ({ start: cue.startTime, title: cue.text }));
+                this.chapters = chapters.filter(chapter => isFinite(chapter.start)).sort((a, b) => a.start - b.start);
+                this.renderChapters();
+            })
+            .catch(error => {
+                console.error('Failed to load chapters:', error);
+            });
+    },
 
-        return totalSeconds;
+    /**
+     * Fill the chapter list and the seek bar ticks
+     */
+    renderChapters() {
+        const list = document.getElementById('audioChapters');
+        if (!list) return;
+
+        list.innerHTML = this.chapters.map((chapter, index) =>
+            `<li><button type="button" class="audio-chapter-link" data-time="${chapter.start}" data-chapter="${index}">` +
+            `<span class="audio-chapter-time">${this.formatTime(chapter.start)}</span> ${Utils.escapeHTML(chapter.title)}</button></li>`
+        ).join('');
+
+        this.currentChapter = -1;
+        this.renderTicks();
+        this.highlightChapter();
+    },
+
+    /**
+     * Draw a tick on the seek bar at the start of every chapter
+     */
+    renderTicks() {
+        const ticks = document.getElementById('audioSeekTicks');
+        const duration = this.player.duration;
+        if (!ticks) return;
+
+        ticks.innerHTML = !isFinite(duration) || duration <= 0 ? '' : this.chapters
+            .filter(chapter => chapter.start > 0 && chapter.start < duration)
+            .map(chapter => `<button type="button" class="audio-seek-tick" style="left: ${(chapter.start / duration * 100).toFixed(3)}%" ` +
+                `data-time="${chapter.start}" title="${this.formatTime(chapter.start)} ${Utils.escapeHTML(chapter.title)}" aria-label="${Utils.escapeHTML(chapter.title)}"></button>`)
+            .join('');
+    },
+
+    /**
+     * Mark the chapter being played in the list and next to the time
+     */
+    highlightChapter() {
+        let index = -1;
+        this.chapters.forEach((chapter, i) => {
+            if (chapter.start <= this.player.currentTime) index = i;
+        });
+        if (index === this.currentChapter) return;
+        this.currentChapter = index;
+
+        document.querySelectorAll('#audioChapters [data-chapter]').forEach(button => {
+            button.classList.toggle('audio-chapter-current', Number(button.dataset.chapter) === index);
+        });
+        const label = document.getElementById('audioChapter');
+        if (label) label.textContent = index >= 0 ? this.chapters[index].title : '';
+    },
+
+    /**
+     * Bookmark the current position
+     * @param {string} name - Bookmark name, defaults to the time
+     */
+    addBookmark(name) {
+        const time = Math.floor(this.player.currentTime);
+        const bookmarks = this.fileState().bookmarks
+            .concat({ time, name: name.trim() || `Bookmark at ${this.formatTime(time)}` })
+            .sort((a, b) => a.time - b.time);
+        this.saveFileState({ bookmarks });
+        this.renderBookmarks();
+    },
+
+    /**
+     * Delete a bookmark
+     * @param {number} index - Bookmark index
+     */
+    removeBookmark(index) {
+        const bookmarks = this.fileState().bookmarks.filter((bookmark, i) => i !== index);
+        this.saveFileState({ bookmarks });
+        this.renderBookmarks();
+    },
+
+    /**
+     * Fill the bookmark list
+     */
+    renderBookmarks() {
+        const list = document.getElementById('audioBookmarks');
+        if (!list) return;
+
+        const bookmarks = this.fileState().bookmarks;
+        list.innerHTML = bookmarks.length === 0
+            ? '<li class="audio-empty">No bookmarks yet. Pause at a moment worth returning to and add one.</li>'
+            : bookmarks.map((bookmark, index) =>
+                `<li><button type="button" class="audio-chapter-link" data-time="${bookmark.time}">` +
+                `<span class="audio-chapter-time">${this.formatTime(bookmark.time)}</span> ${Utils.escapeHTML(bookmark.name)}</button>` +
+                `<button type="button" class="audio-icon-btn" data-link="${bookmark.time}" title="Copy link" aria-label="Copy link to ${Utils.escapeHTML(bookmark.name)}">🔗</button>` +
+                `<button type="button" class="audio-icon-btn" data-remove="${index}" title="Delete" aria-label="Delete ${Utils.escapeHTML(bookmark.name)}">×</button></li>`
+            ).join('');
+    },
+
+    /**
+     * Copy a link that opens the audio guide at a given time
+     * @param {number} time - Time in seconds
+     */
+    async copyLink(time) {
+        const url = `${window.location.href.split('#')[0]}#audio?t=${Math.floor(time)}`;
+        const copied = await Utils.copyToClipboard(url);
+        Utils.showNotification(copied ? `Link to ${this.formatTime(time)} copied` : 'Could not copy to the clipboard', copied ? 'success' : 'error');
     }
 };
@@ -0,0 +1,313 @@
+/**
+ * B* Tree Module
+ * Insert, delete and search in a B* tree, recording every block read, split and merge as a frame
+ *
+ * Index blocks hold at most f_i pointers (f_i - 1 keys); the pointer left of key K leads to keys
+ * below K, the pointer right of it to keys ≥ K. Leaves are the data blocks.
+ */
+
+const BStarTree = {
+    /**
+     * Create an empty tree
+     * @param {number} fanout - Pointers per index block f_i
+     * @param {number} leafCapacity - Keys per data block
+     * @returns {Object} Tree { fanout, leafCapacity, root, nextId }
+     */
+    create(fanout, leafCapacity) {
+        const tree = { fanout, leafCapacity, root: null, nextId: 1 };
+        tree.root = this.node(tree, true);
+        return tree;
+    },
+
+    /**
+     * Create a block
+     * @param {Object} tree - Tree
+     * @param {boolean} leaf - Data block (true) or index block (false)
+     * @param {number[]} [keys] - Keys
+     * @param {Object[]} [children] - Child blocks of an index block
+     * @returns {Object} Block { id, leaf, keys, children }
+     */
+    node(tree, leaf, keys = [], children = []) {
+        return { id: tree.nextId++, leaf, keys, children };
+    },
+
+    /**
+     * Number of index levels above the data blocks
+     * @param {Object} tree - Tree
+     * @returns {number} HT_i
+     */
+    height(tree) {
+        let levels = 0;
+        for (let node = tree.root; !node.leaf; node = node.children[0]) levels++;
+        return levels;
+    },
+
+    /**
+     * All keys in order
+     * @param {Object} tree - Tree
+     * @returns {number[]} Keys
+     */
+    keys(tree) {
+        const collect = (node) => (node.leaf ? node.keys : node.children.flatMap(collect));
+        return collect(tree.root);
+    },
+
+    /**
+     * Number of data blocks
+     * @param {Object} tree - Tree
+     * @returns {number} Leaf count
+     */
+    leafCount(tree) {
+        const count = (node) => (node.leaf ? 1 : node.children.reduce((sum, child) => sum + count(child), 0));
+        return count(tree.root);
+    },
+
+    /**
+     * Minimum fill of a non-root block
+     * @param {Object} tree - Tree
+     * @param {Object} node - Block
+     * @returns {number} Minimum keys of a data block or pointers of an index block
+     */
+    minimum(tree, node) {
+        return node.leaf ? Math.ceil(tree.leafCapacity / 2) : Math.ceil(tree.fanout / 2);
+    },
+
+    /**
+     * Create an operation log whose frames hold a copy of the tree
+     * @param {Object} tree - Tree
+     * @returns {{frames: Object[], reads: number, frame: Function, read: Function}} Log
+     */
+    log(tree) {
+        const copy = (node) => ({ id: node.id, leaf: node.leaf, keys: node.keys.slice(), children: node.children.map(copy) });
+        const log = {
+            frames: [],
+            reads: 0,
+            frame(message, highlight = {}) {
+                log.frames.push({ root: copy(tree.root), message, highlight, reads: log.reads });
+            },
+            read(node, message, highlight = {}) {
+                log.reads++;
+                log.frame(message, Object.assign({ [node.id]: 'visit' }, highlight));
+            }
+        };
+        return log;
+    },
+
+    /**
+     * Read the blocks from the root to the data block that may hold a key
+     * @param {Object} tree - Tree
+     * @param {number} key - Key
+     * @param {Object} log - Operation log
+     * @returns {Object[]} Path entries { node, index } where index is the pointer taken in node
+     */
+    descend(tree, key, log) {
+        const path = [];
+        let node = tree.root;
+
+        while (!node.leaf) {
+            const index = node.keys.filter(k => k <= key).length;
+            const rule = index === 0
+                ? `${key} < ${node.keys[0]}: take the first pointer`
+                : `${key} ≥ ${node.keys[index - 1]}: take pointer ${index + 1}`;
+            log.read(node, `Read index block [${node.keys.join(', ')}]: ${rule}`);
+            path.push({ node, index });
+            node = node.children[index];
+        }
+
+        log.read(node, `Read data block [${node.keys.join(', ')}]`);
+        path.push({ node, index: -1 });
+        return path;
+    },
+
+    /**
+     * Search for a key
+     * @param {Object} tree - Tree
+     * @param {number} key - Key
+     * @returns {{found: boolean, frames: Object[], reads: number}} Result and frames
+     */
+    search(tree, key) {
+        const log = this.log(tree);
+        const path = this.descend(tree, key, log);
+        const leaf = path[path.length - 1].node;
+        const found = leaf.keys.includes(key);
+
+        log.frame(found
+            ? `${key} found after ${log.reads} block reads = HT_i + 1 = ${this.height(tree)} + 1`
+            : `${key} is not in the data block: not found after ${log.reads} block reads`,
+        { [leaf.id]: found ? 'found' : 'visit', key });
+
+        return { found, frames: log.frames, reads: log.reads };
+    },
+
+    /**
+     * Insert a key, splitting full blocks up to a new root if needed
+     * @param {Object} tree - Tree
+     * @param {number} key - Key
+     * @returns {{frames: Object[], reads: number}} Frames
+     */
+    insert(tree, key) {
+        const log = this.log(tree);
+        const path = this.descend(tree, key, log);
+        const leaf = path.pop().node;
+
+        if (leaf.keys.includes(key)) {
+            log.frame(`${key} is already in the tree, nothing to insert`, { [leaf.id]: 'found', key });
+            return { frames: log.frames, reads: log.reads };
+        }
+
+        const keys = leaf.keys.concat(key).sort((a, b) => a - b);
+        if (keys.length <= tree.leafCapacity) {
+            leaf.keys = keys;
+            log.frame(`Case 1: the data block has space, ${key} is inserted in order`, { [leaf.id]: 'new', key });
+            return { frames: log.frames, reads: log.reads };
+        }
+
+        const half = Math.ceil(keys.length / 2);
+        leaf.keys = keys.slice(0, half);
+        const right = this.node(tree, true, keys.slice(half));
+        this.insertIntoParent(tree, path, leaf, right.keys[0], right, log,
+            `Case 2: the data block is full, split it into [${leaf.keys.join(', ')}] and [${right.keys.join(', ')}]`, key);
+
+        return { frames: log.frames, reads: log.reads };
+    },
+
+    /**
+     * Add the separator of a split block to its parent, splitting the parent when it overflows
+     * @param {Object} tree - Tree
+     * @param {Object[]} path - Remaining path above the split block
+     * @param {Object} left - Left half
+     * @param {number} separator - Key for the parent
+     * @param {Object} right - New right half
+     * @param {Object} log - Operation log
+     * @param {string} splitMessage - Description of the split
+     * @param {number} key - Inserted key
+     */
+    insertIntoParent(tree, path, left, separator, right, log, splitMessage, key) {
+        if (path.length === 0) {
+            tree.root = this.node(tree, false, [separator], [left, right]);
+            log.frame(`${splitMessage}. The root was split: new root [${separator}], the tree grows to HT_i = ${this.height(tree)}`,
+                { [left.id]: 'split', [right.id]: 'split', [tree.root.id]: 'new', key });
+            return;
+        }
+
+        const { node: parent, index } = path.pop();
+        parent.keys.splice(index, 0, separator);
+        parent.children.splice(index + 1, 0, right);
+
+        if (parent.children.length <= tree.fanout) {
+            log.frame(`${splitMessage}. Add ${separator} and a pointer to the new block in the parent index block`,
+                { [left.id]: 'split', [right.id]: 'split', [parent.id]: 'new', key });
+            return;
+        }
+
+        log.frame(`${splitMessage}. The parent gets ${separator} and now has ${parent.children.length} > f_i = ${tree.fanout} pointers`,
+            { [left.id]: 'split', [right.id]: 'split', [parent.id]: 'overflow', key });
+
+        const middle = Math.floor(parent.keys.length / 2);
+        const up = parent.keys[middle];
+        const sibling = this.node(tree, false, parent.keys.slice(middle + 1), parent.children.slice(middle + 1));
+        parent.keys = parent.keys.slice(0, middle);
+        parent.children = parent.children.slice(0, middle + 1);
+
+        this.insertIntoParent(tree, path, parent, up, sibling, log,
+            `Split the index block into [${parent.keys.join(', ')}] and [${sibling.keys.join(', ')}], ${up} moves up`, key);
+    },
+
+    /**
+     * Delete a key, borrowing from or merging with a sibling when a block gets too empty
+     * @param {Object} tree - Tree
+     * @param {number} key - Key
+     * @returns {{found: boolean, frames: Object[], reads: number}} Result and frames
+     */
+    remove(tree, key) {
+        const log = this.log(tree);
+        const path = this.descend(tree, key, log);
+        const leaf = path.pop().node;
+
+        if (!leaf.keys.includes(key)) {
+            log.frame(`${key} is not in the tree, nothing to delete`, { [leaf.id]: 'visit', key });
+            return { found: false, frames: log.frames, reads: log.reads };
+        }
+
+        leaf.keys = leaf.keys.filter(k => k !== key);
+        const minimum = this.minimum(tree, leaf);
+        if (path.length === 0 || leaf.keys.length >= minimum) {
+            log.frame(`Remove ${key} from the data block`, { [leaf.id]: 'new' });
+            return { found: true, frames: log.frames, reads: log.reads };
+        }
+
+        log.frame(`Remove ${key}: the data block has ${leaf.keys.length} < ${minimum} keys`, { [leaf.id]: 'overflow' });
+        this.rebalance(tree, path, leaf, log);
+        return { found: true, frames: log.frames, reads: log.reads };
+    },
+
+    /**
+     * Fix a block that is below its minimum fill
+     * @param {Object} tree - Tree
+     * @param {Object[]} path - Path above the block
+     * @param {Object} node - Underfull block
+     * @param {Object} log - Operation log
+     */
+    rebalance(tree, path, node, log) {
+        const { node: parent, index } = path.pop();
+        const fromLeft = index > 0;
+        const sibling = parent.children[fromLeft ? index - 1 : index + 1];
+        const separatorIndex = fromLeft ? index - 1 : index;
+        const size = (block) => (block.leaf ? block.keys.length : block.children.length);
+
+        log.read(sibling, `Read the ${fromLeft ? 'left' : 'right'} sibling [${sibling.keys.join(', ')}]`, { [node.id]: 'overflow' });
+
+        if (size(sibling) > this.minimum(tree, sibling)) {
+            if (node.leaf) {
+                if (fromLeft) {
+                    node.keys.unshift(sibling.keys.pop());
+                    parent.keys[separatorIndex] = node.keys[0];
+                } else {
+                    node.keys.push(sibling.keys.shift());
+                    parent.keys[separatorIndex] = sibling.keys[0];
+                }
+            } else if (fromLeft) {
+                node.keys.unshift(parent.keys[separatorIndex]);
+                node.children.unshift(sibling.children.pop());
+                parent.keys[separatorIndex] = sibling.keys.pop();
+            } else {
+                node.keys.push(parent.keys[separatorIndex]);
+                node.children.push(sibling.children.shift());
+                parent.keys[separatorIndex] = sibling.keys.shift();
+            }
+            log.frame(`The sibling can spare an entry: move one over and change the separator in the parent to ${parent.keys[separatorIndex]}`,
+                { [node.id]: 'new', [sibling.id]: 'new', [parent.id]: 'new' });
+            return;
+        }
+
+        const left = fromLeft ? sibling : node;
+        const right = fromLeft ? node : sibling;
+        const separator = parent.keys[separatorIndex];
+        if (left.leaf) {
+            left.keys = left.keys.concat(right.keys);
+        } else {
+            left.keys = left.keys.concat(separator, right.keys);
+            left.children = left.children.concat(right.children);
+        }
+        parent.keys.splice(separatorIndex, 1);
+        parent.children.splice(separatorIndex + 1, 1);
+
+        log.frame(`Merge the two blocks into [${left.keys.join(', ')}] and remove ${separator} with its pointer from the parent`,
+            { [left.id]: 'merge', [parent.id]: 'new' });
+
+        if (path.length === 0) {
+            if (parent.children.length === 1) {
+                tree.root = parent.children[0];
+                log.frame(`The root has a single pointer left: remove it, the tree shrinks to HT_i = ${this.height(tree)}`,
+                    { [tree.root.id]: 'merge' });
+            }
+            return;
+        }
+
+        const minimum = this.minimum(tree, parent);
+        if (parent.children.length < minimum) {
+            log.frame(`The index block has ${parent.children.length} < ${minimum} pointers`, { [parent.id]: 'overflow' });
+            this.rebalance(tree, path, parent, log);
+        }
+    }
+};
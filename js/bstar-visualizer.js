@@ -0,0 +1,328 @@
+/**
+ * B* Tree Visualizer Module
+ * Animates insert, delete and search on a B* tree with split and merge steps and block read counts
+ */
+
+const BStarVisualizer = {
+    form: null,
+    output: null,
+    tree: null,
+    frames: [],
+    current: 0,
+    timer: null,
+    delay: 900,
+    cell: 34,
+    initialKeys: [10, 20, 30, 40, 50, 60, 70, 80],
+    limits: { fanout: [3, 10], leafCapacity: [1, 8] },
+
+    /**
+     * Initialize the visualizer panel
+     */
+    init() {
+        this.form = document.getElementById('bstarVisualizer');
+        this.output = document.getElementById('bstarOutput');
+
+        if (!this.form || !this.output) {
+            return;
+        }
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.run('insert');
+        });
+
+        this.form.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-operation]');
+            if (button) this.run(button.dataset.operation);
+        });
+
+        this.form.addEventListener('change', (e) => {
+            if (['fanout', 'leafCapacity'].includes(e.target.name)) this.rebuild(this.currentKeys());
+        });
+
+        this.output.addEventListener('click', (e) => {
+            const control = e.target.closest('[data-move]');
+            if (!control) return;
+            if (control.dataset.move === 'play') {
+                this.toggle();
+            } else {
+                this.stop();
+                this.show(this.current + Number(control.dataset.move));
+            }
+        });
+
+        this.rebuild(this.initialKeys);
+    },
+
+    /**
+     * Read and check the branching factor and the data block capacity
+     * @returns {{fanout: number, leafCapacity: number}} Tree parameters
+     */
+    readParams() {
+        const params = {};
+        Object.keys(this.limits).forEach(name => {
+            const value = Number(this.form.elements[name].value);
+            const [min, max] = this.limits[name];
+            if (!Number.isInteger(value) || value < min || value > max) {
+                const label = name === 'fanout' ? 'The branching factor f_i' : 'Keys per data block';
+                throw new Error(`${label} must be a whole number from ${min} to ${max} to keep the tree drawable`);
+            }
+            params[name] = value;
+        });
+        return params;
+    },
+
+    /**
+     * Read the keys typed in the key field
+     * @returns {number[]} Keys
+     */
+    readKeys() {
+        const parts = this.form.elements.key.value.split(/[\s,;]+/).filter(Boolean);
+        if (parts.length === 0) {
+            throw new Error('Enter a key, or several separated by commas');
+        }
+        return parts.map(part => {
+            const key = Number(part);
+            if (!Number.isFinite(key)) {
+                throw new Error(`"${part}" is not a number`);
+            }
+            return key;
+        });
+    },
+
+    /**
+     * Build a new tree from keys without animation
+     * @param {number[]} keys - Keys to insert
+     */
+    rebuild(keys) {
+        this.stop();
+        try {
+            const { fanout, leafCapacity } = this.readParams();
+            this.tree = BStarTree.create(fanout, leafCapacity);
+            keys.forEach(key => BStarTree.insert(this.tree, key));
+            this.frames = this.snapshot(`Tree with ${keys.length} keys`);
+            this.show(0);
+        } catch (error) {
+            this.output.innerHTML = `<div class="calculator-error">${Utils.escapeHTML(error.message)}</div>`;
+        }
+    },
+
+    /**
+     * Keys of the current tree, or the initial keys when there is none
+     * @returns {number[]} Keys
+     */
+    currentKeys() {
+        return this.tree ? BStarTree.keys(this.tree) : this.initialKeys;
+    },
+
+    /**
+     * A single frame showing the current tree
+     * @param {string} message - Caption
+     * @returns {Object[]} Frames
+     */
+    snapshot(message) {
+        const log = BStarTree.log(this.tree);
+        log.frame(message);
+        return log.frames;
+    },
+
+    /**
+     * Run an operation for every key in the key field and animate its frames
+     * @param {string} operation - 'insert', 'remove', 'search', 'derive', 'clear' or 'reset'
+     */
+    run(operation) {
+        this.stop();
+        try {
+            if (operation === 'derive') {
+                this.derive();
+                return;
+            }
+            if (operation === 'clear' || operation === 'reset') {
+                this.rebuild(operation === 'reset' ? this.initialKeys : []);
+                return;
+            }
+            if (!this.tree) {
+                throw new Error('Fix the tree parameters first');
+            }
+
+            const frames = [];
+            let reads = 0;
+            this.readKeys().forEach(key => {
+                const result = BStarTree[operation](this.tree, key);
+                frames.push(...result.frames);
+                reads += result.reads;
+            });
+
+            const verb = { insert: 'Inserted', remove: 'Deleted', search: 'Searched' }[operation];
+            frames.push(Object.assign(this.snapshot(`${verb}: ${reads} block reads in total`)[0], { reads }));
+            this.frames = frames;
+            this.show(0);
+            this.play();
+        } catch (error) {
+            this.output.innerHTML = `<div class="calculator-error">${Utils.escapeHTML(error.message)}</div>`;
+        }
+    },
+
+    /**
+     * Set the branching factor from block, key and pointer sizes
+     */
+    derive() {
+        const elements = this.form.elements;
+        const [b, k, p] = ['blockSize', 'keySize', 'pointerSize'].map(name => Number(elements[name].value));
+        if (![b, k, p].every(value => Number.isInteger(value) && value > 0)) {
+            throw new Error('Block, key and pointer sizes must be positive whole numbers');
+        }
+
+        const fanout = Math.floor((b + k) / (p + k));
+        const [min, max] = this.limits.fanout;
+        if (fanout < min || fanout > max) {
+            throw new Error(`f_i = ⌊(${b} + ${k}) / (${p} + ${k})⌋ = ${fanout}, but the visualizer draws trees with f_i from ${min} to ${max}`);
+        }
+
+        elements.fanout.value = fanout;
+        this.rebuild(this.currentKeys());
+        this.output.insertAdjacentHTML('afterbegin', '<div class="formula">' +
+            `\\[f_i = \\left\\lfloor \\frac{b+k}{p+k} \\right\\rfloor = \\left\\lfloor \\frac{${b}+${k}}{${p}+${k}} \\right\\rfloor = ${fanout}\\]</div>`);
+        Exercises.renderMath(this.output);
+    },
+
+    /**
+     * Start the animation, or restart it from the beginning when it has finished
+     */
+    play() {
+        if (this.current >= this.frames.length - 1) this.show(0);
+        this.timer = setInterval(() => {
+            if (this.current >= this.frames.length - 1) {
+                this.stop();
+                this.show(this.current);
+                return;
+            }
+            this.show(this.current + 1);
+        }, this.delay);
+        this.show(this.current);
+    },
+
+    /**
+     * Stop the animation
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    },
+
+    /**
+     * Play or pause
+     */
+    toggle() {
+        if (this.timer) {
+            this.stop();
+            this.show(this.current);
+        } else {
+            this.play();
+        }
+    },
+
+    /**
+     * Render a frame with its controls and the cost summary
+     * @param {number} index - Frame index
+     */
+    show(index) {
+        if (index < 0 || index >= this.frames.length) return;
+        this.current = index;
+        const frame = this.frames[index];
+        const last = this.frames.length - 1;
+
+        const controls = '<div class="step-controls">' +
+            `<button type="button" class="btn btn-secondary" data-move="-1"${index === 0 ? ' disabled' : ''}>← Previous</button>` +
+            `<button type="button" class="btn btn-secondary" data-move="play"${last === 0 ? ' disabled' : ''}>${this.timer ? 'Pause' : 'Play'}</button>` +
+            `<button type="button" class="btn btn-secondary" data-move="1"${index === last ? ' disabled' : ''}>Next →</button>` +
+            `<span>Step ${index + 1} of ${this.frames.length} · block reads: ${frame.reads}</span>` +
+            '</div>';
+
+        this.output.innerHTML = controls +
+            `<p class="bstar-message">${Utils.escapeHTML(frame.message)}</p>` +
+            `<div class="bstar-tree">${this.treeSVG(frame)}</div>` +
+            this.renderSummary();
+        Exercises.renderMath(this.output);
+    },
+
+    /**
+     * Build the height and search cost of the current tree
+     * @returns {string} HTML with KaTeX delimiters
+     */
+    renderSummary() {
+        const height = BStarTree.height(this.tree);
+        const leaves = BStarTree.leafCount(this.tree);
+        const keys = BStarTree.keys(this.tree).length;
+
+        return '<div class="formula">' +
+            `<strong>Current tree:</strong> ${keys} keys in ${leaves} data block${leaves === 1 ? '' : 's'}, ` +
+            `\\(f_i = ${this.tree.fanout}\\), \\(HT_i = ${height}\\) index level${height === 1 ? '' : 's'}` +
+            `\\[\\text{Cost} = HT_i + 1 = ${height} + 1 = ${height + 1} \\text{ block reads per search}\\]</div>`;
+    },
+
+    /**
+     * Draw a frame of the tree as SVG
+     * @param {Object} frame - Frame { root, highlight }
+     * @returns {string} SVG markup
+     */
+    treeSVG(frame) {
+        const cell = this.cell;
+        const height = 28;
+        const gap = 14;
+        const levelGap = 64;
+        const pad = 10;
+        const slots = (node) => Math.max(1, node.leaf ? this.tree.leafCapacity : this.tree.fanout - 1);
+
+        const widths = new Map();
+        const measure = (node) => {
+            const own = slots(node) * cell;
+            const children = node.children.reduce((sum, child) => sum + measure(child), 0) + gap * Math.max(0, node.children.length - 1);
+            const width = Math.max(own, children);
+            widths.set(node, width);
+            return width;
+        };
+        const total = measure(frame.root);
+
+        const boxes = [];
+        const edges = [];
+        let depth = 0;
+        const place = (node, x, level) => {
+            const width = widths.get(node);
+            const own = slots(node) * cell;
+            const box = { node, x: x + (width - own) / 2, y: pad + level * (height + levelGap), width: own };
+            boxes.push(box);
+            depth = Math.max(depth, level);
+
+            const span = node.children.reduce((sum, child) => sum + widths.get(child), 0) + gap * Math.max(0, node.children.length - 1);
+            let childX = x + (width - span) / 2;
+            node.children.forEach((child, index) => {
+                const childBox = place(child, childX, level + 1);
+                edges.push({ x1: box.x + index * cell, y1: box.y + height, x2: childBox.x + childBox.width / 2, y2: childBox.y });
+                childX += widths.get(child) + gap;
+            });
+            return box;
+        };
+        place(frame.root, pad, 0);
+
+        const lines = edges.map(e =>
+            `<line class="bstar-edge" x1="${e.x1}" y1="${e.y1}" x2="${e.x2}" y2="${e.y2}"/><circle class="bstar-pointer" cx="${e.x1}" cy="${e.y1}" r="3"/>`
+        ).join('');
+
+        const blocks = boxes.map(({ node, x, y, width }) => {
+            const state = frame.highlight[node.id];
+            const cells = Array.from({ length: slots(node) }, (_, i) => {
+                const key = node.keys[i];
+                const marked = key !== undefined && key === frame.highlight.key && node.leaf;
+                return `<rect class="bstar-cell${marked ? ' bstar-key' : ''}" x="${x + i * cell}" y="${y}" width="${cell}" height="${height}"/>` +
+                    (key === undefined ? '' : `<text x="${x + i * cell + cell / 2}" y="${y + height / 2}">${key}</text>`);
+            }).join('');
+            return `<g class="bstar-block${node.leaf ? ' bstar-leaf' : ''}${state ? ` bstar-${state}` : ''}">${cells}` +
+                `<rect class="bstar-outline" x="${x}" y="${y}" width="${width}" height="${height}"/></g>`;
+        }).join('');
+
+        const svgWidth = total + 2 * pad;
+        const svgHeight = 2 * pad + (depth + 1) * height + depth * levelGap;
+        return `<svg class="graph-svg" viewBox="0 0 ${svgWidth} ${svgHeight}" width="${svgWidth}" height="${svgHeight}" role="img">${lines}${blocks}</svg>`;
+    }
+};
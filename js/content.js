@@ -0,0 +1,238 @@
+/**
+ * Content Module
+ * Loads the exercises and reference tables from content/*.json and renders them into the page
+ */
+
+const Content = {
+    exercisesUrl: 'content/exercises.json',
+    tablesUrl: 'content/tables.json',
+    topics: [],
+
+    difficulties: [
+        { id: 'easy', label: 'Easy' },
+        { id: 'medium', label: 'Medium' },
+        { id: 'hard', label: 'Hard' }
+    ],
+
+    /**
+     * Load the content files and render them in place of their placeholders
+     * @returns {Promise} Resolves once the page is rendered, also when loading failed
+     */
+    init() {
+        return Promise.all([this.exercisesUrl, this.tablesUrl].map(url => Utils.loadText(url).then(text => JSON.parse(text))))
+            .then(([exercises, tables]) => {
+                this.topics = exercises.topics.map(topic => ({ id: topic.id, label: topic.label, title: topic.title, exercises: [] }));
+                this.renderExercises(exercises.exercises.map((exercise, index) => this.normalize(exercise, index)));
+                this.renderTables(tables.tables);
+            })
+            .catch(error => {
+                console.error('Failed to load the content files:', error);
+                const message = `<div class="calculator-error">Could not load the exercises and formula tables (${Utils.escapeHTML(error.message)}). ` +
+                    'Open the cheatsheet through a local web server, for example <code>python3 -m http.server</code>.</div>';
+                document.querySelectorAll('#exerciseToc, [data-content-tables]').forEach(element => {
+                    element.innerHTML = message;
+                });
+            });
+    },
+
+    /**
+     * Check an exercise and fill in the optional fields
+     * @param {Object} exercise - Exercise as written in a content file
+     * @param {number} index - Position in the file, for error messages
+     * @returns {Object} Exercise { id, number, title, topic, difficulty, tags, question, answers, solution }
+     */
+    normalize(exercise, index) {
+        const where = `Exercise ${index + 1}`;
+        if (!exercise || typeof exercise !== 'object') {
+            throw new Error(`${where} is not an object`);
+        }
+        ['id', 'title', 'topic', 'question', 'solution'].forEach(field => {
+            if (exercise[field] === undefined || exercise[field] === '') {
+                throw new Error(`${where} has no "${field}"`);
+            }
+        });
+        if (!this.topics.some(topic => topic.id === exercise.topic)) {
+            throw new Error(`${where}: unknown topic "${exercise.topic}" (use ${this.topics.map(topic => topic.id).join(', ')})`);
+        }
+
+        const difficulty = exercise.difficulty || 'medium';
+        if (!this.difficulties.some(level => level.id === difficulty)) {
+            throw new Error(`${where}: unknown difficulty "${difficulty}" (use easy, medium or hard)`);
+        }
+
+        const solution = typeof exercise.solution === 'string' ? [{ body: exercise.solution }] : exercise.solution;
+        if (!Array.isArray(solution) || solution.some(step => !step || typeof step.body !== 'string')) {
+            throw new Error(`${where}: the solution is a text or a list of steps { "title", "body" }`);
+        }
+
+        return {
+            id: String(exercise.id),
+            number: exercise.number === undefined || exercise.number === null ? null : Number(exercise.number),
+            title: String(exercise.title),
+            topic: exercise.topic,
+            difficulty,
+            tags: (Array.isArray(exercise.tags) ? exercise.tags : []).map(String),
+            question: String(exercise.question),
+            answers: (exercise.answers || []).map(block => this.normalizeAnswers(block, where)),
+            solution
+        };
+    },
+
+    /**
+     * Check an answer block of an exercise
+     * @param {Object} block - { type: 'numeric', fields } or { type: 'sql', schema, expected }
+     * @param {string} where - Exercise name for error messages
+     * @returns {Object} The block
+     */
+    normalizeAnswers(block, where) {
+        if (block && block.type === 'numeric') {
+            if (!Array.isArray(block.fields) || block.fields.some(field => !field || !isFinite(parseFloat(field.answer)))) {
+                throw new Error(`${where}: every answer field needs a numeric "answer"`);
+            }
+        } else if (block && block.type === 'sql') {
+            if (typeof block.expected !== 'string') {
+                throw new Error(`${where}: an SQL check needs the "expected" result`);
+            }
+            if (typeof SQLSandbox !== 'undefined' && !SQLSandbox.schemas[block.schema]) {
+                throw new Error(`${where}: unknown SQL schema "${block.schema}" (use ${Object.keys(SQLSandbox.schemas).join(', ')})`);
+            }
+        } else {
+            throw new Error(`${where}: answer blocks have the type "numeric" or "sql"`);
+        }
+        return block;
+    },
+
+    /**
+     * Add exercise IDs to their topic groups (used by progress tracking and mock exams)
+     * @param {Object[]} exercises - Exercises with { id, topic }
+     */
+    register(exercises) {
+        exercises.forEach(exercise => {
+            this.topics.find(topic => topic.id === exercise.topic).exercises.push(exercise.id);
+        });
+    },
+
+    /**
+     * Remove exercise IDs from their topic groups
+     * @param {string[]} ids - Exercise IDs
+     */
+    unregister(ids) {
+        this.topics.forEach(topic => {
+            topic.exercises = topic.exercises.filter(id => !ids.includes(id));
+        });
+    },
+
+    /**
+     * Replace each topic placeholder with its heading and exercises, and build the table of contents
+     * @param {Object[]} exercises - Normalized exercises
+     */
+    renderExercises(exercises) {
+        const sorted = exercises.slice().sort((a, b) => a.number - b.number);
+        this.register(sorted);
+
+        const toc = [];
+        document.querySelectorAll('[data-exercise-topic]').forEach(placeholder => {
+            const topic = this.topics.find(item => item.id === placeholder.getAttribute('data-exercise-topic'));
+            const members = sorted.filter(exercise => exercise.topic === topic.id);
+
+            placeholder.insertAdjacentHTML('beforebegin', `<h3>${Utils.escapeHTML(topic.title)} Exercises</h3>` +
+                members.map(exercise => this.renderExercise(exercise)).join(''));
+            placeholder.remove();
+
+            if (members.length > 0) {
+                const range = `${members[0].number}-${members[members.length - 1].number}`;
+                toc.push(`<li class="toc-section">${Utils.escapeHTML(topic.title)} (Exercises ${range})</li>`);
+                members.forEach(exercise => {
+                    toc.push(`<li><a href="#${exercise.id}">${exercise.number}. ${Markdown.inline(exercise.title)}</a></li>`);
+                });
+            }
+        });
+
+        const container = document.getElementById('exerciseToc');
+        if (container) container.innerHTML = `<ul>${toc.join('')}</ul>`;
+    },
+
+    /**
+     * Build the markup of an exercise
+     * @param {Object} exercise - Normalized exercise
+     * @param {Object} [options] - Markdown options, { html: false } for exercise packs
+     * @returns {string} HTML string
+     */
+    renderExercise(exercise, options = {}) {
+        const title = Markdown.inline(exercise.title, options);
+        const difficulty = this.difficulties.find(level => level.id === exercise.difficulty);
+
+        return `<div class="exercise" id="${Utils.escapeHTML(exercise.id)}">` +
+            `<div class="exercise-header">${exercise.number !== null ? `Exercise ${exercise.number}: ` : ''}${title}</div>` +
+            '<div class="exercise-meta">' +
+            `<span class="exercise-difficulty difficulty-${difficulty.id}">${difficulty.label}</span>` +
+            exercise.tags.map(tag => `<span class="exercise-tag">${Utils.escapeHTML(tag)}</span>`).join('') +
+            '</div>' +
+            `<div class="exercise-question">${Markdown.render(exercise.question, options)}</div>` +
+            exercise.answers.map(block => this.renderAnswers(block, options)).join('') +
+            '<button type="button" class="btn btn-primary toggle-solution-btn">Show Solution</button>' +
+            `<div class="solution">${exercise.solution.map(step => this.renderStep(step, options)).join('')}</div>` +
+            '</div>';
+    },
+
+    /**
+     * Build an answer block: numeric fields for Answers, or an expected query result for SQLSandbox
+     * @param {Object} block - Answer block of an exercise
+     * @param {Object} [options] - Markdown options
+     * @returns {string} HTML string
+     */
+    renderAnswers(block, options = {}) {
+        const title = `<div class="answer-check-title">${Markdown.inline(block.title || 'Check your answers', options)}</div>`;
+
+        if (block.type === 'sql') {
+            return `<div class="sql-check" data-schema="${Utils.escapeHTML(block.schema)}"${block.ordered ? ' data-ordered' : ''} data-search-ignore>` +
+                title +
+                (block.note ? `<p>${Markdown.inline(block.note, options)}</p>` : '') +
+                `<pre class="sql-expected" hidden>${Utils.escapeHTML(block.expected)}</pre>` +
+                '</div>';
+        }
+
+        const fields = block.fields.map(field =>
+            `<div class="answer-field" data-answer="${Utils.escapeHTML(field.answer)}"` +
+            `${field.tolerance ? ` data-tolerance="${Utils.escapeHTML(field.tolerance)}"` : ''}` +
+            `${field.unit ? ` data-unit="${Utils.escapeHTML(field.unit)}"` : ''}>${Markdown.inline(field.label, options)}</div>`
+        ).join('');
+        return `<div class="answer-check">${title}${fields}</div>`;
+    },
+
+    /**
+     * Build one solution step
+     * @param {Object} step - Step { title, body }
+     * @param {Object} [options] - Markdown options
+     * @returns {string} HTML string
+     */
+    renderStep(step, options = {}) {
+        return (step.title ? `<h4>${Markdown.inline(step.title, options)}</h4>` : '') + Markdown.render(step.body, options);
+    },
+
+    /**
+     * Replace each table placeholder with the headed tables of its group
+     * @param {Object[]} tables - Tables { id, group, title, columns, rows }
+     */
+    renderTables(tables) {
+        document.querySelectorAll('[data-content-tables]').forEach(placeholder => {
+            const group = placeholder.getAttribute('data-content-tables');
+            placeholder.insertAdjacentHTML('beforebegin', tables
+                .filter(table => table.group === group)
+                .map(table => this.renderTable(table))
+                .join(''));
+            placeholder.remove();
+        });
+    },
+
+    /**
+     * Build a headed reference table; cells are inline Markdown
+     * @param {Object} table - Table { title, columns, rows }
+     * @returns {string} HTML string
+     */
+    renderTable(table) {
+        const header = `<tr>${table.columns.map(column => `<th>${Markdown.inline(column)}</th>`).join('')}</tr>`;
+        const rows = table.rows.map(row => `<tr>${row.map(cell => `<td>${Markdown.inline(cell)}</td>`).join('')}</tr>`).join('');
+        return `<h3>${Utils.escapeHTML(table.title)}</h3><table>${header}${rows}</table>`;
+    }
+};
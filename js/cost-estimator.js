@@ -0,0 +1,424 @@
+/**
+ * Cost Estimator Module
+ * Compares selection and join algorithm costs from catalog statistics
+ */
+
+const CostEstimator = {
+    form: null,
+    output: null,
+
+    /**
+     * Initialize the estimator panel
+     */
+    init() {
+        this.form = document.getElementById('costEstimator');
+        this.output = document.getElementById('costEstimatorOutput');
+
+        if (!this.form || !this.output) {
+            return;
+        }
+
+        this.form.addEventListener('submit', (e) => e.preventDefault());
+        this.form.addEventListener('input', Utils.debounce(() => this.update(), 300));
+        this.form.addEventListener('change', () => this.update());
+        this.update();
+    },
+
+    /**
+     * Read global and per-relation settings from the form
+     * @returns {Object} Settings with blockSize, operation and relations R and S
+     */
+    readParams() {
+        const number = (input) => (input && input.value.trim() !== '' ? Number(input.value) : null);
+        const relations = {};
+
+        this.form.querySelectorAll('[data-relation]').forEach(fieldset => {
+            const field = (name) => fieldset.querySelector(`[name="${name}"]`);
+            relations[fieldset.getAttribute('data-relation')] = {
+                // Names end up in KaTeX subscripts, so keep them alphanumeric
+                name: field('name').value.replace(/[^A-Za-z0-9]/g, '') || fieldset.getAttribute('data-relation'),
+                n: number(field('n')),
+                s: number(field('s')),
+                f: number(field('f')),
+                v: number(field('v')),
+                isKey: field('isKey').checked,
+                ordered: field('ordered').checked,
+                index: field('index').value,
+                k: number(field('k')),
+                p: number(field('p')),
+                ht: number(field('ht'))
+            };
+        });
+
+        return {
+            blockSize: number(this.form.querySelector('[name="blockSize"]')),
+            operation: this.form.querySelector('[name="operation"]').value,
+            relations: relations
+        };
+    },
+
+    /**
+     * Recompute and re-render the comparison
+     */
+    update() {
+        const params = this.readParams();
+        let html;
+
+        try {
+            if (params.operation === 'join') {
+                const stats = {
+                    R: this.deriveStats(params.relations.R, params.blockSize),
+                    S: this.deriveStats(params.relations.S, params.blockSize)
+                };
+                html = this.renderStats(stats, ['R', 'S']) +
+                    this.renderJoinSize(stats) +
+                    this.renderTable(this.joinCosts(stats), 'Join algorithms') +
+                    this.renderOuterChoice(stats);
+            } else {
+                const key = params.operation === 'select-S' ? 'S' : 'R';
+                const stats = { [key]: this.deriveStats(params.relations[key], params.blockSize) };
+                html = this.renderStats(stats, [key]) +
+                    this.renderTable(this.selectionCosts(stats[key]), `Selection \\(\\sigma_{A = v}(${stats[key].name})\\)`);
+            }
+        } catch (err) {
+            html = `<div class="calculator-error">${Utils.escapeHTML(err.message)}</div>`;
+        }
+
+        this.output.innerHTML = html;
+        Exercises.renderMath(this.output);
+    },
+
+    /**
+     * Derive blocking factor, blocks, selection cardinality and index height
+     * @param {Object} rel - Relation settings
+     * @param {number|null} blockSize - Block size in bytes
+     * @returns {Object} Relation settings extended with f, b, sc, fi and ht
+     */
+    deriveStats(rel, blockSize) {
+        const positive = (value) => value !== null && Number.isFinite(value) && value > 0;
+
+        if (!positive(rel.n)) {
+            throw new Error(`${rel.name}: the number of records n must be positive.`);
+        }
+
+        let f = rel.f;
+        const fFromSize = !positive(f);
+        if (fFromSize) {
+            if (!positive(rel.s) || !positive(blockSize)) {
+                throw new Error(`${rel.name}: give either the blocking factor f or the record size and block size.`);
+            }
+            f = Math.floor(blockSize / rel.s);
+            if (f < 1) {
+                throw new Error(`${rel.name}: a record does not fit in one block.`);
+            }
+        }
+
+        const b = Math.ceil(rel.n / f);
+        const v = rel.isKey ? rel.n : (positive(rel.v) ? Math.min(rel.v, rel.n) : null);
+        if (v === null) {
+            throw new Error(`${rel.name}: give V(A) or mark A as a key.`);
+        }
+        const sc = rel.isKey ? 1 : rel.n / v;
+
+        let fi = null;
+        let ht = null;
+        if (rel.index !== 'none') {
+            if (positive(rel.ht)) {
+                ht = rel.ht;
+            } else {
+                if (!positive(rel.k) || !positive(rel.p) || !positive(blockSize)) {
+                    throw new Error(`${rel.name}: give HT_i or the key size, pointer size and block size for the index.`);
+                }
+                fi = Math.floor((blockSize + rel.k) / (rel.p + rel.k));
+                if (fi < 2) {
+                    throw new Error(`${rel.name}: an index block must hold at least two pointers (f_i = ${fi}); use a larger block or smaller keys and pointers.`);
+                }
+                ht = Math.max(1, Math.ceil(Math.log(b) / Math.log(fi) - 1e-9));
+            }
+        }
+
+        return Object.assign({}, rel, { f, fFromSize, b, v, sc, fi, ht, blockSize });
+    },
+
+    /**
+     * Selection algorithm costs A1-A5 for an equality condition A = v
+     * @param {Object} r - Derived relation statistics
+     * @returns {Object[]} Rows with name, formula, cost and optional reason
+     */
+    selectionCosts(r) {
+        const n = (value) => this.formatNumber(value);
+        const rows = [];
+        const matchingBlocks = Math.ceil(r.sc / r.f);
+
+        rows.push({
+            name: 'A1: Linear search',
+            formula: r.isKey
+                ? `b_r / 2 = ${n(r.b)} / 2`
+                : `b_r = ${n(r.b)}`,
+            cost: r.isKey ? r.b / 2 : r.b
+        });
+
+        const binaryCost = Math.ceil(Math.log2(r.b)) + matchingBlocks - 1;
+        rows.push({
+            name: 'A2: Binary search',
+            formula: `\\lceil \\log_2 ${n(r.b)} \\rceil + \\lceil ${this.formatDecimal(r.sc)} / ${n(r.f)} \\rceil - 1`,
+            cost: binaryCost,
+            reason: r.ordered ? null : 'file is not ordered by A'
+        });
+
+        const indexed = r.ht !== null;
+        const substitute = (general, values) => (indexed ? `${general} = ${values}` : general);
+
+        rows.push({
+            name: 'A3: Primary index (key)',
+            formula: substitute('HT_i + 1', `${r.ht} + 1`),
+            cost: indexed ? r.ht + 1 : null,
+            reason: r.index !== 'primary' ? 'no primary index on A' : (!r.isKey ? 'A is not a key' : null)
+        });
+
+        rows.push({
+            name: 'A4: Primary index (non-key)',
+            formula: substitute('HT_i + \\lceil SC(A,r) / f_r \\rceil', `${r.ht} + \\lceil ${this.formatDecimal(r.sc)} / ${n(r.f)} \\rceil`),
+            cost: indexed ? r.ht + matchingBlocks : null,
+            reason: r.index !== 'primary' ? 'no primary index on A' : (r.isKey ? 'A is a key (use A3)' : null)
+        });
+
+        rows.push({
+            name: 'A5: Secondary index',
+            formula: r.isKey
+                ? substitute('HT_i + 1', `${r.ht} + 1`)
+                : substitute('HT_i + SC(A,r)', `${r.ht} + ${this.formatDecimal(r.sc)}`),
+            cost: indexed ? (r.isKey ? r.ht + 1 : r.ht + Math.ceil(r.sc)) : null,
+            reason: r.index !== 'secondary' ? 'no secondary index on A' : null
+        });
+
+        return rows;
+    },
+
+    /**
+     * Cost of one index lookup on the inner relation of an indexed nested loop join
+     * @param {Object} inner - Derived statistics of the inner relation
+     * @returns {{cost: number, formula: string}|null} Lookup cost or null without index
+     */
+    indexLookup(inner) {
+        if (inner.index === 'none') return null;
+
+        if (inner.isKey) {
+            return { cost: inner.ht + 1, formula: `(HT_i + 1)` };
+        }
+        if (inner.index === 'primary') {
+            return { cost: inner.ht + Math.ceil(inner.sc / inner.f), formula: `(HT_i + \\lceil SC/f \\rceil)` };
+        }
+        return { cost: inner.ht + Math.ceil(inner.sc), formula: `(HT_i + SC)` };
+    },
+
+    /**
+     * Join algorithm costs with both choices of outer relation
+     * @param {Object} stats - Derived statistics of R and S
+     * @returns {Object[]} Rows with name, formula, cost and optional reason
+     */
+    joinCosts(stats) {
+        const n = (value) => this.formatNumber(value);
+        const rows = [];
+        const orders = [[stats.R, stats.S], [stats.S, stats.R]];
+
+        orders.forEach(([outer, inner]) => {
+            const label = `${outer.name} outer`;
+
+            rows.push({
+                name: `Nested loop (${label})`,
+                formula: `n_{${outer.name}} \\times b_{${inner.name}} + b_{${outer.name}} = ${n(outer.n)} \\times ${n(inner.b)} + ${n(outer.b)}`,
+                cost: outer.n * inner.b + outer.b
+            });
+
+            rows.push({
+                name: `Block nested loop (${label})`,
+                formula: `b_{${outer.name}} \\times b_{${inner.name}} + b_{${outer.name}} = ${n(outer.b)} \\times ${n(inner.b)} + ${n(outer.b)}`,
+                cost: outer.b * inner.b + outer.b
+            });
+        });
+
+        orders.forEach(([outer, inner]) => {
+            const lookup = this.indexLookup(inner);
+            rows.push({
+                name: `Indexed nested loop (${outer.name} outer)`,
+                formula: lookup
+                    ? `b_{${outer.name}} + n_{${outer.name}} \\times ${lookup.formula}_{${inner.name}} = ${n(outer.b)} + ${n(outer.n)} \\times ${n(lookup.cost)}`
+                    : `b_{${outer.name}} + n_{${outer.name}} \\times c`,
+                cost: lookup ? outer.b + outer.n * lookup.cost : null,
+                reason: lookup ? null : `no index on ${inner.name}.A`
+            });
+        });
+
+        rows.push({
+            name: 'Sorted merge join',
+            formula: `b_{${stats.R.name}} + b_{${stats.S.name}} = ${n(stats.R.b)} + ${n(stats.S.b)}`,
+            cost: stats.R.b + stats.S.b,
+            reason: stats.R.ordered && stats.S.ordered ? null : 'both files must be sorted on A (add sorting cost c)'
+        });
+
+        rows.push({
+            name: 'Hash join',
+            formula: `b_{${stats.R.name}} + b_{${stats.S.name}} = ${n(stats.R.b)} + ${n(stats.S.b)}`,
+            cost: stats.R.b + stats.S.b
+        });
+
+        return rows;
+    },
+
+    /**
+     * Estimate the natural join result size (Exercise 28 cases)
+     * @param {Object} stats - Derived statistics of R and S
+     * @returns {{size: number, formula: string, note: string}} Estimate
+     */
+    joinSize(stats) {
+        const { R, S } = stats;
+        const n = (value) => this.formatNumber(value);
+
+        if (R.isKey && S.isKey) {
+            return {
+                size: Math.min(R.n, S.n),
+                formula: `|${R.name} \\bowtie ${S.name}| \\leq \\min(n_{${R.name}}, n_{${S.name}}) = ${n(Math.min(R.n, S.n))}`,
+                note: 'A is a key in both relations.'
+            };
+        }
+        if (R.isKey) {
+            return {
+                size: S.n,
+                formula: `|${R.name} \\bowtie ${S.name}| \\leq n_{${S.name}} = ${n(S.n)}`,
+                note: `A is a key in ${R.name}: each ${S.name} record joins with at most one ${R.name} record (equality if A is a foreign key in ${S.name}).`
+            };
+        }
+        if (S.isKey) {
+            return {
+                size: R.n,
+                formula: `|${R.name} \\bowtie ${S.name}| \\leq n_{${R.name}} = ${n(R.n)}`,
+                note: `A is a key in ${S.name}: each ${R.name} record joins with at most one ${S.name} record.`
+            };
+        }
+
+        const size = Math.round((R.n * S.n) / Math.max(R.v, S.v));
+        return {
+            size: size,
+            formula: `|${R.name} \\bowtie ${S.name}| = \\frac{${n(R.n)} \\times ${n(S.n)}}{\\max(${n(R.v)}, ${n(S.v)})} = ${n(size)}`,
+            note: 'General case: A is not a key in either relation.'
+        };
+    },
+
+    /**
+     * Render derived catalog statistics
+     * @param {Object} stats - Derived statistics keyed by relation
+     * @param {string[]} keys - Relations to show
+     * @returns {string} HTML string
+     */
+    renderStats(stats, keys) {
+        const n = (value) => this.formatNumber(value);
+
+        return keys.map(key => {
+            const r = stats[key];
+            const lines = [
+                `f_{${r.name}} = ${r.fFromSize ? `\\left\\lfloor \\frac{${n(r.blockSize)}}{${n(r.s)}} \\right\\rfloor = ` : ''}${n(r.f)}, \\quad b_{${r.name}} = \\left\\lceil \\frac{${n(r.n)}}{${n(r.f)}} \\right\\rceil = ${n(r.b)}`,
+                `V(A,${r.name}) = ${n(r.v)}, \\quad SC(A,${r.name}) = ${r.isKey ? '1 \\text{ (key)}' : `\\frac{${n(r.n)}}{${n(r.v)}} = ${this.formatDecimal(r.sc)}`}`
+            ];
+
+            if (r.fi !== null) {
+                // A single block still needs a root, although its logarithm is 0
+                const log = `\\left\\lceil \\log_{${n(r.fi)}} ${n(r.b)} \\right\\rceil`;
+                const height = r.b > 1 ? log : `\\max\\left(1, ${log}\\right)`;
+                lines.push(`f_i = \\left\\lfloor \\frac{${n(r.blockSize)} + ${n(r.k)}}{${n(r.p)} + ${n(r.k)}} \\right\\rfloor = ${n(r.fi)}, \\quad HT_i = ${height} = ${r.ht}`);
+            } else if (r.ht !== null) {
+                lines.push(`HT_i = ${r.ht}`);
+            }
+
+            return `<div class="formula"><strong>Statistics of ${Utils.escapeHTML(r.name)}:</strong>\n${lines.map(line => `\\[${line}\\]`).join('\n')}</div>`;
+        }).join('');
+    },
+
+    /**
+     * Render the join size estimate
+     * @param {Object} stats - Derived statistics of R and S
+     * @returns {string} HTML string
+     */
+    renderJoinSize(stats) {
+        const estimate = this.joinSize(stats);
+        return `<div class="formula"><strong>Result size estimate:</strong>\n\\[${estimate.formula}\\]<p>${Utils.escapeHTML(estimate.note)}</p></div>`;
+    },
+
+    /**
+     * Render the side-by-side cost table with the cheapest algorithm highlighted
+     * @param {Object[]} rows - Algorithm rows
+     * @param {string} title - Table caption
+     * @returns {string} HTML string
+     */
+    renderTable(rows, title) {
+        const applicable = rows.filter(row => !row.reason && row.cost !== null);
+        const best = applicable.length > 0 ? Math.min(...applicable.map(row => row.cost)) : null;
+
+        const body = rows.map(row => {
+            const usable = !row.reason && row.cost !== null;
+            const classes = [usable ? '' : 'cost-unavailable', usable && row.cost === best ? 'cost-best' : '']
+                .filter(Boolean).join(' ');
+            const cost = row.cost === null ? '–' : this.formatPlain(row.cost);
+            const note = row.reason ? `<div class="cost-reason">${Utils.escapeHTML(row.reason)}</div>` : '';
+
+            return `<tr class="${classes}"><td><strong>${Utils.escapeHTML(row.name)}</strong>${note}</td><td>\\(${row.formula}\\)</td><td>${cost}</td></tr>`;
+        }).join('');
+
+        return `<h4>${title}</h4><table class="cost-table"><tr><th>Algorithm</th><th>Cost Formula</th><th>Block Accesses</th></tr>${body}</table>`;
+    },
+
+    /**
+     * Explain the outer-relation choice for indexed nested loop (Exercise 30)
+     * @param {Object} stats - Derived statistics of R and S
+     * @returns {string} HTML string
+     */
+    renderOuterChoice(stats) {
+        const options = [[stats.R, stats.S], [stats.S, stats.R]]
+            .map(([outer, inner]) => {
+                const lookup = this.indexLookup(inner);
+                return lookup ? { outer, inner, cost: outer.b + outer.n * lookup.cost } : null;
+            })
+            .filter(Boolean);
+
+        if (options.length < 2) {
+            return '';
+        }
+
+        options.sort((a, b) => a.cost - b.cost);
+        const [best, worst] = options;
+        const penalty = worst.cost - best.cost;
+        const factor = best.cost > 0 ? (worst.cost / best.cost).toFixed(1) : '∞';
+
+        return `<div class="tip-box"><div class="tip-box-title">💡 Choosing the Outer Relation</div>` +
+            `<p>Put <strong>${Utils.escapeHTML(best.outer.name)}</strong> in the outer loop of the indexed nested loop join: ` +
+            `${this.formatPlain(best.cost)} block accesses instead of ${this.formatPlain(worst.cost)} ` +
+            `(the wrong choice costs ${this.formatPlain(penalty)} extra, ${factor}× worse).</p></div>`;
+    },
+
+    /**
+     * Format a number with thousands separators for KaTeX
+     * @param {number} value - Number to format
+     * @returns {string} LaTeX-safe number
+     */
+    formatNumber(value) {
+        return value.toLocaleString('en-US', { maximumFractionDigits: 2 }).replace(/,/g, '{,}');
+    },
+
+    /**
+     * Format a non-integer with up to two decimals for KaTeX
+     * @param {number} value - Number to format
+     * @returns {string} LaTeX-safe number
+     */
+    formatDecimal(value) {
+        return this.formatNumber(Math.round(value * 100) / 100);
+    },
+
+    /**
+     * Format a number for plain HTML
+     * @param {number} value - Number to format
+     * @returns {string} Formatted number
+     */
+    formatPlain(value) {
+        return value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+    }
+};
@@ -0,0 +1,235 @@
+/**
+ * Decomposition Tool Module
+ * 3NF synthesis, BCNF decomposition, chase-tableau lossless-join test and dependency preservation
+ */
+
+const DecompositionTool = {
+    form: null,
+    output: null,
+
+    examples: [
+        { label: 'Ex 18: R(A, B, C, D)', schema: 'R(A, B, C, D)', fds: 'C → B, B → D, AB → AC, CD → B', decomposition: 'AC, BC, BD' },
+        { label: 'Ex 19: R(I, S, T, Q)', schema: 'R(I, S, T, Q)', fds: 'I → Q, ST → Q, IS → T, QS → I', decomposition: 'IQ, IST' },
+        { label: 'Lossy: R(A, B, C) split on B', schema: 'R(A, B, C)', fds: 'A → B', decomposition: 'AB, BC' },
+        { label: 'BCNF loses a dependency: R(A, B, C)', schema: 'R(A, B, C)', fds: 'AB → C, C → B', decomposition: 'AC, BC' }
+    ],
+
+    /**
+     * Initialize the decomposition panel
+     */
+    init() {
+        this.form = document.getElementById('decompositionTool');
+        this.output = document.getElementById('decompositionOutput');
+        const examples = document.getElementById('decompositionExample');
+
+        if (!this.form || !this.output || !examples) {
+            return;
+        }
+
+        this.examples.forEach((example, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = example.label;
+            examples.appendChild(option);
+        });
+
+        examples.addEventListener('change', () => {
+            const example = this.examples[examples.value];
+            if (!example) return;
+            this.form.elements.schema.value = example.schema;
+            this.form.elements.fds.value = example.fds;
+            this.form.elements.decomposition.value = example.decomposition;
+            this.update();
+        });
+
+        this.form.addEventListener('submit', (e) => e.preventDefault());
+        this.form.addEventListener('input', Utils.debounce(() => this.update(), 300));
+        this.update();
+    },
+
+    /**
+     * Parse the form and re-render every result
+     */
+    update() {
+        const FD = FunctionalDependencies;
+        const elements = this.form.elements;
+
+        try {
+            const { attrs } = FD.parseSchema(elements.schema.value);
+            const fds = FD.parseDependencies(elements.fds.value, attrs);
+            const sections = [
+                this.renderSynthesis(attrs, fds),
+                this.renderBCNF(attrs, fds)
+            ];
+
+            if (elements.decomposition.value.trim() !== '') {
+                const schemas = FD.parseDecomposition(elements.decomposition.value, attrs);
+                sections.push(this.renderCheck(attrs, fds, schemas));
+            }
+
+            this.output.innerHTML = sections.join('');
+            Exercises.renderMath(this.output);
+        } catch (error) {
+            this.output.innerHTML = `<div class="calculator-error">${Utils.escapeHTML(error.message)}</div>`;
+        }
+    },
+
+    /**
+     * Build the 3NF synthesis steps
+     * @param {string[]} attrs - Schema attributes
+     * @param {Object[]} fds - Dependencies
+     * @returns {string} HTML with KaTeX delimiters
+     */
+    renderSynthesis(attrs, fds) {
+        const FD = FunctionalDependencies;
+        const result = FD.synthesize3NF(attrs, fds);
+
+        const perDependency = result.cover.map(fd =>
+            `<li>\\(${FD.fdLatex(fd)}\\) gives \\(${FD.setLatex(FD.sort(fd.lhs.concat(fd.rhs), attrs))}\\)</li>`
+        ).join('');
+        const removed = result.removed.map(entry =>
+            `<li>\\(${FD.setLatex(entry.schema.attrs)} \\subseteq ${FD.setLatex(entry.container.attrs)}\\), dropped</li>`
+        ).join('');
+
+        const keyNote = result.key
+            ? `<p>No schema contains a candidate key, so add the key \\(${FD.setLatex(result.key)}\\) as its own schema.</p>`
+            : '<p>A schema already contains a candidate key, so the join is lossless.</p>';
+
+        return '<h4>3NF Synthesis</h4>' +
+            this.step('1. Canonical cover', [`G_c = ${FD.fdsLatex(result.cover)}`]) +
+            `<div class="formula"><strong>2. One schema per dependency</strong><ul>${perDependency || '<li>No dependencies</li>'}${removed}</ul>${keyNote}</div>` +
+            this.step('Result (lossless and dependency preserving)', [this.decompositionLatex(result.schemas.map(schema => schema.attrs))]);
+    },
+
+    /**
+     * Build the BCNF decomposition steps
+     * @param {string[]} attrs - Schema attributes
+     * @param {Object[]} fds - Dependencies
+     * @returns {string} HTML with KaTeX delimiters
+     */
+    renderBCNF(attrs, fds) {
+        const FD = FunctionalDependencies;
+        const result = FD.decomposeBCNF(attrs, fds);
+
+        const steps = result.steps.map((step, index) => {
+            const v = step.violation;
+            return this.step(`${index + 1}. Split \\(${FD.setLatex(step.schema)}\\)`, [
+                `${FD.closureLatex(v.lhs)} = ${FD.bracesLatex(v.closure)} \\not\\supseteq ${FD.setLatex(step.schema)}`,
+                `${FD.fdLatex(v)} \\text{ violates BCNF} \\;\\Rightarrow\\; ${FD.setLatex(step.parts[0])},\\ ${FD.setLatex(step.parts[1])}`
+            ]);
+        }).join('');
+
+        const lost = FD.preservation(attrs, fds, result.schemas).filter(entry => !entry.preserved);
+        const note = lost.length > 0
+            ? `<p>Not preserved: ${lost.map(entry => `\\(${FD.fdLatex(entry.fd)}\\)`).join(', ')}</p>`
+            : '<p>Every dependency is preserved.</p>';
+
+        return '<h4>BCNF Decomposition</h4>' +
+            (steps || '<p>The schema is already in BCNF.</p>') +
+            this.step('Result (lossless)', [this.decompositionLatex(result.schemas)], note);
+    },
+
+    /**
+     * Build the lossless-join and dependency preservation checks of a proposed decomposition
+     * @param {string[]} attrs - Schema attributes
+     * @param {Object[]} fds - Dependencies
+     * @param {string[][]} schemas - Proposed decomposition
+     * @returns {string} HTML with KaTeX delimiters
+     */
+    renderCheck(attrs, fds, schemas) {
+        const FD = FunctionalDependencies;
+        const chase = FD.chase(attrs, fds, schemas);
+
+        const steps = chase.steps.map((step, index) => {
+            const previous = index === 0 ? chase.initial : chase.steps[index - 1].tableau;
+            const rows = step.rows.map(row => row + 1).join(', ');
+            const to = this.cellLatex(step.to);
+            const from = step.from.map(cell => this.cellLatex(cell)).join(', ');
+            return `<div class="formula"><strong>Apply \\(${FD.fdLatex(step.fd)}\\):</strong> rows ${rows} agree on \\(${FD.setLatex(step.fd.lhs)}\\), so \\(${from}\\) ${step.from.length > 1 ? 'become' : 'becomes'} \\(${to}\\)` +
+                this.renderTableau(attrs, schemas, step.tableau, previous) + '</div>';
+        }).join('');
+
+        const verdict = chase.lossless
+            ? `<p><strong>Row ${chase.row + 1} contains only \\(a\\) values: the decomposition is lossless ✓</strong></p>`
+            : '<p><strong>No dependency changes the tableau any more and no row is all \\(a\\): the decomposition is lossy ✗</strong></p>';
+
+        const checks = FD.preservation(attrs, fds, schemas);
+        const preservation = checks.map(entry => {
+            if (entry.within !== -1) {
+                return `<li>\\(${FD.fdLatex(entry.fd)}\\) lies inside \\(R_{${entry.within + 1}}\\) ✓</li>`;
+            }
+            const trace = [`Z = ${FD.setLatex(entry.fd.lhs)}`].concat(entry.trace.map(t =>
+                `\\xrightarrow{R_{${t.schema + 1}}} ${FD.setLatex(t.result)}`
+            )).join(' ');
+            return `<li>\\(${FD.fdLatex(entry.fd)}\\): \\(${trace}\\) ${entry.preserved ? '✓' : `✗ (\\(${FD.setLatex(entry.fd.rhs)} \\not\\subseteq Z\\))`}</li>`;
+        }).join('');
+        const preserved = checks.every(entry => entry.preserved);
+
+        return '<h4>Your Decomposition</h4>' +
+            this.step('Decomposition', [this.decompositionLatex(schemas)]) +
+            `<div class="formula"><strong>Lossless join (chase):</strong> initial tableau` +
+            this.renderTableau(attrs, schemas, chase.initial, null) + '</div>' +
+            steps + verdict +
+            `<div class="formula"><strong>Dependency preservation:</strong> \\(Z := X\\), then \\(Z := Z \\cup ((Z \\cap R_i)^+ \\cap R_i)\\) until it stops growing<ul>${preservation || '<li>No dependencies</li>'}</ul>` +
+            `<strong>${preserved ? 'Every dependency is preserved ✓' : 'Not dependency preserving ✗'}</strong></div>`;
+    },
+
+    /**
+     * Render a chase tableau, highlighting cells changed since the previous one
+     * @param {string[]} attrs - Schema attributes
+     * @param {string[][]} schemas - Decomposition
+     * @param {string[][]} tableau - Cells "a:j" or "b:i:j"
+     * @param {string[][]|null} previous - Previous tableau
+     * @returns {string} HTML string
+     */
+    renderTableau(attrs, schemas, tableau, previous) {
+        const FD = FunctionalDependencies;
+        const header = attrs.map(attr => `<th>\\(${FD.nameLatex(attr)}\\)</th>`).join('');
+        const rows = tableau.map((row, i) => {
+            const solved = row.every(cell => cell.startsWith('a:'));
+            const cells = row.map((cell, j) => {
+                const changed = previous && previous[i][j] !== cell;
+                return `<td${changed ? ' class="chase-changed"' : ''}>\\(${this.cellLatex(cell)}\\)</td>`;
+            }).join('');
+            return `<tr${solved ? ' class="chase-solved"' : ''}><td>\\(R_{${i + 1}}(${FD.setLatex(schemas[i])})\\)</td>${cells}</tr>`;
+        }).join('');
+
+        return `<table class="chase-tableau"><tr><th></th>${header}</tr>${rows}</table>`;
+    },
+
+    /**
+     * Render a tableau cell as LaTeX
+     * @param {string} cell - "a:j" or "b:i:j" (0-based)
+     * @returns {string} LaTeX such as a_2 or b_{13}
+     */
+    cellLatex(cell) {
+        const parts = cell.split(':').map(Number);
+        if (cell.startsWith('a:')) {
+            return `a_{${parts[1] + 1}}`;
+        }
+        const [i, j] = [parts[1] + 1, parts[2] + 1];
+        return i < 10 && j < 10 ? `b_{${i}${j}}` : `b_{${i},${j}}`;
+    },
+
+    /**
+     * Render a decomposition as ρ = {R_1(…), R_2(…)}
+     * @param {string[][]} schemas - Decomposition
+     * @returns {string} LaTeX
+     */
+    decompositionLatex(schemas) {
+        const FD = FunctionalDependencies;
+        return `\\rho = \\{${schemas.map((schema, i) => `R_{${i + 1}}(${FD.setLatex(schema)})`).join(',\\ ')}\\}`;
+    },
+
+    /**
+     * Build one .formula step
+     * @param {string} title - Step title
+     * @param {string[]} equations - Display equations (LaTeX)
+     * @param {string} [extraHTML] - Extra markup after the equations
+     * @returns {string} HTML string
+     */
+    step(title, equations, extraHTML = '') {
+        const display = equations.map(eq => `\\[${eq}\\]`).join('\n');
+        return `<div class="formula"><strong>${title}</strong>\n${display}${extraHTML}</div>`;
+    }
+};
@@ -0,0 +1,512 @@
+/**
+ * ER Editor Module
+ * Draws an ER description in Chen notation and lists the relational schemas it maps to
+ */
+
+const EREditor = {
+    form: null,
+    output: null,
+
+    examples: [
+        {
+            label: 'Ex 1: patients, doctors and pharmacies (ternary PRESCRIBES)',
+            text: 'entity PATIENT(PatientID*, FirstName, LastName, BirthDate)\n' +
+                'entity DOCTOR(SSN*, FirstName, LastName, Specialty)\n' +
+                'entity PHARMACEUTICAL_COMPANY(CompanyName*, Telephone)\n' +
+                'entity MEDICINE(CommercialName*, ActiveIngredient)\n' +
+                'entity PHARMACY(PharmacyName*, Address, Telephone)\n' +
+                'relationship HAS_DOCTOR(PATIENT N, DOCTOR 1)\n' +
+                'relationship PRESCRIBES(DOCTOR, MEDICINE, PATIENT): Date, Dosage, Quantity\n' +
+                'relationship SELLS(PHARMACY M, MEDICINE N): Price\n' +
+                'relationship CONTRACT(PHARMACEUTICAL_COMPANY M, PHARMACY N): StartDate, EndDate, Terms\n' +
+                'relationship MANUFACTURES(PHARMACEUTICAL_COMPANY 1, MEDICINE N)'
+        },
+        {
+            label: 'Ex 2: university with the weak entity set SECTION',
+            text: 'entity STUDENT(StudentNumber*, Name, Address, Year)\n' +
+                'entity DEPARTMENT(DeptCode*, Name, OfficePhone)\n' +
+                'entity COURSE(CourseNumber*, Name, SemesterHours)\n' +
+                'weak entity SECTION(SectionNumber*, Instructor, Semester, Year)\n' +
+                'identifying relationship HAS_SECTION(COURSE 1, SECTION N)\n' +
+                'relationship OFFERS(DEPARTMENT M, COURSE N)\n' +
+                'relationship MAJOR_IN(STUDENT N, DEPARTMENT 1)\n' +
+                'relationship ENROLLS(STUDENT M, SECTION N): Grade'
+        },
+        {
+            label: 'ISA: every PLAYER is an EMPLOYEE',
+            text: 'entity EMPLOYEE(ID_NO*, Name, Salary)\n' +
+                'entity PLAYER(BattingAvg, HomeRuns)\n' +
+                'entity TEAM(TeamName*, City)\n' +
+                'PLAYER isa EMPLOYEE\n' +
+                'relationship PLAYS_FOR(PLAYER N, TEAM 1)\n' +
+                'relationship MANAGES(EMPLOYEE 1 as Manager, EMPLOYEE N as Worker)'
+        },
+        {
+            label: 'Ex 6: ternary relationship R among E1, E2 and E3',
+            text: 'entity E1(A1*, B1)\n' +
+                'entity E2(A2*, B2)\n' +
+                'entity E3(A3*, B3)\n' +
+                'relationship R(E1, E2, E3): C'
+        }
+    ],
+
+    sizes: {
+        entity: { height: 36, pad: 24 },
+        relationship: { height: 50, pad: 44 },
+        attribute: { height: 30, pad: 22 },
+        isa: { width: 54, height: 44 }
+    },
+
+    /**
+     * Initialize the editor panel
+     */
+    init() {
+        this.form = document.getElementById('erEditor');
+        this.output = document.getElementById('erEditorOutput');
+        const examples = document.getElementById('erEditorExample');
+
+        if (!this.form || !this.output || !examples) {
+            return;
+        }
+
+        this.examples.forEach((example, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = example.label;
+            examples.appendChild(option);
+        });
+
+        examples.addEventListener('change', () => {
+            const example = this.examples[examples.value];
+            if (!example) return;
+            this.form.elements.model.value = example.text;
+            this.update();
+        });
+
+        this.form.addEventListener('submit', (e) => e.preventDefault());
+        this.form.addEventListener('input', Utils.debounce(() => this.update(), 300));
+        this.update();
+    },
+
+    /**
+     * Parse the description, apply the chosen options and render the diagram and the schemas
+     */
+    update() {
+        const elements = this.form.elements;
+
+        try {
+            let model = ERModel.parse(elements.model.value);
+            let replaced = [];
+            if (elements.ternary.value === 'binary') {
+                ({ model, replaced } = ERModel.toBinary(model));
+            }
+            const schemas = ERModel.toSchemas(model, { merge: elements.mapping.value === 'merge' });
+
+            this.output.innerHTML = this.renderNotes(model, replaced) +
+                `<div class="er-diagram">${this.diagramSVG(model)}</div>` +
+                this.renderSchemas(schemas);
+        } catch (error) {
+            this.output.innerHTML = `<div class="calculator-error">${Utils.escapeHTML(error.message)}</div>`;
+        }
+    },
+
+    /**
+     * Build the box with warnings and the list of transformed relationships
+     * @param {Object} model - Model
+     * @param {string[]} replaced - Relationships replaced by weak entity sets
+     * @returns {string} HTML string
+     */
+    renderNotes(model, replaced) {
+        const items = model.warnings.slice();
+        replaced.forEach(name => {
+            items.push(`${name} became a weak entity set identified by all its participants through the binary relationships ${model.relationships
+                .filter(rel => rel.members[0].entity === name && rel.identifying)
+                .map(rel => rel.name).join(', ')}`);
+        });
+        if (items.length === 0) return '';
+
+        return '<div class="info-box"><div class="info-box-title">Notes</div>' +
+            `<ul>${items.map(item => `<li>${Utils.escapeHTML(item)}</li>`).join('')}</ul></div>`;
+    },
+
+    /**
+     * Build the list of relational schemas in the style of the exercise solutions
+     * @param {Object[]} schemas - Schemas from ERModel.toSchemas
+     * @returns {string} HTML string
+     */
+    renderSchemas(schemas) {
+        const item = (schema) => {
+            const keys = schema.attrs.filter(attr => attr.key).map(attr => Utils.escapeHTML(attr.name));
+            const rest = schema.attrs.filter(attr => !attr.key).map(attr => Utils.escapeHTML(attr.name));
+            const list = (keys.length > 0 ? [`<u>${keys.join(', ')}</u>`] : []).concat(rest).join(', ');
+
+            const foreign = {};
+            schema.attrs.filter(attr => attr.ref).forEach(attr => {
+                (foreign[attr.ref] = foreign[attr.ref] || []).push(attr.name);
+            });
+            const references = Object.keys(foreign).map(ref => `${foreign[ref].join(', ')} → ${ref}`);
+            const notes = [schema.note].concat(references.length > 0 ? [`Foreign keys: ${references.join('; ')}`] : []).filter(Boolean);
+
+            return `<li><strong>${Utils.escapeHTML(schema.name)}</strong>(${list})` +
+                (notes.length > 0 ? `<br><span class="er-note">${Utils.escapeHTML(notes.join('. '))}</span>` : '') + '</li>';
+        };
+
+        const entities = schemas.filter(schema => schema.kind === 'entity');
+        const relationships = schemas.filter(schema => schema.kind === 'relationship');
+        return `<h4>Entity Sets:</h4><ul class="er-schemas">${entities.map(item).join('')}</ul>` +
+            (relationships.length > 0 ? `<h4>Relationship Sets:</h4><ul class="er-schemas">${relationships.map(item).join('')}</ul>` : '');
+    },
+
+    /**
+     * Collect the shapes and lines of the Chen diagram
+     * @param {Object} model - Model
+     * @returns {{nodes: Object[], edges: Object[]}} Nodes { id, kind, label, double, key, width, height } and edges { from, to, label, double }
+     */
+    graph(model) {
+        const nodes = [];
+        const edges = [];
+        const width = (label, pad) => label.length * 8 + pad;
+        const add = (node) => {
+            const size = this.sizes[node.kind];
+            nodes.push(Object.assign({ width: size.width || width(node.label, size.pad), height: size.height }, node));
+        };
+        const attributes = (owner, attrs, partial) => attrs.forEach(attr => {
+            add({ id: `${owner}.${attr.name}`, kind: 'attribute', label: attr.name, key: attr.key ? (partial ? 'partial' : 'key') : null });
+            edges.push({ from: owner, to: `${owner}.${attr.name}` });
+        });
+
+        model.entities.forEach(entity => {
+            add({ id: entity.name, kind: 'entity', label: entity.name, double: entity.weak });
+            attributes(entity.name, entity.attrs, entity.weak);
+        });
+
+        model.relationships.forEach(rel => {
+            const id = `rel:${rel.name}`;
+            add({ id, kind: 'relationship', label: rel.name, double: rel.identifying });
+            attributes(id, rel.attrs, false);
+            rel.members.forEach(member => {
+                const weak = rel.identifying && ERModel.identified(model, rel) === member;
+                const label = [member.card, member.role].filter(Boolean).join(' ');
+                edges.push({ from: member.entity, to: id, label, double: weak });
+            });
+        });
+
+        const parents = [...new Set(model.isa.map(link => link.parent))];
+        parents.forEach(parent => {
+            const id = `isa:${parent}`;
+            add({ id, kind: 'isa', label: 'ISA', parent });
+            edges.push({ from: parent, to: id });
+            model.isa.filter(link => link.parent === parent).forEach(link => edges.push({ from: link.sub, to: id }));
+        });
+
+        return { nodes, edges };
+    },
+
+    /**
+     * Place the nodes: lay out entity sets, relationships and ISA triangles from several starting positions
+     * and keep the one with the fewest crossing lines, then fan the attributes out into the free directions
+     * @param {Object[]} nodes - Nodes, receive x and y
+     * @param {Object[]} edges - Edges
+     */
+    layout(nodes, edges) {
+        const byId = new Map(nodes.map(node => [node.id, node]));
+        const main = nodes.filter(node => node.kind !== 'attribute');
+        const links = edges.filter(edge => byId.get(edge.to).kind !== 'attribute');
+        const owned = new Map(main.map(node => [node, edges
+            .filter(edge => edge.from === node.id && byId.get(edge.to).kind === 'attribute')
+            .map(edge => byId.get(edge.to))]));
+
+        // Leave room for the attributes around each shape
+        const room = new Map(main.map(node => [node, Math.hypot(node.width, node.height) / 2 + (owned.get(node).length > 0 ? 55 : 10)]));
+        const size = Math.max(150, main.length * 40);
+
+        let best = null;
+        for (let attempt = 0; attempt < 8; attempt++) {
+            let seed = attempt + 1;
+            const random = () => {
+                seed = (seed * 9301 + 49297) % 233280;
+                return seed / 233280;
+            };
+            main.forEach((node, index) => {
+                const angle = 2 * Math.PI * index / main.length;
+                node.x = attempt === 0 ? size * Math.cos(angle) : (random() - 0.5) * 2 * size;
+                node.y = attempt === 0 ? size * Math.sin(angle) : (random() - 0.5) * 2 * size;
+            });
+            this.relax(main, links, byId, (node) => room.get(node), 300, 40);
+
+            const score = this.crossings(links, byId) * 1e6 + main.reduce((sum, node) => sum + Math.hypot(node.x, node.y), 0);
+            if (!best || score < best.score) {
+                best = { score, positions: main.map(node => [node.x, node.y]) };
+            }
+        }
+        main.forEach((node, index) => {
+            [node.x, node.y] = best.positions[index];
+        });
+
+        main.forEach(owner => {
+            const attributes = owned.get(owner);
+            if (attributes.length === 0) return;
+            const angles = links
+                .filter(edge => edge.from === owner.id || edge.to === owner.id)
+                .map(edge => this.control(edge, edges, byId))
+                .map(control => Math.atan2(control.y - owner.y, control.x - owner.x))
+                .sort((a, b) => a - b);
+
+            // Split the widest free sector between two lines until every attribute has a place
+            const gaps = angles.length === 0
+                ? [{ start: -Math.PI / 2, size: 2 * Math.PI, count: 0, full: true }]
+                : angles.map((angle, index) => ({
+                    start: angle,
+                    size: (index + 1 < angles.length ? angles[index + 1] : angles[0] + 2 * Math.PI) - angle,
+                    count: 0
+                }));
+            attributes.forEach(() => {
+                const share = (gap) => gap.size / (gap.count + (gap.full ? 1 : 2));
+                gaps.reduce((a, b) => (share(b) > share(a) ? b : a)).count++;
+            });
+
+            let index = 0;
+            gaps.forEach(gap => {
+                for (let i = 0; i < gap.count; i++) {
+                    const angle = gap.start + gap.size * (gap.full ? i / gap.count : (i + 1) / (gap.count + 1));
+                    const node = attributes[index++];
+                    const ux = Math.cos(angle);
+                    const uy = Math.sin(angle);
+                    const distance = this.border(owner, ux, uy) + 25 + this.border(node, -ux, -uy);
+                    node.x = owner.x + ux * distance;
+                    node.y = owner.y + uy * distance;
+                }
+            });
+        });
+
+        const margin = 10;
+        for (let round = 0; round < 50; round++) {
+            let moved = false;
+            nodes.forEach((a, i) => {
+                for (let j = i + 1; j < nodes.length; j++) {
+                    const b = nodes[j];
+                    const overlapX = (a.width + b.width) / 2 + margin - Math.abs(a.x - b.x);
+                    const overlapY = (a.height + b.height) / 2 + margin - Math.abs(a.y - b.y);
+                    if (overlapX <= 0 || overlapY <= 0) continue;
+                    moved = true;
+                    if (overlapX < overlapY) {
+                        const shift = (a.x <= b.x ? -1 : 1) * overlapX / 2;
+                        a.x += shift;
+                        b.x -= shift;
+                    } else {
+                        const shift = (a.y <= b.y ? -1 : 1) * overlapY / 2;
+                        a.y += shift;
+                        b.y -= shift;
+                    }
+                }
+            });
+            if (!moved) break;
+        }
+    },
+
+    /**
+     * Run a force-directed simulation: all shapes push each other away, lines pull their ends together
+     * @param {Object[]} nodes - Nodes to move
+     * @param {Object[]} edges - Edges between them
+     * @param {Map} byId - Nodes by id
+     * @param {Function} reach - Radius of the space a node needs
+     * @param {number} iterations - Number of iterations
+     * @param {number} start - Largest move in the first iteration, it shrinks linearly
+     */
+    relax(nodes, edges, byId, reach, iterations, start) {
+        for (let step = 0; step < iterations; step++) {
+            const temperature = start * (1 - step / iterations) + 1;
+            const force = new Map(nodes.map(node => [node, { x: 0, y: 0 }]));
+
+            nodes.forEach((a, i) => {
+                for (let j = i + 1; j < nodes.length; j++) {
+                    const b = nodes[j];
+                    let dx = a.x - b.x;
+                    let dy = a.y - b.y;
+                    if (dx === 0 && dy === 0) {
+                        dx = i - j;
+                        dy = 1;
+                    }
+                    const distance = Math.hypot(dx, dy);
+                    const push = 1500 / Math.max(distance - reach(a) - reach(b), 8) / distance;
+                    force.get(a).x += dx * push;
+                    force.get(a).y += dy * push;
+                    force.get(b).x -= dx * push;
+                    force.get(b).y -= dy * push;
+                }
+            });
+
+            edges.forEach(edge => {
+                const a = byId.get(edge.from);
+                const b = byId.get(edge.to);
+                const dx = b.x - a.x;
+                const dy = b.y - a.y;
+                const distance = Math.max(Math.hypot(dx, dy), 1);
+                const gap = Math.max(distance - reach(a) - reach(b), 0);
+                const pull = gap * gap / (b.kind === 'attribute' ? 20 : 40) / distance;
+                force.get(a).x += dx * pull;
+                force.get(a).y += dy * pull;
+                force.get(b).x -= dx * pull;
+                force.get(b).y -= dy * pull;
+            });
+
+            nodes.forEach(node => {
+                const { x, y } = force.get(node);
+                const length = Math.hypot(x, y);
+                if (length === 0) return;
+                const move = Math.min(length, temperature);
+                node.x += x / length * move;
+                node.y += y / length * move;
+            });
+        }
+    },
+
+    /**
+     * Count the pairs of lines that cross
+     * @param {Object[]} edges - Edges
+     * @param {Map} byId - Nodes by id
+     * @returns {number} Number of crossings
+     */
+    crossings(edges, byId) {
+        const side = (p, q, r) => Math.sign((q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x));
+        let count = 0;
+        edges.forEach((e, i) => {
+            for (let j = i + 1; j < edges.length; j++) {
+                const f = edges[j];
+                if ([e.from, e.to].some(id => id === f.from || id === f.to)) continue;
+                const [a, b, c, d] = [e.from, e.to, f.from, f.to].map(id => byId.get(id));
+                if (side(a, b, c) * side(a, b, d) < 0 && side(c, d, a) * side(c, d, b) < 0) count++;
+            }
+        });
+        return count;
+    },
+
+    /**
+     * Build the SVG of the Chen diagram
+     * @param {Object} model - Model
+     * @returns {string} SVG markup
+     */
+    diagramSVG(model) {
+        const { nodes, edges } = this.graph(model);
+        this.layout(nodes, edges);
+        const byId = new Map(nodes.map(node => [node.id, node]));
+        const text = (value) => Utils.escapeHTML(value);
+        const round = (value) => Math.round(value * 10) / 10;
+
+        const pad = 20;
+        const left = Math.min(...nodes.map(node => node.x - node.width / 2)) - pad;
+        const top = Math.min(...nodes.map(node => node.y - node.height / 2)) - pad;
+        const right = Math.max(...nodes.map(node => node.x + node.width / 2)) + pad;
+        const bottom = Math.max(...nodes.map(node => node.y + node.height / 2)) + pad;
+        nodes.forEach(node => {
+            node.x = Math.round(node.x - left);
+            node.y = Math.round(node.y - top);
+        });
+
+        const lines = edges.map(edge => {
+            const a = byId.get(edge.from);
+            const b = byId.get(edge.to);
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const length = Math.max(Math.hypot(dx, dy), 1);
+            const nx = -dy / length;
+            const ny = dx / length;
+            const { bend } = this.control(edge, edges, byId);
+
+            const line = (offset) => {
+                const [x1, y1, x2, y2] = [a.x + nx * offset, a.y + ny * offset, b.x + nx * offset, b.y + ny * offset].map(round);
+                if (bend === 0) return `<line class="er-edge" x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}"/>`;
+                const cx = round((a.x + b.x) / 2 + nx * (2 * bend + offset));
+                const cy = round((a.y + b.y) / 2 + ny * (2 * bend + offset));
+                return `<path class="er-edge" d="M ${x1} ${y1} Q ${cx} ${cy} ${x2} ${y2}"/>`;
+            };
+
+            let svg = edge.double ? line(-2.5) + line(2.5) : line(0);
+            if (edge.label) {
+                // Halfway between the borders of the two shapes, beside the line
+                const exitA = this.border(a, dx / length, dy / length);
+                const exitB = this.border(b, -dx / length, -dy / length);
+                const t = (exitA + (length - exitB)) / 2 / length;
+                const clearance = Math.abs(nx) * edge.label.length * 3.5 + Math.abs(ny) * 7 + 4;
+                const side = bend + (bend < 0 ? -clearance : clearance);
+                svg += `<text class="er-card" x="${round(a.x + dx * t + nx * side)}" y="${round(a.y + dy * t + ny * side)}">${text(edge.label)}</text>`;
+            }
+            return svg;
+        }).join('');
+
+        const shapes = nodes.map(node => {
+            const { x, y, width, height } = node;
+            let shape = '';
+            if (node.kind === 'entity') {
+                shape = `<rect x="${x - width / 2}" y="${y - height / 2}" width="${width}" height="${height}"/>`;
+                if (node.double) shape += `<rect x="${x - width / 2 + 4}" y="${y - height / 2 + 4}" width="${width - 8}" height="${height - 8}"/>`;
+            } else if (node.kind === 'relationship') {
+                const diamond = (w, h) => `<polygon points="${x},${y - h / 2} ${x + w / 2},${y} ${x},${y + h / 2} ${x - w / 2},${y}"/>`;
+                shape = diamond(width, height);
+                if (node.double) shape += diamond(width - 14, height - 10);
+            } else if (node.kind === 'attribute') {
+                shape = `<ellipse cx="${x}" cy="${y}" rx="${width / 2}" ry="${height / 2}"/>`;
+                if (node.key) {
+                    const half = node.label.length * 3.6;
+                    shape += `<line class="er-key${node.key === 'partial' ? ' er-partial' : ''}" x1="${x - half}" y1="${y + 8}" x2="${x + half}" y2="${y + 8}"/>`;
+                }
+            } else {
+                // The ISA triangle points at the superclass
+                const parent = byId.get(node.parent);
+                const length = Math.max(Math.hypot(parent.x - x, parent.y - y), 1);
+                const ux = (parent.x - x) / length;
+                const uy = (parent.y - y) / length;
+                const apex = [x + ux * height / 2, y + uy * height / 2];
+                const base = [x - ux * height / 2, y - uy * height / 2];
+                const corner = (sign) => `${base[0] - uy * width / 2 * sign},${base[1] + ux * width / 2 * sign}`;
+                shape = `<polygon points="${apex.join(',')} ${corner(1)} ${corner(-1)}"/>`;
+            }
+            return `<g class="er-node er-${node.kind}">${shape}<text x="${x}" y="${y}">${text(node.label)}</text></g>`;
+        }).join('');
+
+        const svgWidth = Math.round(right - left);
+        const svgHeight = Math.round(bottom - top);
+        return `<svg class="graph-svg" viewBox="0 0 ${svgWidth} ${svgHeight}" width="${svgWidth}" height="${svgHeight}" role="img" aria-label="ER diagram">${lines}${shapes}</svg>`;
+    },
+
+    /**
+     * Control point of a line: the midpoint, or a point to one side when several lines join the same two shapes
+     * (a unary relationship), so that they bend away from each other
+     * @param {Object} edge - Edge
+     * @param {Object[]} edges - All edges
+     * @param {Map} byId - Nodes by id
+     * @returns {{x: number, y: number, bend: number}} Control point and the distance of the curve from the straight line
+     */
+    control(edge, edges, byId) {
+        const pair = (other) => [other.from, other.to].sort().join('|');
+        const parallel = edges.filter(other => pair(other) === pair(edge));
+        const bend = (parallel.indexOf(edge) - (parallel.length - 1) / 2) * 36;
+        const a = byId.get(edge.from);
+        const b = byId.get(edge.to);
+        const length = Math.max(Math.hypot(b.x - a.x, b.y - a.y), 1);
+        return {
+            x: (a.x + b.x) / 2 - (b.y - a.y) / length * 2 * bend,
+            y: (a.y + b.y) / 2 + (b.x - a.x) / length * 2 * bend,
+            bend
+        };
+    },
+
+    /**
+     * Distance from the centre of a shape to its border along a direction
+     * @param {Object} node - Node with width and height
+     * @param {number} ux - Direction x (unit vector)
+     * @param {number} uy - Direction y (unit vector)
+     * @returns {number} Distance
+     */
+    border(node, ux, uy) {
+        const w = node.width / 2;
+        const h = node.height / 2;
+        if (node.kind === 'relationship') {
+            return 1 / (Math.abs(ux) / w + Math.abs(uy) / h);
+        }
+        if (node.kind === 'attribute') {
+            return 1 / Math.hypot(ux / w, uy / h);
+        }
+        return Math.min(Math.abs(ux) > 0 ? w / Math.abs(ux) : Infinity, Math.abs(uy) > 0 ? h / Math.abs(uy) : Infinity);
+    }
+};
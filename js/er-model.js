@@ -0,0 +1,398 @@
+/**
+ * ER Model Module
+ * Parser for a small ER text language, the ternary-to-binary transformation and the mapping to relational schemas
+ *
+ * Syntax, one declaration per line (# starts a comment):
+ *   entity PATIENT(PatientID*, Name, BirthDate)      entity set, * marks key attributes
+ *   weak entity SECTION(SectionNumber*, Semester)     weak entity set, * marks the partial key
+ *   relationship TREATS(DOCTOR 1, PATIENT N): Since   relationship with cardinalities 1, M or N and attributes
+ *   identifying relationship HAS(COURSE 1, SECTION N) identifying relationship of a weak entity set
+ *   relationship MANAGES(EMPLOYEE 1 as Boss, EMPLOYEE N as Worker)   roles for a unary relationship
+ *   PLAYER, COACH isa EMPLOYEE                        ISA hierarchy
+ */
+
+const ERModel = {
+    /**
+     * Parse an ER description
+     * @param {string} text - ER description
+     * @returns {{entities: Object[], relationships: Object[], isa: Object[], warnings: string[]}} Model
+     */
+    parse(text) {
+        const model = { entities: [], relationships: [], isa: [], warnings: [] };
+
+        text.split(/\r?\n/).forEach((raw, index) => {
+            const line = raw.replace(/(#|--).*$/, '').trim();
+            const lineNumber = index + 1;
+            if (line === '') return;
+
+            const entity = line.match(/^(weak\s+)?entity\s+(\w+)\s*(?:\((.*)\))?$/i);
+            const relationship = line.match(/^(identifying\s+)?relationship\s+(\w+)\s*\((.*?)\)\s*(?::\s*(.*))?$/i);
+            const isa = line.match(/^(.+?)\s+isa\s+(\w+)$/i);
+
+            if (entity) {
+                model.entities.push({
+                    name: entity[2],
+                    weak: Boolean(entity[1]),
+                    attrs: this.parseAttributes(entity[3] || '', lineNumber, true),
+                    line: lineNumber
+                });
+            } else if (relationship) {
+                model.relationships.push({
+                    name: relationship[2],
+                    identifying: Boolean(relationship[1]),
+                    members: this.parseMembers(relationship[3], lineNumber),
+                    attrs: this.parseAttributes(relationship[4] || '', lineNumber, false),
+                    line: lineNumber
+                });
+            } else if (isa) {
+                isa[1].split(',').map(name => name.trim()).forEach(sub => {
+                    if (!/^\w+$/.test(sub)) {
+                        throw new Error(`Line ${lineNumber}: "${sub}" is not an entity set name`);
+                    }
+                    model.isa.push({ sub, parent: isa[2], line: lineNumber });
+                });
+            } else {
+                throw new Error(`Line ${lineNumber}: cannot read "${line}" (expected entity, weak entity, relationship, identifying relationship or A isa B)`);
+            }
+        });
+
+        this.validate(model);
+        return model;
+    },
+
+    /**
+     * Parse a comma-separated attribute list
+     * @param {string} text - Attribute list such as "ID*, Name"
+     * @param {number} line - Line number for errors
+     * @param {boolean} keys - Whether * may mark key attributes
+     * @returns {Object[]} Attributes { name, key }
+     */
+    parseAttributes(text, line, keys) {
+        const attrs = text.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+            const match = part.match(/^(\w+)\s*(\*?)$/);
+            if (!match) {
+                throw new Error(`Line ${line}: "${part}" is not an attribute name`);
+            }
+            if (match[2] && !keys) {
+                throw new Error(`Line ${line}: relationship attributes cannot be keys, remove the * from ${match[1]}`);
+            }
+            return { name: match[1], key: Boolean(match[2]) };
+        });
+
+        const duplicate = attrs.find((attr, index) => attrs.findIndex(other => other.name === attr.name) !== index);
+        if (duplicate) {
+            throw new Error(`Line ${line}: attribute ${duplicate.name} appears twice`);
+        }
+        return attrs;
+    },
+
+    /**
+     * Parse the participants of a relationship
+     * @param {string} text - Participants such as "DOCTOR 1, PATIENT N as Client"
+     * @param {number} line - Line number for errors
+     * @returns {Object[]} Members { entity, card, role } where card is '1', 'M', 'N' or null
+     */
+    parseMembers(text, line) {
+        return text.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+            const match = part.match(/^(\w+)(?:\s+(1|n|m|\*))?(?:\s+as\s+(\w+))?$/i);
+            if (!match) {
+                throw new Error(`Line ${line}: cannot read "${part}" (expected an entity set, a cardinality 1, M or N and an optional role: EMPLOYEE N as Worker)`);
+            }
+            const card = match[2] ? (match[2] === '*' ? 'N' : match[2].toUpperCase()) : null;
+            return { entity: match[1], card, role: match[3] || null };
+        });
+    },
+
+    /**
+     * Check names, participants, weak entity sets and ISA hierarchies
+     * @param {Object} model - Parsed model
+     */
+    validate(model) {
+        const names = {};
+        model.entities.concat(model.relationships).forEach(item => {
+            if (names[item.name]) {
+                throw new Error(`Line ${item.line}: ${item.name} is already declared on line ${names[item.name]}`);
+            }
+            names[item.name] = item.line;
+        });
+
+        if (model.entities.length === 0) {
+            throw new Error('Declare at least one entity set, e.g. entity STUDENT(StudentID*, Name)');
+        }
+
+        model.relationships.forEach(rel => {
+            if (rel.members.length < 2) {
+                throw new Error(`Line ${rel.line}: ${rel.name} needs at least two participants (list the entity set twice with roles for a unary relationship)`);
+            }
+            rel.members.forEach(member => {
+                if (!this.entity(model, member.entity)) {
+                    throw new Error(`Line ${rel.line}: unknown entity set ${member.entity} in ${rel.name}`);
+                }
+            });
+            const labels = rel.members.map(member => member.role || member.entity);
+            if (new Set(labels).size < labels.length) {
+                throw new Error(`Line ${rel.line}: ${rel.name} lists an entity set more than once, give each a role: EMPLOYEE 1 as Manager, EMPLOYEE N as Worker`);
+            }
+
+            if (rel.identifying && !this.identified(model, rel)) {
+                throw new Error(`Line ${rel.line}: the identifying relationship ${rel.name} must connect one weak entity set to its owner (mark a weak owner with cardinality 1: OWNER 1, DEPENDENT N)`);
+            }
+        });
+
+        model.entities.filter(entity => entity.weak).forEach(entity => {
+            if (this.owners(model, entity).length === 0) {
+                throw new Error(`Line ${entity.line}: the weak entity set ${entity.name} needs an identifying relationship to its owner`);
+            }
+        });
+        model.entities.filter(entity => entity.weak).forEach(entity => this.checkOwners(model, entity));
+
+        model.isa.forEach(link => {
+            [link.sub, link.parent].forEach(name => {
+                if (!this.entity(model, name)) {
+                    throw new Error(`Line ${link.line}: unknown entity set ${name} in the ISA hierarchy`);
+                }
+            });
+            const sub = this.entity(model, link.sub);
+            if (sub.attrs.some(attr => attr.key)) {
+                throw new Error(`Line ${link.line}: ${link.sub} inherits its key from ${link.parent}, remove the * marks from its attributes`);
+            }
+            if (model.isa.filter(other => other.sub === link.sub).length > 1) {
+                throw new Error(`Line ${link.line}: ${link.sub} can only specialize one entity set`);
+            }
+            for (let parent = link.parent, steps = 0; parent; parent = this.parent(model, parent), steps++) {
+                if (parent === link.sub || steps > model.isa.length) {
+                    throw new Error(`Line ${link.line}: the ISA hierarchy of ${link.sub} is circular`);
+                }
+            }
+        });
+
+        model.entities.filter(entity => !entity.weak && !this.parent(model, entity.name)).forEach(entity => {
+            if (!entity.attrs.some(attr => attr.key)) {
+                model.warnings.push(`${entity.name} has no key attribute: mark one with *`);
+            }
+        });
+    },
+
+    /**
+     * Find an entity set by name
+     * @param {Object} model - Model
+     * @param {string} name - Entity set name
+     * @returns {Object|undefined} Entity set
+     */
+    entity(model, name) {
+        return model.entities.find(entity => entity.name === name);
+    },
+
+    /**
+     * Parent of an entity set in the ISA hierarchy
+     * @param {Object} model - Model
+     * @param {string} name - Entity set name
+     * @returns {string|null} Parent name
+     */
+    parent(model, name) {
+        const link = model.isa.find(other => other.sub === name);
+        return link ? link.parent : null;
+    },
+
+    /**
+     * The weak member an identifying relationship identifies: its only weak member or,
+     * when the owner is weak too, the member on the other side of the owner's cardinality 1
+     * @param {Object} model - Model
+     * @param {Object} rel - Identifying relationship
+     * @returns {Object|null} Member, null if the relationship does not say which one it is
+     */
+    identified(model, rel) {
+        if (rel.members.length !== 2) return null;
+
+        const weak = rel.members.filter(member => this.entity(model, member.entity).weak);
+        if (weak.length === 1) return weak[0];
+        if (weak.length === 0) return null;
+
+        const owners = rel.members.filter(member => member.card === '1');
+        return owners.length === 1 ? rel.members.find(member => member !== owners[0]) : null;
+    },
+
+    /**
+     * Owners of a weak entity set with the identifying relationships that lead to them
+     * @param {Object} model - Model
+     * @param {Object} entity - Weak entity set
+     * @returns {Object[]} Owners { relationship, member }
+     */
+    owners(model, entity) {
+        return model.relationships
+            .filter(rel => rel.identifying && (this.identified(model, rel) || {}).entity === entity.name)
+            .map(rel => ({ relationship: rel, member: rel.members.find(member => member.entity !== entity.name) }));
+    },
+
+    /**
+     * Check that no weak entity set is, through a chain of weak owners, its own owner
+     * @param {Object} model - Model
+     * @param {Object} entity - Weak entity set
+     * @param {string[]} [path] - Weak entity sets already visited
+     */
+    checkOwners(model, entity, path = []) {
+        if (path.includes(entity.name)) {
+            throw new Error(`Line ${entity.line}: the weak entity set ${entity.name} is identified through itself (${path.concat(entity.name).join(' → ')})`);
+        }
+        this.owners(model, entity)
+            .map(({ member }) => this.entity(model, member.entity))
+            .filter(owner => owner.weak)
+            .forEach(owner => this.checkOwners(model, owner, path.concat(entity.name)));
+    },
+
+    /**
+     * Key attributes of an entity set in the relational schema, with the entity sets they come from
+     * @param {Object} model - Model
+     * @param {string} name - Entity set name
+     * @param {string[]} [path] - Entity sets already visited
+     * @returns {Object[]} Attributes { name, ref } where ref is the entity set the attribute references
+     */
+    keyOf(model, name, path = []) {
+        if (path.includes(name)) {
+            throw new Error(`The key of ${name} depends on itself through ${path.join(', ')}`);
+        }
+        const entity = this.entity(model, name);
+        const parent = this.parent(model, name);
+        if (parent) {
+            return this.keyOf(model, parent, path.concat(name)).map(attr => ({ name: attr.name, ref: parent }));
+        }
+
+        const own = entity.attrs.filter(attr => attr.key).map(attr => ({ name: attr.name, ref: null }));
+        if (!entity.weak) return own;
+
+        const borrowed = this.owners(model, entity).map(({ member }) => ({
+            prefix: member.role || member.entity,
+            attrs: this.keyOf(model, member.entity, path.concat(name)).map(attr => ({ name: attr.name, ref: member.entity }))
+        }));
+        return this.combine(borrowed, own.map(attr => attr.name)).concat(own);
+    },
+
+    /**
+     * Join the key attributes of several entity sets, prefixing names that would clash
+     * @param {Object[]} groups - Groups { prefix, attrs }
+     * @param {string[]} taken - Names already used in the schema
+     * @returns {Object[]} Attributes { name, ref }
+     */
+    combine(groups, taken) {
+        const counts = {};
+        groups.forEach(group => group.attrs.forEach(attr => { counts[attr.name] = (counts[attr.name] || 0) + 1; }));
+        taken.forEach(name => { counts[name] = (counts[name] || 0) + 1; });
+
+        return groups.flatMap(group => group.attrs.map(attr => ({
+            name: counts[attr.name] > 1 ? `${group.prefix}_${attr.name}` : attr.name,
+            ref: attr.ref
+        })));
+    },
+
+    /**
+     * Replace every relationship with three or more participants by a weak entity set and binary identifying relationships
+     * @param {Object} model - Model
+     * @returns {{model: Object, replaced: string[]}} Binary model and the names of the replaced relationships
+     */
+    toBinary(model) {
+        const replaced = [];
+        const result = { entities: model.entities.slice(), relationships: [], isa: model.isa, warnings: model.warnings };
+
+        model.relationships.forEach(rel => {
+            if (rel.identifying || rel.members.length < 3) {
+                result.relationships.push(rel);
+                return;
+            }
+            replaced.push(rel.name);
+            result.entities.push({ name: rel.name, weak: true, attrs: rel.attrs, line: rel.line, replaces: true });
+            rel.members.forEach(member => {
+                result.relationships.push({
+                    name: `${rel.name}_${member.role || member.entity}`,
+                    identifying: true,
+                    members: [{ entity: rel.name, card: 'N', role: null }, { entity: member.entity, card: '1', role: member.role }],
+                    attrs: [],
+                    line: rel.line
+                });
+            });
+        });
+
+        return { model: result, replaced };
+    },
+
+    /**
+     * Map the model to relational schemas
+     * @param {Object} model - Model
+     * @param {Object} [options] - { merge: put many-to-one and one-to-one relationships into the entity set table }
+     * @returns {Object[]} Schemas { name, kind, attrs: [{ name, key, ref }], note }
+     */
+    toSchemas(model, options = {}) {
+        const schemas = [];
+        const byName = {};
+
+        model.entities.forEach(entity => {
+            const key = this.keyOf(model, entity.name);
+            const parent = this.parent(model, entity.name);
+            const own = entity.attrs.filter(attr => !attr.key || parent).map(attr => ({ name: attr.name, key: false, ref: null }));
+            const attrs = key.map(attr => ({ name: attr.name, key: true, ref: attr.ref })).concat(own);
+
+            let note = '';
+            if (parent) {
+                note = `Specializes ${parent}: takes its key`;
+            } else if (entity.replaces) {
+                note = 'Weak entity set for the former relationship, identified by the keys of all participants';
+            } else if (entity.weak) {
+                note = `Weak entity set: key of ${this.owners(model, entity).map(({ member }) => member.entity).join(', ')} plus the partial key`;
+            }
+
+            const schema = { name: entity.name, kind: 'entity', attrs, note };
+            schemas.push(schema);
+            byName[entity.name] = schema;
+        });
+
+        model.relationships.forEach(rel => {
+            if (rel.identifying) {
+                const weak = this.identified(model, rel);
+                rel.attrs.forEach(attr => byName[weak.entity].attrs.push({ name: attr.name, key: false, ref: null }));
+                return;
+            }
+
+            const groups = rel.members.map(member => ({
+                prefix: member.role || member.entity,
+                member,
+                attrs: this.keyOf(model, member.entity).map(attr => ({ name: attr.name, ref: member.entity }))
+            }));
+            const ones = rel.members.filter(member => member.card === '1');
+            const mergeInto = options.merge && rel.members.length === 2 && ones.length >= 1
+                ? rel.members.find(member => member.card !== '1') || rel.members[0]
+                : null;
+
+            if (mergeInto) {
+                const target = byName[mergeInto.entity];
+                const other = groups.filter(group => group.member !== mergeInto);
+                const taken = target.attrs.map(attr => attr.name);
+                this.combine(other, taken.concat(rel.attrs.map(attr => attr.name))).forEach(attr => {
+                    target.attrs.push({ name: attr.name, key: false, ref: attr.ref });
+                });
+                rel.attrs.forEach(attr => target.attrs.push({ name: attr.name, key: false, ref: null }));
+                target.note = [target.note, `Includes ${rel.name}`].filter(Boolean).join('. ');
+                return;
+            }
+
+            // Participants on a "1" side are determined by the others, so they stay out of the key
+            const inKey = (member) => ones.length === rel.members.length ? member === rel.members[0] : member.card !== '1';
+            const combined = this.combine(groups, rel.attrs.map(attr => attr.name));
+            let index = 0;
+            const attrs = [];
+            groups.forEach(group => group.attrs.forEach(() => {
+                const attr = combined[index++];
+                attrs.push({ name: attr.name, key: inKey(group.member), ref: attr.ref });
+            }));
+            rel.attrs.forEach(attr => attrs.push({ name: attr.name, key: false, ref: null }));
+
+            const cards = rel.members.map(member => member.card || 'N').join(':');
+            schemas.push({
+                name: rel.name,
+                kind: 'relationship',
+                attrs: attrs.sort((a, b) => Number(b.key) - Number(a.key)),
+                note: `${rel.members.length === 2 ? cards : `${rel.members.length}-ary`} relationship`
+            });
+        });
+
+        return schemas;
+    }
+};
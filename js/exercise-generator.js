@@ -0,0 +1,492 @@
+/**
+ * Exercise Generator Module
+ * Seeded random instances of the storage and query-cost exercises with worked solutions
+ */
+
+const ExerciseGenerator = {
+    form: null,
+    output: null,
+    seed: '',
+
+    types: [
+        { id: 'sparse', label: 'Sparse index', like: 21 },
+        { id: 'bstar', label: 'B* tree', like: 23 },
+        { id: 'dense', label: 'Dense index with sparse index on top', like: 24 },
+        { id: 'selection', label: 'Selection with linear vs binary search', like: 27 },
+        { id: 'join', label: 'Hash join vs block nested loop', like: 29 }
+    ],
+
+    cities: ['Budapest', 'Debrecen', 'Szeged', 'Miskolc', 'Eger', 'Sopron'],
+
+    /**
+     * Initialize the generator panel, reading a shared seed from the URL (#exercises?gen=...)
+     */
+    init() {
+        this.form = document.getElementById('exerciseGenerator');
+        this.output = document.getElementById('exerciseGeneratorOutput');
+
+        if (!this.form || !this.output) {
+            return;
+        }
+
+        this.form.elements.type.innerHTML = '<option value="all">All types</option>' + this.types
+            .map(type => `<option value="${type.id}">${Utils.escapeHTML(type.label)} (like Exercise ${type.like})</option>`).join('');
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.form.elements.seed.value = this.newSeed();
+            this.update(true);
+        });
+        this.form.addEventListener('change', () => this.update(true));
+        this.form.elements.seed.addEventListener('input', Utils.debounce(() => this.update(true), 300));
+        document.getElementById('exerciseGeneratorLink').addEventListener('click', () => this.copyLink());
+
+        this.output.addEventListener('click', (e) => {
+            const button = e.target.closest('.toggle-solution-btn');
+            if (button) Exercises.toggleSolution(button);
+        });
+
+        window.addEventListener('hashchange', () => {
+            if (!this.readHash()) return;
+            this.update(false);
+            if (typeof Navigation !== 'undefined') Navigation.showSection('exercises');
+            Utils.scrollToElement('exerciseGenerator');
+        });
+
+        if (this.readHash()) {
+            this.update(false);
+            Utils.scrollToElement('exerciseGenerator');
+        } else {
+            this.form.elements.seed.value = this.newSeed();
+            this.update(false);
+        }
+    },
+
+    /**
+     * Copy seed, type and count from a link such as #exercises?gen=k3x9&type=bstar&n=3 into the form
+     * @returns {boolean} True if the URL carried a seed
+     */
+    readHash() {
+        const match = window.location.hash.match(/^#exercises\?(.*)$/);
+        const params = new URLSearchParams(match ? match[1] : '');
+        if (!params.get('gen')) return false;
+
+        const type = params.get('type');
+        this.form.elements.seed.value = params.get('gen');
+        this.form.elements.type.value = this.types.some(t => t.id === type) ? type : 'all';
+        this.form.elements.count.value = String(Math.min(Math.max(parseInt(params.get('n'), 10) || 3, 1), 10));
+        return true;
+    },
+
+    /**
+     * Random seed for a new problem set
+     * @returns {string} Six base-36 characters
+     */
+    newSeed() {
+        return Math.random().toString(36).slice(2, 8).padEnd(6, '0');
+    },
+
+    /**
+     * Link that opens the current problem set
+     * @returns {string} Hash with seed, type and count
+     */
+    hash() {
+        const params = new URLSearchParams({
+            gen: this.seed,
+            type: this.form.elements.type.value,
+            n: this.form.elements.count.value
+        });
+        return `#exercises?${params}`;
+    },
+
+    /**
+     * Generate the problem set of the form's seed
+     * @param {boolean} updateURL - Whether to put the seed in the address bar
+     */
+    update(updateURL) {
+        const count = parseInt(this.form.elements.count.value, 10);
+        this.seed = this.form.elements.seed.value.trim();
+
+        if (!this.seed) {
+            this.output.innerHTML = '<div class="calculator-error">Enter a seed, or press "New problems".</div>';
+            return;
+        }
+        if (!(count >= 1 && count <= 10)) {
+            this.output.innerHTML = '<div class="calculator-error">Generate between 1 and 10 problems.</div>';
+            return;
+        }
+
+        const random = this.random(this.seed);
+        const chosen = this.form.elements.type.value;
+        const types = chosen === 'all' ? this.types : this.types.filter(type => type.id === chosen);
+        const first = this.int(random, 0, types.length - 1);
+
+        this.output.innerHTML = Array.from({ length: count }, (unused, i) => {
+            const type = types[(first + i) % types.length];
+            return this.renderExercise(i + 1, type, this[type.id](random));
+        }).join('');
+
+        this.output.querySelectorAll('.answer-check').forEach(block => Answers.setupBlock(block));
+        Exercises.renderMath(this.output);
+
+        if (updateURL) {
+            history.replaceState(null, null, this.hash());
+        }
+    },
+
+    /**
+     * Copy a link to the current problem set
+     */
+    async copyLink() {
+        const url = `${window.location.href.split('#')[0]}${this.hash()}`;
+        const copied = await Utils.copyToClipboard(url);
+        Utils.showNotification(copied ? 'Link to this problem set copied' : 'Could not copy to the clipboard', copied ? 'success' : 'error');
+    },
+
+    /**
+     * Seeded pseudo-random number generator (string hash followed by mulberry32)
+     * @param {string} seed - Seed text
+     * @returns {Function} Function returning numbers in [0, 1)
+     */
+    random(seed) {
+        let state = 1779033703 ^ seed.length;
+        for (let i = 0; i < seed.length; i++) {
+            state = Math.imul(state ^ seed.charCodeAt(i), 3432918353);
+            state = (state << 13) | (state >>> 19);
+        }
+
+        return () => {
+            state = (state + 0x6D2B79F5) | 0;
+            let t = Math.imul(state ^ (state >>> 15), 1 | state);
+            t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    },
+
+    /**
+     * Random whole number
+     * @param {Function} random - Generator from random()
+     * @param {number} min - Smallest value
+     * @param {number} max - Largest value
+     * @param {number} [step] - Values are multiples of step
+     * @returns {number} Number between min and max
+     */
+    int(random, min, max, step = 1) {
+        return min + step * Math.floor(random() * (Math.floor((max - min) / step) + 1));
+    },
+
+    /**
+     * Random element of a list
+     * @param {Function} random - Generator from random()
+     * @param {Array} list - Choices
+     * @returns {*} One element
+     */
+    pick(random, list) {
+        return list[Math.floor(random() * list.length)];
+    },
+
+    /**
+     * Random record count with one or two significant digits, e.g. 3,000 or 45,000,000
+     * @param {Function} random - Generator from random()
+     * @param {number} minPower - Smallest power of ten
+     * @param {number} maxPower - Largest power of ten
+     * @returns {number} Record count
+     */
+    records(random, minPower, maxPower) {
+        return this.int(random, 10, 99) * Math.pow(10, this.int(random, minPower, maxPower) - 1);
+    },
+
+    /**
+     * Record, block, key and pointer sizes that give a blocking factor of at least 2
+     * @param {Function} random - Generator from random()
+     * @returns {Object} Sizes { blockSize, recordSize, keySize, pointerSize }
+     */
+    sizes(random) {
+        const blockSize = this.pick(random, [1000, 2000, 4000, 8000]);
+        return {
+            blockSize,
+            recordSize: this.int(random, 100, blockSize / 2, 10),
+            keySize: this.int(random, 8, 60),
+            pointerSize: this.pick(random, [4, 5, 8, 10, 12, 16, 18])
+        };
+    },
+
+    /**
+     * Sparse index problem (like Exercise 21)
+     * @param {Function} random - Generator from random()
+     * @returns {Object} Problem { question, answers, steps }
+     */
+    sparse(random) {
+        const p = Object.assign({ records: this.records(random, 3, 5) }, this.sizes(random));
+        const n = (value) => StorageCalculator.formatNumber(value);
+        const fr = Math.floor(p.blockSize / p.recordSize);
+        const br = Math.ceil(p.records / fr);
+        const fi = Math.floor(p.blockSize / (p.keySize + p.pointerSize));
+        const indexBlocks = Math.ceil(br / fi);
+        const search = Math.ceil(Math.log2(indexBlocks));
+
+        return {
+            question: `<p>Relation: ${this.plain(p.records)} records, record = ${this.plain(p.recordSize)} bytes, block = ${this.plain(p.blockSize)} bytes</p>` +
+                `<p>Key = ${p.keySize} bytes, pointer = ${p.pointerSize} bytes. The file has a sparse index.</p>` +
+                '<ol><li>How many records fit in a block?</li><li>How many blocks do the relation and the index occupy?</li>' +
+                '<li>Search cost (index in RAM)?</li><li>Search cost (index NOT in RAM)?</li></ol>',
+            answers: [
+                { label: '1. Blocking factor \\(f_r\\)', answer: fr, unit: 'records/block' },
+                { label: '2a. Data blocks \\(b_r\\)', answer: br, unit: 'blocks' },
+                { label: '2b. Index blocking factor \\(f_i\\)', answer: fi, unit: 'entries/block' },
+                { label: '2b. Sparse index blocks', answer: indexBlocks, unit: 'blocks' },
+                { label: '3. Search cost (index in RAM)', answer: 1, unit: 'block accesses' },
+                { label: '4. Search cost (index NOT in RAM)', answer: search + 1, unit: 'block accesses' }
+            ],
+            steps: [
+                StorageCalculator.step('1. Blocking factor (records per block):', [
+                    `f_r = \\left\\lfloor \\frac{${n(p.blockSize)}}{${n(p.recordSize)}} \\right\\rfloor = ${n(fr)} \\text{ records/block}`
+                ]),
+                StorageCalculator.step('2a. Data blocks needed:', [
+                    `b_r = \\left\\lceil \\frac{${n(p.records)}}{${n(fr)}} \\right\\rceil = ${n(br)} \\text{ blocks}`
+                ]),
+                StorageCalculator.step('2b. Sparse index (1 entry per data block):', [
+                    `f_i = \\left\\lfloor \\frac{${n(p.blockSize)}}{${p.keySize} + ${p.pointerSize}} \\right\\rfloor = ${n(fi)} \\text{ entries/block}`,
+                    `\\text{Index blocks} = \\left\\lceil \\frac{${n(br)}}{${n(fi)}} \\right\\rceil = ${n(indexBlocks)} \\text{ blocks}`
+                ]),
+                StorageCalculator.step('3. Search cost (index in RAM):', [
+                    '\\text{Cost} = 1 \\text{ data block read}'
+                ], '<p>Binary search in the index is done in memory, then one data block is read.</p>'),
+                StorageCalculator.step('4. Search cost (index NOT in RAM):', [
+                    `\\text{Binary search cost} = \\left\\lceil \\log_2 ${n(indexBlocks)} \\right\\rceil = ${search} \\text{ index blocks}`,
+                    `\\text{Total cost} = ${search} + 1 = ${search + 1} \\text{ block accesses}`
+                ])
+            ]
+        };
+    },
+
+    /**
+     * B* tree problem (like Exercise 23)
+     * @param {Function} random - Generator from random()
+     * @returns {Object} Problem { question, answers, steps }
+     */
+    bstar(random) {
+        const p = Object.assign({ records: this.records(random, 5, 8), accessTime: this.int(random, 2, 10) }, this.sizes(random));
+        const n = (value) => StorageCalculator.formatNumber(value);
+        const fr = Math.floor(p.blockSize / p.recordSize);
+        const br = Math.ceil(p.records / fr);
+        const fi = Math.floor((p.blockSize + p.keySize) / (p.pointerSize + p.keySize));
+        const levels = StorageCalculator.treeLevels(br, fi);
+        const height = levels.length;
+        const indexBlocks = levels.reduce((sum, count) => sum + count, 0);
+        const levelList = levels
+            .map((count, index) => `<li>Level ${index + 1}${index === 0 ? ' (root)' : ''}: ${this.plain(count)} block${count === 1 ? '' : 's'}</li>`)
+            .join('');
+
+        return {
+            question: `<p>Relation: ${this.plain(p.records)} records, record = ${this.plain(p.recordSize)} bytes, block = ${this.plain(p.blockSize)} bytes</p>` +
+                `<p>Key = ${p.keySize} bytes, pointer = ${p.pointerSize} bytes. The file is indexed with a B* tree.</p>` +
+                `<ol><li>Minimum blocks needed</li><li>Average record access time (block access time = ${p.accessTime}ms)</li></ol>`,
+            answers: [
+                { label: 'Blocking factor \\(f_r\\)', answer: fr, unit: 'records/block' },
+                { label: 'Data blocks \\(b_r\\)', answer: br, unit: 'blocks' },
+                { label: 'Branching factor \\(f_i\\)', answer: fi },
+                { label: 'Tree height \\(HT_i\\)', answer: height, unit: 'levels' },
+                { label: 'Total blocks (data + index)', answer: br + indexBlocks, unit: 'blocks' },
+                { label: 'Search cost', answer: height + 1, unit: 'block accesses' },
+                { label: 'Average access time', answer: (height + 1) * p.accessTime, unit: 'ms' }
+            ],
+            steps: [
+                StorageCalculator.step('1. Data file calculations:', [
+                    `f_r = \\left\\lfloor \\frac{${n(p.blockSize)}}{${n(p.recordSize)}} \\right\\rfloor = ${n(fr)} \\text{ records/block}`,
+                    `b_r = \\left\\lceil \\frac{${n(p.records)}}{${n(fr)}} \\right\\rceil = ${n(br)} \\text{ data blocks}`
+                ]),
+                StorageCalculator.step('2. B* tree branching factor:', [
+                    `f_i = \\left\\lfloor \\frac{${n(p.blockSize)} + ${p.keySize}}{${p.pointerSize} + ${p.keySize}} \\right\\rfloor = \\left\\lfloor \\frac{${n(p.blockSize + p.keySize)}}{${p.pointerSize + p.keySize}} \\right\\rfloor = ${n(fi)}`
+                ]),
+                StorageCalculator.step('3. Tree height:', [
+                    `HT_i = \\left\\lceil \\log_{${n(fi)}} ${n(br)} \\right\\rceil = \\left\\lceil ${StorageCalculator.formatDecimal(Math.log(br) / Math.log(fi))} \\right\\rceil = ${height} \\text{ levels}`
+                ]),
+                StorageCalculator.step('4. Minimum blocks (index levels from the root down):', [], `<ul>${levelList}</ul>`, [
+                    `\\text{Total index blocks} = ${n(indexBlocks)}`,
+                    `\\text{Total blocks} = ${n(br)} + ${n(indexBlocks)} = ${n(br + indexBlocks)} \\text{ blocks}`
+                ]),
+                StorageCalculator.step('5. Search cost:', [
+                    `\\text{Cost} = HT_i + 1 = ${height} + 1 = ${height + 1} \\text{ block accesses}`,
+                    `\\text{Time} = ${height + 1} \\times ${p.accessTime}\\text{ms} = ${(height + 1) * p.accessTime}\\text{ms}`
+                ])
+            ]
+        };
+    },
+
+    /**
+     * Dense index with a sparse index on top (like Exercise 24)
+     * @param {Function} random - Generator from random()
+     * @returns {Object} Problem { question, answers, steps }
+     */
+    dense(random) {
+        const p = Object.assign({ records: this.records(random, 5, 7) }, this.sizes(random));
+        const n = (value) => StorageCalculator.formatNumber(value);
+        const fr = Math.floor(p.blockSize / p.recordSize);
+        const br = Math.ceil(p.records / fr);
+        const fi = Math.floor(p.blockSize / (p.keySize + p.pointerSize));
+        const denseBlocks = Math.ceil(p.records / fi);
+        const sparseBlocks = Math.ceil(denseBlocks / fi);
+        const total = br + denseBlocks + sparseBlocks;
+
+        return {
+            question: '<p>A file shall be stored using a dense index and a sparse index built on top of the dense index. Give a reasonable estimation for the number of necessary blocks:</p>' +
+                `<ul><li>File contains ${this.plain(p.records)} records</li><li>One record is ${this.plain(p.recordSize)} bytes</li>` +
+                `<li>One block is ${this.plain(p.blockSize)} bytes</li><li>Key size is ${p.keySize} bytes</li><li>Pointer size is ${p.pointerSize} bytes</li></ul>`,
+            answers: [
+                { label: 'Data blocks \\(b_r\\)', answer: br, unit: 'blocks' },
+                { label: 'Dense index blocks', answer: denseBlocks, unit: 'blocks' },
+                { label: 'Sparse index blocks', answer: sparseBlocks, unit: 'blocks' },
+                { label: 'Total blocks', answer: total, unit: 'blocks' }
+            ],
+            steps: [
+                StorageCalculator.step('Data file:', [
+                    `f_r = \\lfloor ${n(p.blockSize)}/${n(p.recordSize)} \\rfloor = ${n(fr)} \\text{ records/block}`,
+                    `b_r = \\lceil ${n(p.records)} / ${n(fr)} \\rceil = ${n(br)} \\text{ blocks}`
+                ]),
+                StorageCalculator.step('Dense index (1 entry per record):', [
+                    `f_i = \\lfloor ${n(p.blockSize)}/(${p.keySize}+${p.pointerSize}) \\rfloor = ${n(fi)} \\text{ entries/block}`,
+                    `\\text{Dense index blocks} = \\lceil ${n(p.records)} / ${n(fi)} \\rceil = ${n(denseBlocks)} \\text{ blocks}`
+                ]),
+                StorageCalculator.step('Sparse index on dense index (1 entry per dense index block):', [
+                    `\\text{Sparse index blocks} = \\lceil ${n(denseBlocks)} / ${n(fi)} \\rceil = ${n(sparseBlocks)} \\text{ blocks}`
+                ]),
+                StorageCalculator.step('Total blocks:', [
+                    `${n(br)} + ${n(denseBlocks)} + ${n(sparseBlocks)} = ${n(total)} \\text{ blocks}`
+                ])
+            ]
+        };
+    },
+
+    /**
+     * Selection with linear and binary search (like Exercise 27)
+     * @param {Function} random - Generator from random()
+     * @returns {Object} Problem { question, answers, steps }
+     */
+    selection(random) {
+        const city = this.pick(random, this.cities);
+        const distinct = this.pick(random, [10, 20, 25, 40, 50, 80, 100, 200]);
+        const fr = this.int(random, 10, 60, 5);
+        const records = distinct * this.int(random, 20, 1000, 10);
+        const n = (value) => StorageCalculator.formatNumber(value);
+        const br = Math.ceil(records / fr);
+        const sc = records / distinct;
+        const find = Math.ceil(Math.log2(br));
+        const read = Math.ceil(sc / fr) - 1;
+        const average = br / 2;
+
+        return {
+            question: '<p>Relation Acct(City, Balance, ...)</p>' +
+                `<p>Query: \\(\\sigma_{\\text{City}='${city}'}(\\text{Acct})\\)</p>` +
+                `<p>Given: \\(f_{\\text{Acct}} = ${fr}\\), \\(n_{\\text{Acct}} = ${n(records)}\\), \\(V(\\text{City}) = ${distinct}\\)</p>` +
+                '<p><strong>a)</strong> Min, max, avg cost for linear search?</p>' +
+                '<p><strong>b)</strong> Expected cost for binary search (file ordered by City)?</p>',
+            answers: [
+                { label: '\\(b_r\\)', answer: br, unit: 'blocks' },
+                { label: '\\(SC(\\text{City})\\)', answer: sc, unit: 'records' },
+                { label: 'a) Linear search, min cost', answer: 1, unit: 'block' },
+                { label: 'a) Linear search, max cost', answer: br, unit: 'blocks' },
+                { label: 'a) Linear search, average cost', answer: average, unit: 'blocks', tolerance: '0.5' },
+                { label: 'b) Binary search cost', answer: find + read, unit: 'blocks' }
+            ],
+            steps: [
+                StorageCalculator.step('Given data:', [
+                    `b_r = \\left\\lceil \\frac{${n(records)}}{${fr}} \\right\\rceil = ${n(br)} \\text{ blocks}`,
+                    `SC(\\text{City}) = \\frac{n_r}{V(\\text{City})} = \\frac{${n(records)}}{${distinct}} = ${n(sc)} \\text{ records}`
+                ]),
+                StorageCalculator.step('a) Linear search (A1):', [
+                    `\\text{Min cost} = 1 \\text{ block (if ${city} is in the first block)}`,
+                    `\\text{Max cost} = ${n(br)} \\text{ blocks (scan entire file)}`,
+                    `\\text{Avg cost} = \\frac{${n(br)}}{2} = ${StorageCalculator.formatDecimal(average)} \\text{ blocks}`
+                ]),
+                StorageCalculator.step('b) Binary search (A2):', [
+                    `\\text{Find first block} = \\left\\lceil \\log_2 ${n(br)} \\right\\rceil = ${find} \\text{ blocks}`,
+                    `\\text{Read matching blocks} = \\left\\lceil \\frac{SC}{f_r} \\right\\rceil - 1 = \\left\\lceil \\frac{${n(sc)}}{${fr}} \\right\\rceil - 1 = ${n(read)}`,
+                    `\\text{Total} = ${find} + ${n(read)} = ${n(find + read)} \\text{ blocks}`
+                ], `<p>File ordered by City, so the ${city} records are consecutive.</p>`)
+            ]
+        };
+    },
+
+    /**
+     * Hash join compared with block nested loop join (like Exercise 29)
+     * @param {Function} random - Generator from random()
+     * @returns {Object} Problem { question, answers, steps }
+     */
+    join(random) {
+        const blockSize = this.pick(random, [1000, 2000, 4000, 8000]);
+        const p = {
+            blockSize,
+            nR: this.records(random, 4, 6),
+            sR: this.int(random, 50, blockSize / 4, 10),
+            nS: this.records(random, 3, 5),
+            sS: this.int(random, 50, blockSize / 4, 10)
+        };
+        const n = (value) => StorageCalculator.formatNumber(value);
+        const fR = Math.floor(blockSize / p.sR);
+        const fS = Math.floor(blockSize / p.sS);
+        const bR = Math.ceil(p.nR / fR);
+        const bS = Math.ceil(p.nS / fS);
+        const nested = bR * bS + bR;
+
+        return {
+            question: `<p>Relations: R(\\(n_R=${n(p.nR)}, s_R=${p.sR}\\) bytes), S(\\(n_S=${n(p.nS)}, s_S=${p.sS}\\) bytes)</p>` +
+                `<p>Block size = ${this.plain(blockSize)} bytes, hash tables fit in RAM</p>` +
+                '<p><strong>Find:</strong> Cost of hash join and of block nested loop join (R outer). What\'s the best method?</p>',
+            answers: [
+                { label: '\\(f_R\\)', answer: fR },
+                { label: '\\(f_S\\)', answer: fS },
+                { label: '\\(b_R\\)', answer: bR, unit: 'blocks' },
+                { label: '\\(b_S\\)', answer: bS, unit: 'blocks' },
+                { label: 'Hash join cost', answer: bR + bS, unit: 'blocks' },
+                { label: 'Block nested loop cost', answer: nested, unit: 'blocks' }
+            ],
+            steps: [
+                StorageCalculator.step('Blocking factors:', [
+                    `f_R = \\left\\lfloor \\frac{${n(blockSize)}}{${p.sR}} \\right\\rfloor = ${fR}`,
+                    `f_S = \\left\\lfloor \\frac{${n(blockSize)}}{${p.sS}} \\right\\rfloor = ${fS}`,
+                    `b_R = \\left\\lceil \\frac{${n(p.nR)}}{${fR}} \\right\\rceil = ${n(bR)} \\text{ blocks}`,
+                    `b_S = \\left\\lceil \\frac{${n(p.nS)}}{${fS}} \\right\\rceil = ${n(bS)} \\text{ blocks}`
+                ]),
+                StorageCalculator.step('Hash Join cost (tables in RAM):', [
+                    `\\text{Cost} = b_R + b_S = ${n(bR)} + ${n(bS)} = ${n(bR + bS)} \\text{ blocks}`
+                ], '<p>Read each file once, hash in memory, join in memory.</p>'),
+                StorageCalculator.step('Block Nested Loop Join:', [
+                    `\\text{Cost} = b_R \\times b_S + b_R = ${n(bR)} \\times ${n(bS)} + ${n(bR)} = ${n(nested)} \\text{ blocks}`
+                ]),
+                `<p><strong>Best method:</strong> Hash join with tables in RAM = ${this.plain(bR + bS)} block accesses</p>`
+            ]
+        };
+    },
+
+    /**
+     * Format a number with thousands separators for text outside math
+     * @param {number} value - Number to format
+     * @returns {string} Formatted number
+     */
+    plain(value) {
+        return value.toLocaleString('en-US');
+    },
+
+    /**
+     * Build the markup of a generated exercise in the same layout as the fixed ones
+     * @param {number} index - Position in the problem set
+     * @param {Object} type - Entry of types
+     * @param {Object} problem - Problem { question, answers, steps }
+     * @returns {string} HTML string
+     */
+    renderExercise(index, type, problem) {
+        const fields = problem.answers.map(field =>
+            `<div class="answer-field" data-answer="${field.answer}"` +
+            `${field.unit ? ` data-unit="${field.unit}"` : ''}${field.tolerance ? ` data-tolerance="${field.tolerance}"` : ''}>${field.label}</div>`
+        ).join('');
+
+        return `<div class="exercise" id="generated-${index}">` +
+            `<div class="exercise-header">Problem ${index}: ${Utils.escapeHTML(type.label)} (like Exercise ${type.like})</div>` +
+            `<div class="exercise-question">${problem.question}</div>` +
+            `<div class="answer-check"><div class="answer-check-title">Check your answers</div>${fields}</div>` +
+            '<button type="button" class="btn btn-primary toggle-solution-btn">Show Solution</button>' +
+            `<div class="solution">${problem.steps.join('')}</div>` +
+            '</div>';
+    }
+};
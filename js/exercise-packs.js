@@ -0,0 +1,287 @@
+/**
+ * Exercise Packs Module
+ * Loads extra exercises, such as past exam problems, from local JSON or Markdown files and keeps them in localStorage
+ */
+
+const ExercisePacks = {
+    storageKey: 'dbCheatsheet.packs',
+    packs: [],
+    container: null,
+    list: null,
+
+    /**
+     * Render the saved packs and set up the pack panel.
+     * Runs before the other modules, which set up the saved pack exercises like the built-in ones
+     */
+    init() {
+        this.container = document.getElementById('packExercises');
+        this.list = document.getElementById('packList');
+        const loadBtn = document.getElementById('packLoad');
+        const fileInput = document.getElementById('packFile');
+
+        if (!this.container || !this.list || !loadBtn || !fileInput) {
+            return;
+        }
+
+        this.packs = this.load().filter(pack => {
+            try {
+                pack.exercises = pack.exercises.map((exercise, index) => Content.normalize(exercise, index));
+                this.render(pack);
+                return true;
+            } catch (err) {
+                console.error(`Failed to render the exercise pack "${pack.title}":`, err);
+                return false;
+            }
+        });
+        this.renderList();
+
+        loadBtn.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length > 0) {
+                this.importFile(fileInput.files[0]);
+            }
+            fileInput.value = '';
+        });
+
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('.pack-remove');
+            if (button) this.remove(button.getAttribute('data-pack'));
+        });
+    },
+
+    /**
+     * Load saved packs from localStorage
+     * @returns {Object[]} Packs { id, title, exercises }
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            return saved && Array.isArray(saved.packs) ? saved.packs.filter(pack => pack && pack.id && Array.isArray(pack.exercises)) : [];
+        } catch (err) {
+            console.error('Failed to load exercise packs:', err);
+            return [];
+        }
+    },
+
+    /**
+     * Save the packs to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ version: 1, packs: this.packs }));
+        } catch (err) {
+            console.error('Failed to save exercise packs:', err);
+            Utils.showNotification('The pack is shown, but could not be saved for the next visit', 'error');
+        }
+    },
+
+    /**
+     * Read a pack file chosen by the user and add its exercises to the page
+     * @param {File} file - JSON or Markdown file
+     */
+    importFile(file) {
+        const reader = new FileReader();
+
+        reader.onload = () => {
+            let pack;
+            try {
+                pack = this.parse(reader.result, file.name);
+            } catch (err) {
+                Utils.showNotification(`${file.name}: ${err.message}`, 'error');
+                return;
+            }
+
+            // Loading a pack again replaces the earlier version
+            if (this.packs.some(item => item.id === pack.id)) {
+                this.unrender(pack.id);
+                this.packs = this.packs.filter(item => item.id !== pack.id);
+            }
+
+            this.packs.push(pack);
+            this.save();
+            this.setup(this.render(pack));
+            this.renderList();
+            Utils.showNotification(`Loaded ${pack.exercises.length} ${pack.exercises.length === 1 ? 'exercise' : 'exercises'} from "${pack.title}"`, 'success');
+        };
+
+        reader.onerror = () => {
+            Utils.showNotification('Could not read the selected file', 'error');
+        };
+
+        reader.readAsText(file);
+    },
+
+    /**
+     * Parse a pack file: JSON in the format of content/exercises.json, or Markdown with front matter
+     * @param {string} text - File contents
+     * @param {string} fileName - File name, the pack title when the file does not give one
+     * @returns {Object} Pack { id, title, exercises } with normalized exercises
+     */
+    parse(text, fileName) {
+        let title = fileName.replace(/\.[^.]+$/, '');
+        let exercises;
+
+        if (/\.json$/i.test(fileName)) {
+            const data = JSON.parse(text);
+            if (!data || !Array.isArray(data.exercises)) {
+                throw new Error('Missing "exercises" list');
+            }
+            title = data.title || title;
+            exercises = data.exercises;
+        } else {
+            const documents = Markdown.documents(text);
+            title = (documents[0] && documents[0].data.pack) || title;
+            exercises = documents.map((doc, index) => this.fromMarkdown(doc, index));
+        }
+
+        if (exercises.length === 0) {
+            throw new Error('The pack has no exercises');
+        }
+
+        const id = this.slug(title);
+        return {
+            id,
+            title: String(title),
+            exercises: exercises.map((exercise, index) => {
+                const normalized = Content.normalize(Object.assign({ id: index + 1 }, exercise), index);
+                normalized.id = `pack-${id}-${this.slug(normalized.id)}`;
+                return normalized;
+            })
+        };
+    },
+
+    /**
+     * Turn a Markdown document into an exercise. The body is the question, then optional
+     * "## Answers" (items "- label = value unit", with "± tolerance" after the value)
+     * and "## Solution" (one step per "### title" heading)
+     * @param {Object} doc - Document { data, body } from Markdown.documents
+     * @param {number} index - Position in the file, for error messages
+     * @returns {Object} Exercise in the content file format
+     */
+    fromMarkdown(doc, index) {
+        const sections = { question: [], answers: [], solution: [] };
+        let current = 'question';
+        doc.body.split('\n').forEach(line => {
+            const heading = line.match(/^##\s+(question|answers|solution)\s*$/i);
+            if (heading) {
+                current = heading[1].toLowerCase();
+            } else {
+                sections[current].push(line);
+            }
+        });
+
+        const fields = sections.answers.filter(line => line.trim() !== '').map(line => {
+            const match = line.match(/^\s*[-*]\s+(.+)\s+=\s+(-?\d[\d.]*)(?:\s*±\s*(\d[\d.]*%?))?(?:\s+(.*))?$/);
+            if (!match) {
+                throw new Error(`Exercise ${index + 1}: cannot read the answer "${line.trim()}" (write "- label = value unit")`);
+            }
+            const field = { label: match[1], answer: Number(match[2]) };
+            if (match[3]) field.tolerance = match[3];
+            if (match[4]) field.unit = match[4].trim();
+            return field;
+        });
+
+        const solution = [];
+        sections.solution.forEach(line => {
+            const heading = line.match(/^###\s+(.*)$/);
+            if (heading) {
+                solution.push({ title: heading[1].trim(), body: '' });
+            } else if (solution.length === 0) {
+                solution.push({ body: line + '\n' });
+            } else {
+                solution[solution.length - 1].body += line + '\n';
+            }
+        });
+
+        return Object.assign({}, doc.data, {
+            question: sections.question.join('\n').trim(),
+            answers: fields.length > 0 ? [{ type: 'numeric', fields }] : [],
+            solution: solution.filter(step => step.title || step.body.trim() !== '')
+        });
+    },
+
+    /**
+     * Turn a title into an ID fragment
+     * @param {string} text - Title
+     * @returns {string} Lowercase letters, digits and dashes
+     */
+    slug(text) {
+        return String(text).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'pack';
+    },
+
+    /**
+     * Add the exercises of a pack to the page and to their topic groups.
+     * Packs are shared between users, so their content is rendered without raw HTML
+     * @param {Object} pack - Pack { id, title, exercises }
+     * @returns {HTMLElement} The pack element
+     */
+    render(pack) {
+        const element = document.createElement('div');
+        element.className = 'exercise-pack';
+        element.setAttribute('data-pack', pack.id);
+        element.innerHTML = `<h3>${Utils.escapeHTML(pack.title)}</h3>` +
+            pack.exercises.map(exercise => Content.renderExercise(exercise, { html: false })).join('');
+
+        this.container.appendChild(element);
+        Content.register(pack.exercises);
+        return element;
+    },
+
+    /**
+     * Set up the controls of a pack loaded after the page started, as the other modules do at start
+     * @param {HTMLElement} element - The pack element
+     */
+    setup(element) {
+        Exercises.setupSolutionToggles(element);
+        element.querySelectorAll('.exercise').forEach(exercise => {
+            Progress.setupStatusControl(exercise);
+            exercise.querySelectorAll('.answer-check').forEach(block => Answers.setupBlock(block));
+            if (typeof SQLSandbox !== 'undefined') {
+                exercise.querySelectorAll('.sql-check').forEach(block => SQLSandbox.setupCheck(block));
+            }
+        });
+        Progress.applyAll();
+        if (typeof Search !== 'undefined') Search.addExercises(element);
+        Exercises.renderMath(element);
+    },
+
+    /**
+     * Take the exercises of a pack off the page and out of their topic groups
+     * @param {string} id - Pack ID
+     */
+    unrender(id) {
+        const element = this.container.querySelector(`[data-pack="${id}"]`);
+        if (!element) return;
+
+        if (typeof Search !== 'undefined') Search.removeExercises(element);
+        Content.unregister(Array.from(element.querySelectorAll('.exercise[id]')).map(exercise => exercise.id));
+        element.remove();
+    },
+
+    /**
+     * Remove a pack from the page and from localStorage
+     * @param {string} id - Pack ID
+     */
+    remove(id) {
+        const pack = this.packs.find(item => item.id === id);
+        if (!pack || !confirm(`Remove the exercise pack "${pack.title}"?`)) return;
+
+        this.unrender(id);
+        this.packs = this.packs.filter(item => item.id !== id);
+        this.save();
+        this.renderList();
+        Progress.applyAll();
+    },
+
+    /**
+     * List the loaded packs with their remove buttons
+     */
+    renderList() {
+        this.list.innerHTML = this.packs.length === 0
+            ? '<li class="pack-empty">No packs loaded.</li>'
+            : this.packs.map(pack =>
+                `<li><span>${Utils.escapeHTML(pack.title)} (${pack.exercises.length} ${pack.exercises.length === 1 ? 'exercise' : 'exercises'})</span>` +
+                `<button type="button" class="btn btn-secondary pack-remove" data-pack="${pack.id}">Remove</button></li>`
+            ).join('');
+    }
+};
@@ -33,9 +33,10 @@ const Exercises = {
 
     /**
      * Set up solution toggle buttons
+     * @param {HTMLElement|Document} root - Element whose buttons to set up (the whole page by default)
      */
-    setupSolutionToggles() {
-        document.querySelectorAll('.toggle-solution-btn').forEach(button => {
+    setupSolutionToggles(root = document) {
+        root.querySelectorAll('.toggle-solution-btn').forEach(button => {
             button.addEventListener('click', function() {
                 Exercises.toggleSolution(this);
             });
@@ -131,8 +132,3 @@ const Exercises = {
         });
     }
 };
-
-// Make toggle function available globally for inline onclick handlers
-window.toggleSolution = function(button) {
-    Exercises.toggleSolution(button);
-};
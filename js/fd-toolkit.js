@@ -0,0 +1,248 @@
+/**
+ * Functional Dependency Toolkit Module
+ * Closures, candidate keys, minimal cover and normal form of a schema, with derivation steps
+ */
+
+const FDToolkit = {
+    form: null,
+    output: null,
+    maxTried: 30,
+
+    examples: [
+        { label: 'Ex 18: R(A, B, C, D)', schema: 'R(A, B, C, D)', fds: 'C → B, B → D, AB → AC, CD → B', closure: 'C' },
+        { label: 'Ex 19: R(I, S, T, Q)', schema: 'R(I, S, T, Q)', fds: 'I → Q, ST → Q, IS → T, QS → I', closure: 'IS' },
+        { label: '3NF but not BCNF: R(A, B, C)', schema: 'R(A, B, C)', fds: 'AB → C, C → B', closure: 'C' },
+        { label: 'Transitive dependency: Employee', schema: 'Employee(Name, Dept, Manager, Salary)', fds: 'Name → Dept, Salary\nDept → Manager', closure: 'Dept' }
+    ],
+
+    /**
+     * Initialize the toolkit panel
+     */
+    init() {
+        this.form = document.getElementById('fdToolkit');
+        this.output = document.getElementById('fdToolkitOutput');
+        const examples = document.getElementById('fdExample');
+
+        if (!this.form || !this.output || !examples) {
+            return;
+        }
+
+        this.examples.forEach((example, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = example.label;
+            examples.appendChild(option);
+        });
+
+        examples.addEventListener('change', () => {
+            const example = this.examples[examples.value];
+            if (!example) return;
+            this.form.elements.schema.value = example.schema;
+            this.form.elements.fds.value = example.fds;
+            this.form.elements.closure.value = example.closure;
+            this.update();
+        });
+
+        this.form.addEventListener('submit', (e) => e.preventDefault());
+        this.form.addEventListener('input', Utils.debounce(() => this.update(), 300));
+        this.update();
+    },
+
+    /**
+     * Parse the form and re-render every result
+     */
+    update() {
+        const FD = FunctionalDependencies;
+        const elements = this.form.elements;
+
+        try {
+            const { name, attrs } = FD.parseSchema(elements.schema.value);
+            const fds = FD.parseDependencies(elements.fds.value, attrs);
+            const x = FD.splitNames(elements.closure.value.replace(/[{}+⁺]/g, ''), attrs);
+            x.forEach(attr => {
+                if (!attrs.includes(attr)) {
+                    throw new Error(`Unknown attribute ${attr} in X`);
+                }
+            });
+
+            const keys = FD.candidateKeys(attrs, fds);
+            const cover = FD.minimalCover(attrs, fds);
+            const normalForm = FD.normalForm(attrs, fds);
+
+            this.output.innerHTML = [
+                this.renderSummary(name, normalForm),
+                x.length > 0 ? this.renderClosure(x, fds, attrs) : '',
+                this.renderKeys(keys, normalForm),
+                this.renderCover(fds, cover),
+                this.renderNormalForm(normalForm)
+            ].join('');
+            Exercises.renderMath(this.output);
+        } catch (error) {
+            this.output.innerHTML = `<div class="calculator-error">${Utils.escapeHTML(error.message)}</div>`;
+        }
+    },
+
+    /**
+     * Build the answer box with the highest normal form and the blocking dependency
+     * @param {string} name - Relation name
+     * @param {Object} result - Result of FunctionalDependencies.normalForm()
+     * @returns {string} HTML string
+     */
+    renderSummary(name, result) {
+        const next = { '1NF': '2NF', '2NF': '3NF', '3NF': 'BCNF' }[result.form];
+        let reason = '<p>Every determinant is a superkey.</p>';
+
+        if (next) {
+            const violation = result.checks[next][0];
+            reason = `<p>\\(${FunctionalDependencies.fdLatex(violation)}\\) violates ${next}: ${this.describe(violation)}.</p>`;
+        }
+
+        return `<div class="info-box"><div class="info-box-title">Highest normal form of ${Utils.escapeHTML(name)}: ${result.form}</div>${reason}</div>`;
+    },
+
+    /**
+     * Explain why a dependency violates a normal form
+     * @param {Object} violation - Violation from FunctionalDependencies.normalForm()
+     * @returns {string} HTML with KaTeX delimiters
+     */
+    describe(violation) {
+        const FD = FunctionalDependencies;
+        const lhs = `\\(${FD.setLatex(violation.lhs)}\\)`;
+        const rhs = `\\(${FD.setLatex(violation.rhs)}\\)`;
+
+        switch (violation.reason) {
+            case 'partial':
+                return `${rhs} is non-prime and depends on ${lhs}, a proper subset of the key \\(${FD.setLatex(violation.key)}\\)`;
+            case 'transitive':
+                return `${lhs} is not a superkey and ${rhs} is non-prime`;
+            default:
+                return `${lhs} is not a superkey`;
+        }
+    },
+
+    /**
+     * Build the closure derivation
+     * @param {string[]} x - Starting attributes
+     * @param {Object[]} fds - Dependencies
+     * @param {string[]} attrs - Schema attributes
+     * @returns {string} HTML with KaTeX delimiters
+     */
+    renderClosure(x, fds, attrs) {
+        const FD = FunctionalDependencies;
+        const { closure, steps } = FD.closure(attrs, fds, x);
+        const lines = [`X^{(0)} = ${FD.bracesLatex(x)}`];
+
+        steps.forEach((step, index) => {
+            lines.push(`${FD.fdLatex(step.fd)}:\\quad X^{(${index + 1})} = ${FD.bracesLatex(step.result)}`);
+        });
+
+        const isKey = closure.length === attrs.length;
+        lines.push(`${FD.closureLatex(x)} = ${FD.bracesLatex(closure)}${isKey ? ' = R' : ''}`);
+
+        const verdict = isKey
+            ? `<p>\\(${FD.setLatex(x)}\\) is a superkey.</p>`
+            : `<p>\\(${FD.setLatex(x)}\\) is not a superkey: it does not determine \\(${FD.setLatex(attrs.filter(attr => !closure.includes(attr)))}\\).</p>`;
+
+        return this.step(`Closure \\(X^+\\) for \\(X = ${FD.setLatex(x)}\\)`, lines, verdict);
+    },
+
+    /**
+     * Build the candidate key search
+     * @param {Object} search - Result of FunctionalDependencies.candidateKeys()
+     * @param {Object} result - Result of FunctionalDependencies.normalForm()
+     * @returns {string} HTML with KaTeX delimiters
+     */
+    renderKeys(search, result) {
+        const FD = FunctionalDependencies;
+        const list = (set) => (set.length > 0 ? `\\(${set.map(attr => FD.nameLatex(attr)).join(', ')}\\)` : 'none');
+
+        const intro = `<p>On no right-hand side, so in every key: ${list(search.core)}<br>` +
+            `Only on right-hand sides, so in no key: ${list(search.excluded)}</p>`;
+
+        const tried = search.tried.slice(0, this.maxTried).map(entry =>
+            `<li>\\(${FD.closureLatex(entry.candidate)} = ${FD.bracesLatex(entry.closure)}\\) ${entry.isKey ? '✓ key' : '✗'}</li>`
+        ).join('');
+        const more = search.tried.length > this.maxTried
+            ? `<li>… ${search.tried.length - this.maxTried} more candidates</li>`
+            : '';
+
+        const keys = search.keys.map(key => `\\(${FD.setLatex(key)}\\)`).join(', ');
+        const summary = `<p><strong>Candidate keys:</strong> ${keys}<br>` +
+            `<strong>Prime attributes:</strong> ${list(result.prime)}<br>` +
+            `<strong>Non-prime attributes:</strong> ${list(result.nonPrime)}</p>`;
+
+        return `<div class="formula"><strong>Candidate keys</strong>${intro}<p>Supersets of a key already found are skipped:</p><ul>${tried}${more}</ul>${summary}</div>`;
+    },
+
+    /**
+     * Build the three minimal cover steps
+     * @param {Object[]} fds - Original dependencies
+     * @param {Object} cover - Result of FunctionalDependencies.minimalCover()
+     * @returns {string} HTML with KaTeX delimiters
+     */
+    renderCover(fds, cover) {
+        const FD = FunctionalDependencies;
+        const notes = (stage, format) => {
+            const items = cover.steps.filter(step => step.stage === stage).map(format);
+            return items.length > 0 ? `<ul>${items.map(item => `<li>${item}</li>`).join('')}</ul>` : '<p>Nothing to remove.</p>';
+        };
+
+        const split = this.step('1. One attribute on every right-hand side', [
+            `F = ${FD.fdsLatex(fds)}`,
+            `F_1 = ${FD.fdsLatex(cover.split)}`
+        ], notes(1, step => `Drop the trivial part \\(${FD.setLatex(step.attrs)}\\) of \\(${FD.fdLatex(step.fd)}\\)`));
+
+        const reduce = this.step('2. Remove extraneous left-hand side attributes', [
+            `F_2 = ${FD.fdsLatex(cover.reduced)}`
+        ], notes(2, step => `In \\(${FD.fdLatex(step.fd)}\\), \\(${FD.setLatex([step.attr])}\\) is extraneous: ` +
+            `\\(${FD.closureLatex(step.rest)} = ${FD.bracesLatex(step.closure)} \\ni ${FD.setLatex(step.fd.rhs)}\\)`));
+
+        const redundant = this.step('3. Remove redundant dependencies', [
+            `G = ${FD.fdsLatex(cover.cover)}`
+        ], notes(3, step => `\\(${FD.fdLatex(step.fd)}\\) follows from the others: ` +
+            `\\(${FD.closureLatex(step.fd.lhs)} = ${FD.bracesLatex(step.closure)} \\ni ${FD.setLatex(step.fd.rhs)}\\)`));
+
+        const canonical = this.step('Canonical cover (same left-hand sides merged)', [
+            `G_c = ${FD.fdsLatex(cover.canonical)}`
+        ]);
+
+        return `<h4>Minimal Cover</h4>${split}${reduce}${redundant}${canonical}`;
+    },
+
+    /**
+     * Build the 2NF, 3NF and BCNF checks
+     * @param {Object} result - Result of FunctionalDependencies.normalForm()
+     * @returns {string} HTML with KaTeX delimiters
+     */
+    renderNormalForm(result) {
+        const FD = FunctionalDependencies;
+        const rules = {
+            '2NF': 'No non-prime attribute depends on a proper subset of a key',
+            '3NF': 'For every \\(X \\rightarrow A\\): \\(X\\) is a superkey or \\(A\\) is prime',
+            'BCNF': 'For every non-trivial \\(X \\rightarrow A\\): \\(X\\) is a superkey'
+        };
+
+        const checks = Object.keys(rules).map(form => {
+            const violations = result.checks[form];
+            const items = violations.map(v => `<li>\\(${FD.fdLatex(v)}\\): ${this.describe(v)} ✗</li>`).join('');
+            const verdict = violations.length === 0
+                ? `<strong>In ${form} ✓</strong>`
+                : `<strong>NOT in ${form}</strong>`;
+            return `<div class="formula"><strong>${form} check:</strong> ${rules[form]}${items ? `<ul>${items}</ul>` : '<br>'}${verdict}</div>`;
+        }).join('');
+
+        return `<h4>Normal Form Checks</h4><p>1NF is assumed (atomic values).</p>${checks}`;
+    },
+
+    /**
+     * Build one .formula step
+     * @param {string} title - Step title
+     * @param {string[]} equations - Display equations (LaTeX)
+     * @param {string} [extraHTML] - Extra markup after the equations
+     * @returns {string} HTML string
+     */
+    step(title, equations, extraHTML = '') {
+        const display = equations.map(eq => `\\[${eq}\\]`).join('\n');
+        return `<div class="formula"><strong>${title}</strong>\n${display}${extraHTML}</div>`;
+    }
+};
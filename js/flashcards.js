@@ -0,0 +1,344 @@
+/**
+ * Flashcards Module
+ * Builds flashcards from the concept and formula tables and schedules reviews with SM-2
+ */
+
+const Flashcards = {
+    storageKey: 'dbCheatsheet.flashcards',
+    sources: '#overview > .card > table, #er-model > .card > table, #formulas > .card > table',
+    cards: [],
+    state: {},
+    queue: [],
+    deck: '',
+    flipped: false,
+
+    grades: [
+        { quality: 2, label: 'Again', key: '1' },
+        { quality: 3, label: 'Hard', key: '2' },
+        { quality: 4, label: 'Good', key: '3' },
+        { quality: 5, label: 'Easy', key: '4' }
+    ],
+
+    /**
+     * Initialize flashcards (before math is rendered, so the cards keep the LaTeX source)
+     */
+    init() {
+        this.cards = this.extract();
+        this.state = this.load();
+        this.updateBadge();
+
+        const section = document.getElementById('flashcards');
+        if (!section) return;
+
+        const deck = document.getElementById('flashcardDeck');
+        deck.innerHTML = '<option value="">All decks</option>' + this.decks()
+            .map(name => `<option value="${Utils.escapeHTML(name)}">${Utils.escapeHTML(name)}</option>`).join('');
+        deck.addEventListener('change', () => {
+            this.deck = deck.value;
+            this.startSession();
+        });
+
+        document.getElementById('flashcardFlip').addEventListener('click', () => this.flip());
+        document.getElementById('flashcard').addEventListener('click', () => this.flip());
+        document.getElementById('flashcardGrades').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-quality]');
+            if (button) this.grade(Number(button.dataset.quality));
+        });
+        document.getElementById('flashcardReset').addEventListener('click', () => {
+            if (confirm('Forget the review history of every flashcard?')) {
+                this.state = {};
+                this.save();
+                this.startSession();
+            }
+        });
+
+        // Space or Enter flips the card, 1-4 grade it, while the section is open
+        document.addEventListener('keydown', (e) => {
+            if (!section.classList.contains('active') || e.target.closest('input, select, textarea, button')) return;
+            const grade = this.grades.find(g => g.key === e.key);
+            if (e.key === ' ' || e.key === 'Enter') {
+                e.preventDefault();
+                this.flip();
+            } else if (grade && this.flipped) {
+                this.grade(grade.quality);
+            }
+        });
+
+        // The due count changes at midnight, so recount when the page comes back into view
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'visible') this.updateBadge();
+        });
+
+        this.startSession();
+    },
+
+    /**
+     * Turn every row of the source tables into a card: the first cell is the front,
+     * the other cells, labelled with their column headers, are the back
+     * @returns {Object[]} Cards { id, deck, front, frontLabel, back: [{ label, html }] }
+     */
+    extract() {
+        const cards = [];
+
+        document.querySelectorAll(this.sources).forEach(table => {
+            let heading = table.previousElementSibling;
+            while (heading && !/^H[2-4]$/.test(heading.tagName)) {
+                heading = heading.previousElementSibling;
+            }
+            const deck = heading ? heading.textContent.trim() : 'Cards';
+            const rows = Array.from(table.querySelectorAll('tr'));
+            const headers = Array.from(rows[0].querySelectorAll('th')).map(th => th.textContent.trim());
+
+            rows.slice(1).forEach(row => {
+                const cells = Array.from(row.querySelectorAll('td'));
+                if (cells.length < 2) return;
+
+                cards.push({
+                    id: `${this.slug(deck)}:${this.slug(cells[0].textContent)}`,
+                    deck,
+                    frontLabel: headers[0] || '',
+                    front: cells[0].innerHTML.trim(),
+                    back: cells.slice(1).map((cell, i) => ({ label: headers[i + 1] || '', html: cell.innerHTML.trim() }))
+                });
+            });
+        });
+        return cards;
+    },
+
+    /**
+     * Stable identifier part from text (LaTeX included)
+     * @param {string} text - Text to convert
+     * @returns {string} Lowercase words joined by hyphens
+     */
+    slug(text) {
+        return text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').slice(0, 60);
+    },
+
+    /**
+     * Names of the decks in table order
+     * @returns {string[]} Deck names
+     */
+    decks() {
+        return this.cards.map(card => card.deck).filter((deck, i, all) => all.indexOf(deck) === i);
+    },
+
+    /**
+     * Load review history from localStorage
+     * @returns {Object} Map of card ID to { ef, interval, reps, due }
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            const clean = {};
+            if (saved && saved.cards && typeof saved.cards === 'object') {
+                Object.keys(saved.cards).forEach(id => {
+                    const card = saved.cards[id];
+                    if (card && isFinite(card.ef) && isFinite(card.interval) && isFinite(card.reps) && /^\d{4}-\d{2}-\d{2}$/.test(card.due)) {
+                        clean[id] = { ef: Number(card.ef), interval: Number(card.interval), reps: Number(card.reps), due: card.due };
+                    }
+                });
+            }
+            return clean;
+        } catch (err) {
+            console.error('Failed to load flashcards:', err);
+            return {};
+        }
+    },
+
+    /**
+     * Save review history to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ version: 1, cards: this.state }));
+        } catch (err) {
+            console.error('Failed to save flashcards:', err);
+        }
+    },
+
+    /**
+     * Local date as YYYY-MM-DD, optionally some days from today
+     * @param {number} [days] - Days to add
+     * @returns {string} Date string
+     */
+    today(days = 0) {
+        const date = new Date();
+        date.setDate(date.getDate() + days);
+        return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    },
+
+    /**
+     * Check whether a card should be reviewed today (new cards always are)
+     * @param {Object} card - Card
+     * @returns {boolean} True if due
+     */
+    isDue(card) {
+        const state = this.state[card.id];
+        return !state || state.due <= this.today();
+    },
+
+    /**
+     * Next scheduling state of a card after a review (SM-2)
+     * @param {Object} [state] - Current state, undefined for a new card
+     * @param {number} quality - Recall quality, 0-5 (below 3 means forgotten)
+     * @returns {Object} New state { ef, interval, reps, due }
+     */
+    schedule(state, quality) {
+        const current = state || { ef: 2.5, interval: 0, reps: 0 };
+        const ef = Math.max(1.3, Math.round((current.ef + 0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02)) * 100) / 100);
+
+        // A forgotten card starts over and comes back in this session
+        if (quality < 3) {
+            return { ef, interval: 0, reps: 0, due: this.today() };
+        }
+
+        let interval;
+        if (current.reps === 0) interval = 1;
+        else if (current.reps === 1) interval = 6;
+        else interval = Math.round(current.interval * ef);
+
+        return { ef, interval, reps: current.reps + 1, due: this.today(interval) };
+    },
+
+    /**
+     * Short description of a review interval
+     * @param {number} days - Interval in days
+     * @returns {string} e.g. "now", "1 day", "3 wk", "2 mo"
+     */
+    formatInterval(days) {
+        if (days === 0) return 'now';
+        if (days === 1) return '1 day';
+        if (days < 14) return `${days} days`;
+        if (days < 60) return `${Math.round(days / 7)} wk`;
+        return `${Math.round(days / 30)} mo`;
+    },
+
+    /**
+     * Queue the due cards of the chosen deck: reviews first, most overdue first, then new cards in table order
+     */
+    startSession() {
+        const cards = this.cards.filter(card => (!this.deck || card.deck === this.deck) && this.isDue(card));
+        const reviews = cards.filter(card => this.state[card.id]).sort((a, b) => this.state[a.id].due.localeCompare(this.state[b.id].due));
+        this.queue = reviews.concat(cards.filter(card => !this.state[card.id]));
+        this.showCard();
+    },
+
+    /**
+     * Show the front of the next card in the queue
+     */
+    showCard() {
+        const container = document.getElementById('flashcard');
+        const flip = document.getElementById('flashcardFlip');
+        const grades = document.getElementById('flashcardGrades');
+        const card = this.queue[0];
+
+        this.flipped = false;
+        grades.hidden = true;
+        flip.hidden = !card;
+        this.updateBadge();
+        this.renderSummary();
+
+        if (!card) {
+            container.className = 'flashcard flashcard-done';
+            container.innerHTML = `<p><strong>All caught up!</strong></p><p>${Utils.escapeHTML(this.nextReview())}</p>`;
+            return;
+        }
+
+        const state = this.state[card.id];
+        container.className = 'flashcard';
+        container.innerHTML =
+            `<div class="flashcard-meta"><span>${Utils.escapeHTML(card.deck)}</span><span>${state ? `Review · every ${this.formatInterval(state.interval)}` : 'New'}</span></div>` +
+            `<div class="flashcard-front"><div class="flashcard-label">${Utils.escapeHTML(card.frontLabel)}</div><div class="flashcard-content">${card.front}</div></div>` +
+            '<div class="flashcard-back" hidden><dl>' +
+            card.back.map(side => `<dt>${Utils.escapeHTML(side.label)}</dt><dd>${side.html}</dd>`).join('') +
+            '</dl></div>';
+
+        grades.innerHTML = this.grades.map(grade =>
+            `<button type="button" class="btn ${grade.quality < 3 ? 'btn-secondary' : 'btn-primary'}" data-quality="${grade.quality}" title="Key ${grade.key}">` +
+            `${grade.label} <span class="flashcard-interval">${this.formatInterval(this.schedule(state, grade.quality).interval)}</span></button>`
+        ).join('');
+
+        if (typeof Exercises !== 'undefined') {
+            Exercises.renderMath(container);
+        }
+    },
+
+    /**
+     * Reveal the back of the current card
+     */
+    flip() {
+        if (this.flipped || this.queue.length === 0) return;
+
+        this.flipped = true;
+        document.querySelector('#flashcard .flashcard-back').hidden = false;
+        document.getElementById('flashcardFlip').hidden = true;
+        document.getElementById('flashcardGrades').hidden = false;
+    },
+
+    /**
+     * Record how well the current card was remembered and move on
+     * @param {number} quality - Recall quality, 0-5
+     */
+    grade(quality) {
+        const card = this.queue.shift();
+        if (!card) return;
+
+        this.state[card.id] = this.schedule(this.state[card.id], quality);
+        this.save();
+
+        if (quality < 3) {
+            this.queue.push(card);
+        }
+        this.showCard();
+    },
+
+    /**
+     * Describe when the next cards of the chosen deck are due
+     * @returns {string} Message
+     */
+    nextReview() {
+        const dates = this.cards
+            .filter(card => !this.deck || card.deck === this.deck)
+            .map(card => this.state[card.id] && this.state[card.id].due)
+            .filter(Boolean)
+            .sort();
+        if (dates.length === 0) return 'No cards in this deck.';
+
+        const count = dates.filter(date => date === dates[0]).length;
+        const [year, month, day] = dates[0].split('-').map(Number);
+        return `Next review: ${count} card${count === 1 ? '' : 's'} on ${Utils.formatDate(new Date(year, month - 1, day))}.`;
+    },
+
+    /**
+     * Count the cards due today in every deck
+     * @returns {number} Due cards
+     */
+    dueCount() {
+        return this.cards.filter(card => this.isDue(card)).length;
+    },
+
+    /**
+     * Show the number of cards due today next to the navigation button
+     */
+    updateBadge() {
+        const badge = document.getElementById('flashcardsDue');
+        if (!badge) return;
+
+        const due = this.dueCount();
+        badge.textContent = due;
+        badge.hidden = due === 0;
+        badge.setAttribute('aria-label', `${due} card${due === 1 ? '' : 's'} due today`);
+    },
+
+    /**
+     * Show the session and deck counts
+     */
+    renderSummary() {
+        const summary = document.getElementById('flashcardSummary');
+        if (!summary) return;
+
+        const cards = this.cards.filter(card => !this.deck || card.deck === this.deck);
+        const learned = cards.filter(card => this.state[card.id] && this.state[card.id].reps > 0).length;
+        summary.textContent = `${this.queue.length} left today · ${learned} of ${cards.length} cards learned`;
+    }
+};
@@ -0,0 +1,966 @@
+/**
+ * Functional Dependencies Module
+ * Attribute closures, candidate keys, minimal covers, normal form checks and Armstrong-axiom proofs
+ *
+ * Attribute sets are arrays of attribute names kept in schema order.
+ * Dependencies are { lhs: string[], rhs: string[] }.
+ */
+
+const FunctionalDependencies = {
+    /**
+     * Parse a schema such as "R(A, B, C, D)", "ABCD" or "Name, Address, Phone"
+     * @param {string} text - Schema text
+     * @returns {{name: string, attrs: string[]}} Relation name and attributes
+     */
+    parseSchema(text) {
+        let name = 'R';
+        let body = text.trim();
+
+        const header = body.match(/^([\p{L}_][\p{L}\p{N}_]*)\s*\((.*)\)$/u);
+        if (header) {
+            name = header[1];
+            body = header[2];
+        }
+
+        const attrs = this.splitNames(body.replace(/[{}]/g, ''));
+        if (attrs.length === 0) {
+            throw new Error('The schema has no attributes');
+        }
+
+        const duplicate = attrs.find((attr, index) => attrs.indexOf(attr) !== index);
+        if (duplicate) {
+            throw new Error(`Attribute ${duplicate} appears twice in the schema`);
+        }
+
+        return { name, attrs };
+    },
+
+    /**
+     * Split a list of attribute names: comma/space separated, or single letters written together ("ABC")
+     * @param {string} text - Attribute list
+     * @param {string[]} [known] - Schema attributes used to resolve written-together names
+     * @returns {string[]} Attribute names
+     */
+    splitNames(text, known) {
+        const trimmed = text.trim();
+        if (trimmed === '' || trimmed === '∅') return [];
+
+        if (/[\s,]/.test(trimmed)) {
+            return trimmed.split(/[\s,]+/).filter(Boolean);
+        }
+
+        if (known ? known.includes(trimmed) : trimmed.length === 1) {
+            return [trimmed];
+        }
+
+        return Array.from(trimmed);
+    },
+
+    /**
+     * Parse dependencies such as "C → B, B → D, AB → AC" (also "->", ";" or one per line)
+     * @param {string} text - Dependency list, optionally wrapped in "F = { ... }"
+     * @param {string[]} attrs - Schema attributes
+     * @returns {Object[]} Dependencies
+     */
+    parseDependencies(text, attrs) {
+        const body = text.replace(/^\s*F\s*=\s*/, '').replace(/^\s*\{/, '').replace(/\}\s*$/, '');
+        const arrow = /→|->/;
+
+        // Commas separate dependencies but also attribute names, so a comma only starts
+        // a new dependency when both the text before and after it contain an arrow
+        const parts = [];
+        body.split(/[;\n]/).forEach(line => {
+            let current = null;
+            line.split(',').forEach(chunk => {
+                if (current !== null && arrow.test(current) && arrow.test(chunk)) {
+                    parts.push(current);
+                    current = chunk;
+                } else {
+                    current = current === null ? chunk : `${current},${chunk}`;
+                }
+            });
+            if (current !== null) parts.push(current);
+        });
+
+        return parts.map(part => part.trim()).filter(Boolean).map(part => {
+            const sides = part.split(/→|->/);
+            if (sides.length !== 2) {
+                throw new Error(`"${part}" is not a dependency like AB → C`);
+            }
+
+            const [lhs, rhs] = sides.map(side => this.splitNames(side, attrs));
+            lhs.concat(rhs).forEach(attr => {
+                if (!attrs.includes(attr)) {
+                    throw new Error(`Unknown attribute ${attr} in "${part}"`);
+                }
+            });
+
+            if (rhs.length === 0) {
+                throw new Error(`"${part}" has an empty right-hand side`);
+            }
+
+            return { lhs: this.sort(lhs, attrs), rhs: this.sort(rhs, attrs) };
+        });
+    },
+
+    /**
+     * Remove duplicates and order attributes as in the schema
+     * @param {string[]} set - Attributes
+     * @param {string[]} attrs - Schema attributes
+     * @returns {string[]} Sorted attributes
+     */
+    sort(set, attrs) {
+        return attrs.filter(attr => set.includes(attr));
+    },
+
+    /**
+     * Check whether every attribute of a is in b
+     * @param {string[]} a - Attributes
+     * @param {string[]} b - Attributes
+     * @returns {boolean} True when a ⊆ b
+     */
+    isSubset(a, b) {
+        return a.every(attr => b.includes(attr));
+    },
+
+    /**
+     * Compute the closure X⁺ and the dependencies used on the way
+     * @param {string[]} attrs - Schema attributes
+     * @param {Object[]} fds - Dependencies
+     * @param {string[]} x - Starting attributes
+     * @returns {{closure: string[], steps: Object[]}} Closure and steps { fd, added, result }
+     */
+    closure(attrs, fds, x) {
+        let result = this.sort(x, attrs);
+        const steps = [];
+        let changed = true;
+
+        while (changed) {
+            changed = false;
+            fds.forEach(fd => {
+                const added = fd.rhs.filter(attr => !result.includes(attr));
+                if (added.length > 0 && this.isSubset(fd.lhs, result)) {
+                    result = this.sort(result.concat(added), attrs);
+                    steps.push({ fd, added, result });
+                    changed = true;
+                }
+            });
+        }
+
+        return { closure: result, steps };
+    },
+
+    /**
+     * Check whether X determines every attribute of the schema
+     * @param {string[]} attrs - Schema attributes
+     * @param {Object[]} fds - Dependencies
+     * @param {string[]} x - Attributes
+     * @returns {boolean} True when X is a superkey
+     */
+    isSuperkey(attrs, fds, x) {
+        return this.closure(attrs, fds, x).closure.length === attrs.length;
+    },
+
+    /**
+     * Find every candidate key
+     *
+     * Attributes that appear on no right-hand side must be in every key, attributes that
+     * appear only on right-hand sides are in none; the rest are tried in subsets of
+     * increasing size, skipping supersets of keys already found.
+     *
+     * @param {string[]} attrs - Schema attributes
+     * @param {Object[]} fds - Dependencies
+     * @returns {{keys: string[][], core: string[], excluded: string[], tried: Object[]}} Keys and derivation
+     */
+    candidateKeys(attrs, fds) {
+        const onRight = new Set();
+        const onLeft = new Set();
+        fds.forEach(fd => {
+            fd.lhs.forEach(attr => onLeft.add(attr));
+            fd.rhs.filter(attr => !fd.lhs.includes(attr)).forEach(attr => onRight.add(attr));
+        });
+
+        const core = attrs.filter(attr => !onRight.has(attr));
+        const excluded = attrs.filter(attr => onRight.has(attr) && !onLeft.has(attr));
+        const middle = attrs.filter(attr => !core.includes(attr) && !excluded.includes(attr));
+        if (middle.length > 16) {
+            throw new Error('Too many attributes to search for keys (at most 16 can appear on both sides)');
+        }
+
+        const keys = [];
+        const tried = [];
+
+        this.subsets(middle).forEach(subset => {
+            const candidate = this.sort(core.concat(subset), attrs);
+            if (keys.some(key => this.isSubset(key, candidate))) return;
+
+            const closure = this.closure(attrs, fds, candidate).closure;
+            const isKey = closure.length === attrs.length;
+            tried.push({ candidate, closure, isKey });
+            if (isKey) keys.push(candidate);
+        });
+
+        return { keys, core, excluded, tried };
+    },
+
+    /**
+     * All subsets of a list, ordered by size
+     * @param {string[]} list - Elements
+     * @returns {string[][]} Subsets, the empty set first
+     */
+    subsets(list) {
+        const result = [];
+        for (let mask = 0; mask < (1 << list.length); mask++) {
+            result.push(list.filter((item, index) => mask & (1 << index)));
+        }
+        return result.sort((a, b) => a.length - b.length);
+    },
+
+    /**
+     * Attributes that belong to at least one candidate key
+     * @param {string[][]} keys - Candidate keys
+     * @param {string[]} attrs - Schema attributes
+     * @returns {string[]} Prime attributes
+     */
+    primeAttributes(keys, attrs) {
+        return attrs.filter(attr => keys.some(key => key.includes(attr)));
+    },
+
+    /**
+     * Split right-hand sides into single attributes and drop trivial parts
+     * @param {Object[]} fds - Dependencies
+     * @returns {Object[]} Dependencies with one attribute on the right
+     */
+    splitRight(fds) {
+        const result = [];
+        fds.forEach(fd => {
+            fd.rhs.filter(attr => !fd.lhs.includes(attr)).forEach(attr => {
+                if (!result.some(other => this.same(other, { lhs: fd.lhs, rhs: [attr] }))) {
+                    result.push({ lhs: fd.lhs, rhs: [attr] });
+                }
+            });
+        });
+        return result;
+    },
+
+    /**
+     * Compute a minimal cover in the three textbook steps
+     * @param {string[]} attrs - Schema attributes
+     * @param {Object[]} fds - Dependencies
+     * @returns {{cover: Object[], canonical: Object[], split: Object[], reduced: Object[], steps: Object[]}} Cover and log
+     */
+    minimalCover(attrs, fds) {
+        const steps = [];
+
+        // 1. One attribute on every right-hand side
+        const split = this.splitRight(fds);
+        fds.forEach(fd => {
+            const trivial = fd.rhs.filter(attr => fd.lhs.includes(attr));
+            if (trivial.length > 0) {
+                steps.push({ stage: 1, type: 'trivial', fd, attrs: trivial });
+            }
+        });
+
+        // 2. Remove extraneous left-hand side attributes
+        let reduced = split.map(fd => ({ lhs: fd.lhs.slice(), rhs: fd.rhs }));
+        reduced.forEach(fd => {
+            fd.lhs.slice().forEach(attr => {
+                if (fd.lhs.length < 2) return;
+                const rest = fd.lhs.filter(other => other !== attr);
+                const closure = this.closure(attrs, reduced, rest).closure;
+                if (closure.includes(fd.rhs[0])) {
+                    steps.push({ stage: 2, type: 'extraneous', fd: { lhs: fd.lhs.slice(), rhs: fd.rhs }, attr, rest, closure });
+                    fd.lhs = rest;
+                }
+            });
+        });
+        reduced = reduced.filter((fd, index) => reduced.findIndex(other => this.same(other, fd)) === index);
+
+        // 3. Remove redundant dependencies
+        const cover = reduced.slice();
+        reduced.forEach(fd => {
+            const others = cover.filter(other => other !== fd);
+            const closure = this.closure(attrs, others, fd.lhs).closure;
+            if (closure.includes(fd.rhs[0])) {
+                steps.push({ stage: 3, type: 'redundant', fd, closure });
+                cover.splice(cover.indexOf(fd), 1);
+            }
+        });
+
+        return { cover, canonical: this.mergeLeft(attrs, cover), split, reduced, steps };
+    },
+
+    /**
+     * Merge dependencies with the same left-hand side (X → A, X → B becomes X → AB)
+     * @param {string[]} attrs - Schema attributes
+     * @param {Object[]} fds - Dependencies
+     * @returns {Object[]} Merged dependencies
+     */
+    mergeLeft(attrs, fds) {
+        const merged = [];
+        fds.forEach(fd => {
+            const existing = merged.find(other => this.sameSet(other.lhs, fd.lhs));
+            if (existing) {
+                existing.rhs = this.sort(existing.rhs.concat(fd.rhs), attrs);
+            } else {
+                merged.push({ lhs: fd.lhs, rhs: fd.rhs.slice() });
+            }
+        });
+        return merged;
+    },
+
+    /**
+     * Check whether two dependencies are identical
+     * @param {Object} a - Dependency
+     * @param {Object} b - Dependency
+     * @returns {boolean} True when equal
+     */
+    same(a, b) {
+        return this.sameSet(a.lhs, b.lhs) && this.sameSet(a.rhs, b.rhs);
+    },
+
+    /**
+     * Check whether two attribute sets are equal
+     * @param {string[]} a - Attributes
+     * @param {string[]} b - Attributes
+     * @returns {boolean} True when equal
+     */
+    sameSet(a, b) {
+        return a.length === b.length && this.isSubset(a, b);
+    },
+
+    /**
+     * Determine the highest normal form (1NF to BCNF), assuming atomic values
+     *
+     * 2NF is checked on every proper subset of every key, so partial dependencies that
+     * only follow from F are found too; 3NF and BCNF only need the dependencies of F.
+     *
+     * @param {string[]} attrs - Schema attributes
+     * @param {Object[]} fds - Dependencies
+     * @returns {Object} { form, keys, prime, nonPrime, checks: { '2NF', '3NF', 'BCNF' } } where
+     *          each check is a list of violations { lhs, rhs, key?, reason }
+     */
+    normalForm(attrs, fds) {
+        const keys = this.candidateKeys(attrs, fds).keys;
+        const prime = this.primeAttributes(keys, attrs);
+        const nonPrime = attrs.filter(attr => !prime.includes(attr));
+        const split = this.splitRight(fds);
+
+        const partial = [];
+        keys.filter(key => key.length > 1).forEach(key => {
+            this.subsets(key).filter(subset => subset.length > 0 && subset.length < key.length).forEach(subset => {
+                const closure = this.closure(attrs, fds, subset).closure;
+                const determined = nonPrime.filter(attr => closure.includes(attr) && !subset.includes(attr));
+                if (determined.length > 0 && !partial.some(v => this.sameSet(v.lhs, subset))) {
+                    partial.push({ lhs: subset, rhs: determined, key, reason: 'partial' });
+                }
+            });
+        });
+
+        const transitive = split
+            .filter(fd => !this.isSuperkey(attrs, fds, fd.lhs) && !prime.includes(fd.rhs[0]))
+            .map(fd => Object.assign({ reason: 'transitive' }, fd));
+
+        const bcnf = split
+            .filter(fd => !this.isSuperkey(attrs, fds, fd.lhs))
+            .map(fd => Object.assign({ reason: 'not-superkey' }, fd));
+
+        let form = 'BCNF';
+        if (partial.length > 0) form = '1NF';
+        else if (transitive.length > 0) form = '2NF';
+        else if (bcnf.length > 0) form = '3NF';
+
+        return { form, keys, prime, nonPrime, checks: { '2NF': partial, '3NF': transitive, 'BCNF': bcnf } };
+    },
+
+    /**
+     * Parse a decomposition such as "AC, BC, BD", "R1(A, C); R2(B, C)" or one schema per line
+     * @param {string} text - Decomposition text
+     * @param {string[]} attrs - Schema attributes
+     * @returns {string[][]} Component schemas
+     */
+    parseDecomposition(text, attrs) {
+        let parts;
+        if (text.includes('(')) {
+            parts = Array.from(text.matchAll(/\(([^)]*)\)/g), match => match[1]);
+        } else {
+            parts = text.split(/[;\n]/).map(part => part.trim()).filter(Boolean);
+            if (parts.length === 1 && attrs.every(attr => attr.length === 1)) {
+                parts = parts[0].split(/[\s,]+/).filter(Boolean);
+            }
+        }
+
+        const schemas = parts.map(part => {
+            const schema = this.splitNames(part.replace(/[{}]/g, ''), attrs);
+            schema.forEach(attr => {
+                if (!attrs.includes(attr)) {
+                    throw new Error(`Unknown attribute ${attr} in the decomposition`);
+                }
+            });
+            if (schema.length === 0) {
+                throw new Error('The decomposition contains an empty schema');
+            }
+            return this.sort(schema, attrs);
+        });
+
+        if (schemas.length === 0) {
+            throw new Error('Enter at least one schema for the decomposition');
+        }
+
+        const missing = attrs.filter(attr => !schemas.some(schema => schema.includes(attr)));
+        if (missing.length > 0) {
+            throw new Error(`The decomposition loses attribute${missing.length > 1 ? 's' : ''} ${missing.join(', ')}`);
+        }
+
+        return schemas;
+    },
+
+    /**
+     * 3NF synthesis: one schema per dependency of the canonical cover, plus a key if no schema contains one
+     * @param {string[]} attrs - Schema attributes
+     * @param {Object[]} fds - Dependencies
+     * @returns {{cover: Object[], schemas: Object[], removed: Object[], key: string[]|null}} Result and log;
+     *          schemas are { attrs, fd } where fd is null for the added key schema
+     */
+    synthesize3NF(attrs, fds) {
+        const cover = this.minimalCover(attrs, fds).canonical;
+        let schemas = cover.map(fd => ({ attrs: this.sort(fd.lhs.concat(fd.rhs), attrs), fd }));
+
+        // Drop schemas contained in another one
+        const removed = [];
+        schemas = schemas.filter((schema, index) => {
+            const container = schemas.find((other, otherIndex) =>
+                otherIndex !== index && this.isSubset(schema.attrs, other.attrs) &&
+                (other.attrs.length > schema.attrs.length || otherIndex < index));
+            if (container) removed.push({ schema, container });
+            return !container;
+        });
+
+        const keys = this.candidateKeys(attrs, fds).keys;
+        let key = null;
+        if (!schemas.some(schema => keys.some(k => this.isSubset(k, schema.attrs)))) {
+            key = keys[0];
+            schemas.push({ attrs: key, fd: null });
+        }
+
+        return { cover, schemas, removed, key };
+    },
+
+    /**
+     * Find a dependency that violates BCNF inside a sub-schema
+     *
+     * Dependencies of F are tried first, as in the worked solutions; otherwise every
+     * subset X of the sub-schema is tested against F⁺.
+     *
+     * @param {string[]} attrs - Schema attributes
+     * @param {Object[]} fds - Dependencies of the whole schema
+     * @param {string[]} schema - Sub-schema
+     * @returns {Object|null} { lhs, rhs, closure } with rhs = (X⁺ ∩ S) − X, or null when in BCNF
+     */
+    bcnfViolation(attrs, fds, schema) {
+        const check = (x) => {
+            const closure = this.closure(attrs, fds, x).closure;
+            const inside = closure.filter(attr => schema.includes(attr) && !x.includes(attr));
+            return inside.length > 0 && !this.isSubset(schema, closure) ? { lhs: x, rhs: inside, closure } : null;
+        };
+
+        for (const fd of this.splitRight(fds)) {
+            if (this.isSubset(fd.lhs, schema) && schema.includes(fd.rhs[0])) {
+                const violation = check(fd.lhs);
+                if (violation) return violation;
+            }
+        }
+
+        if (schema.length > 16) {
+            throw new Error('Too many attributes to check BCNF (at most 16)');
+        }
+
+        for (const subset of this.subsets(schema)) {
+            if (subset.length === 0 || subset.length === schema.length) continue;
+            const violation = check(subset);
+            if (violation) return violation;
+        }
+
+        return null;
+    },
+
+    /**
+     * BCNF decomposition: split on a violating X → Y into XY and S − Y until every part is in BCNF
+     * @param {string[]} attrs - Schema attributes
+     * @param {Object[]} fds - Dependencies
+     * @returns {{schemas: string[][], steps: Object[]}} Result and splits { schema, violation, parts }
+     */
+    decomposeBCNF(attrs, fds) {
+        const schemas = [];
+        const steps = [];
+        const queue = [attrs];
+
+        while (queue.length > 0) {
+            const schema = queue.shift();
+            const violation = this.bcnfViolation(attrs, fds, schema);
+
+            if (!violation) {
+                schemas.push(schema);
+                continue;
+            }
+
+            const parts = [
+                this.sort(violation.lhs.concat(violation.rhs), attrs),
+                schema.filter(attr => !violation.rhs.includes(attr))
+            ];
+            steps.push({ schema, violation, parts });
+            queue.unshift(...parts);
+        }
+
+        return { schemas, steps };
+    },
+
+    /**
+     * Lossless-join test with the chase tableau
+     *
+     * Row i stands for schema R_i; a cell holds a_j when R_i contains attribute j and b_ij
+     * otherwise. Each dependency X → A equates the A values of rows that agree on X
+     * (preferring a_j). The join is lossless when some row becomes all a's.
+     *
+     * @param {string[]} attrs - Schema attributes
+     * @param {Object[]} fds - Dependencies
+     * @param {string[][]} schemas - Decomposition
+     * @returns {{initial: string[][], steps: Object[], lossless: boolean, row: number}} Tableaux and result;
+     *          cells are "a:j" or "b:i:j", steps are { fd, rows, attr, from, to, tableau }
+     */
+    chase(attrs, fds, schemas) {
+        let tableau = schemas.map((schema, i) => attrs.map((attr, j) => (schema.includes(attr) ? `a:${j}` : `b:${i}:${j}`)));
+        const initial = tableau;
+        const steps = [];
+        const split = this.splitRight(fds);
+        const solvedRow = () => tableau.findIndex(row => row.every(cell => cell.startsWith('a:')));
+
+        let changed = solvedRow() === -1;
+        while (changed) {
+            changed = false;
+
+            for (const fd of split) {
+                const lhs = fd.lhs.map(attr => attrs.indexOf(attr));
+                const column = attrs.indexOf(fd.rhs[0]);
+                const groups = new Map();
+
+                tableau.forEach((row, index) => {
+                    const key = lhs.map(j => row[j]).join('|');
+                    if (!groups.has(key)) groups.set(key, []);
+                    groups.get(key).push(index);
+                });
+
+                groups.forEach(rows => {
+                    const values = Array.from(new Set(rows.map(index => tableau[index][column])));
+                    if (rows.length < 2 || values.length < 2) return;
+
+                    const to = values.find(value => value.startsWith('a:')) ||
+                        values.slice().sort((x, y) => Number(x.split(':')[1]) - Number(y.split(':')[1]))[0];
+                    tableau = tableau.map(row => row.map((cell, j) => (j === column && values.includes(cell) ? to : cell)));
+                    steps.push({ fd, rows, attr: fd.rhs[0], from: values.filter(value => value !== to), to, tableau });
+                    changed = true;
+                });
+
+                if (solvedRow() !== -1) {
+                    changed = false;
+                    break;
+                }
+            }
+        }
+
+        const row = solvedRow();
+        return { initial, steps, lossless: row !== -1, row };
+    },
+
+    /**
+     * Dependency preservation test without computing projections:
+     * Z := X, then repeatedly Z := Z ∪ ((Z ∩ R_i)⁺ ∩ R_i); X → Y is preserved when Y ⊆ Z
+     * @param {string[]} attrs - Schema attributes
+     * @param {Object[]} fds - Dependencies
+     * @param {string[][]} schemas - Decomposition
+     * @returns {Object[]} Per dependency { fd, preserved, within, trace } where within is the index of a
+     *          schema containing the whole dependency (or -1) and trace lists { schema, result }
+     */
+    preservation(attrs, fds, schemas) {
+        return fds.map(fd => {
+            const whole = this.sort(fd.lhs.concat(fd.rhs), attrs);
+            const within = schemas.findIndex(schema => this.isSubset(whole, schema));
+            const trace = [];
+            let z = fd.lhs.slice();
+
+            if (within === -1) {
+                let changed = true;
+                while (changed && !this.isSubset(fd.rhs, z)) {
+                    changed = false;
+                    schemas.forEach((schema, index) => {
+                        const closure = this.closure(attrs, fds, z.filter(attr => schema.includes(attr))).closure;
+                        const added = closure.filter(attr => schema.includes(attr) && !z.includes(attr));
+                        if (added.length > 0) {
+                            z = this.sort(z.concat(added), attrs);
+                            trace.push({ schema: index, result: z });
+                            changed = true;
+                        }
+                    });
+                }
+            }
+
+            return { fd, preserved: within !== -1 || this.isSubset(fd.rhs, z), within, trace };
+        });
+    },
+
+    /**
+     * Inference rules of proofs: the Armstrong axioms and the rules derived from them
+     */
+    rules: {
+        given: { label: 'Given', premises: 0, axiom: true },
+        reflexivity: { label: 'Reflexivity', premises: 0, axiom: true },
+        augmentation: { label: 'Augmentation', premises: 1, axiom: true },
+        transitivity: { label: 'Transitivity', premises: 2, axiom: true },
+        union: { label: 'Union', premises: 2, axiom: false },
+        decomposition: { label: 'Decomposition', premises: 1, axiom: false },
+        'pseudo-transitivity': { label: 'Pseudo-transitivity', premises: 2, axiom: false }
+    },
+
+    ruleAliases: {
+        given: 'given', premise: 'given', f: 'given',
+        reflexivity: 'reflexivity', refl: 'reflexivity', trivial: 'reflexivity',
+        augmentation: 'augmentation', aug: 'augmentation', expandability: 'augmentation', expansion: 'augmentation',
+        transitivity: 'transitivity', trans: 'transitivity',
+        union: 'union', additivity: 'union',
+        decomposition: 'decomposition', decomp: 'decomposition', projectivity: 'decomposition',
+        'pseudo-transitivity': 'pseudo-transitivity', pseudotransitivity: 'pseudo-transitivity', pseudo: 'pseudo-transitivity'
+    },
+
+    /**
+     * Parse a proof with one step per line: "3. AB → C   transitivity 1, 2"
+     * @param {string} text - Proof text; the step number in front is optional
+     * @param {string[]} attrs - Schema attributes
+     * @returns {Object[]} Steps { number, line, fd, rule, refs }
+     */
+    parseProof(text, attrs) {
+        const steps = [];
+        const names = Object.keys(this.ruleAliases).join('|');
+        const pattern = new RegExp(`^(.*\\S)\\s+(${names})\\b(.*)$`, 'i');
+
+        text.split('\n').forEach((raw, index) => {
+            const line = index + 1;
+            const body = raw.replace(/^\s*\(?\d+[.):]\s*/, '').trim();
+            if (body === '') return;
+
+            const match = body.match(pattern);
+            if (!match) {
+                throw new Error(`Line ${line}: write a dependency followed by its rule, e.g. "A → C  transitivity 1, 2"`);
+            }
+            if (!/^[\s\d,()]*$/.test(match[3])) {
+                throw new Error(`Line ${line}: "${match[3].trim()}" is not a list of step numbers`);
+            }
+
+            const fds = this.parseDependencies(match[1], attrs);
+            if (fds.length !== 1) {
+                throw new Error(`Line ${line}: a step derives exactly one dependency`);
+            }
+
+            steps.push({
+                number: steps.length + 1,
+                line,
+                fd: fds[0],
+                rule: this.ruleAliases[match[2].toLowerCase()],
+                refs: (match[3].match(/\d+/g) || []).map(Number)
+            });
+        });
+
+        if (steps.length === 0) {
+            throw new Error('Write at least one step');
+        }
+        return steps;
+    },
+
+    /**
+     * Check every step of a proof
+     * @param {string[]} attrs - Schema attributes
+     * @param {Object[]} fds - Given dependencies F
+     * @param {Object[]} steps - Steps from parseProof()
+     * @param {boolean} axiomsOnly - Allow only the Armstrong axioms
+     * @returns {Object[]} Steps with { error, follows } where error is null for a valid step and
+     *          follows tells whether the dependency is implied by F at all
+     */
+    checkProof(attrs, fds, steps, axiomsOnly) {
+        const checked = [];
+        steps.forEach(step => {
+            const rule = this.rules[step.rule];
+            let error = null;
+
+            if (axiomsOnly && !rule.axiom) {
+                error = `Only the Armstrong axioms are allowed here: derive ${rule.label.toLowerCase()} from them`;
+            } else if (step.refs.length !== rule.premises) {
+                error = `${rule.label} uses ${rule.premises === 0 ? 'no earlier steps' : `${rule.premises} earlier step${rule.premises > 1 ? 's' : ''}`}, not ${step.refs.length}`;
+            } else {
+                const late = step.refs.find(ref => ref < 1 || ref >= step.number);
+                const broken = step.refs.find(ref => checked[ref - 1] && checked[ref - 1].error);
+                if (late !== undefined) {
+                    error = `Step ${late} does not come before this step`;
+                } else if (broken !== undefined) {
+                    error = `Step ${broken} is invalid`;
+                } else {
+                    error = this.checkRule(attrs, fds, step.rule, step.fd, step.refs.map(ref => steps[ref - 1].fd));
+                }
+            }
+
+            const follows = this.isSubset(step.fd.rhs, this.closure(attrs, fds, step.fd.lhs).closure);
+            checked.push(Object.assign({}, step, { error, follows }));
+        });
+        return checked;
+    },
+
+    /**
+     * Check one application of an inference rule
+     * @param {string[]} attrs - Schema attributes
+     * @param {Object[]} fds - Given dependencies F
+     * @param {string} rule - Rule name
+     * @param {Object} fd - Derived dependency
+     * @param {Object[]} premises - Dependencies of the referenced steps
+     * @returns {string|null} Why the step is invalid, or null
+     */
+    checkRule(attrs, fds, rule, fd, premises) {
+        const text = (set) => {
+            if (set.length === 0) return '∅';
+            return set.every(attr => attr.length === 1) ? set.join('') : set.join(' ');
+        };
+        const minus = (a, b) => a.filter(attr => !b.includes(attr));
+        const union = (a, b) => this.sort(a.concat(b), attrs);
+        const [p, q] = premises;
+
+        switch (rule) {
+            case 'given':
+                return fds.some(other => this.same(other, fd)) ? null : `${this.fdText(fd)} is not in F`;
+
+            case 'reflexivity': {
+                const missing = minus(fd.rhs, fd.lhs);
+                return missing.length === 0 ? null : `Reflexivity only gives X → Y with Y ⊆ X, but ${text(missing)} is not on the left-hand side`;
+            }
+
+            case 'augmentation': {
+                // XW → YW from X → Y: the attributes added on the left must also be added on the right and vice versa
+                const addedLeft = minus(fd.lhs, p.lhs);
+                const addedRight = minus(fd.rhs, p.rhs);
+                if (!this.isSubset(p.lhs, fd.lhs) || !this.isSubset(p.rhs, fd.rhs)) {
+                    return `Augmentation keeps both sides of ${this.fdText(p)} and only adds attributes`;
+                }
+                if (!this.isSubset(addedLeft, fd.rhs) || !this.isSubset(addedRight, fd.lhs)) {
+                    return `Augmentation adds the same attributes W to both sides, but ${text(union(minus(addedLeft, fd.rhs), minus(addedRight, fd.lhs)))} was added to one side only`;
+                }
+                return null;
+            }
+
+            case 'transitivity': {
+                const chain = [[p, q], [q, p]].find(([a, b]) => this.sameSet(a.rhs, b.lhs));
+                if (!chain) {
+                    return `Transitivity needs X → Y and Y → Z: the right-hand side of one step must equal the left-hand side of the other`;
+                }
+                const expected = { lhs: chain[0].lhs, rhs: chain[1].rhs };
+                return this.same(expected, fd) ? null : `Transitivity of these steps gives ${this.fdText(expected)}`;
+            }
+
+            case 'union': {
+                if (!this.sameSet(p.lhs, q.lhs)) {
+                    return 'Union needs two dependencies with the same left-hand side';
+                }
+                const expected = { lhs: p.lhs, rhs: union(p.rhs, q.rhs) };
+                return this.same(expected, fd) ? null : `Union of these steps gives ${this.fdText(expected)}`;
+            }
+
+            case 'decomposition':
+                if (!this.sameSet(p.lhs, fd.lhs)) {
+                    return `Decomposition keeps the left-hand side ${text(p.lhs)}`;
+                }
+                return this.isSubset(fd.rhs, p.rhs) ? null : `Decomposition can only keep part of the right-hand side ${text(p.rhs)}`;
+
+            default: {
+                // Pseudo-transitivity: X → Y and WY → Z give WX → Z
+                const chain = [[p, q], [q, p]].find(([a, b]) => this.isSubset(a.rhs, b.lhs));
+                if (!chain) {
+                    return 'Pseudo-transitivity needs X → Y and WY → Z: the right-hand side of one step must be part of the left-hand side of the other';
+                }
+                const [a, b] = chain;
+                const least = union(a.lhs, minus(b.lhs, a.rhs));
+                if (!this.sameSet(fd.rhs, b.rhs) || !this.isSubset(least, fd.lhs) || !this.isSubset(fd.lhs, union(a.lhs, b.lhs))) {
+                    return `Pseudo-transitivity of these steps gives ${this.fdText({ lhs: least, rhs: b.rhs })}`;
+                }
+                return null;
+            }
+        }
+    },
+
+    /**
+     * Find a shortest derivation of a dependency from F
+     *
+     * Dijkstra's algorithm generalized to rules with several premises (Knuth): the cost of a
+     * dependency is one plus the cost of its premises, so the result is a smallest proof tree.
+     * Dependencies are bit masks over the attributes that appear in F and in the target.
+     *
+     * @param {string[]} attrs - Schema attributes
+     * @param {Object[]} fds - Given dependencies F
+     * @param {Object} target - Dependency to derive
+     * @param {boolean} axiomsOnly - Use only the Armstrong axioms
+     * @returns {Object[]|null} Steps { number, fd, rule, refs }, or null when F does not imply the target
+     */
+    derive(attrs, fds, target, axiomsOnly) {
+        if (!this.isSubset(target.rhs, this.closure(attrs, fds, target.lhs).closure)) {
+            return null;
+        }
+
+        const used = this.sort([].concat(...fds.concat(target).map(fd => fd.lhs.concat(fd.rhs))), attrs);
+        if (used.length > 6) {
+            throw new Error(`The search handles at most 6 attributes, but F and the target use ${used.length}`);
+        }
+
+        const n = used.length;
+        const full = (1 << n) - 1;
+        const mask = (set) => set.reduce((bits, attr) => bits | (1 << used.indexOf(attr)), 0);
+        const key = (lhs, rhs) => (lhs << n) | rhs;
+        const cost = [];
+        const how = [];
+        const buckets = [];
+        const settled = [];
+        const done = [];
+        const byLhs = [];
+        const byRhs = [];
+
+        const relax = (lhs, rhs, value, rule, premises) => {
+            const k = key(lhs, rhs);
+            if (rhs === 0 || (cost[k] !== undefined && cost[k] <= value)) return;
+            cost[k] = value;
+            how[k] = { rule, premises };
+            (buckets[value] = buckets[value] || []).push(k);
+        };
+
+        fds.forEach(fd => relax(mask(fd.lhs), mask(fd.rhs), 1, 'given', []));
+        for (let lhs = 0; lhs <= full; lhs++) {
+            for (let rhs = lhs; rhs > 0; rhs = (rhs - 1) & lhs) relax(lhs, rhs, 1, 'reflexivity', []);
+        }
+
+        const goal = key(mask(target.lhs), mask(target.rhs));
+        for (let c = 1; c < buckets.length && settled[goal] === undefined; c++) {
+            (buckets[c] || []).forEach(k => {
+                if (settled[k] !== undefined || cost[k] !== c || settled[goal] !== undefined) return;
+                const lhs = k >> n;
+                const rhs = k & full;
+                settled[k] = true;
+                done.push(k);
+                (byLhs[lhs] = byLhs[lhs] || []).push(k);
+                (byRhs[rhs] = byRhs[rhs] || []).push(k);
+
+                for (let w = 1; w <= full; w++) relax(lhs | w, rhs | w, c + 1, 'augmentation', [k]);
+                (byLhs[rhs] || []).forEach(g => relax(lhs, g & full, c + cost[g] + 1, 'transitivity', [k, g]));
+                (byRhs[lhs] || []).forEach(g => relax(g >> n, rhs, c + cost[g] + 1, 'transitivity', [g, k]));
+                if (axiomsOnly) return;
+
+                for (let part = (rhs - 1) & rhs; part > 0; part = (part - 1) & rhs) relax(lhs, part, c + 1, 'decomposition', [k]);
+                byLhs[lhs].forEach(g => relax(lhs, rhs | (g & full), c + cost[g] + 1, 'union', [k, g]));
+                done.forEach(g => {
+                    const gl = g >> n;
+                    const gr = g & full;
+                    if ((rhs & gl) === rhs) relax(lhs | (gl & ~rhs), gr, c + cost[g] + 1, 'pseudo-transitivity', [k, g]);
+                    if ((gr & lhs) === gr) relax(gl | (lhs & ~gr), rhs, c + cost[g] + 1, 'pseudo-transitivity', [g, k]);
+                });
+            });
+        }
+
+        if (settled[goal] === undefined) return null;
+
+        // Write the proof tree out in dependency order, each dependency once
+        const unmask = (bits) => used.filter((attr, index) => bits & (1 << index));
+        const numbers = {};
+        const steps = [];
+        const visit = (k) => {
+            if (numbers[k] === undefined) {
+                const refs = how[k].premises.map(visit);
+                steps.push({ number: steps.length + 1, fd: { lhs: unmask(k >> n), rhs: unmask(k & full) }, rule: how[k].rule, refs });
+                numbers[k] = steps.length;
+            }
+            return numbers[k];
+        };
+        visit(goal);
+        return steps;
+    },
+
+    /**
+     * Write proof steps in the syntax of parseProof()
+     * @param {Object[]} steps - Steps { number, fd, rule, refs }
+     * @returns {string} Proof text
+     */
+    proofText(steps) {
+        const lines = steps.map(step => `${step.number}. ${this.fdText(step.fd)}`);
+        const width = Math.max(...lines.map(line => line.length)) + 3;
+        return steps.map((step, index) =>
+            `${lines[index].padEnd(width)}${step.rule}${step.refs.length > 0 ? ` ${step.refs.join(', ')}` : ''}`
+        ).join('\n');
+    },
+
+    /**
+     * Render an attribute set as LaTeX: "AB" for single letters, otherwise a comma list
+     * @param {string[]} set - Attributes
+     * @returns {string} LaTeX
+     */
+    setLatex(set) {
+        if (set.length === 0) return '\\emptyset';
+        if (set.every(attr => attr.length === 1)) return set.join('');
+        return set.map(attr => this.nameLatex(attr)).join(', ');
+    },
+
+    /**
+     * Render the closure symbol of an attribute set: AB⁺, or (Name, Dept)⁺ for longer names
+     * @param {string[]} set - Attributes
+     * @returns {string} LaTeX
+     */
+    closureLatex(set) {
+        const latex = this.setLatex(set);
+        return set.length === 1 || set.every(attr => attr.length === 1) ? `${latex}^+` : `(${latex})^+`;
+    },
+
+    /**
+     * Render an attribute set in braces, as in X⁺ = {A, B, C}
+     * @param {string[]} set - Attributes
+     * @returns {string} LaTeX
+     */
+    bracesLatex(set) {
+        return `\\{${set.map(attr => this.nameLatex(attr)).join(', ')}\\}`;
+    },
+
+    /**
+     * Render an attribute name as LaTeX
+     * @param {string} name - Attribute name
+     * @returns {string} LaTeX
+     */
+    nameLatex(name) {
+        return name.length === 1 ? name : `\\text{${name.replace(/_/g, '\\_')}}`;
+    },
+
+    /**
+     * Render a dependency as LaTeX
+     * @param {Object} fd - Dependency
+     * @returns {string} LaTeX
+     */
+    fdLatex(fd) {
+        return `${this.setLatex(fd.lhs)} \\rightarrow ${this.setLatex(fd.rhs)}`;
+    },
+
+    /**
+     * Render a dependency set as LaTeX
+     * @param {Object[]} fds - Dependencies
+     * @returns {string} LaTeX
+     */
+    fdsLatex(fds) {
+        return `\\{${fds.map(fd => this.fdLatex(fd)).join(',\\ ')}\\}`;
+    },
+
+    /**
+     * Render a dependency in the input syntax
+     * @param {Object} fd - Dependency
+     * @returns {string} Text such as "AB → C"
+     */
+    fdText(fd) {
+        const side = (set) => (set.every(attr => attr.length === 1) ? set.join('') : set.join(' '));
+        return `${side(fd.lhs)} → ${side(fd.rhs)}`;
+    }
+};
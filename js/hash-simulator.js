@@ -0,0 +1,348 @@
+/**
+ * Hash Index Simulator Module
+ * Fills bucket blocks and overflow chains and reports search and insert costs
+ */
+
+const HashSimulator = {
+    form: null,
+    output: null,
+    highlight: null,
+
+    functions: {
+        mod: 'h(k) = k mod B',
+        digits: 'h(k) = (sum of digits) mod B',
+        chars: 'h(k) = (sum of character codes) mod B'
+    },
+
+    examples: [
+        { label: 'Ex 22: 7 buckets, one record per block', buckets: 7, capacity: 1, hash: 'mod', keys: '56, 91, 27, 19, 36, 52, 79' },
+        { label: 'Overflow chains: 3 buckets, 2 records per block', buckets: 3, capacity: 2, hash: 'mod', keys: '3, 6, 9, 12, 15, 4, 7, 10, 2, 18, 21' },
+        { label: 'Text keys with character codes', buckets: 5, capacity: 2, hash: 'chars', keys: 'Anna, Bela, Cili, Dani, Emil, Feri, Gabi, Hedi' }
+    ],
+
+    /**
+     * Initialize the simulator panel
+     */
+    init() {
+        this.form = document.getElementById('hashSimulator');
+        this.output = document.getElementById('hashOutput');
+        const examples = document.getElementById('hashExample');
+
+        if (!this.form || !this.output || !examples) {
+            return;
+        }
+
+        this.examples.forEach((example, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = example.label;
+            examples.appendChild(option);
+        });
+
+        examples.addEventListener('change', () => {
+            const example = this.examples[examples.value];
+            if (!example) return;
+            this.form.elements.buckets.value = example.buckets;
+            this.form.elements.capacity.value = example.capacity;
+            this.form.elements.hash.value = example.hash;
+            this.form.elements.keys.value = example.keys;
+            this.highlight = null;
+            this.update();
+        });
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.insert();
+        });
+        this.form.querySelector('[data-operation="search"]').addEventListener('click', () => this.search());
+        this.form.addEventListener('input', Utils.debounce((e) => {
+            if (e.target.name === 'key') return;
+            this.highlight = null;
+            this.update();
+        }, 300));
+        this.update();
+    },
+
+    /**
+     * Read and check the form
+     * @returns {{buckets: number, capacity: number, hash: string, keys: Array}} Parameters
+     */
+    readParams() {
+        const elements = this.form.elements;
+        const buckets = Number(elements.buckets.value);
+        const capacity = Number(elements.capacity.value);
+
+        if (!Number.isInteger(buckets) || buckets < 1 || buckets > 50) {
+            throw new Error('The number of buckets B must be a whole number from 1 to 50');
+        }
+        if (!Number.isInteger(capacity) || capacity < 1 || capacity > 20) {
+            throw new Error('Records per block must be a whole number from 1 to 20');
+        }
+
+        const keys = this.parseKeys(elements.keys.value);
+        return { buckets, capacity, hash: elements.hash.value, keys };
+    },
+
+    /**
+     * Split a key list; numeric entries become numbers
+     * @param {string} text - Keys separated by commas, semicolons or new lines
+     * @returns {Array} Keys
+     */
+    parseKeys(text) {
+        return text.split(/[,;\n]/).map(part => part.trim()).filter(Boolean)
+            .map(part => (/^-?\d+$/.test(part) ? Number(part) : part));
+    },
+
+    /**
+     * Hash a key
+     * @param {number|string} key - Key
+     * @param {string} hash - Hash function name
+     * @param {number} buckets - Number of buckets B
+     * @returns {{bucket: number, latex: string}} Bucket and the computation as LaTeX
+     */
+    hash(key, hash, buckets) {
+        const mod = (value) => ((value % buckets) + buckets) % buckets;
+
+        if (hash === 'mod') {
+            if (typeof key !== 'number') {
+                throw new Error(`"${key}" is not a whole number; use the character code hash for text keys`);
+            }
+            return { bucket: mod(key), latex: `${key} \\bmod ${buckets}` };
+        }
+
+        const parts = hash === 'digits'
+            ? String(key).replace(/\D/g, '').split('').map(Number)
+            : Array.from(String(key), char => char.codePointAt(0));
+        if (parts.length === 0) {
+            throw new Error(`"${key}" has no digits to add up`);
+        }
+        const sum = parts.reduce((total, value) => total + value, 0);
+        return { bucket: mod(sum), latex: `(${parts.join(' + ')}) \\bmod ${buckets} = ${sum} \\bmod ${buckets}` };
+    },
+
+    /**
+     * Insert every key into its bucket chain
+     * @param {Object} params - Result of readParams()
+     * @returns {{chains: Array[], placements: Object[]}} Blocks per bucket and where each key went
+     */
+    build(params) {
+        const chains = Array.from({ length: params.buckets }, () => []);
+        const placements = [];
+        const seen = new Set();
+
+        params.keys.forEach(key => {
+            if (seen.has(key)) {
+                throw new Error(`${key} appears twice; a hash index on a key holds every value once`);
+            }
+            seen.add(key);
+
+            const { bucket, latex } = this.hash(key, params.hash, params.buckets);
+            const chain = chains[bucket];
+            const last = chain[chain.length - 1];
+            const overflow = !last || last.length === params.capacity;
+
+            // Reading the chain to its last block, then writing that block (and linking a new one)
+            const reads = chain.length;
+            const writes = overflow && chain.length > 0 ? 2 : 1;
+            if (overflow) chain.push([]);
+            chain[chain.length - 1].push(key);
+
+            placements.push({ key, bucket, latex, block: chain.length, overflow: overflow && chain.length > 1, reads, writes });
+        });
+
+        return { chains, placements };
+    },
+
+    /**
+     * Compute the search and insert costs of the filled table
+     * @param {Object} params - Result of readParams()
+     * @param {Object} table - Result of build()
+     * @returns {Object} Costs in block accesses
+     */
+    costs(params, table) {
+        const { chains, placements } = table;
+        const n = placements.length;
+        const blocks = chains.reduce((sum, chain) => sum + chain.length, 0);
+        const longest = Math.max(...chains.map(chain => chain.length));
+
+        // A key in block j of its chain is found after reading j blocks
+        const successful = n > 0 ? placements.reduce((sum, p) => sum + p.block, 0) / n : 0;
+        const unsuccessful = blocks / params.buckets;
+
+        // Every key in one bucket: key i sits in block ⌈i / capacity⌉
+        let clustered = 0;
+        for (let i = 1; i <= n; i++) clustered += Math.ceil(i / params.capacity);
+
+        const insert = chains.reduce((sum, chain) => {
+            const full = chain.length > 0 && chain[chain.length - 1].length === params.capacity;
+            return sum + chain.length + (full ? 2 : 1);
+        }, 0) / params.buckets;
+
+        return {
+            n,
+            blocks,
+            longest,
+            successful,
+            unsuccessful,
+            withDirectory: 1 + unsuccessful,
+            clustered: n > 0 ? clustered / n : 0,
+            insert,
+            overflowBlocks: blocks - chains.filter(chain => chain.length > 0).length
+        };
+    },
+
+    /**
+     * Add the key from the key field to the record list
+     */
+    insert() {
+        const key = this.form.elements.key.value.trim();
+        if (key === '') return;
+
+        const keys = this.form.elements.keys;
+        keys.value = keys.value.trim() === '' ? key : `${keys.value.trim().replace(/[,;]$/, '')}, ${key}`;
+        this.highlight = { type: 'insert', key: this.parseKeys(key)[0] };
+        this.update();
+    },
+
+    /**
+     * Search for the key in the key field
+     */
+    search() {
+        const key = this.form.elements.key.value.trim();
+        if (key === '') return;
+
+        this.highlight = { type: 'search', key: this.parseKeys(key)[0] };
+        this.update();
+    },
+
+    /**
+     * Rebuild the table and re-render every result
+     */
+    update() {
+        try {
+            const params = this.readParams();
+            const table = this.build(params);
+            const costs = this.costs(params, table);
+
+            this.output.innerHTML = [
+                this.renderOperation(params, table),
+                this.renderTable(params, table),
+                this.renderPlacements(table),
+                this.renderCosts(params, costs)
+            ].join('');
+            Exercises.renderMath(this.output);
+        } catch (error) {
+            this.output.innerHTML = `<div class="calculator-error">${Utils.escapeHTML(error.message)}</div>`;
+        }
+    },
+
+    /**
+     * Describe the last insert or search
+     * @param {Object} params - Result of readParams()
+     * @param {Object} table - Result of build()
+     * @returns {string} HTML with KaTeX delimiters
+     */
+    renderOperation(params, table) {
+        if (!this.highlight) return '';
+
+        const { key, type } = this.highlight;
+        const { bucket, latex } = this.hash(key, params.hash, params.buckets);
+        const chain = table.chains[bucket];
+        const hashed = `\\(h(${this.keyLatex(key)}) = ${latex} = ${bucket}\\)`;
+
+        if (type === 'insert') {
+            const p = table.placements.find(placement => placement.key === key);
+            const where = p.overflow ? `a new overflow block (block ${p.block} of the chain)` : `block ${p.block} of the chain`;
+            return `<div class="info-box"><div class="info-box-title">Inserted ${Utils.escapeHTML(String(key))}</div>` +
+                `<p>${hashed}: it goes to ${where}. Cost: ${p.reads} block read${p.reads === 1 ? '' : 's'} + ${p.writes} write${p.writes === 1 ? '' : 's'}.</p></div>`;
+        }
+
+        const index = chain.findIndex(block => block.includes(key));
+        const result = index === -1
+            ? `not found after reading the whole chain (${chain.length} block${chain.length === 1 ? '' : 's'})`
+            : `found in block ${index + 1} of the chain after ${index + 1} block read${index === 0 ? '' : 's'}`;
+        return `<div class="info-box"><div class="info-box-title">Search for ${Utils.escapeHTML(String(key))}</div><p>${hashed}: ${result}.</p></div>`;
+    },
+
+    /**
+     * Draw the bucket directory with its block chains
+     * @param {Object} params - Result of readParams()
+     * @param {Object} table - Result of build()
+     * @returns {string} HTML string
+     */
+    renderTable(params, table) {
+        const highlight = this.highlight;
+        const target = highlight ? this.hash(highlight.key, params.hash, params.buckets).bucket : -1;
+
+        const rows = table.chains.map((chain, bucket) => {
+            const searched = highlight && highlight.type === 'search' && bucket === target;
+            const stop = searched ? chain.findIndex(block => block.includes(highlight.key)) : -1;
+
+            const blocks = chain.map((block, index) => {
+                const read = searched && (stop === -1 || index <= stop);
+                const slots = Array.from({ length: params.capacity }, (_, i) => {
+                    const key = block[i];
+                    const marked = highlight && key === highlight.key;
+                    return `<span class="hash-slot${marked ? ' hash-key' : ''}">${key === undefined ? '' : Utils.escapeHTML(String(key))}</span>`;
+                }).join('');
+                const classes = ['hash-block'];
+                if (index > 0) classes.push('hash-overflow');
+                if (read) classes.push('hash-read');
+                return `<span class="${classes.join(' ')}">${slots}</span>`;
+            }).join('<span class="hash-link">→</span>');
+
+            return `<div class="hash-bucket${bucket === target ? ' hash-target' : ''}"><span class="hash-directory">${bucket}</span>` +
+                `<span class="hash-link">→</span>${blocks || '<span class="hash-empty">empty</span>'}</div>`;
+        }).join('');
+
+        return `<h4>Buckets</h4><p class="hash-legend">Directory entry → first block → overflow blocks. ${Utils.escapeHTML(this.functions[params.hash])}, B = ${params.buckets}, ${params.capacity} record${params.capacity === 1 ? '' : 's'} per block.</p><div class="hash-table">${rows}</div>`;
+    },
+
+    /**
+     * List where every key was stored
+     * @param {Object} table - Result of build()
+     * @returns {string} HTML with KaTeX delimiters
+     */
+    renderPlacements(table) {
+        if (table.placements.length === 0) {
+            return '<p>No records yet.</p>';
+        }
+
+        const rows = table.placements.map(p =>
+            `<tr><td>${Utils.escapeHTML(String(p.key))}</td><td>\\(${p.latex} = ${p.bucket}\\)</td><td>${p.block}${p.overflow ? ' (new overflow block)' : ''}</td></tr>`
+        ).join('');
+
+        return `<table class="ra-table"><tr><th>Key</th><th>Hash</th><th>Block in chain</th></tr>${rows}</table>`;
+    },
+
+    /**
+     * Build the cost summary next to the section's formulas
+     * @param {Object} params - Result of readParams()
+     * @param {Object} c - Result of costs()
+     * @returns {string} HTML with KaTeX delimiters
+     */
+    renderCosts(params, c) {
+        const d = (value) => (Number.isInteger(value) ? String(value) : value.toFixed(2));
+
+        return '<h4>Costs (block accesses)</h4>' +
+            '<div class="formula"><strong>Successful search</strong> (a key in block \\(j\\) of its chain costs \\(j\\) reads)' +
+            `\\[\\text{Avg} = \\frac{\\sum j}{n} = \\frac{${d(c.successful * c.n)}}{${c.n}} = ${d(c.successful)}\\]` +
+            `<p>Worst case in this table: ${c.longest} read${c.longest === 1 ? '' : 's'} (longest chain). ` +
+            `If every key landed in one bucket the average would be \\(${d(c.clustered)}\\).</p></div>` +
+            '<div class="formula"><strong>Unsuccessful search</strong> (the whole chain is read)' +
+            `\\[\\text{Avg} = \\frac{\\text{blocks}}{B} = \\frac{${c.blocks}}{${params.buckets}} = ${d(c.unsuccessful)}\\]` +
+            `<p>With the directory block read first, as in the section: \\(\\text{Cost} = 1 + ${d(c.unsuccessful)} = ${d(c.withDirectory)}\\)</p></div>` +
+            '<div class="formula"><strong>Insert</strong> (read the chain, write its last block; a full block also needs a new overflow block)' +
+            `\\[\\text{Avg over buckets} = ${d(c.insert)}\\]` +
+            `<p>${c.blocks} block${c.blocks === 1 ? '' : 's'} in use, ${c.overflowBlocks} of them for overflow.</p></div>`;
+    },
+
+    /**
+     * Render a key as LaTeX
+     * @param {number|string} key - Key
+     * @returns {string} LaTeX
+     */
+    keyLatex(key) {
+        return typeof key === 'number' ? String(key) : `\\text{${String(key).replace(/[\\{}$&#^_%~]/g, '')}}`;
+    }
+};
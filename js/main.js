@@ -18,16 +18,135 @@
             Navigation.loadFromHash();
         }
 
+        // Initialize Offline Support
+        if (typeof Offline !== 'undefined') {
+            Offline.init();
+        }
+
+        // Render the exercises and formula tables first: the other modules set up what they find on the page
+        const contentReady = typeof Content !== 'undefined' ? Content.init() : Promise.resolve();
+        contentReady.then(initializeModules);
+    }
+
+    /**
+     * Initialize the modules that work on the rendered content
+     */
+    function initializeModules() {
+        // Initialize Exercise Packs (before the modules that set up exercises)
+        if (typeof ExercisePacks !== 'undefined') {
+            ExercisePacks.init();
+        }
+
         // Initialize Exercises
         if (typeof Exercises !== 'undefined') {
             Exercises.init();
         }
 
+        // Initialize Exercise Progress Tracking
+        if (typeof Progress !== 'undefined') {
+            Progress.init();
+        }
+
+        // Initialize Answer Checking
+        if (typeof Answers !== 'undefined') {
+            Answers.init();
+        }
+
+        // Initialize Mock Exam (after Answers, which it uses for auto-checking)
+        if (typeof MockExam !== 'undefined') {
+            MockExam.init();
+        }
+
+        // Initialize ER Diagram Editor
+        if (typeof EREditor !== 'undefined') {
+            EREditor.init();
+        }
+
+        // Initialize Storage Calculator
+        if (typeof StorageCalculator !== 'undefined') {
+            StorageCalculator.init();
+        }
+
+        // Initialize Exercise Generator
+        if (typeof ExerciseGenerator !== 'undefined') {
+            ExerciseGenerator.init();
+        }
+
+        // Initialize B* Tree Visualizer
+        if (typeof BStarVisualizer !== 'undefined') {
+            BStarVisualizer.init();
+        }
+
+        // Initialize Hash Index Simulator
+        if (typeof HashSimulator !== 'undefined') {
+            HashSimulator.init();
+        }
+
+        // Initialize Query Cost Estimator
+        if (typeof CostEstimator !== 'undefined') {
+            CostEstimator.init();
+        }
+
+        // Initialize Relational Algebra Evaluator
+        if (typeof RAEvaluator !== 'undefined') {
+            RAEvaluator.init();
+        }
+
+        // Initialize SQL Sandbox
+        if (typeof SQLSandbox !== 'undefined') {
+            SQLSandbox.init();
+        }
+
+        // Initialize RA ↔ SQL Translator
+        if (typeof RASQLTranslator !== 'undefined') {
+            RASQLTranslator.init();
+        }
+
+        // Initialize Query Tree Builder
+        if (typeof QueryTreeBuilder !== 'undefined') {
+            QueryTreeBuilder.init();
+        }
+
+        // Initialize Functional Dependency Toolkit
+        if (typeof FDToolkit !== 'undefined') {
+            FDToolkit.init();
+        }
+
+        // Initialize Schema Decomposition Tool
+        if (typeof DecompositionTool !== 'undefined') {
+            DecompositionTool.init();
+        }
+
+        // Initialize Proof Editor
+        if (typeof ProofEditor !== 'undefined') {
+            ProofEditor.init();
+        }
+
+        // Initialize Schedule Analyzer
+        if (typeof ScheduleAnalyzer !== 'undefined') {
+            ScheduleAnalyzer.init();
+        }
+
+        // Initialize Protocol Simulator
+        if (typeof ProtocolSimulator !== 'undefined') {
+            ProtocolSimulator.init();
+        }
+
+        // Initialize Flashcards (reads the tables before math is rendered)
+        if (typeof Flashcards !== 'undefined') {
+            Flashcards.init();
+        }
+
         // Initialize Audio Player
         if (typeof AudioPlayer !== 'undefined') {
             AudioPlayer.init();
         }
 
+        // Initialize Search (indexes the page before math is rendered)
+        if (typeof Search !== 'undefined') {
+            Search.init();
+        }
+
         // Initialize Math Rendering
         if (typeof Utils !== 'undefined') {
             Utils.initMathRendering();
@@ -0,0 +1,300 @@
+/**
+ * Markdown Module
+ * Small Markdown subset for exercise content: headings, paragraphs, lists, tables, code and formulas,
+ * "::: formula" and "::: tip-box Title" boxes, plus front matter blocks; LaTeX between \( \), \[ \] and $$ $$ is left for KaTeX.
+ * Content from outside the repo (exercise packs) is rendered with { html: false }, which escapes HTML
+ */
+
+const Markdown = {
+    listPattern: /^\s*([-*+]|\d+[.)])\s+(.*)$/,
+    tableRulePattern: /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/,
+    boxPattern: /^\s*:::\s*(formula|info-box|tip-box)(?:\s+(.*?))?\s*$/,
+    boxEndPattern: /^\s*:::\s*$/,
+
+    /**
+     * Render Markdown as HTML. Unless options.html is false, blocks that start with an HTML tag
+     * and inline tags are kept as they are, for what Markdown cannot express
+     * @param {string} text - Markdown
+     * @param {Object} [options] - { html: false } to escape HTML instead
+     * @returns {string} HTML string
+     */
+    render(text, options = {}) {
+        const source = String(text || '').replace(/\r\n?/g, '\n');
+        const lines = source.split('\n');
+        const html = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (line.trim() === '') {
+                i++;
+            } else if (/^\s*```/.test(line)) {
+                const code = [];
+                i++;
+                while (i < lines.length && !/^\s*```/.test(lines[i])) code.push(lines[i++]);
+                i++;
+                html.push(`<pre><code>${Utils.escapeHTML(code.join('\n'))}</code></pre>`);
+            } else if (this.boxPattern.test(line)) {
+                const [, name, title] = line.match(this.boxPattern);
+                const body = [];
+                let depth = 1;
+                i++;
+                while (i < lines.length) {
+                    if (this.boxEndPattern.test(lines[i])) depth--;
+                    else if (this.boxPattern.test(lines[i])) depth++;
+                    if (depth === 0) break;
+                    body.push(lines[i++]);
+                }
+                i++;
+                html.push(this.box(name, title, body.join('\n'), options));
+            } else if (/^#{1,6}\s/.test(line)) {
+                const [, hashes, title] = line.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+                html.push(`<h${hashes.length}>${this.inline(title, options)}</h${hashes.length}>`);
+                i++;
+            } else if (options.html !== false && /^\s*</.test(line)) {
+                const block = [];
+                while (i < lines.length && lines[i].trim() !== '') block.push(lines[i++]);
+                html.push(block.join('\n'));
+            } else if (this.isTable(lines, i)) {
+                const rows = [lines[i]];
+                i += 2;
+                while (i < lines.length && lines[i].includes('|')) rows.push(lines[i++]);
+                html.push(this.table(rows, options));
+            } else if (this.listPattern.test(line)) {
+                const ordered = /^\d/.test(line.trim());
+                const items = [];
+                while (i < lines.length && lines[i].trim() !== '') {
+                    const item = lines[i].match(this.listPattern);
+                    if (item) {
+                        items.push(item[2]);
+                    } else if (this.startsBlock(lines, i, options)) {
+                        break;
+                    } else {
+                        items[items.length - 1] += '\n' + lines[i].trim();
+                    }
+                    i++;
+                }
+                const tag = ordered ? 'ol' : 'ul';
+                html.push(`<${tag}>${items.map(item => `<li>${this.inline(item, options)}</li>`).join('')}</${tag}>`);
+            } else {
+                const paragraph = [line.trim()];
+                i++;
+                while (i < lines.length && lines[i].trim() !== '' && !this.startsBlock(lines, i, options)) paragraph.push(lines[i++].trim());
+                const content = paragraph.join('\n');
+
+                // A paragraph of display formulas only gets the formula box of the cheatsheet, unless it is in a box already
+                if (!options.inBox && /^(\\\[[\s\S]*\\\]|\$\$[\s\S]*\$\$)$/.test(content)) {
+                    html.push(`<div class="formula">${this.inline(content, options)}</div>`);
+                } else {
+                    html.push(`<p>${this.inline(content, options)}</p>`);
+                }
+            }
+        }
+
+        return html.join('\n');
+    },
+
+    /**
+     * Check whether a line starts a block other than a paragraph
+     * @param {string[]} lines - Source lines
+     * @param {number} i - Line index
+     * @param {Object} [options] - Render options
+     * @returns {boolean} True if it does
+     */
+    startsBlock(lines, i, options = {}) {
+        const line = lines[i];
+        return /^\s*```/.test(line) || /^#{1,6}\s/.test(line) || this.boxPattern.test(line) || (options.html !== false && /^\s*</.test(line)) ||
+            this.listPattern.test(line) || this.isTable(lines, i);
+    },
+
+    /**
+     * Render a ::: box: a formula box, or a tip or info box with an optional title
+     * @param {string} name - formula, info-box or tip-box
+     * @param {string|undefined} title - Text after the box name
+     * @param {string} body - Markdown between the ::: lines
+     * @param {Object} [options] - Render options
+     * @returns {string} HTML string
+     */
+    box(name, title, body, options = {}) {
+        const heading = title ? `<div class="${name}-title">${this.inline(title, options)}</div>` : '';
+        return `<div class="${name}">${heading}${this.render(body, Object.assign({}, options, { inBox: true }))}</div>`;
+    },
+
+    /**
+     * Check whether a table (header row, then a |---| rule) starts at a line
+     * @param {string[]} lines - Source lines
+     * @param {number} i - Line index
+     * @returns {boolean} True if it does
+     */
+    isTable(lines, i) {
+        return lines[i].includes('|') && i + 1 < lines.length && lines[i + 1].includes('-') &&
+            this.tableRulePattern.test(lines[i + 1]);
+    },
+
+    /**
+     * Render table rows; the first row is the header
+     * @param {string[]} rows - Source lines of the rows, without the rule line
+     * @param {Object} [options] - Render options
+     * @returns {string} HTML table
+     */
+    table(rows, options = {}) {
+        const cells = rows.map(row => this.cells(row, options));
+        const header = `<tr>${cells[0].map(cell => `<th>${cell}</th>`).join('')}</tr>`;
+        const body = cells.slice(1).map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('');
+        return `<table>${header}${body}</table>`;
+    },
+
+    /**
+     * Split a table row into rendered cells; pipes inside formulas and code do not split
+     * @param {string} row - Source line
+     * @param {Object} [options] - Render options
+     * @returns {string[]} HTML of each cell
+     */
+    cells(row, options = {}) {
+        const saved = [];
+        return this.protect(row.trim().replace(/^\|/, '').replace(/\|$/, ''), saved)
+            .split('|')
+            .map(cell => this.restore(this.format(cell.trim(), options), saved));
+    },
+
+    /**
+     * Render inline Markdown: emphasis, code, links, images and line breaks (a backslash at the end of a line)
+     * @param {string} text - Markdown text
+     * @param {Object} [options] - { html: false } to escape HTML tags in the text
+     * @returns {string} HTML string
+     */
+    inline(text, options = {}) {
+        const saved = [];
+        return this.restore(this.format(this.protect(String(text), saved), options), saved);
+    },
+
+    /**
+     * Replace code spans and formulas with placeholders so emphasis and pipes inside them are kept
+     * @param {string} text - Markdown text
+     * @param {string[]} saved - Receives the HTML of each replaced part
+     * @returns {string} Text with placeholders
+     */
+    protect(text, saved) {
+        const keep = html => {
+            saved.push(html);
+            return `\u0000${saved.length - 1}\u0000`;
+        };
+        return text
+            .replace(/`([^`]+)`/g, (match, code) => keep(`<code>${Utils.escapeHTML(code)}</code>`))
+            .replace(/\\\([\s\S]*?\\\)|\\\[[\s\S]*?\\\]|\$\$[\s\S]*?\$\$/g, math => keep(Utils.escapeHTML(math)));
+    },
+
+    /**
+     * Put the protected parts back
+     * @param {string} html - HTML with placeholders
+     * @param {string[]} saved - HTML of each part
+     * @returns {string} HTML string
+     */
+    restore(html, saved) {
+        return html.replace(/\u0000(\d+)\u0000/g, (match, index) => saved[index]);
+    },
+
+    /**
+     * Apply the inline rules to text without code or formulas.
+     * Links and images only keep http(s) and relative URLs
+     * @param {string} text - Markdown text
+     * @param {Object} [options] - { html: false } to escape HTML tags in the text
+     * @returns {string} HTML string
+     */
+    format(text, options = {}) {
+        // Escaped text is escaped once, so the URLs and alt texts in it are already attribute-safe
+        const escaped = options.html === false;
+        const attribute = value => (escaped ? value : Utils.escapeHTML(value));
+
+        return (escaped ? Utils.escapeHTML(text) : text)
+            .replace(/!\[([^\]]*)\]\(([^)\s]+)\)/g, (match, alt, src) => (this.isSafeUrl(src)
+                ? `<img src="${attribute(src)}" alt="${attribute(alt)}">`
+                : attribute(alt)))
+            .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, href) => (this.isSafeUrl(href)
+                ? `<a href="${attribute(href)}">${label}</a>`
+                : label))
+            .replace(/\\\n/g, '<br>\n')
+            .replace(/\*\*(\S(?:[\s\S]*?\S)?)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^\w*])\*(\S(?:[\s\S]*?\S)?)\*(?![\w*])/g, '$1<em>$2</em>')
+            .replace(/(^|\W)_(\S(?:[\s\S]*?\S)?)_(?!\w)/g, '$1<em>$2</em>');
+    },
+
+    /**
+     * Check that a link or image URL is http(s) or relative, so it cannot run script
+     * @param {string} url - URL as written
+     * @returns {boolean} True if it is safe to use
+     */
+    isSafeUrl(url) {
+        // Browsers ignore control characters and whitespace inside a scheme such as "java\tscript:"
+        const scheme = url.replace(/[\u0000-\u0020]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+        return !scheme || /^https?$/i.test(scheme[1]);
+    },
+
+    /**
+     * Split a file into documents that each start with a front matter block:
+     * a line "---", lines "key: value" and another "---"
+     * Values in [brackets] are lists; whole numbers become numbers
+     * @param {string} text - File contents
+     * @returns {Array<{data: Object, body: string}>} Documents in file order
+     */
+    documents(text) {
+        const lines = String(text).replace(/\r\n?/g, '\n').split('\n');
+        const documents = [];
+        let current = null;
+        let i = 0;
+
+        while (i < lines.length) {
+            if (lines[i].trim() === '---' && this.startsFrontMatter(lines, i + 1)) {
+                current = { data: {}, body: '' };
+                documents.push(current);
+                i++;
+                while (i < lines.length && lines[i].trim() !== '---') {
+                    const entry = lines[i].match(/^\s*([\w-]+)\s*:\s*(.*)$/);
+                    if (entry) {
+                        current.data[entry[1]] = this.value(entry[2]);
+                    } else if (lines[i].trim() !== '') {
+                        throw new Error(`Line ${i + 1}: expected "key: value" in the front matter`);
+                    }
+                    i++;
+                }
+                if (i === lines.length) {
+                    throw new Error('The front matter has no closing "---" line');
+                }
+            } else if (current) {
+                current.body += lines[i] + '\n';
+            } else if (lines[i].trim() !== '') {
+                throw new Error(`Line ${i + 1}: the file must start with a front matter block ("---")`);
+            }
+            i++;
+        }
+
+        documents.forEach(doc => { doc.body = doc.body.trim(); });
+        return documents;
+    },
+
+    /**
+     * Check whether the line after a "---" opens a front matter block
+     * @param {string[]} lines - Source lines
+     * @param {number} i - Index of the line after the "---"
+     * @returns {boolean} True if it is a "key: value" line
+     */
+    startsFrontMatter(lines, i) {
+        return i < lines.length && /^\s*[\w-]+\s*:/.test(lines[i]);
+    },
+
+    /**
+     * Read a front matter value
+     * @param {string} raw - Text after the colon
+     * @returns {string|number|string[]} Value
+     */
+    value(raw) {
+        const text = raw.trim();
+        if (/^\[.*\]$/.test(text)) {
+            return text.slice(1, -1).split(',').map(item => this.value(item)).filter(item => item !== '');
+        }
+        if (/^-?\d+$/.test(text)) return Number(text);
+        const quoted = text.match(/^(["'])(.*)\1$/);
+        return quoted ? quoted[2] : text;
+    }
+};
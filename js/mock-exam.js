@@ -0,0 +1,427 @@
+/**
+ * Mock Exam Module
+ * Timed practice exams drawn from the exercise topics, with scoring and attempt history
+ */
+
+const MockExam = {
+    storageKey: 'dbCheatsheet.exam',
+    section: null,
+    exam: null,
+    timer: null,
+
+    selfGrades: [
+        { score: 1, label: 'Solved' },
+        { score: 0.5, label: 'Partly' },
+        { score: 0, label: 'Missed' }
+    ],
+
+    /**
+     * Initialize the exam panel, resuming an exam that was running when the page was closed
+     */
+    init() {
+        this.section = document.getElementById('exercises');
+        const form = document.getElementById('examSetup');
+        const bar = document.getElementById('examBar');
+        if (!this.section || !form || !bar || typeof Progress === 'undefined') return;
+
+        document.getElementById('examTopics').insertAdjacentHTML('beforeend', Progress.topics.map(topic =>
+            `<label><input type="checkbox" name="topic" value="${topic.id}" checked> ${Utils.escapeHTML(topic.label)}</label>`
+        ).join(''));
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.start(Number(form.elements.count.value), Number(form.elements.minutes.value),
+                Array.from(form.querySelectorAll('[name="topic"]:checked')).map(input => input.value));
+        });
+
+        bar.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-exam-action]');
+            if (!action) return;
+            if (action.dataset.examAction === 'finish' && confirm('Hand in now and see the solutions?')) this.finish();
+            if (action.dataset.examAction === 'save') this.save();
+            if (action.dataset.examAction === 'quit' && confirm('Leave the exam without saving it?')) this.close();
+        });
+
+        this.section.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-exam-grade]');
+            if (button) this.selfGrade(button.closest('.exercise').id, Number(button.dataset.examGrade));
+        });
+
+        document.getElementById('examHistoryClear').addEventListener('click', () => {
+            if (confirm('Delete the history of every mock exam?')) {
+                this.store({ attempts: [] });
+                this.renderHistory();
+            }
+        });
+
+        const saved = this.load();
+        if (saved.current) {
+            this.exam = saved.current;
+            this.begin();
+        }
+        this.renderHistory();
+    },
+
+    /**
+     * Load the running exam and past attempts from localStorage
+     * @returns {{current: Object|null, attempts: Object[]}} Saved state
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            const current = saved && saved.current;
+            return {
+                current: current && Array.isArray(current.exercises) && isFinite(current.endsAt) ? current : null,
+                attempts: saved && Array.isArray(saved.attempts) ? saved.attempts.filter(attempt => attempt && Array.isArray(attempt.exercises)) : []
+            };
+        } catch (err) {
+            console.error('Failed to load mock exams:', err);
+            return { current: null, attempts: [] };
+        }
+    },
+
+    /**
+     * Merge changes into the saved state
+     * @param {Object} changes - Fields to update (current, attempts)
+     */
+    store(changes) {
+        try {
+            const state = Object.assign(this.load(), changes);
+            localStorage.setItem(this.storageKey, JSON.stringify({ version: 1, current: state.current, attempts: state.attempts }));
+        } catch (err) {
+            console.error('Failed to save mock exams:', err);
+        }
+    },
+
+    /**
+     * Topic group of an exercise
+     * @param {string} id - Exercise element ID (e.g. "ex21")
+     * @returns {Object|undefined} Topic from Progress.topics
+     */
+    topicOf(id) {
+        return Progress.topics.find(topic => topic.exercises.includes(id));
+    },
+
+    /**
+     * Draw random exercises from the chosen topics and start the countdown
+     * @param {number} count - Number of exercises
+     * @param {number} minutes - Time limit
+     * @param {string[]} topics - Topic IDs
+     */
+    start(count, minutes, topics) {
+        const pool = Progress.topics
+            .filter(topic => topics.includes(topic.id))
+            .reduce((ids, topic) => ids.concat(topic.exercises), [])
+            .filter(id => document.getElementById(id));
+
+        if (pool.length === 0) {
+            Utils.showNotification('Choose at least one topic', 'error');
+            return;
+        }
+        if (!(count >= 1) || !(minutes >= 1)) {
+            Utils.showNotification('Enter the number of exercises and the time limit', 'error');
+            return;
+        }
+
+        // Fisher-Yates shuffle, then keep the page order of the drawn exercises
+        for (let i = pool.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [pool[i], pool[j]] = [pool[j], pool[i]];
+        }
+        const order = Array.from(this.section.querySelectorAll('.exercise[id]')).map(exercise => exercise.id);
+        const drawn = pool.slice(0, Math.min(count, pool.length)).sort((a, b) => order.indexOf(a) - order.indexOf(b));
+        if (drawn.length < count) {
+            Utils.showNotification(`Only ${drawn.length} exercises in the chosen topics`, 'info');
+        }
+
+        const now = Date.now();
+        this.exam = {
+            startedAt: now,
+            endsAt: now + minutes * 60000,
+            minutes,
+            finishedAt: null,
+            exercises: drawn.map(id => ({ id, score: null, auto: false }))
+        };
+        this.store({ current: this.exam });
+        this.begin();
+    },
+
+    /**
+     * Show only the exam exercises with their solutions hidden, and run the timer
+     */
+    begin() {
+        this.section.classList.add('exam-active');
+        this.section.querySelectorAll('.exercise[id]').forEach(exercise => {
+            const selected = this.exam.exercises.some(item => item.id === exercise.id);
+            exercise.classList.toggle('exam-selected', selected);
+            if (selected) this.hideSolutions(exercise);
+        });
+        document.getElementById('examBar').hidden = false;
+
+        if (this.exam.finishedAt) {
+            this.review();
+        } else if (Date.now() >= this.exam.endsAt) {
+            this.finish();
+        } else {
+            this.tick();
+            this.timer = setInterval(() => this.tick(), 1000);
+        }
+
+        if (typeof Navigation !== 'undefined') Navigation.showSection('exercises');
+        Utils.scrollToElement('examBar');
+    },
+
+    /**
+     * Buttons that show an exercise's solution
+     * @param {HTMLElement} exercise - Exercise element
+     * @returns {HTMLElement[]} Solution toggle buttons
+     */
+    solutionButtons(exercise) {
+        return Array.from(exercise.querySelectorAll('.solution'))
+            .map(solution => solution.previousElementSibling)
+            .filter(button => button && button.tagName === 'BUTTON');
+    },
+
+    /**
+     * Close and hide the solutions and hints of an exercise
+     * @param {HTMLElement} exercise - Exercise element
+     */
+    hideSolutions(exercise) {
+        this.solutionButtons(exercise).forEach(button => {
+            if (button.nextElementSibling.classList.contains('show')) Exercises.toggleSolution(button);
+            button.hidden = true;
+        });
+        exercise.querySelectorAll('.answer-hint-btn, .answer-hints').forEach(element => { element.hidden = true; });
+    },
+
+    /**
+     * Show the solution buttons and hints of an exercise again
+     * @param {HTMLElement} exercise - Exercise element
+     */
+    showSolutions(exercise) {
+        this.solutionButtons(exercise).forEach(button => { button.hidden = false; });
+        exercise.querySelectorAll('.answer-hints').forEach(hints => { hints.hidden = false; });
+
+        const block = exercise.querySelector('.answer-check');
+        if (block && block.querySelector('.answer-hint-btn')) Answers.updateHintButton(block);
+    },
+
+    /**
+     * Update the countdown, handing in when the time is up
+     */
+    tick() {
+        const left = Math.max(0, Math.ceil((this.exam.endsAt - Date.now()) / 1000));
+        const clock = document.getElementById('examClock');
+        clock.textContent = this.formatTime(left);
+        clock.classList.toggle('exam-clock-low', left <= 300);
+
+        this.renderBar(`${this.exam.exercises.length} exercise${this.exam.exercises.length === 1 ? '' : 's'} · solutions are hidden until you hand in`,
+            '<button type="button" class="btn btn-primary" data-exam-action="finish">Hand in</button>' +
+            '<button type="button" class="btn btn-secondary" data-exam-action="quit">Quit</button>');
+
+        if (left === 0) {
+            Utils.showNotification('Time is up! Solutions are now shown.', 'info');
+            this.finish();
+        }
+    },
+
+    /**
+     * Stop the timer and move on to scoring
+     */
+    finish() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.exam.finishedAt = Math.min(Date.now(), this.exam.endsAt);
+        this.review();
+    },
+
+    /**
+     * Reveal the solutions, auto-check exercises with answer fields and ask for a self-grade on the others
+     */
+    review() {
+        document.getElementById('examClock').textContent = this.formatTime((this.exam.finishedAt - this.exam.startedAt) / 1000);
+        document.getElementById('examClock').classList.remove('exam-clock-low');
+
+        this.exam.exercises.forEach(item => {
+            const exercise = document.getElementById(item.id);
+            if (!exercise) return;
+
+            this.showSolutions(exercise);
+            this.solutionButtons(exercise).forEach(button => {
+                if (!button.nextElementSibling.classList.contains('show')) Exercises.toggleSolution(button);
+            });
+
+            const block = exercise.querySelector('.answer-check');
+            if (block && typeof Answers !== 'undefined') {
+                Answers.check(block);
+                const fields = block.querySelectorAll('.answer-field');
+                item.score = block.querySelectorAll('.answer-field.correct').length / fields.length;
+                item.auto = true;
+            }
+            this.renderGrade(exercise, item);
+        });
+
+        this.store({ current: this.exam });
+        this.renderReviewBar();
+    },
+
+    /**
+     * Show the score of an exam exercise, or the buttons to grade it yourself
+     * @param {HTMLElement} exercise - Exercise element
+     * @param {Object} item - Exam entry { id, score, auto }
+     */
+    renderGrade(exercise, item) {
+        let grade = exercise.querySelector('.exam-grade');
+        if (!grade) {
+            grade = document.createElement('div');
+            grade.className = 'exam-grade';
+            grade.setAttribute('data-search-ignore', '');
+            exercise.querySelector('.exercise-header').insertAdjacentElement('afterend', grade);
+        }
+
+        grade.innerHTML = item.auto
+            ? `<strong>Auto-checked:</strong> ${Math.round(item.score * 100)}% of the answers are correct`
+            : '<strong>Grade yourself against the solution:</strong> ' + this.selfGrades.map(option =>
+                `<button type="button" class="btn ${item.score === option.score ? 'btn-primary' : 'btn-secondary'}" data-exam-grade="${option.score}">${option.label}</button>`
+            ).join('');
+    },
+
+    /**
+     * Record a self-grade
+     * @param {string} id - Exercise element ID
+     * @param {number} score - Score between 0 and 1
+     */
+    selfGrade(id, score) {
+        const item = this.exam && this.exam.finishedAt && this.exam.exercises.find(entry => entry.id === id);
+        if (!item || item.auto) return;
+
+        item.score = score;
+        this.store({ current: this.exam });
+        this.renderGrade(document.getElementById(id), item);
+        this.renderReviewBar();
+    },
+
+    /**
+     * Show the total score so far and the save button
+     */
+    renderReviewBar() {
+        const ungraded = this.exam.exercises.filter(item => item.score === null).length;
+        const total = this.exam.exercises.reduce((sum, item) => sum + (item.score || 0), 0);
+        this.renderBar(
+            ungraded > 0
+                ? `Time used · grade ${ungraded} more exercise${ungraded === 1 ? '' : 's'} to save the attempt`
+                : `Time used · score ${this.formatScore(total)} of ${this.exam.exercises.length} (${Math.round(total / this.exam.exercises.length * 100)}%)`,
+            `<button type="button" class="btn btn-primary" data-exam-action="save"${ungraded > 0 ? ' disabled' : ''}>Save attempt</button>` +
+            '<button type="button" class="btn btn-secondary" data-exam-action="quit">Discard</button>'
+        );
+    },
+
+    /**
+     * Fill the status text and buttons of the exam bar
+     * @param {string} status - Status text
+     * @param {string} actions - Button markup
+     */
+    renderBar(status, actions) {
+        document.getElementById('examStatus').textContent = status;
+        const container = document.getElementById('examActions');
+        if (container.innerHTML !== actions) container.innerHTML = actions;
+    },
+
+    /**
+     * Format seconds as m:ss
+     * @param {number} seconds - Time in seconds
+     * @returns {string} Formatted time
+     */
+    formatTime(seconds) {
+        const total = Math.round(seconds);
+        return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+    },
+
+    /**
+     * Format a score with at most one decimal
+     * @param {number} score - Score
+     * @returns {string} Formatted score
+     */
+    formatScore(score) {
+        return String(Math.round(score * 10) / 10);
+    },
+
+    /**
+     * Add the scored exam to the history and leave exam mode
+     */
+    save() {
+        if (!this.exam || this.exam.exercises.some(item => item.score === null)) return;
+
+        const attempts = this.load().attempts.concat({
+            date: new Date(this.exam.startedAt).toISOString(),
+            minutes: this.exam.minutes,
+            seconds: Math.round((this.exam.finishedAt - this.exam.startedAt) / 1000),
+            exercises: this.exam.exercises.map(item => ({ id: item.id, score: item.score }))
+        });
+        this.store({ attempts });
+        Utils.showNotification('Attempt saved', 'success');
+        this.close();
+    },
+
+    /**
+     * Leave exam mode and show every exercise again
+     */
+    close() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.exam = null;
+        this.store({ current: null });
+
+        this.section.classList.remove('exam-active');
+        this.section.querySelectorAll('.exam-selected').forEach(exercise => {
+            exercise.classList.remove('exam-selected');
+            this.showSolutions(exercise);
+            const grade = exercise.querySelector('.exam-grade');
+            if (grade) grade.remove();
+        });
+        document.getElementById('examBar').hidden = true;
+        this.renderHistory();
+        Utils.scrollToElement('examPanel');
+    },
+
+    /**
+     * Show past attempts and the average score per topic, weakest first
+     */
+    renderHistory() {
+        const container = document.getElementById('examHistory');
+        const attempts = this.load().attempts;
+        document.getElementById('examHistoryClear').hidden = attempts.length === 0;
+
+        if (attempts.length === 0) {
+            container.innerHTML = '<p class="exam-empty">No attempts yet. Your scores and weak topics will appear here.</p>';
+            return;
+        }
+
+        const topics = {};
+        attempts.forEach(attempt => attempt.exercises.forEach(item => {
+            const topic = this.topicOf(item.id);
+            if (!topic) return;
+            topics[topic.id] = topics[topic.id] || { label: topic.label, total: 0, count: 0 };
+            topics[topic.id].total += Number(item.score) || 0;
+            topics[topic.id].count++;
+        }));
+        const weakest = Object.keys(topics)
+            .map(id => Object.assign({ average: topics[id].total / topics[id].count }, topics[id]))
+            .sort((a, b) => a.average - b.average);
+
+        const rows = attempts.slice().reverse().map(attempt => {
+            const total = attempt.exercises.reduce((sum, item) => sum + (Number(item.score) || 0), 0);
+            return `<tr><td>${Utils.escapeHTML(new Date(attempt.date).toLocaleString())}</td>` +
+                `<td>${attempt.exercises.map(item => item.id.substring(2)).join(', ')}</td>` +
+                `<td>${this.formatScore(total)} / ${attempt.exercises.length} (${Math.round(total / attempt.exercises.length * 100)}%)</td>` +
+                `<td>${this.formatTime(attempt.seconds)} of ${attempt.minutes} min</td></tr>`;
+        }).join('');
+
+        container.innerHTML =
+            '<h5>Weak topics</h5><ul class="exam-topic-scores">' +
+            weakest.map(topic => `<li class="${topic.average < 0.6 ? 'exam-weak' : ''}"><span>${Utils.escapeHTML(topic.label)}</span>` +
+                `<span>${Math.round(topic.average * 100)}% over ${topic.count} exercise${topic.count === 1 ? '' : 's'}</span></li>`).join('') +
+            '</ul><h5>Attempts</h5>' +
+            `<table class="ra-table"><tr><th>Date</th><th>Exercises</th><th>Score</th><th>Time</th></tr>${rows}</table>`;
+    }
+};
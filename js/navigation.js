@@ -131,7 +131,12 @@ const Navigation = {
     loadFromHash() {
         const hash = window.location.hash.substring(1);
         if (hash) {
-            this.showSection(hash);
+            // Links such as #audio?t=512 carry parameters for the section after a "?"
+            const [sectionId, params] = hash.split('?');
+            this.showSection(sectionId);
+            if (params) {
+                history.replaceState(null, null, `#${hash}`);
+            }
         }
     }
 };
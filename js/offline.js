@@ -0,0 +1,151 @@
+/**
+ * Offline Module
+ * Registers the service worker, shows whether the page is cached for offline use and offers new versions
+ */
+
+const Offline = {
+    workerUrl: 'sw.js',
+    updateInterval: 60 * 60 * 1000,
+    registration: null,
+    status: null,
+    banner: null,
+    updating: false,
+
+    /**
+     * Register the service worker and set up the status indicator and update banner.
+     * Service workers need http(s), so a page opened from file:// stays online-only
+     */
+    init() {
+        this.status = document.getElementById('offlineStatus');
+        this.banner = document.getElementById('updateBanner');
+
+        if (!this.status || !this.banner) {
+            return;
+        }
+
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) {
+            this.setStatus('unavailable', 'Online only', 'Offline use needs a browser with service workers and a page served over http(s)');
+            return;
+        }
+
+        document.getElementById('updateReload').addEventListener('click', () => this.applyUpdate());
+        document.getElementById('updateLater').addEventListener('click', () => { this.banner.hidden = true; });
+        window.addEventListener('online', () => this.refresh());
+        window.addEventListener('offline', () => this.refresh());
+
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            // The first install also takes control; only reload when the user asked for the new version
+            if (this.updating) {
+                window.location.reload();
+            } else {
+                this.refresh();
+            }
+        });
+
+        // Sent by the worker when a background refresh found an edited file
+        navigator.serviceWorker.addEventListener('message', (e) => {
+            if (e.data === 'content-updated') this.showUpdate();
+        });
+
+        this.setStatus('caching', 'Caching…', 'Saving the cheatsheet for offline use');
+        navigator.serviceWorker.register(this.workerUrl)
+            .then(registration => {
+                this.registration = registration;
+                this.watch(registration);
+                setInterval(() => registration.update(), this.updateInterval);
+                return navigator.serviceWorker.ready;
+            })
+            .then(() => this.refresh())
+            .catch(error => {
+                console.error('Failed to register the service worker:', error);
+                this.setStatus('unavailable', 'Online only', `Offline use is not available (${error.message})`);
+            });
+    },
+
+    /**
+     * Show the update banner when a new version is waiting, now or after a later update check
+     * @param {ServiceWorkerRegistration} registration - Registration of sw.js
+     */
+    watch(registration) {
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            this.showUpdate();
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+            worker.addEventListener('statechange', () => {
+                // Without a controller this is the first install, not an update
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    this.showUpdate();
+                } else if (worker.state === 'activated') {
+                    this.refresh();
+                }
+            });
+        });
+    },
+
+    /**
+     * Show the banner offering the new version
+     */
+    showUpdate() {
+        this.banner.hidden = false;
+    },
+
+    /**
+     * Let the waiting worker take over (the page reloads on controllerchange), or reload for edited files
+     */
+    applyUpdate() {
+        const waiting = this.registration && this.registration.waiting;
+        this.banner.hidden = true;
+        if (!waiting) {
+            window.location.reload();
+            return;
+        }
+        this.updating = true;
+        waiting.postMessage('skip-waiting');
+    },
+
+    /**
+     * Ask the active worker which files are cached and update the indicator
+     */
+    refresh() {
+        const worker = navigator.serviceWorker.controller || (this.registration && this.registration.active);
+        if (!worker) {
+            this.setStatus('caching', 'Caching…', 'Saving the cheatsheet for offline use');
+            return;
+        }
+
+        const channel = new MessageChannel();
+        channel.port1.onmessage = (e) => {
+            const { version, missing } = e.data;
+            const offline = !navigator.onLine;
+            let detail = `Version ${version} is cached for offline use`;
+            if (missing.length > 0) {
+                detail += `. Not cached: ${missing.map(url => decodeURIComponent(url.split('/').pop())).join(', ')}`;
+            }
+
+            if (offline) {
+                this.setStatus('offline', 'Offline', `No connection. ${detail}`);
+            } else if (missing.some(url => !/\.m4a$/i.test(url))) {
+                // The audio file is optional; everything else has to be cached
+                this.setStatus('caching', 'Caching…', detail);
+            } else {
+                this.setStatus('ready', 'Available offline', detail);
+            }
+        };
+        worker.postMessage('status', [channel.port2]);
+    },
+
+    /**
+     * Update the header indicator
+     * @param {string} state - ready, caching, offline or unavailable
+     * @param {string} label - Text of the indicator
+     * @param {string} detail - Tooltip with the cache details
+     */
+    setStatus(state, label, detail) {
+        this.status.className = `offline-status offline-${state}`;
+        this.status.textContent = label;
+        this.status.title = detail;
+    }
+};
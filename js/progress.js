@@ -0,0 +1,339 @@
+/**
+ * Progress Module
+ * Tracks per-exercise status in localStorage and shows per-topic completion
+ */
+
+const Progress = {
+    storageKey: 'dbCheatsheet.progress',
+    panel: null,
+    state: {},
+    filter: 'all',
+
+    statuses: [
+        { id: 'not-started', label: 'Not started' },
+        { id: 'attempted', label: 'Attempted' },
+        { id: 'solved', label: 'Solved' },
+        { id: 'review', label: 'Needs review' }
+    ],
+
+    // Topic groups { id, label, exercises: [exercise IDs] }, shared with Content
+    topics: [],
+
+    // Built-in exercises and exercises from packs; generated problems are not tracked
+    trackedPattern: /^(ex\d+|pack-[\w-]+)$/,
+
+    /**
+     * Initialize progress tracking
+     */
+    init() {
+        this.panel = document.getElementById('progressPanel');
+        this.state = this.load();
+        if (typeof Content !== 'undefined') this.topics = Content.topics;
+
+        this.setupStatusControls();
+        this.setupPanel();
+        this.applyAll();
+    },
+
+    /**
+     * Load saved progress from localStorage
+     * @returns {Object} Map of exercise ID to status
+     */
+    load() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.storageKey));
+            return this.sanitize(saved && saved.exercises);
+        } catch (err) {
+            console.error('Failed to load progress:', err);
+            return {};
+        }
+    },
+
+    /**
+     * Save progress to localStorage
+     */
+    save() {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify({ version: 1, exercises: this.state }));
+        } catch (err) {
+            console.error('Failed to save progress:', err);
+        }
+    },
+
+    /**
+     * Keep only known exercise IDs with valid statuses
+     * @param {Object} exercises - Raw map of exercise ID to status
+     * @returns {Object} Cleaned map
+     */
+    sanitize(exercises) {
+        const clean = {};
+        if (!exercises || typeof exercises !== 'object') return clean;
+
+        const validStatuses = this.statuses.map(status => status.id);
+        Object.keys(exercises).forEach(id => {
+            if (this.trackedPattern.test(id) && validStatuses.includes(exercises[id]) && exercises[id] !== 'not-started') {
+                clean[id] = exercises[id];
+            }
+        });
+        return clean;
+    },
+
+    /**
+     * Get the status of an exercise
+     * @param {string} exerciseId - Exercise element ID (e.g. "ex21")
+     * @returns {string} Status ID
+     */
+    getStatus(exerciseId) {
+        return this.state[exerciseId] || 'not-started';
+    },
+
+    /**
+     * Set the status of an exercise and persist it
+     * @param {string} exerciseId - Exercise element ID
+     * @param {string} status - Status ID
+     */
+    setStatus(exerciseId, status) {
+        if (status === 'not-started') {
+            delete this.state[exerciseId];
+        } else {
+            this.state[exerciseId] = status;
+        }
+
+        this.save();
+        this.applyAll();
+    },
+
+    /**
+     * Add a status selector to every exercise
+     */
+    setupStatusControls() {
+        document.querySelectorAll('.exercise[id]').forEach(exercise => this.setupStatusControl(exercise));
+    },
+
+    /**
+     * Add a status selector below the header of an exercise
+     * @param {HTMLElement} exercise - Exercise element
+     */
+    setupStatusControl(exercise) {
+        const header = exercise.querySelector('.exercise-header');
+        if (!header) return;
+
+        const control = document.createElement('label');
+        control.className = 'progress-status';
+        control.setAttribute('data-search-ignore', '');
+        control.textContent = 'Status: ';
+
+        const select = document.createElement('select');
+        select.className = 'progress-select';
+        this.statuses.forEach(status => {
+            const option = document.createElement('option');
+            option.value = status.id;
+            option.textContent = status.label;
+            select.appendChild(option);
+        });
+        select.addEventListener('change', () => this.setStatus(exercise.id, select.value));
+
+        control.appendChild(select);
+        header.insertAdjacentElement('afterend', control);
+    },
+
+    /**
+     * Set up the progress panel buttons
+     */
+    setupPanel() {
+        if (!this.panel) return;
+
+        this.panel.querySelectorAll('[data-progress-filter]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.filter = button.getAttribute('data-progress-filter');
+                this.applyAll();
+            });
+        });
+
+        const exportBtn = this.panel.querySelector('#progressExport');
+        const importBtn = this.panel.querySelector('#progressImport');
+        const fileInput = this.panel.querySelector('#progressFile');
+        const resetBtn = this.panel.querySelector('#progressReset');
+
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => this.exportProgress());
+        }
+
+        if (importBtn && fileInput) {
+            importBtn.addEventListener('click', () => fileInput.click());
+            fileInput.addEventListener('change', () => {
+                if (fileInput.files.length > 0) {
+                    this.importProgress(fileInput.files[0]);
+                }
+                fileInput.value = '';
+            });
+        }
+
+        if (resetBtn) {
+            resetBtn.addEventListener('click', () => {
+                if (confirm('Reset progress for all exercises?')) {
+                    this.state = {};
+                    this.save();
+                    this.applyAll();
+                }
+            });
+        }
+    },
+
+    /**
+     * Sync selectors, filters, table of contents and topic bars with the current state
+     */
+    applyAll() {
+        document.querySelectorAll('.exercise[id]').forEach(exercise => {
+            const status = this.getStatus(exercise.id);
+            exercise.setAttribute('data-status', status);
+
+            const select = exercise.querySelector('.progress-select');
+            if (select) select.value = status;
+
+            exercise.classList.toggle('progress-hidden', !this.matchesFilter(status));
+        });
+
+        document.querySelectorAll('.exercise-toc a[href^="#ex"]').forEach(link => {
+            link.setAttribute('data-status', this.getStatus(link.getAttribute('href').substring(1)));
+        });
+
+        if (this.panel) {
+            this.panel.querySelectorAll('[data-progress-filter]').forEach(button => {
+                button.classList.toggle('active', button.getAttribute('data-progress-filter') === this.filter);
+            });
+            this.renderTopics();
+        }
+    },
+
+    /**
+     * Check whether a status passes the current filter
+     * @param {string} status - Status ID
+     * @returns {boolean} True if the exercise should be visible
+     */
+    matchesFilter(status) {
+        if (this.filter === 'unsolved') return status !== 'solved';
+        if (this.filter === 'review') return status === 'review';
+        return true;
+    },
+
+    /**
+     * Count statuses for a list of exercises
+     * @param {string[]} ids - Exercise IDs
+     * @returns {Object} Counts per status plus total
+     */
+    countStatuses(ids) {
+        const counts = { total: ids.length };
+        this.statuses.forEach(status => { counts[status.id] = 0; });
+        ids.forEach(id => { counts[this.getStatus(id)]++; });
+        return counts;
+    },
+
+    /**
+     * Render one progress bar per topic group
+     */
+    renderTopics() {
+        const container = this.panel.querySelector('#progressTopics');
+        if (!container) return;
+
+        container.innerHTML = '';
+        const allIds = [];
+
+        this.topics.forEach(topic => {
+            allIds.push(...topic.exercises);
+            container.appendChild(this.createBar(topic.label, this.countStatuses(topic.exercises)));
+        });
+
+        const summary = this.panel.querySelector('#progressSummary');
+        if (summary) {
+            const counts = this.countStatuses(allIds);
+            summary.textContent = `${counts.solved} of ${counts.total} solved · ${counts.review} to review · ${counts.attempted} attempted`;
+        }
+    },
+
+    /**
+     * Create a stacked progress bar element
+     * @param {string} label - Topic label
+     * @param {Object} counts - Status counts from countStatuses
+     * @returns {HTMLElement} Progress row
+     */
+    createBar(label, counts) {
+        const row = document.createElement('div');
+        row.className = 'progress-topic';
+
+        const title = document.createElement('div');
+        title.className = 'progress-topic-label';
+        title.innerHTML = `<span>${Utils.escapeHTML(label)}</span><span>${counts.solved}/${counts.total}</span>`;
+
+        const bar = document.createElement('div');
+        bar.className = 'progress-bar';
+        bar.setAttribute('role', 'progressbar');
+        bar.setAttribute('aria-valuemin', '0');
+        bar.setAttribute('aria-valuemax', counts.total);
+        bar.setAttribute('aria-valuenow', counts.solved);
+        bar.setAttribute('aria-label', `${label}: ${counts.solved} of ${counts.total} solved`);
+
+        ['solved', 'review', 'attempted'].forEach(status => {
+            if (counts[status] === 0) return;
+            const segment = document.createElement('div');
+            segment.className = `progress-segment progress-${status}`;
+            segment.style.width = `${(counts[status] / counts.total) * 100}%`;
+            bar.appendChild(segment);
+        });
+
+        row.appendChild(title);
+        row.appendChild(bar);
+        return row;
+    },
+
+    /**
+     * Download progress as a JSON file
+     */
+    exportProgress() {
+        const data = {
+            version: 1,
+            exportedAt: new Date().toISOString(),
+            exercises: this.state
+        };
+        const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'database-cheatsheet-progress.json';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    },
+
+    /**
+     * Replace progress with the contents of an exported JSON file
+     * @param {File} file - JSON file selected by the user
+     */
+    importProgress(file) {
+        const reader = new FileReader();
+
+        reader.onload = () => {
+            try {
+                const data = JSON.parse(reader.result);
+                if (!data || typeof data.exercises !== 'object') {
+                    throw new Error('Missing "exercises" object');
+                }
+                this.state = this.sanitize(data.exercises);
+                this.save();
+                this.applyAll();
+                Utils.showNotification(`Imported progress for ${Object.keys(this.state).length} exercises`, 'success');
+            } catch (err) {
+                console.error('Failed to import progress:', err);
+                Utils.showNotification('Invalid progress file', 'error');
+            }
+        };
+
+        reader.onerror = () => {
+            Utils.showNotification('Could not read the selected file', 'error');
+        };
+
+        reader.readAsText(file);
+    }
+};
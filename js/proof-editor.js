@@ -0,0 +1,203 @@
+/**
+ * Proof Editor Module
+ * Checks Armstrong-axiom derivations step by step and finds shortest derivations
+ */
+
+const ProofEditor = {
+    form: null,
+    output: null,
+    derivation: null,
+
+    examples: [
+        {
+            label: 'Union from the axioms',
+            schema: 'R(X, Y, Z)', fds: 'X → Y, X → Z', goal: 'X → YZ', rules: 'axioms',
+            proof: '1. X → Y     given\n2. X → Z     given\n3. X → XY    augmentation 1\n4. XY → YZ   augmentation 2\n5. X → YZ    transitivity 3, 4'
+        },
+        {
+            label: 'Decomposition from the axioms',
+            schema: 'R(X, Y, Z)', fds: 'X → YZ', goal: 'X → Y', rules: 'axioms',
+            proof: '1. X → YZ    given\n2. YZ → Y    reflexivity\n3. X → Y     transitivity 1, 2'
+        },
+        {
+            label: 'Pseudo-transitivity from the axioms',
+            schema: 'R(W, X, Y, Z)', fds: 'X → Y, WY → Z', goal: 'WX → Z', rules: 'axioms',
+            proof: '1. X → Y     given\n2. WY → Z    given\n3. WX → WY   augmentation 1\n4. WX → Z    transitivity 3, 2'
+        },
+        {
+            label: 'Ex 20: P → Q gives PS → Q',
+            schema: 'R(P, Q, S)', fds: 'P → Q', goal: 'PS → Q', rules: 'all',
+            proof: '1. P → Q     given\n2. PS → QS   augmentation 1\n3. PS → Q    decomposition 2'
+        },
+        {
+            label: 'Ex 18: AB → D, with a mistake',
+            schema: 'R(A, B, C, D)', fds: 'C → B, B → D, AB → AC, CD → B', goal: 'AB → D', rules: 'all',
+            proof: '1. AB → AC   given\n2. C → B     given\n3. B → D     given\n4. AB → B    transitivity 1, 2\n5. AB → D    transitivity 4, 3'
+        }
+    ],
+
+    /**
+     * Initialize the proof editor panel
+     */
+    init() {
+        this.form = document.getElementById('proofEditor');
+        this.output = document.getElementById('proofOutput');
+        this.derivation = document.getElementById('proofDerivation');
+        const examples = document.getElementById('proofExample');
+
+        if (!this.form || !this.output || !this.derivation || !examples) {
+            return;
+        }
+
+        this.examples.forEach((example, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = example.label;
+            examples.appendChild(option);
+        });
+
+        examples.addEventListener('change', () => {
+            const example = this.examples[examples.value];
+            if (!example) return;
+            ['schema', 'fds', 'goal', 'rules', 'proof'].forEach(name => {
+                this.form.elements[name].value = example[name];
+            });
+            this.derivation.innerHTML = '';
+            this.update();
+        });
+
+        document.getElementById('proofDerive').addEventListener('click', () => this.derive());
+        this.derivation.addEventListener('click', (e) => {
+            const button = e.target.closest('.proof-use');
+            if (!button) return;
+            this.form.elements.proof.value = button.getAttribute('data-proof');
+            this.derivation.innerHTML = '';
+            this.update();
+        });
+
+        this.form.addEventListener('submit', (e) => e.preventDefault());
+        this.form.addEventListener('input', Utils.debounce(() => this.update(), 300));
+        this.update();
+    },
+
+    /**
+     * Parse the schema, the given dependencies and the target
+     * @returns {{attrs: string[], fds: Object[], goal: Object|null, axiomsOnly: boolean}} Parsed form
+     */
+    read() {
+        const FD = FunctionalDependencies;
+        const elements = this.form.elements;
+        const { attrs } = FD.parseSchema(elements.schema.value);
+        const fds = FD.parseDependencies(elements.fds.value, attrs);
+
+        let goal = null;
+        if (elements.goal.value.trim() !== '') {
+            const parsed = FD.parseDependencies(elements.goal.value, attrs);
+            if (parsed.length !== 1) {
+                throw new Error('The target is a single dependency such as X → Z');
+            }
+            goal = parsed[0];
+        }
+
+        return { attrs, fds, goal, axiomsOnly: elements.rules.value === 'axioms' };
+    },
+
+    /**
+     * Check the proof and render every step
+     */
+    update() {
+        const FD = FunctionalDependencies;
+
+        try {
+            const { attrs, fds, goal, axiomsOnly } = this.read();
+            const steps = FD.checkProof(attrs, fds, FD.parseProof(this.form.elements.proof.value, attrs), axiomsOnly);
+            this.output.innerHTML = this.renderSummary(steps, goal, fds, attrs) + this.renderSteps(steps);
+            Exercises.renderMath(this.output);
+        } catch (error) {
+            this.output.innerHTML = `<div class="calculator-error">${Utils.escapeHTML(error.message)}</div>`;
+        }
+    },
+
+    /**
+     * Search for a shortest derivation of the target and render it
+     */
+    derive() {
+        const FD = FunctionalDependencies;
+
+        try {
+            const { attrs, fds, goal, axiomsOnly } = this.read();
+            if (!goal) {
+                throw new Error('Enter the target dependency to derive');
+            }
+
+            const steps = FD.derive(attrs, fds, goal, axiomsOnly);
+            if (!steps) {
+                const closure = FD.closure(attrs, fds, goal.lhs).closure;
+                this.derivation.innerHTML = `<div class="info-box"><div class="info-box-title">\\(${FD.fdLatex(goal)}\\) does not follow from \\(F\\)</div>` +
+                    `<p>\\(${FD.closureLatex(goal.lhs)} = ${FD.bracesLatex(closure)}\\) does not contain \\(${FD.setLatex(goal.rhs.filter(attr => !closure.includes(attr)))}\\), so no derivation exists.</p></div>`;
+            } else {
+                const text = FD.proofText(steps);
+                this.derivation.innerHTML = `<h4>Shortest Derivation (${steps.length} ${steps.length === 1 ? 'step' : 'steps'})</h4>` +
+                    this.renderSteps(steps) +
+                    `<button type="button" class="btn btn-secondary proof-use" data-proof="${Utils.escapeHTML(text)}">Use This Derivation</button>`;
+            }
+            Exercises.renderMath(this.derivation);
+        } catch (error) {
+            this.derivation.innerHTML = `<div class="calculator-error">${Utils.escapeHTML(error.message)}</div>`;
+        }
+    },
+
+    /**
+     * Build the verdict for the whole proof
+     * @param {Object[]} steps - Checked steps
+     * @param {Object|null} goal - Target dependency
+     * @param {Object[]} fds - Given dependencies
+     * @param {string[]} attrs - Schema attributes
+     * @returns {string} HTML with KaTeX delimiters
+     */
+    renderSummary(steps, goal, fds, attrs) {
+        const FD = FunctionalDependencies;
+        const invalid = steps.filter(step => step.error);
+        const reached = goal ? steps.find(step => !step.error && FD.same(step.fd, goal)) : null;
+
+        if (invalid.length > 0) {
+            const numbers = invalid.map(step => step.number).join(', ');
+            const advice = invalid.length > 1 ? '<p>Start with the first one: a step that uses an invalid step is invalid too.</p>' : '';
+            return `<div class="info-box"><div class="info-box-title">✗ ${invalid.length} invalid ${invalid.length === 1 ? 'step' : 'steps'}: ${numbers}</div>${advice}</div>`;
+        }
+        if (!goal) {
+            return '<div class="info-box"><div class="info-box-title">✓ Every step is valid</div></div>';
+        }
+        if (reached) {
+            return `<div class="info-box"><div class="info-box-title">✓ Proof complete</div><p>Step ${reached.number} derives \\(${FD.fdLatex(goal)}\\) and every step is valid.</p></div>`;
+        }
+
+        const follows = FD.isSubset(goal.rhs, FD.closure(attrs, fds, goal.lhs).closure);
+        return `<div class="info-box"><div class="info-box-title">Every step is valid, but no step derives \\(${FD.fdLatex(goal)}\\) yet</div>` +
+            `<p>${follows ? 'The target does follow from \\(F\\): keep going, or let the editor find a derivation.' : 'The target does not follow from \\(F\\), so no proof exists.'}</p></div>`;
+    },
+
+    /**
+     * Build the table of proof steps
+     * @param {Object[]} steps - Steps, with { error, follows } when checked
+     * @returns {string} HTML with KaTeX delimiters
+     */
+    renderSteps(steps) {
+        const FD = FunctionalDependencies;
+        const checked = steps.some(step => step.error !== undefined);
+
+        const rows = steps.map(step => {
+            const rule = FD.rules[step.rule].label + (step.refs.length > 0 ? ` (${step.refs.join(', ')})` : '');
+            let check = '';
+            if (checked && step.error) {
+                const hint = step.follows ? 'The dependency does follow from F, but not like this.' : 'The dependency does not follow from F at all.';
+                check = `<td>✗ ${Utils.escapeHTML(step.error)}. ${hint}</td>`;
+            } else if (checked) {
+                check = '<td>✓</td>';
+            }
+            return `<tr${step.error ? ' class="proof-invalid"' : ''}><td>${step.number}</td><td>\\(${FD.fdLatex(step.fd)}\\)</td><td>${rule}</td>${check}</tr>`;
+        }).join('');
+
+        return `<table class="proof-table"><tr><th>Step</th><th>Dependency</th><th>Rule</th>${checked ? '<th>Check</th>' : ''}</tr>${rows}</table>`;
+    }
+};
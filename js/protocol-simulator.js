@@ -0,0 +1,273 @@
+/**
+ * Protocol Simulator Module
+ * Steps through a schedule under 2PL, strict 2PL or basic timestamp ordering
+ */
+
+const ProtocolSimulator = {
+    form: null,
+    output: null,
+    result: null,
+    current: 0,
+
+    protocols: {
+        '2pl': 'Two-phase locking (2PL)',
+        'strict2pl': 'Strict two-phase locking',
+        'to': 'Basic timestamp ordering'
+    },
+
+    examples: [
+        {
+            label: 'Ex 34: timestamp ordering aborts T1',
+            protocol: 'to',
+            timestamps: 'T1 = 10, T2 = 20',
+            writes: 'abort',
+            schedule: '     T1       T2\n(1)  READ A\n(2)           WRITE A\n(3)  WRITE A'
+        },
+        {
+            label: "Ex 34 with Thomas' write rule",
+            protocol: 'to',
+            timestamps: 'T1 = 10, T2 = 20',
+            writes: 'thomas',
+            schedule: '     T1       T2\n(1)  READ A\n(2)           WRITE A\n(3)  WRITE A'
+        },
+        {
+            label: 'Ex 33: strict 2PL holds locks until commit',
+            protocol: 'strict2pl',
+            timestamps: '',
+            writes: 'abort',
+            schedule: 'T1: READ A; T1: A = A × 2; T1: WRITE A;\nT2: READ A;\nT1: COMMIT;\nT2: COMMIT'
+        },
+        {
+            label: 'Deadlock under 2PL',
+            protocol: '2pl',
+            timestamps: '',
+            writes: 'abort',
+            schedule: 'r1(A); r2(B); w1(B); w2(A); c1; c2'
+        },
+        {
+            label: 'Cascading rollback after an early unlock (2PL)',
+            protocol: '2pl',
+            timestamps: '',
+            writes: 'abort',
+            schedule: 'w1(A); r2(A); w2(B); a1; c2'
+        }
+    ],
+
+    /**
+     * Initialize the simulator panel
+     */
+    init() {
+        this.form = document.getElementById('protocolSimulator');
+        this.output = document.getElementById('protocolOutput');
+        const examples = document.getElementById('protocolExample');
+
+        if (!this.form || !this.output || !examples) {
+            return;
+        }
+
+        this.examples.forEach((example, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = example.label;
+            examples.appendChild(option);
+        });
+
+        examples.addEventListener('change', () => {
+            const example = this.examples[examples.value];
+            if (!example) return;
+            this.form.elements.protocol.value = example.protocol;
+            this.form.elements.timestamps.value = example.timestamps;
+            this.form.elements.writes.value = example.writes;
+            this.form.elements.schedule.value = example.schedule;
+            this.update();
+        });
+
+        this.output.addEventListener('click', (e) => {
+            const move = e.target.closest('[data-move]');
+            const row = e.target.closest('tr[data-step]');
+            if (move) {
+                this.select(this.current + Number(move.dataset.move));
+            } else if (row) {
+                this.select(Number(row.dataset.step));
+            }
+        });
+
+        this.form.addEventListener('submit', (e) => e.preventDefault());
+        this.form.addEventListener('input', Utils.debounce(() => this.update(), 300));
+        this.update();
+    },
+
+    /**
+     * Run the simulation and render it from the first step
+     */
+    update() {
+        const elements = this.form.elements;
+
+        try {
+            const schedule = Schedules.parse(elements.schedule.value);
+            const timestamps = Protocols.parseTimestamps(elements.timestamps.value, schedule.transactions);
+
+            this.result = Protocols.simulate(schedule, {
+                protocol: elements.protocol.value,
+                timestamps,
+                thomas: elements.writes.value === 'thomas'
+            });
+            this.result.protocol = elements.protocol.value;
+            this.current = 0;
+            this.render();
+        } catch (error) {
+            this.result = null;
+            this.output.innerHTML = `<div class="calculator-error">${Utils.escapeHTML(error.message)}</div>`;
+        }
+    },
+
+    /**
+     * Show another step
+     * @param {number} index - Step index
+     */
+    select(index) {
+        if (!this.result || index < 0 || index >= this.result.steps.length) return;
+        this.current = index;
+        this.render();
+    },
+
+    /**
+     * Render the summary, the step trace and the state after the current step
+     */
+    render() {
+        const { steps } = this.result;
+
+        const controls = '<div class="step-controls">' +
+            `<button type="button" class="btn btn-secondary" data-move="-1"${this.current === 0 ? ' disabled' : ''}>← Previous</button>` +
+            `<span>Step ${this.current + 1} of ${steps.length}</span>` +
+            `<button type="button" class="btn btn-secondary" data-move="1"${this.current === steps.length - 1 ? ' disabled' : ''}>Next →</button>` +
+            '</div>';
+
+        this.output.innerHTML = this.renderSummary() + controls +
+            `<div class="protocol-layout">${this.renderTrace()}${this.renderState(steps[this.current])}</div>`;
+        Exercises.renderMath(this.output);
+    },
+
+    /**
+     * Build the answer box
+     * @returns {string} HTML with KaTeX delimiters
+     */
+    renderSummary() {
+        const { steps, executed, ignored, states, protocol } = this.result;
+        const count = (action) => steps.filter(step => step.action === action).length;
+        const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+        const facts = [plural(steps.length, 'step'), plural(count('wait'), 'wait'), plural(count('abort'), 'rollback')];
+        if (protocol !== 'to') facts.push(plural(steps.filter(step => step.cycle).length, 'deadlock'));
+        if (count('skip') > 0) facts.push(plural(count('skip'), 'skipped write'));
+
+        const committed = Object.keys(states).filter(tx => states[tx] === 'committed');
+        const operations = executed.filter(operation => committed.includes(operation.tx) && ['READ', 'WRITE'].includes(operation.op));
+        const conflicts = Schedules.conflicts({ transactions: committed, operations });
+        const order = Schedules.topologicalOrder(committed, conflicts.edges);
+        const serial = order && order.length > 0
+            ? `<p>The committed transactions are equivalent to the serial order \\(${Schedules.pathLatex(order)}\\).</p>`
+            : '';
+
+        const note = ignored.length > 0
+            ? '<p>Explicit LOCK and UNLOCK steps are ignored: the protocol places the locks itself.</p>'
+            : '';
+
+        return `<div class="info-box"><div class="info-box-title">${this.protocols[protocol]}: ${facts.join(', ')}</div>${serial}${note}</div>`;
+    },
+
+    /**
+     * Build the trace table of every step
+     * @returns {string} HTML string
+     */
+    renderTrace() {
+        const labels = { execute: 'run', wait: 'wait', skip: 'skip', commit: 'commit', abort: 'rollback' };
+
+        const rows = this.result.steps.map((step, index) => {
+            const classes = [`protocol-${step.action}`];
+            if (index === this.current) classes.push('protocol-current');
+            return `<tr class="${classes.join(' ')}" data-step="${index}"><td>${index + 1}</td>` +
+                `<td>${Utils.escapeHTML(step.operation.text)}</td>` +
+                `<td><span class="protocol-action">${labels[step.action]}${step.cycle ? ' · deadlock' : ''}</span></td>` +
+                `<td>${Utils.escapeHTML(step.message)}</td></tr>`;
+        }).join('');
+
+        return `<table class="protocol-trace"><tr><th>#</th><th>Request</th><th>Action</th><th>Explanation</th></tr>${rows}</table>`;
+    },
+
+    /**
+     * Build the scheduler state after a step
+     * @param {Object} step - Simulation step
+     * @returns {string} HTML string
+     */
+    renderState(step) {
+        const { snapshot } = step;
+        const transactions = Object.keys(snapshot.states).map(tx =>
+            `<li>${Utils.escapeHTML(tx)}: ${snapshot.states[tx]}${snapshot.waits[tx] ? ', waiting' : ''} (t = ${snapshot.timestamps[tx]})</li>`
+        ).join('');
+
+        const body = this.result.protocol === 'to'
+            ? this.renderStamps(snapshot)
+            : this.renderLocks(snapshot) + this.renderWaitsFor(step);
+
+        return `<div class="protocol-state"><h4>After step ${this.current + 1}</h4>${body}` +
+            `<strong>Transactions</strong><ul>${transactions}</ul></div>`;
+    },
+
+    /**
+     * Build the lock table
+     * @param {Object} snapshot - Scheduler state
+     * @returns {string} HTML string
+     */
+    renderLocks(snapshot) {
+        const items = Array.from(new Set(Object.keys(snapshot.locks)
+            .concat(Object.values(snapshot.waits).map(wait => wait.item)))).sort();
+
+        if (items.length === 0) {
+            return '<p><strong>Lock table:</strong> no locks held.</p>';
+        }
+
+        const rows = items.map(item => {
+            const holders = (snapshot.locks[item] || []).map(lock => `${lock.tx} (${lock.mode})`).join(', ');
+            const waiting = Object.keys(snapshot.waits).filter(tx => snapshot.waits[tx].item === item)
+                .map(tx => `${tx} (${Protocols.lockMode(snapshot.waits[tx].operation)})`).join(', ');
+            return `<tr><td>${Utils.escapeHTML(item)}</td><td>${Utils.escapeHTML(holders) || '–'}</td><td>${Utils.escapeHTML(waiting) || '–'}</td></tr>`;
+        }).join('');
+
+        return `<table class="protocol-table"><caption>Lock table (S shared, X exclusive)</caption><tr><th>Item</th><th>Held by</th><th>Waiting</th></tr>${rows}</table>`;
+    },
+
+    /**
+     * Draw the waits-for graph
+     * @param {Object} step - Simulation step
+     * @returns {string} HTML string
+     */
+    renderWaitsFor(step) {
+        const edges = Protocols.waitsForEdges(step.snapshot.waits);
+        if (edges.length === 0) {
+            return '<p><strong>Waits-for graph:</strong> nobody waits.</p>';
+        }
+
+        const nodes = Object.keys(step.snapshot.states).filter(tx => step.snapshot.states[tx] === 'active');
+        const svg = Schedules.graphSVG(nodes, edges, { highlight: step.cycle || [] });
+        return `<strong>Waits-for graph</strong><div class="schedule-graph">${svg}</div>`;
+    },
+
+    /**
+     * Build the read and write timestamps of every item
+     * @param {Object} snapshot - Scheduler state
+     * @returns {string} HTML string
+     */
+    renderStamps(snapshot) {
+        const items = Object.keys(snapshot.stamps).sort();
+        if (items.length === 0) {
+            return '<p><strong>Timestamps:</strong> no item accessed yet, R(X) = W(X) = 0.</p>';
+        }
+
+        const rows = items.map(item =>
+            `<tr><td>${Utils.escapeHTML(item)}</td><td>${snapshot.stamps[item].read}</td><td>${snapshot.stamps[item].write}</td></tr>`
+        ).join('');
+
+        return `<table class="protocol-table"><caption>Read and write timestamps</caption><tr><th>Item X</th><th>R(X)</th><th>W(X)</th></tr>${rows}</table>`;
+    }
+};
@@ -0,0 +1,505 @@
+/**
+ * Protocols Module
+ * Runs a schedule of READ/WRITE/COMMIT requests under two-phase locking, strict two-phase
+ * locking or basic timestamp ordering, recording the scheduler state after every step
+ */
+
+const Protocols = {
+    maxSteps: 500,
+    maxRestarts: 3,
+
+    /**
+     * Run a schedule under a protocol
+     * @param {Object} schedule - Result of Schedules.parse()
+     * @param {Object} options - { protocol: '2pl'|'strict2pl'|'to', timestamps: Object, thomas: boolean }
+     * @returns {{steps: Object[], executed: Object[], ignored: Object[], timestamps: Object, states: Object}}
+     *          Steps { operation, action, message, ... , snapshot }, executed operations in order,
+     *          explicit lock operations that were ignored, final timestamps and transaction states
+     */
+    simulate(schedule, options) {
+        const run = this.createRun(schedule, options.timestamps);
+        run.protocol = options.protocol;
+
+        if (options.protocol === 'to') {
+            this.timestampOrdering(run, options.thomas);
+        } else {
+            this.locking(run, options.protocol === 'strict2pl');
+        }
+
+        if (run.pending.length > 0) {
+            throw new Error(run.steps.length >= this.maxSteps
+                ? `The simulation stopped after ${this.maxSteps} steps`
+                : 'The remaining requests wait for locks that are never released');
+        }
+
+        return {
+            steps: run.steps,
+            executed: run.executed,
+            ignored: run.ignored,
+            timestamps: run.timestamps,
+            states: run.states
+        };
+    },
+
+    /**
+     * Parse timestamps written as "T1 = 10, T2 = 20" or "t(T1) = 10"
+     * @param {string} text - Timestamp list
+     * @param {string[]} transactions - Transactions of the schedule
+     * @returns {Object} Timestamp per transaction; missing ones follow the order of first appearance
+     */
+    parseTimestamps(text, transactions) {
+        const timestamps = {};
+        const parts = text.split(/[,;\n]/).map(part => part.trim()).filter(Boolean);
+
+        parts.forEach(part => {
+            const match = part.match(/^(?:t\s*\(\s*)?T_?\{?(\d+)\}?\s*\)?\s*[=:]\s*(\d+)$/i);
+            if (!match) {
+                throw new Error(`Cannot read the timestamp "${part}" (expected e.g. T1 = 10)`);
+            }
+            timestamps[`T${match[1]}`] = Number(match[2]);
+        });
+
+        Object.keys(timestamps).forEach(tx => {
+            if (!transactions.includes(tx)) {
+                throw new Error(`${tx} has a timestamp but no operations`);
+            }
+        });
+
+        let next = Math.max(0, ...Object.values(timestamps));
+        transactions.forEach(tx => {
+            if (timestamps[tx] === undefined) timestamps[tx] = ++next;
+        });
+
+        return timestamps;
+    },
+
+    /**
+     * Build the shared simulation state
+     * @param {Object} schedule - Result of Schedules.parse()
+     * @param {Object} timestamps - Timestamp per transaction
+     * @returns {Object} Run state
+     */
+    createRun(schedule, timestamps) {
+        const ignored = schedule.operations.filter(operation => operation.op.endsWith('LOCK'));
+        const requests = schedule.operations.filter(operation => !operation.op.endsWith('LOCK'));
+
+        // A transaction without COMMIT or ABORT commits right after its last operation
+        schedule.transactions.forEach(tx => {
+            const own = requests.filter(operation => operation.tx === tx);
+            const end = own.findIndex(operation => ['COMMIT', 'ABORT'].includes(operation.op));
+            if (end !== -1 && end < own.length - 1) {
+                throw new Error(`Step ${own[end + 1].step}: ${tx} has operations after its ${own[end].op}`);
+            }
+            if (own.length > 0 && !own.some(operation => ['COMMIT', 'ABORT'].includes(operation.op))) {
+                const last = requests.lastIndexOf(own[own.length - 1]);
+                requests.splice(last + 1, 0, { tx, op: 'COMMIT', item: null, text: `${tx}: COMMIT`, implicit: true });
+            }
+        });
+
+        const transactions = schedule.transactions.filter(tx => requests.some(operation => operation.tx === tx));
+        const states = {};
+        const readsFrom = {};
+        const restarts = {};
+        transactions.forEach(tx => {
+            states[tx] = 'active';
+            readsFrom[tx] = new Set();
+            restarts[tx] = 0;
+        });
+
+        return {
+            transactions,
+            requests,
+            pending: requests.map(operation => Object.assign({}, operation)),
+            ignored,
+            timestamps: Object.assign({}, timestamps),
+            states,
+            readsFrom,
+            restarts,
+            locks: {},
+            waits: {},
+            stamps: {},
+            writers: {},
+            steps: [],
+            executed: []
+        };
+    },
+
+    /**
+     * Simulate two-phase locking with shared (S) and exclusive (X) locks taken on demand
+     *
+     * Under plain 2PL a transaction releases the locks it no longer needs as soon as it holds
+     * every lock it will ever ask for (its lock point). Under strict 2PL every lock is kept until
+     * COMMIT or ABORT. A waiting request that closes a cycle in the waits-for graph is a deadlock:
+     * the youngest transaction on the cycle is rolled back and restarted.
+     *
+     * @param {Object} run - Run state
+     * @param {boolean} strict - Keep every lock until the end of the transaction
+     */
+    locking(run, strict) {
+        while (run.pending.length > 0 && run.steps.length < this.maxSteps) {
+            const blocked = new Set();
+            let progressed = false;
+
+            for (let i = 0; i < run.pending.length && !progressed; i++) {
+                const operation = run.pending[i];
+                if (blocked.has(operation.tx)) continue;
+
+                const blockers = this.blockers(run, operation);
+                if (blockers.length > 0) {
+                    blocked.add(operation.tx);
+                    const previous = run.waits[operation.tx];
+                    if (previous && previous.operation === operation && previous.blockers.join() === blockers.join()) {
+                        continue;
+                    }
+
+                    run.waits[operation.tx] = { operation, item: operation.item, blockers };
+                    this.record(run, operation, 'wait',
+                        `${operation.tx} waits for ${blockers.join(', ')}: ${operation.item} is locked ${this.lockMode(operation) === 'X' ? '' : 'exclusively '}by ${blockers.length > 1 ? 'them' : 'it'}`);
+
+                    const cycle = this.waitsForCycle(run);
+                    if (cycle) {
+                        this.resolveDeadlock(run, operation, cycle);
+                        progressed = true;
+                    }
+                    continue;
+                }
+
+                run.pending.splice(i, 1);
+                delete run.waits[operation.tx];
+                this.executeLocked(run, operation, strict);
+                progressed = true;
+            }
+
+            if (!progressed) {
+                const cycle = this.waitsForCycle(run);
+                if (!cycle) break;
+                this.resolveDeadlock(run, run.waits[cycle[0]].operation, cycle);
+            }
+        }
+    },
+
+    /**
+     * Transactions holding locks that conflict with a request
+     * @param {Object} run - Run state
+     * @param {Object} operation - Requested operation
+     * @returns {string[]} Blocking transactions
+     */
+    blockers(run, operation) {
+        const mode = this.lockMode(operation);
+        if (!mode) return [];
+
+        const holders = run.locks[operation.item] || {};
+        return Object.keys(holders).filter(tx =>
+            tx !== operation.tx && (mode === 'X' || holders[tx] === 'X'));
+    },
+
+    /**
+     * Lock mode needed by an operation
+     * @param {Object} operation - Operation
+     * @returns {string|null} 'S' for READ, 'X' for WRITE, null otherwise
+     */
+    lockMode(operation) {
+        return { READ: 'S', WRITE: 'X' }[operation.op] || null;
+    },
+
+    /**
+     * Execute a request whose lock is available
+     * @param {Object} run - Run state
+     * @param {Object} operation - Operation
+     * @param {boolean} strict - Strict 2PL
+     */
+    executeLocked(run, operation, strict) {
+        const { tx, item } = operation;
+
+        if (operation.op === 'COMMIT' || operation.op === 'ABORT') {
+            const released = this.releaseAll(run, tx);
+            if (operation.op === 'COMMIT') {
+                this.commit(run, operation, released.length > 0 ? `releases ${released.join(', ')}` : '');
+            } else {
+                this.abort(run, operation, tx, `${tx} aborts`, released);
+            }
+            return;
+        }
+
+        const mode = this.lockMode(operation);
+        const holders = run.locks[item] = run.locks[item] || {};
+        let granted = '';
+        if (!holders[tx]) {
+            granted = `${tx} gets ${mode === 'S' ? 'a shared' : 'an exclusive'} lock on ${item}`;
+        } else if (holders[tx] === 'S' && mode === 'X') {
+            granted = `${tx} upgrades its lock on ${item} to exclusive`;
+        }
+        if (!holders[tx] || mode === 'X') holders[tx] = mode;
+
+        this.access(run, operation);
+        const released = strict ? [] : this.releaseAfterLockPoint(run, tx);
+        const parts = [granted, `${tx} ${operation.op === 'READ' ? 'reads' : 'writes'} ${item}`];
+        if (released.length > 0) {
+            parts.push(`lock point reached, ${tx} releases ${released.join(', ')}`);
+        }
+        this.record(run, operation, 'execute', parts.filter(Boolean).join('; '), { released });
+    },
+
+    /**
+     * Release the locks a transaction no longer needs once it holds all the locks it will need
+     * @param {Object} run - Run state
+     * @param {string} tx - Transaction
+     * @returns {string[]} Released items
+     */
+    releaseAfterLockPoint(run, tx) {
+        const remaining = run.pending.filter(operation => operation.tx === tx);
+        const lockPoint = remaining.every(operation => {
+            const mode = this.lockMode(operation);
+            const held = mode && (run.locks[operation.item] || {})[tx];
+            return !mode || held === 'X' || held === mode;
+        });
+        if (!lockPoint) return [];
+
+        const needed = new Set(remaining.map(operation => operation.item).filter(Boolean));
+        return Object.keys(run.locks).filter(item => run.locks[item][tx] && !needed.has(item)).map(item => {
+            delete run.locks[item][tx];
+            return item;
+        });
+    },
+
+    /**
+     * Release every lock of a transaction
+     * @param {Object} run - Run state
+     * @param {string} tx - Transaction
+     * @returns {string[]} Released items
+     */
+    releaseAll(run, tx) {
+        return Object.keys(run.locks).filter(item => run.locks[item][tx]).map(item => {
+            delete run.locks[item][tx];
+            return item;
+        });
+    },
+
+    /**
+     * Find a cycle in the waits-for graph
+     * @param {Object} run - Run state
+     * @returns {string[]|null} Transactions on the cycle
+     */
+    waitsForCycle(run) {
+        return Schedules.findCycle(run.transactions, this.waitsForEdges(run.waits));
+    },
+
+    /**
+     * Edges of the waits-for graph
+     * @param {Object} waits - Waiting requests per transaction
+     * @returns {Object[]} Edges { from, to, label }
+     */
+    waitsForEdges(waits) {
+        return Object.keys(waits).flatMap(tx =>
+            waits[tx].blockers.map(blocker => ({ from: tx, to: blocker, label: waits[tx].item })));
+    },
+
+    /**
+     * Roll back the youngest transaction of a deadlock
+     * @param {Object} run - Run state
+     * @param {Object} operation - Request that closed the cycle
+     * @param {string[]} cycle - Transactions on the cycle
+     */
+    resolveDeadlock(run, operation, cycle) {
+        const victim = cycle.reduce((youngest, tx) => (run.timestamps[tx] > run.timestamps[youngest] ? tx : youngest));
+        const path = cycle.concat(cycle[0]).join(' → ');
+
+        run.steps[run.steps.length - 1].cycle = cycle;
+        run.steps[run.steps.length - 1].message += `. Deadlock: ${path}`;
+
+        const released = this.releaseAll(run, victim);
+        this.abort(run, operation, victim, `Deadlock victim ${victim} (the youngest on the cycle) is rolled back`, released);
+    },
+
+    /**
+     * Simulate basic timestamp ordering with read and write timestamps per item
+     *
+     * A READ of X by T is rejected when t(T) < W(X); a WRITE when t(T) < R(X) or t(T) < W(X).
+     * With Thomas' write rule an outdated write (t(T) < W(X) but t(T) ≥ R(X)) is skipped instead.
+     * A rejected transaction is rolled back and restarted later with a new, larger timestamp.
+     *
+     * @param {Object} run - Run state
+     * @param {boolean} thomas - Apply Thomas' write rule
+     */
+    timestampOrdering(run, thomas) {
+        while (run.pending.length > 0 && run.steps.length < this.maxSteps) {
+            const operation = run.pending.shift();
+            const { tx, item } = operation;
+            const t = run.timestamps[tx];
+
+            if (operation.op === 'COMMIT') {
+                this.commit(run, operation, '');
+                continue;
+            }
+            if (operation.op === 'ABORT') {
+                this.abort(run, operation, tx, `${tx} aborts`, []);
+                continue;
+            }
+
+            const stamp = run.stamps[item] = run.stamps[item] || { read: 0, write: 0 };
+            const check = (label, value) => `t(${tx}) = ${t} ${t >= value ? '≥' : '<'} ${label}(${item}) = ${value}`;
+
+            if (operation.op === 'READ') {
+                if (t < stamp.write) {
+                    this.abort(run, operation, tx, `${check('W', stamp.write)} ✗: ${tx} would read a value written by a younger transaction`, []);
+                    continue;
+                }
+                stamp.read = Math.max(stamp.read, t);
+                this.access(run, operation);
+                this.record(run, operation, 'execute', `${check('W', stamp.write)} ✓, R(${item}) = ${stamp.read}`);
+                continue;
+            }
+
+            if (t < stamp.read) {
+                this.abort(run, operation, tx, `${check('R', stamp.read)} ✗: a younger transaction has already read ${item}`, []);
+            } else if (t < stamp.write && thomas) {
+                this.record(run, operation, 'skip', `${check('R', stamp.read)} ✓, ${check('W', stamp.write)}: outdated write skipped (Thomas' write rule)`);
+            } else if (t < stamp.write) {
+                this.abort(run, operation, tx, `${check('W', stamp.write)} ✗: a younger transaction has already written ${item}`, []);
+            } else {
+                const message = `${check('R', stamp.read)} ✓, ${check('W', stamp.write)} ✓, W(${item}) = ${t}`;
+                stamp.write = t;
+                this.access(run, operation);
+                this.record(run, operation, 'execute', message);
+            }
+        }
+    },
+
+    /**
+     * Perform a READ or WRITE and track which transaction read uncommitted data from which
+     * @param {Object} run - Run state
+     * @param {Object} operation - Operation
+     */
+    access(run, operation) {
+        const { tx, item } = operation;
+        const writer = run.writers[item];
+
+        if (operation.op === 'READ' && writer && writer !== tx && run.states[writer] === 'active') {
+            run.readsFrom[tx].add(writer);
+        }
+        if (operation.op === 'WRITE') {
+            run.writers[item] = tx;
+        }
+        run.executed.push(operation);
+    },
+
+    /**
+     * Commit a transaction
+     * @param {Object} run - Run state
+     * @param {Object} operation - COMMIT operation
+     * @param {string} detail - Extra message
+     */
+    commit(run, operation, detail) {
+        const { tx } = operation;
+        run.states[tx] = 'committed';
+        run.executed.push(operation);
+
+        const dirty = Array.from(run.readsFrom[tx]).filter(writer => run.states[writer] === 'active');
+        const warning = dirty.length > 0 ? `; it read uncommitted data of ${dirty.join(', ')}` : '';
+        this.record(run, operation, 'commit', `${tx} commits${operation.implicit ? ' (implicit)' : ''}${detail ? `, ${detail}` : ''}${warning}`);
+    },
+
+    /**
+     * Roll back a transaction, cascade to transactions that read its writes and schedule a restart
+     * @param {Object} run - Run state
+     * @param {Object} operation - Operation during which the abort happened
+     * @param {string} tx - Transaction to roll back
+     * @param {string} reason - Message
+     * @param {string[]} released - Locks already released
+     */
+    abort(run, operation, tx, reason, released) {
+        const aborted = [];
+        const unrecoverable = [];
+        const queue = [tx];
+
+        while (queue.length > 0) {
+            const victim = queue.shift();
+            if (aborted.includes(victim)) continue;
+
+            aborted.push(victim);
+            run.states[victim] = 'aborted';
+            run.pending = run.pending.filter(pendingOperation => pendingOperation.tx !== victim);
+            run.executed = run.executed.filter(executed => executed.tx !== victim);
+            delete run.waits[victim];
+            if (victim !== tx) released.push(...this.releaseAll(run, victim));
+            Object.keys(run.writers).forEach(item => {
+                if (run.writers[item] === victim) delete run.writers[item];
+            });
+
+            run.transactions.forEach(other => {
+                if (!run.readsFrom[other].has(victim)) return;
+                if (run.states[other] === 'active') queue.push(other);
+                if (run.states[other] === 'committed') unrecoverable.push(other);
+            });
+        }
+
+        // Requests of other transactions waiting for a victim may go ahead now
+        Object.keys(run.waits).forEach(waiting => {
+            if (run.waits[waiting].blockers.some(blocker => aborted.includes(blocker))) delete run.waits[waiting];
+        });
+
+        // An explicit ABORT is final; locking restarts keep the old timestamp so the victim gets older
+        const restarted = aborted.filter(victim =>
+            !(operation.op === 'ABORT' && victim === tx) && run.restarts[victim] < this.maxRestarts);
+        const increment = Object.values(run.timestamps).every(t => t % 10 === 0) ? 10 : 1;
+        restarted.forEach(victim => {
+            run.restarts[victim]++;
+            run.states[victim] = 'active';
+            run.readsFrom[victim] = new Set();
+            if (run.protocol === 'to') {
+                run.timestamps[victim] = Math.max(...Object.values(run.timestamps)) + increment;
+            }
+            run.pending.push(...run.requests.filter(request => request.tx === victim).map(request => Object.assign({}, request)));
+        });
+
+        const parts = [reason];
+        if (aborted.length > 1) parts.push(`cascading rollback of ${aborted.slice(1).join(', ')}, which read its uncommitted writes`);
+        if (unrecoverable.length > 0) parts.push(`${unrecoverable.join(', ')} already committed after reading its writes: the schedule is not recoverable`);
+        if (released.length > 0) parts.push(`locks released: ${released.join(', ')}`);
+
+        if (restarted.length > 0) {
+            parts.push(`restart ${restarted.map(victim => `${victim} (t = ${run.timestamps[victim]})`).join(', ')} at the end`);
+        }
+
+        this.record(run, operation, 'abort', parts.join('; '), { aborted, released });
+    },
+
+    /**
+     * Record a step with a copy of the scheduler state
+     * @param {Object} run - Run state
+     * @param {Object} operation - Operation of the step
+     * @param {string} action - 'execute', 'wait', 'skip', 'commit' or 'abort'
+     * @param {string} message - Explanation
+     * @param {Object} [extra] - Extra fields
+     */
+    record(run, operation, action, message, extra = {}) {
+        const locks = {};
+        Object.keys(run.locks).forEach(item => {
+            const holders = Object.keys(run.locks[item]).map(tx => ({ tx, mode: run.locks[item][tx] }));
+            if (holders.length > 0) locks[item] = holders;
+        });
+
+        const waits = {};
+        Object.keys(run.waits).forEach(tx => {
+            waits[tx] = { item: run.waits[tx].item, blockers: run.waits[tx].blockers.slice(), operation: run.waits[tx].operation };
+        });
+
+        const stamps = {};
+        Object.keys(run.stamps).forEach(item => {
+            stamps[item] = Object.assign({}, run.stamps[item]);
+        });
+
+        run.steps.push(Object.assign({
+            operation,
+            action,
+            message,
+            snapshot: {
+                locks,
+                waits,
+                stamps,
+                states: Object.assign({}, run.states),
+                timestamps: Object.assign({}, run.timestamps)
+            }
+        }, extra));
+    }
+};
@@ -0,0 +1,317 @@
+/**
+ * Query Tree Builder Module
+ * Draws the query tree of an SQL or relational algebra query after each heuristic optimization step
+ */
+
+const QueryTreeBuilder = {
+    form: null,
+    output: null,
+    catalog: null,
+    steps: [],
+    current: 0,
+
+    examples: [
+        {
+            label: 'Employees born after 1957 working on project Aquarius',
+            query: "SELECT E.LNAME\nFROM EMPLOYEE E, WORKS_ON W, PROJECT P\nWHERE P.PNAME = 'Aquarius' AND P.PNUMBER = W.PNO AND W.ESSN = E.SSN AND E.BDATE > 1957",
+            catalog: 'EMPLOYEE(SSN, LNAME, BDATE, DNO) n = 2000 V(LNAME) = 1500 V(DNO) = 20 min(BDATE) = 1940 max(BDATE) = 2000\n' +
+                'WORKS_ON(ESSN, PNO, HOURS) n = 6000 V(ESSN) = 2000 V(PNO) = 100 V(HOURS) = 40\n' +
+                'PROJECT(PNUMBER, PNAME, DNUM) n = 100 V(DNUM) = 20'
+        },
+        {
+            label: 'Ex 11: manufacturers of laptops with HDD ≥ 1000 (SQL)',
+            query: 'SELECT PRODUCT.MANUFACTURER\nFROM PRODUCT, LAPTOP\nWHERE PRODUCT.MODEL = LAPTOP.MODEL AND LAPTOP.HDD >= 1000',
+            catalog: 'PRODUCT(MANUFACTURER, MODEL, TYPE) n = 1000 V(MANUFACTURER) = 50 V(TYPE) = 3\n' +
+                'PC(MODEL, SPEED, RAM, HDD, CD, PRICE) n = 400 V(SPEED) = 20 min(SPEED) = 1000 max(SPEED) = 4000\n' +
+                'LAPTOP(MODEL, SPEED, RAM, HDD, SCREEN, PRICE) n = 300 V(HDD) = 12 min(HDD) = 250 max(HDD) = 2000'
+        },
+        {
+            label: 'Ex 11: PCs of manufacturer B with speed ≥ 3000 (relational algebra)',
+            query: "π[MODEL, PRICE](σ[MANUFACTURER = 'B' ∧ SPEED ≥ 3000](PRODUCT ⋈ PC))",
+            catalog: 'PRODUCT(MANUFACTURER, MODEL, TYPE) n = 1000 V(MANUFACTURER) = 50 V(TYPE) = 3\n' +
+                'PC(MODEL, SPEED, RAM, HDD, CD, PRICE) n = 400 V(SPEED) = 20 V(PRICE) = 100 min(SPEED) = 1000 max(SPEED) = 4000'
+        },
+        {
+            label: 'Ex 8: universities with an older one (self-join)',
+            query: 'π[S1.University](σ[S1.Founded > S2.Founded](ρ[S1](StarUniversity) × ρ[S2](StarUniversity)))',
+            catalog: 'StarUniversity(University, Founded) n = 200 V(Founded) = 150 min(Founded) = 1100 max(Founded) = 2000'
+        }
+    ],
+
+    /**
+     * Initialize the builder panel
+     */
+    init() {
+        this.form = document.getElementById('queryTreeBuilder');
+        this.output = document.getElementById('queryTreeOutput');
+        const examples = document.getElementById('queryTreeExample');
+
+        if (!this.form || !this.output || !examples) {
+            return;
+        }
+
+        this.examples.forEach((example, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = example.label;
+            examples.appendChild(option);
+        });
+
+        examples.addEventListener('change', () => {
+            const example = this.examples[examples.value];
+            if (!example) return;
+            this.form.elements.query.value = example.query;
+            this.form.elements.catalog.value = example.catalog;
+            this.current = 0;
+            this.update();
+        });
+
+        this.output.addEventListener('click', (e) => {
+            const move = e.target.closest('[data-move]');
+            if (move) this.select(this.current + Number(move.dataset.move));
+        });
+
+        this.form.addEventListener('submit', (e) => e.preventDefault());
+        this.form.addEventListener('input', Utils.debounce(() => this.update(), 300));
+        this.update();
+    },
+
+    /**
+     * Parse the catalog and the query, run the rules and render the current step
+     */
+    update() {
+        const elements = this.form.elements;
+
+        try {
+            this.catalog = QueryTree.parseCatalog(elements.catalog.value);
+            this.steps = QueryTree.optimize(QueryTree.parseQuery(elements.query.value), this.catalog);
+            this.current = Math.min(this.current, this.steps.length - 1);
+            this.render();
+        } catch (error) {
+            this.steps = [];
+            this.output.innerHTML = `<div class="calculator-error">${Utils.escapeHTML(error.message)}</div>`;
+        }
+    },
+
+    /**
+     * Show another step
+     * @param {number} index - Step index
+     */
+    select(index) {
+        if (index < 0 || index >= this.steps.length) return;
+        this.current = index;
+        this.render();
+    },
+
+    /**
+     * Render the controls, the rule, the tree and the size estimates of the current step
+     */
+    render() {
+        const step = this.steps[this.current];
+        const rule = QueryTree.rules[step.rule];
+        const last = this.steps.length - 1;
+
+        const controls = '<div class="step-controls">' +
+            `<button type="button" class="btn btn-secondary" data-move="-1"${this.current === 0 ? ' disabled' : ''}>← Previous</button>` +
+            `<span>Step ${this.current + 1} of ${this.steps.length}</span>` +
+            `<button type="button" class="btn btn-secondary" data-move="1"${this.current === last ? ' disabled' : ''}>Next →</button>` +
+            '</div>';
+
+        const changes = step.rule === 0
+            ? ''
+            : (step.changes.length > 0
+                ? `<ul>${step.changes.map(change => `<li>${Utils.escapeHTML(change)}</li>`).join('')}</ul>`
+                : '<p>The tree does not change in this step.</p>');
+
+        const previous = this.current > 0 ? this.steps[this.current - 1].tree : null;
+        this.output.innerHTML = this.renderSummary() + controls +
+            `<p class="query-tree-rule"><strong>${Utils.escapeHTML(rule.title)}.</strong> ${Utils.escapeHTML(rule.text)}</p>` +
+            changes +
+            `<div class="query-tree">${this.treeSVG(step.tree, previous)}</div>` +
+            this.renderSizes(step.tree);
+        Exercises.renderMath(this.output);
+    },
+
+    /**
+     * Build the answer box comparing the canonical and the optimized tree
+     * @returns {string} HTML string
+     */
+    renderSummary() {
+        const first = QueryTree.largestIntermediate(this.steps[0].tree, this.catalog);
+        const final = QueryTree.largestIntermediate(this.steps[this.steps.length - 1].tree, this.catalog);
+        const result = QueryTree.describe(this.steps[0].tree, this.catalog).n;
+
+        const title = first > 0
+            ? `Largest intermediate result: ${this.formatPlain(first)} rows in the canonical tree, ${this.formatPlain(final)} after optimization`
+            : 'Nothing to optimize: the query only reads and projects a relation';
+        return `<div class="info-box"><div class="info-box-title">${title}</div>` +
+            `<p>Estimated result: about ${this.formatRows(result)}.</p></div>`;
+    },
+
+    /**
+     * Build the table of size estimates, from the leaves up
+     * @param {Object} tree - Query tree
+     * @returns {string} HTML with KaTeX delimiters
+     */
+    renderSizes(tree) {
+        const rows = [];
+        const visit = (node) => {
+            QueryTree.children(node).forEach(visit);
+            rows.push(`<tr><td>\\(${this.nodeLatex(node)}\\)</td><td>\\(${QueryTree.describe(node, this.catalog).formula}\\)</td></tr>`);
+        };
+        visit(tree);
+
+        return '<table class="ra-table query-tree-sizes"><caption>A = c: 1/V(A); A = B: 1/max(V(A), V(B)); ' +
+            'A &lt; c: (c − min)/(max − min), or 1/2 without min and max; π: at most the product of the V values</caption>' +
+            `<tr><th>Node</th><th>Estimated rows</th></tr>${rows.join('')}</table>`;
+    },
+
+    /**
+     * Operator of a node as LaTeX
+     * @param {Object} node - Tree node
+     * @returns {string} LaTeX
+     */
+    nodeLatex(node) {
+        const RA = RelationalAlgebra;
+        const name = (text) => `\\text{${RA.escapeLatex(text)}}`;
+        switch (node.type) {
+            case 'relation':
+                return node.alias ? `\\rho_{${name(node.alias)}}(${name(node.name)})` : name(node.name);
+            case 'select':
+                return `\\sigma_{${RA.conditionToLatex(node.cond)}}`;
+            case 'project':
+                return `\\pi_{${node.attrs.map(attr => RA.refToLatex(attr)).join(',')}}`;
+            case 'theta':
+                return `\\bowtie_{${RA.conditionToLatex(node.cond)}}`;
+            case 'rename':
+                return node.mapping
+                    ? `\\rho_{${node.mapping.map(m => `${name(m.to)} \\leftarrow ${RA.refToLatex(m.from)}`).join(',')}}`
+                    : `\\rho_{${name(node.relation)}${node.attributes ? `(${node.attributes.map(name).join(',')})` : ''}}`;
+            default:
+                return { join: '\\bowtie', cross: '\\times', union: '\\cup', intersect: '\\cap', difference: '-', division: '\\div' }[node.type];
+        }
+    },
+
+    /**
+     * Operator of a node as plain text for the SVG
+     * @param {Object} node - Tree node
+     * @returns {{op: string, sub: string, arg: string}} Symbol, subscript and argument
+     */
+    label(node) {
+        const RA = RelationalAlgebra;
+        switch (node.type) {
+            case 'relation':
+                return node.alias ? { op: 'ρ', sub: node.alias, arg: `(${node.name})` } : { op: '', sub: '', arg: node.name };
+            case 'select':
+                return { op: 'σ', sub: RA.conditionToText(node.cond), arg: '' };
+            case 'project':
+                return { op: 'π', sub: node.attrs.map(attr => RA.refToText(attr)).join(', '), arg: '' };
+            case 'theta':
+                return { op: '⋈', sub: RA.conditionToText(node.cond), arg: '' };
+            case 'rename':
+                return {
+                    op: 'ρ',
+                    sub: node.mapping
+                        ? node.mapping.map(m => `${RA.refToText(m.from)}→${m.to}`).join(', ')
+                        : node.relation + (node.attributes ? `(${node.attributes.join(', ')})` : ''),
+                    arg: ''
+                };
+            default:
+                return { op: { join: '⋈', cross: '×', union: '∪', intersect: '∩', difference: '−', division: '÷' }[node.type], sub: '', arg: '' };
+        }
+    },
+
+    /**
+     * Draw a query tree as SVG, marking nodes that are new or moved since the previous step
+     * @param {Object} tree - Query tree
+     * @param {Object|null} previous - Tree of the previous step
+     * @returns {string} SVG markup
+     */
+    treeSVG(tree, previous) {
+        const boxHeight = 40;
+        const gap = 16;
+        const levelGap = 34;
+        const pad = 10;
+
+        const signature = (node) => {
+            const { op, sub, arg } = this.label(node);
+            return `${op}|${sub}|${arg}|${QueryTree.leafNames(node).join(',')}`;
+        };
+        const before = new Set();
+        const collect = (node) => {
+            before.add(signature(node));
+            QueryTree.children(node).forEach(collect);
+        };
+        if (previous) collect(previous);
+
+        const info = new Map();
+        const measure = (node) => {
+            const label = this.label(node);
+            const n = QueryTree.describe(node, this.catalog).n;
+            const size = `≈ ${this.formatRows(n)}`;
+            const textWidth = label.op.length * 11 + label.sub.length * 6.5 + label.arg.length * 7.5;
+            const own = Math.max(textWidth, size.length * 6.5) + 20;
+            const children = QueryTree.children(node).map(measure);
+            const span = children.reduce((sum, width) => sum + width, 0) + gap * Math.max(0, children.length - 1);
+            const width = Math.max(own, span);
+            info.set(node, { label, size, own, width, span });
+            return width;
+        };
+        const total = measure(tree);
+
+        let depth = 0;
+        const edges = [];
+        const boxes = [];
+        const place = (node, x, level) => {
+            const { own, width, span } = info.get(node);
+            const box = { node, x: x + (width - own) / 2, y: pad + level * (boxHeight + levelGap), width: own };
+            boxes.push(box);
+            depth = Math.max(depth, level);
+
+            let childX = x + (width - span) / 2;
+            QueryTree.children(node).forEach(child => {
+                const childBox = place(child, childX, level + 1);
+                edges.push(`<line class="qtree-edge" x1="${box.x + box.width / 2}" y1="${box.y + boxHeight}" x2="${childBox.x + childBox.width / 2}" y2="${childBox.y}"/>`);
+                childX += info.get(child).width + gap;
+            });
+            return box;
+        };
+        place(tree, pad, 0);
+
+        const nodes = boxes.map(({ node, x, y, width }) => {
+            const { label, size } = info.get(node);
+            const classes = ['qtree-node'];
+            if (node.type === 'relation') classes.push('qtree-leaf');
+            if (previous && !before.has(signature(node))) classes.push('qtree-changed');
+
+            const sub = label.sub ? `<tspan class="qtree-sub" dy="4">${Utils.escapeHTML(label.sub)}</tspan>` : '';
+            const arg = label.arg ? `<tspan${label.sub ? ' dy="-4"' : ''}>${Utils.escapeHTML(label.arg)}</tspan>` : '';
+            const cx = x + width / 2;
+            return `<g class="${classes.join(' ')}"><rect x="${x}" y="${y}" width="${width}" height="${boxHeight}" rx="6"/>` +
+                `<text x="${cx}" y="${y + 15}"><tspan class="qtree-op">${label.op}</tspan>${sub}${arg}</text>` +
+                `<text class="qtree-size" x="${cx}" y="${y + 32}">${size}</text></g>`;
+        }).join('');
+
+        const svgWidth = total + 2 * pad;
+        const svgHeight = 2 * pad + (depth + 1) * boxHeight + depth * levelGap;
+        return `<svg class="graph-svg" viewBox="0 0 ${svgWidth} ${svgHeight}" width="${svgWidth}" height="${svgHeight}" role="img">${edges.join('')}${nodes}</svg>`;
+    },
+
+    /**
+     * Format a row count for plain HTML
+     * @param {number} n - Rows
+     * @returns {string} Count with "row" or "rows"
+     */
+    formatRows(n) {
+        return `${this.formatPlain(n)} row${n === 1 ? '' : 's'}`;
+    },
+
+    /**
+     * Format a number for plain HTML
+     * @param {number} value - Number to format
+     * @returns {string} Formatted number
+     */
+    formatPlain(value) {
+        return value.toLocaleString('en-US', { maximumFractionDigits: 2 });
+    }
+};
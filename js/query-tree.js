@@ -0,0 +1,757 @@
+/**
+ * Query Tree Module
+ * Builds the canonical query tree of an SQL or relational algebra query, rewrites it with the
+ * heuristic optimization rules and estimates the result size of every node from catalog statistics
+ *
+ * Catalog lines look like  PC(MODEL, SPEED, PRICE) n = 500 V(SPEED) = 20 min(SPEED) = 1000 max(SPEED) = 4000
+ * An attribute without V(A) is assumed to have n_r different values.
+ */
+
+const QueryTree = {
+    rules: [
+        {
+            title: 'Canonical query tree',
+            text: 'The Cartesian product of the relations, one selection with the whole condition and the projection on top.'
+        },
+        {
+            title: 'Step 1: Break conjunctions in selections',
+            text: 'A selection on c₁ ∧ c₂ ∧ … ∧ cₙ becomes a cascade of selections with one condition each.'
+        },
+        {
+            title: 'Step 2: Push selections down',
+            text: 'Each selection moves as close to the leaves as its attributes allow: below a product or join when it only uses one side.'
+        },
+        {
+            title: 'Step 3: Rearrange leaves',
+            text: 'The smallest input is joined first, and each next relation is one linked to the ones already joined by a condition, to avoid Cartesian products.'
+        },
+        {
+            title: 'Step 4: Replace Cartesian product and selection with join',
+            text: 'A selection directly over a Cartesian product becomes a theta join with the same condition.'
+        },
+        {
+            title: 'Step 5: Push projections down',
+            text: 'Below every join and product a projection keeps only the attributes needed by later conditions and by the result.'
+        }
+    ],
+
+    /**
+     * Parse catalog statistics, one relation per line
+     * @param {string} text - Catalog lines NAME(A, B) n = 1000 V(A) = 50 min(B) = 1 max(B) = 100
+     * @returns {Object} Map of relation name to { name, attrs, n, v, min, max }
+     */
+    parseCatalog(text) {
+        const catalog = {};
+
+        text.split(/\r?\n/).forEach((raw, index) => {
+            const line = raw.trim();
+            const lineNumber = index + 1;
+            if (line === '' || line.startsWith('#')) return;
+
+            const match = line.match(/^(\w+)\s*\(([^)]*)\)(.*)$/);
+            if (!match) {
+                throw RelationalAlgebra.error('Write each relation as NAME(A, B) n = 1000 V(A) = 50', lineNumber);
+            }
+
+            const [, name, list, rest] = match;
+            const attrs = list.split(',').map(attr => attr.trim()).filter(Boolean);
+            if (attrs.length === 0 || !attrs.every(attr => /^\w+$/.test(attr))) {
+                throw RelationalAlgebra.error(`List the attributes of ${name} separated by commas`, lineNumber);
+            }
+            if (catalog[name]) {
+                throw RelationalAlgebra.error(`${name} is already in the catalog`, lineNumber);
+            }
+
+            const relation = { name, attrs, n: null, v: {}, min: {}, max: {} };
+            const pattern = /(n|V|min|max)\s*(?:\(\s*(\w+)\s*\))?\s*=\s*(-?\d+(?:\.\d+)?)/gi;
+            const leftover = rest.replace(pattern, (whole, stat, attr, value) => {
+                const key = stat.toLowerCase();
+                if (key === 'n') {
+                    relation.n = Number(value);
+                    return '';
+                }
+                if (!attr || !attrs.includes(attr)) {
+                    throw RelationalAlgebra.error(`${stat}(${attr || ''}) needs an attribute of ${name}`, lineNumber);
+                }
+                relation[key][attr] = Number(value);
+                return '';
+            });
+
+            if (leftover.replace(/[\s,;]/g, '') !== '') {
+                throw RelationalAlgebra.error(`Cannot read "${leftover.trim()}": use n = …, V(A) = …, min(A) = … and max(A) = …`, lineNumber);
+            }
+            if (!Number.isInteger(relation.n) || relation.n < 0) {
+                throw RelationalAlgebra.error(`Give the number of rows of ${name} as n = …`, lineNumber);
+            }
+            Object.keys(relation.v).forEach(attr => {
+                const v = relation.v[attr];
+                if (!Number.isInteger(v) || v < 1 || v > Math.max(1, relation.n)) {
+                    throw RelationalAlgebra.error(`V(${attr}) must be a whole number from 1 to n = ${relation.n}`, lineNumber);
+                }
+            });
+            Object.keys(relation.min).forEach(attr => {
+                if (relation.max[attr] !== undefined && relation.max[attr] <= relation.min[attr]) {
+                    throw RelationalAlgebra.error(`max(${attr}) must be larger than min(${attr})`, lineNumber);
+                }
+            });
+
+            catalog[name] = relation;
+        });
+
+        if (Object.keys(catalog).length === 0) {
+            throw new Error('Describe at least one relation in the catalog');
+        }
+        return catalog;
+    },
+
+    /**
+     * Parse a query written in SQL (SELECT … FROM … WHERE …) or in relational algebra
+     * @param {string} text - Query text
+     * @returns {Object} Query tree in the relational algebra AST format
+     */
+    parseQuery(text) {
+        const sql = text.match(/^\s*select\s+(?![\s[(_])([\s\S]+?)\s+from\s+([\s\S]+?)(?:\s+where\s+([\s\S]+?))?\s*;?\s*$/i);
+        return sql ? this.parseSQL(sql[1], sql[2], sql[3]) : this.fromAlgebra(RelationalAlgebra.parseExpression(text));
+    },
+
+    /**
+     * Build the canonical tree of an SQL query: π over σ over the product of the FROM relations
+     * @param {string} selectList - SELECT list
+     * @param {string} fromList - FROM list
+     * @param {string} [where] - WHERE condition
+     * @returns {Object} Query tree
+     */
+    parseSQL(selectList, fromList, where) {
+        const relations = fromList.split(',').map(item => {
+            const words = item.trim().split(/\s+/).filter(word => word.toLowerCase() !== 'as');
+            if (words.length === 0 || words.length > 2 || !words.every(word => /^\w+$/.test(word))) {
+                throw new Error(`Cannot read "${item.trim()}" in FROM: list relations as R or R AS r separated by commas, with join conditions in WHERE`);
+            }
+            return { type: 'relation', name: words[0], alias: words[1] || null };
+        });
+
+        let tree = relations.reduce((left, right) => ({ type: 'cross', left, right }));
+        if (where) {
+            tree = { type: 'select', cond: this.parsePart(where, 'condition'), input: tree };
+        }
+
+        const list = selectList.trim().replace(/^distinct\s+/i, '');
+        if (list !== '*') {
+            tree = { type: 'project', attrs: list.split(',').map(attr => this.parsePart(attr, 'attributeRef')), input: tree };
+        }
+        return tree;
+    },
+
+    /**
+     * Parse part of an SQL query with the relational algebra parser
+     * @param {string} text - Condition or attribute text
+     * @param {string} method - Parser method: 'condition' or 'attributeRef'
+     * @returns {Object} Condition or attribute AST
+     */
+    parsePart(text, method) {
+        const parser = RelationalAlgebra.createParser(RelationalAlgebra.tokenize(text));
+        const result = parser[method]();
+        parser.expect('eof');
+        return result;
+    },
+
+    /**
+     * Copy a relational algebra AST, turning ρ[S](R) on a base relation into a leaf R with alias S
+     * @param {Object} node - Expression AST
+     * @returns {Object} Query tree
+     */
+    fromAlgebra(node) {
+        if (node.type === 'rename' && node.input.type === 'relation' && !node.mapping && !node.attributes) {
+            return { type: 'relation', name: node.input.name, alias: node.relation };
+        }
+        if (node.type === 'relation') {
+            return { type: 'relation', name: node.name, alias: null };
+        }
+        return this.mapChildren(node, child => this.fromAlgebra(child));
+    },
+
+    /**
+     * Copy a node with new children
+     * @param {Object} node - Tree node
+     * @param {Function} fn - Maps each child to its replacement
+     * @returns {Object} New node
+     */
+    mapChildren(node, fn) {
+        const copy = Object.assign({}, node);
+        ['input', 'left', 'right'].forEach(key => {
+            if (node[key]) copy[key] = fn(node[key]);
+        });
+        return copy;
+    },
+
+    /**
+     * Children of a node
+     * @param {Object} node - Tree node
+     * @returns {Object[]} Children from left to right
+     */
+    children(node) {
+        return ['input', 'left', 'right'].filter(key => node[key]).map(key => node[key]);
+    },
+
+    /**
+     * Names of the leaves below a node, aliases where given
+     * @param {Object} node - Tree node
+     * @returns {string[]} Leaf names
+     */
+    leafNames(node) {
+        if (node.type === 'relation') return [node.alias || node.name];
+        return this.children(node).flatMap(child => this.leafNames(child));
+    },
+
+    /**
+     * Attribute references used in a condition
+     * @param {Object} cond - Condition AST
+     * @returns {Object[]} Attribute references
+     */
+    refs(cond) {
+        switch (cond.type) {
+            case 'and':
+            case 'or':
+                return this.refs(cond.left).concat(this.refs(cond.right));
+            case 'not':
+                return this.refs(cond.operand);
+            default:
+                return [cond.left, cond.right].filter(value => value.type === 'attr');
+        }
+    },
+
+    /**
+     * Split a condition at its top-level conjunctions
+     * @param {Object} cond - Condition AST
+     * @returns {Object[]} Conjuncts
+     */
+    conjuncts(cond) {
+        return cond.type === 'and' ? this.conjuncts(cond.left).concat(this.conjuncts(cond.right)) : [cond];
+    },
+
+    /**
+     * Attributes an attribute reference can mean
+     * @param {Object} ref - Attribute reference
+     * @param {Object[]} attrs - Attributes { name, quals }
+     * @returns {Object[]} Matching attributes
+     */
+    matches(ref, attrs) {
+        return attrs.filter(attr => attr.name === ref.name && (!ref.qualifier || attr.quals.includes(ref.qualifier)));
+    },
+
+    /**
+     * Find the single attribute a reference means
+     * @param {Object} ref - Attribute reference
+     * @param {Object[]} attrs - Attributes { name, quals }
+     * @returns {Object} Attribute
+     */
+    resolve(ref, attrs) {
+        const found = this.matches(ref, attrs);
+        const text = RelationalAlgebra.refToText(ref);
+        if (found.length === 0) {
+            throw new Error(`Unknown attribute "${text}": the input has ${attrs.map(attr => attr.name).join(', ')}`);
+        }
+        if (found.length > 1) {
+            throw new Error(`"${text}" is ambiguous: write ${found.map(attr => `${attr.quals[0]}.${attr.name}`).join(' or ')}`);
+        }
+        return found[0];
+    },
+
+    /**
+     * Whether every attribute of a condition is available in a subtree
+     * @param {Object} cond - Condition AST
+     * @param {Object} node - Tree node
+     * @param {Object} catalog - Catalog
+     * @returns {boolean} True if the condition can be evaluated on the subtree
+     */
+    covers(cond, node, catalog) {
+        const attrs = this.describe(node, catalog).attrs;
+        return this.refs(cond).every(ref => this.matches(ref, attrs).length > 0);
+    },
+
+    /**
+     * Estimate the result size and attribute statistics of a node
+     * @param {Object} node - Tree node
+     * @param {Object} catalog - Catalog
+     * @returns {{n: number, attrs: Object[], formula: string}} Rows, attributes { name, quals, v, min, max } and the estimate as LaTeX
+     */
+    describe(node, catalog) {
+        const num = (value) => this.formatNumber(value);
+        const name = (text) => `\\text{${RelationalAlgebra.escapeLatex(text)}}`;
+        let result;
+
+        switch (node.type) {
+            case 'relation': {
+                const relation = catalog[node.name];
+                if (!relation) {
+                    throw new Error(`Unknown relation "${node.name}": add it to the catalog`);
+                }
+                const qual = node.alias || node.name;
+                result = {
+                    n: relation.n,
+                    attrs: relation.attrs.map(attr => ({
+                        name: attr,
+                        quals: [qual],
+                        v: relation.v[attr] !== undefined ? relation.v[attr] : relation.n,
+                        min: relation.min[attr],
+                        max: relation.max[attr]
+                    })),
+                    formula: `n_{${name(node.name)}} = ${num(relation.n)}`
+                };
+                break;
+            }
+            case 'select': {
+                const input = this.describe(node.input, catalog);
+                const factor = this.selectivity(node.cond, input.attrs);
+                const n = Math.ceil(input.n * factor.value);
+                result = {
+                    n,
+                    attrs: this.restrict(input.attrs, node.cond),
+                    formula: `${num(input.n)} \\cdot ${factor.latex} \\approx ${num(n)}`
+                };
+                break;
+            }
+            case 'project': {
+                const input = this.describe(node.input, catalog);
+                const attrs = node.attrs.map(ref => this.resolve(ref, input.attrs));
+                const n = Math.min(input.n, attrs.reduce((product, attr) => product * attr.v, 1));
+                const vs = attrs.map(attr => `V(${name(attr.name)})`).join(' \\cdot ');
+                result = {
+                    n,
+                    attrs,
+                    formula: `\\min(n, ${vs}) = \\min(${num(input.n)}, ${attrs.map(attr => num(attr.v)).join(' \\cdot ')}) = ${num(n)}`
+                };
+                break;
+            }
+            case 'cross': {
+                const left = this.describe(node.left, catalog);
+                const right = this.describe(node.right, catalog);
+                const n = left.n * right.n;
+                result = { n, attrs: left.attrs.concat(right.attrs), formula: `${num(left.n)} \\cdot ${num(right.n)} = ${num(n)}` };
+                break;
+            }
+            case 'join': {
+                const left = this.describe(node.left, catalog);
+                const right = this.describe(node.right, catalog);
+                const common = left.attrs.filter(attr => right.attrs.some(other => other.name === attr.name));
+                if (common.length === 0) {
+                    const n = left.n * right.n;
+                    result = { n, attrs: left.attrs.concat(right.attrs), formula: `${num(left.n)} \\cdot ${num(right.n)} = ${num(n)}` };
+                    break;
+                }
+
+                const pairs = common.map(attr => [attr, right.attrs.find(other => other.name === attr.name)]);
+                const divisor = pairs.reduce((product, [a, b]) => product * Math.max(a.v, b.v), 1);
+                const n = Math.ceil(left.n * right.n / divisor);
+                const attrs = left.attrs.map(attr => {
+                    const pair = pairs.find(([a]) => a === attr);
+                    return pair ? Object.assign({}, attr, { quals: attr.quals.concat(pair[1].quals), v: Math.min(pair[0].v, pair[1].v) }) : attr;
+                }).concat(right.attrs.filter(attr => !common.some(other => other.name === attr.name)));
+                const maxima = pairs.map(([a, b]) => `\\max(${num(a.v)}, ${num(b.v)})`).join(' \\cdot ');
+                result = { n, attrs, formula: `\\frac{${num(left.n)} \\cdot ${num(right.n)}}{${maxima}} \\approx ${num(n)}` };
+                break;
+            }
+            case 'theta': {
+                const left = this.describe(node.left, catalog);
+                const right = this.describe(node.right, catalog);
+                const attrs = left.attrs.concat(right.attrs);
+                const factor = this.selectivity(node.cond, attrs);
+                const n = Math.ceil(left.n * right.n * factor.value);
+                result = {
+                    n,
+                    attrs: this.restrict(attrs, node.cond),
+                    formula: `${num(left.n)} \\cdot ${num(right.n)} \\cdot ${factor.latex} \\approx ${num(n)}`
+                };
+                break;
+            }
+            case 'rename': {
+                const input = this.describe(node.input, catalog);
+                const attrs = input.attrs.map((attr, index) => {
+                    if (node.mapping) {
+                        const rename = node.mapping.find(m => this.matches(m.from, [attr]).length > 0);
+                        return rename ? Object.assign({}, attr, { name: rename.to }) : attr;
+                    }
+                    const renamed = node.attributes ? node.attributes[index] : attr.name;
+                    return Object.assign({}, attr, { name: renamed || attr.name, quals: [node.relation] });
+                });
+                result = { n: input.n, attrs, formula: `n = ${num(input.n)}` };
+                break;
+            }
+            default: {
+                const left = this.describe(node.left, catalog);
+                const right = this.describe(node.right, catalog);
+                const estimates = {
+                    union: [left.n + right.n, `${num(left.n)} + ${num(right.n)}`],
+                    intersect: [Math.min(left.n, right.n), `\\min(${num(left.n)}, ${num(right.n)})`],
+                    difference: [left.n, num(left.n)],
+                    division: [Math.ceil(left.n / Math.max(1, right.n)), `\\frac{${num(left.n)}}{${num(right.n)}}`]
+                };
+                const [n, latex] = estimates[node.type];
+                const attrs = node.type === 'division'
+                    ? left.attrs.filter(attr => !right.attrs.some(other => other.name === attr.name))
+                    : left.attrs;
+                result = { n, attrs, formula: `${latex} ${latex === num(n) ? '' : `\\approx ${num(n)}`}`.trim() };
+            }
+        }
+
+        result.attrs = result.attrs.map(attr => Object.assign({}, attr, { v: Math.max(1, Math.min(attr.v, result.n)) }));
+        return result;
+    },
+
+    /**
+     * Attribute statistics after a selection: A = c leaves one value, A = B leaves the smaller V on both
+     * @param {Object[]} attrs - Input attributes
+     * @param {Object} cond - Condition AST
+     * @returns {Object[]} Attributes
+     */
+    restrict(attrs, cond) {
+        let result = attrs;
+        this.conjuncts(cond).filter(part => part.type === 'compare' && part.op === '=').forEach(part => {
+            const sides = [part.left, part.right].filter(value => value.type === 'attr').map(ref => this.resolve(ref, result));
+            const v = sides.length === 1 ? 1 : Math.min(...sides.map(attr => attr.v));
+            result = result.map(attr => (sides.includes(attr) ? Object.assign({}, attr, { v }) : attr));
+        });
+        return result;
+    },
+
+    /**
+     * Estimate the fraction of rows that satisfy a condition
+     * @param {Object} cond - Condition AST
+     * @param {Object[]} attrs - Input attributes
+     * @returns {{value: number, latex: string}} Selectivity and its formula
+     */
+    selectivity(cond, attrs) {
+        const num = (value) => this.formatNumber(value);
+
+        if (cond.type === 'and' || cond.type === 'or') {
+            const a = this.selectivity(cond.left, attrs);
+            const b = this.selectivity(cond.right, attrs);
+            return cond.type === 'and'
+                ? { value: a.value * b.value, latex: `${a.latex} \\cdot ${b.latex}` }
+                : { value: a.value + b.value - a.value * b.value, latex: `(${a.latex} + ${b.latex} - ${a.latex} \\cdot ${b.latex})` };
+        }
+        if (cond.type === 'not') {
+            const a = this.selectivity(cond.operand, attrs);
+            return { value: 1 - a.value, latex: `(1 - ${a.latex})` };
+        }
+
+        const left = cond.left.type === 'attr' ? this.resolve(cond.left, attrs) : null;
+        const right = cond.right.type === 'attr' ? this.resolve(cond.right, attrs) : null;
+
+        if (left && right) {
+            const v = Math.max(left.v, right.v);
+            if (cond.op === '=') return { value: 1 / v, latex: `\\frac{1}{\\max(${num(left.v)}, ${num(right.v)})}` };
+            if (cond.op === '≠') return { value: 1 - 1 / v, latex: `(1 - \\frac{1}{\\max(${num(left.v)}, ${num(right.v)})})` };
+            return { value: 1 / 2, latex: '\\frac{1}{2}' };
+        }
+        if (!left && !right) {
+            const holds = RelationalAlgebra.compare(cond.left.value, cond.op, cond.right.value);
+            return { value: holds ? 1 : 0, latex: holds ? '1' : '0' };
+        }
+
+        // Put the attribute on the left: 5 < A is A > 5
+        const flipped = { '<': '>', '≤': '≥', '>': '<', '≥': '≤', '=': '=', '≠': '≠' };
+        const attr = left || right;
+        const op = left ? cond.op : flipped[cond.op];
+        const value = (left ? cond.right : cond.left).value;
+
+        if (op === '=') return { value: 1 / attr.v, latex: `\\frac{1}{${num(attr.v)}}` };
+        if (op === '≠') return { value: 1 - 1 / attr.v, latex: `(1 - \\frac{1}{${num(attr.v)}})` };
+
+        if (typeof value === 'number' && attr.min !== undefined && attr.max !== undefined) {
+            const range = attr.max - attr.min;
+            const below = ['<', '≤'].includes(op);
+            const part = below ? value - attr.min : attr.max - value;
+            const fraction = Math.min(1, Math.max(0, part / range));
+            const top = below ? `${num(value)} - ${num(attr.min)}` : `${num(attr.max)} - ${num(value)}`;
+            return { value: fraction, latex: `\\frac{${top}}{${num(attr.max)} - ${num(attr.min)}}` };
+        }
+        return { value: 1 / 2, latex: '\\frac{1}{2}' };
+    },
+
+    /**
+     * Estimated size of the largest result computed in the tree; leaves and projections are not
+     * counted, as a projection never has more rows than its input
+     * @param {Object} tree - Query tree
+     * @param {Object} catalog - Catalog
+     * @returns {number} Rows, 0 when nothing but projections is computed
+     */
+    largestIntermediate(tree, catalog) {
+        const own = ['relation', 'project'].includes(tree.type) ? 0 : this.describe(tree, catalog).n;
+        return this.children(tree).reduce((max, child) => Math.max(max, this.largestIntermediate(child, catalog)), own);
+    },
+
+    /**
+     * Apply the heuristic rules one after the other
+     * @param {Object} tree - Canonical query tree
+     * @param {Object} catalog - Catalog
+     * @returns {Object[]} Steps { rule, tree, changes } starting with the canonical tree
+     */
+    optimize(tree, catalog) {
+        this.describe(tree, catalog);
+
+        const steps = [{ rule: 0, tree, changes: [] }];
+        const rules = [
+            (node, changes) => this.breakConjunctions(node, changes),
+            (node, changes) => this.pushSelections(node, catalog, changes),
+            (node, changes) => this.rearrangeLeaves(node, catalog, changes),
+            (node, changes) => this.introduceJoins(node, changes),
+            (node, changes) => this.pushProjections(node, catalog, changes)
+        ];
+
+        rules.forEach((rule, index) => {
+            const changes = [];
+            steps.push({ rule: index + 1, tree: rule(steps[index].tree, changes), changes });
+        });
+        return steps;
+    },
+
+    /**
+     * Step 1: split every selection on a conjunction into a cascade
+     * @param {Object} node - Tree node
+     * @param {string[]} changes - Collects a description of every rewrite
+     * @returns {Object} New tree
+     */
+    breakConjunctions(node, changes) {
+        const copy = this.mapChildren(node, child => this.breakConjunctions(child, changes));
+        if (copy.type !== 'select' || copy.cond.type !== 'and') return copy;
+
+        const conds = this.conjuncts(copy.cond);
+        changes.push(`σ[${RelationalAlgebra.conditionToText(copy.cond)}] becomes a cascade of ${conds.length} selections`);
+        return conds.reduceRight((input, cond) => ({ type: 'select', cond, input }), copy.input);
+    },
+
+    /**
+     * Step 2: move every selection as far down as its attributes allow
+     * @param {Object} node - Tree node
+     * @param {Object} catalog - Catalog
+     * @param {string[]} changes - Collects a description of every rewrite
+     * @returns {Object} New tree
+     */
+    pushSelections(node, catalog, changes) {
+        const copy = this.mapChildren(node, child => this.pushSelections(child, catalog, changes));
+        if (copy.type !== 'select') return copy;
+
+        const sunk = this.sink(copy.cond, copy.input, catalog);
+        if (!sunk) return copy;
+
+        const placed = this.find(sunk, child => child.type === 'select' && child.cond === copy.cond);
+        const names = this.leafNames(placed.input);
+        changes.push(`σ[${RelationalAlgebra.conditionToText(copy.cond)}] moves down to ${names.length === 1 ? names[0] : `the subtree of ${names.join(', ')}`}`);
+        return sunk;
+    },
+
+    /**
+     * Place a selection inside a subtree, as low as possible
+     * @param {Object} cond - Selection condition
+     * @param {Object} node - Subtree the selection is above
+     * @param {Object} catalog - Catalog
+     * @returns {Object|null} New subtree, or null when the selection has to stay above it
+     */
+    sink(cond, node, catalog) {
+        switch (node.type) {
+            case 'select':
+            case 'project': {
+                const inner = this.sink(cond, node.input, catalog);
+                return inner && Object.assign({}, node, { input: inner });
+            }
+            case 'cross':
+            case 'join':
+            case 'theta': {
+                const side = ['left', 'right'].find(key => this.covers(cond, node[key], catalog));
+                if (!side) return null;
+                const inner = this.sink(cond, node[side], catalog) || { type: 'select', cond, input: node[side] };
+                return Object.assign({}, node, { [side]: inner });
+            }
+            case 'union':
+            case 'intersect':
+            case 'difference': {
+                if (!this.covers(cond, node.left, catalog) || !this.covers(cond, node.right, catalog)) return null;
+                const push = (child) => this.sink(cond, child, catalog) || { type: 'select', cond, input: child };
+                return Object.assign({}, node, { left: push(node.left), right: push(node.right) });
+            }
+            default:
+                return null;
+        }
+    },
+
+    /**
+     * Find the first node, top down, that matches a test
+     * @param {Object} node - Tree node
+     * @param {Function} test - Node predicate
+     * @returns {Object|null} Matching node
+     */
+    find(node, test) {
+        if (test(node)) return node;
+        for (const child of this.children(node)) {
+            const found = this.find(child, test);
+            if (found) return found;
+        }
+        return null;
+    },
+
+    /**
+     * Operator of a group of products or natural joins, seen through the selections above it
+     * @param {Object} node - Tree node
+     * @returns {string|null} 'cross', 'join' or null
+     */
+    regionType(node) {
+        let below = node;
+        while (below.type === 'select') below = below.input;
+        return ['cross', 'join'].includes(below.type) ? below.type : null;
+    },
+
+    /**
+     * Step 3: rebuild every group of products or joins as a left-deep tree in a better order
+     * @param {Object} node - Tree node
+     * @param {Object} catalog - Catalog
+     * @param {string[]} changes - Collects a description of every rewrite
+     * @returns {Object} New tree
+     */
+    rearrangeLeaves(node, catalog, changes) {
+        const type = this.regionType(node);
+        if (!type) return this.mapChildren(node, child => this.rearrangeLeaves(child, catalog, changes));
+
+        const leaves = [];
+        const conds = [];
+        const collect = (child) => {
+            if (child.type === type) {
+                collect(child.left);
+                collect(child.right);
+            } else if (child.type === 'select' && this.regionType(child) === type) {
+                conds.push(child.cond);
+                collect(child.input);
+            } else {
+                leaves.push(this.rearrangeLeaves(child, catalog, changes));
+            }
+        };
+        collect(node);
+
+        const order = this.joinOrder(leaves, conds, type, catalog);
+        let tree = order.reduce((left, right) => ({ type, left, right }));
+        conds.forEach(cond => {
+            tree = this.sink(cond, tree, catalog) || { type: 'select', cond, input: tree };
+        });
+
+        if (order.some((leaf, index) => leaf !== leaves[index])) {
+            const sizes = order.map(leaf => `${this.leafNames(leaf).join(', ')} (${this.describe(leaf, catalog).n.toLocaleString('en-US')})`);
+            changes.push(`Join order by estimated size: ${sizes.join(' → ')}`);
+        } else if (RelationalAlgebra.toText(tree) !== RelationalAlgebra.toText(node)) {
+            changes.push(`The ${type === 'cross' ? 'products' : 'joins'} of ${leaves.map(leaf => this.leafNames(leaf).join(', ')).join(', ')} are rebuilt as a left-deep tree`);
+        }
+        return tree;
+    },
+
+    /**
+     * Order the inputs of a group of products or joins: smallest first, then always the smallest linked input
+     * @param {Object[]} leaves - Inputs
+     * @param {Object[]} conds - Conditions of the group
+     * @param {string} type - 'cross' or 'join'
+     * @param {Object} catalog - Catalog
+     * @returns {Object[]} Inputs in join order
+     */
+    joinOrder(leaves, conds, type, catalog) {
+        const info = leaves.map(leaf => this.describe(leaf, catalog));
+        const uses = (refs, index) => refs.some(ref => this.matches(ref, info[index].attrs).length > 0);
+        const linked = (a, b) => conds.some(cond => uses(this.refs(cond), a) && uses(this.refs(cond), b)) ||
+            (type === 'join' && info[a].attrs.some(attr => info[b].attrs.some(other => other.name === attr.name)));
+
+        const remaining = leaves.map((leaf, index) => index);
+        const order = [];
+        while (remaining.length > 0) {
+            const connected = remaining.filter(index => order.some(other => linked(index, other)));
+            const candidates = connected.length > 0 ? connected : remaining;
+            const next = candidates.reduce((best, index) => (info[index].n < info[best].n ? index : best));
+            order.push(next);
+            remaining.splice(remaining.indexOf(next), 1);
+        }
+        return order.map(index => leaves[index]);
+    },
+
+    /**
+     * Step 4: turn selections over a Cartesian product into theta joins
+     * @param {Object} node - Tree node
+     * @param {string[]} changes - Collects a description of every rewrite
+     * @returns {Object} New tree
+     */
+    introduceJoins(node, changes) {
+        const copy = this.mapChildren(node, child => this.introduceJoins(child, changes));
+        if (copy.type !== 'select' || !['cross', 'theta'].includes(copy.input.type)) return copy;
+
+        const { input } = copy;
+        const text = RelationalAlgebra.conditionToText(copy.cond);
+        if (input.type === 'cross') {
+            changes.push(`σ[${text}] over × becomes ⋈[${text}]`);
+            return { type: 'theta', cond: copy.cond, left: input.left, right: input.right };
+        }
+        changes.push(`σ[${text}] joins the condition of the ⋈ below it`);
+        return { type: 'theta', cond: { type: 'and', left: input.cond, right: copy.cond }, left: input.left, right: input.right };
+    },
+
+    /**
+     * Step 5: add projections below joins and products that keep only the attributes still needed
+     * @param {Object} tree - Query tree
+     * @param {Object} catalog - Catalog
+     * @param {string[]} changes - Collects a description of every rewrite
+     * @returns {Object} New tree
+     */
+    pushProjections(tree, catalog, changes) {
+        // Qualify an attribute in the new projections only when several relations have one of that name
+        const counts = {};
+        const leafAttrs = (node) => (node.type === 'relation'
+            ? this.describe(node, catalog).attrs
+            : this.children(node).flatMap(leafAttrs));
+        leafAttrs(tree).forEach(attr => { counts[attr.name] = (counts[attr.name] || 0) + 1; });
+        const toRef = (attr) => ({ type: 'attr', qualifier: counts[attr.name] > 1 ? attr.quals[0] : null, name: attr.name });
+        const needs = (refs, attrs) => attrs.filter(attr => refs.some(ref => this.matches(ref, [attr]).length > 0));
+
+        const prune = (node, needed) => {
+            switch (node.type) {
+                case 'project':
+                    return Object.assign({}, node, { input: prune(node.input, node.attrs) });
+                case 'select':
+                    return Object.assign({}, node, { input: prune(node.input, needed.concat(this.refs(node.cond))) });
+                case 'cross':
+                case 'join':
+                case 'theta': {
+                    const left = this.describe(node.left, catalog).attrs;
+                    const right = this.describe(node.right, catalog).attrs;
+                    let used = needed.concat(node.cond ? this.refs(node.cond) : []);
+                    if (node.type === 'join') {
+                        used = used.concat(left.filter(attr => right.some(other => other.name === attr.name))
+                            .map(attr => ({ type: 'attr', qualifier: null, name: attr.name })));
+                    }
+
+                    const copy = Object.assign({}, node);
+                    [['left', left], ['right', right]].forEach(([side, attrs]) => {
+                        const refs = needs(used, attrs).map(toRef);
+                        copy[side] = prune(node[side], refs);
+
+                        const available = this.describe(copy[side], catalog).attrs;
+                        const kept = needs(refs, available);
+                        if (kept.length > 0 && kept.length < available.length && copy[side].type !== 'project') {
+                            copy[side] = { type: 'project', attrs: refs, input: copy[side] };
+                            changes.push(`π[${refs.map(ref => RelationalAlgebra.refToText(ref)).join(', ')}] keeps ${kept.length} of the ${available.length} attributes of ${this.leafNames(node[side]).join(', ')}`);
+                        }
+                    });
+                    return copy;
+                }
+                case 'relation':
+                    return node;
+                default:
+                    return this.mapChildren(node, child => prune(child, this.describe(child, catalog).attrs.map(toRef)));
+            }
+        };
+
+        return prune(tree, this.describe(tree, catalog).attrs.map(toRef));
+    },
+
+    /**
+     * Format a number with thousands separators for KaTeX
+     * @param {number} value - Number to format
+     * @returns {string} LaTeX-safe number
+     */
+    formatNumber(value) {
+        return value.toLocaleString('en-US', { maximumFractionDigits: 2 }).replace(/,/g, '{,}');
+    }
+};
@@ -0,0 +1,207 @@
+/**
+ * Relational Algebra Evaluator Module
+ * Evaluates expressions against editable sample relations and shows every intermediate result
+ */
+
+const RAEvaluator = {
+    query: null,
+    relations: null,
+    output: null,
+    maxRows: 50,
+
+    examples: [
+        {
+            label: 'Ex 7 / 11: Laptop makers that do not make PCs',
+            query: "π[MANUFACTURER](σ[TYPE = 'laptop'](PRODUCT)) − π[MANUFACTURER](σ[TYPE = 'pc'](PRODUCT))"
+        },
+        {
+            label: 'Ex 8: Oldest university (self-join with ρ)',
+            query: 'Younger ← π[S2.University](ρ[S1](StarUniversity) ⋈[S1.Founded < S2.Founded] ρ[S2](StarUniversity))\nπ[University](StarUniversity) − Younger'
+        },
+        {
+            label: 'Ex 9: Minimum of R(A)',
+            query: 'R − π[R.A](σ[R.A > S.A](R × ρ[S](R)))'
+        },
+        {
+            label: 'Ex 11: PC models with speed ≥ 1500',
+            query: 'π[MODEL](σ[SPEED ≥ 1500](PC))'
+        },
+        {
+            label: 'Ex 11: Makers of laptops with HDD ≥ 1000 GB',
+            query: 'π[MANUFACTURER](PRODUCT ⋈ σ[HDD ≥ 1000](LAPTOP))'
+        },
+        {
+            label: 'Ex 11: Model and price of every product made by B',
+            query: "B ← π[MODEL](σ[MANUFACTURER = 'B'](PRODUCT))\nπ[MODEL, PRICE](B ⋈ PC) ∪ π[MODEL, PRICE](B ⋈ LAPTOP) ∪ π[MODEL, PRICE](B ⋈ PRINTER)"
+        },
+        {
+            label: 'Ex 11: Makers of two fast PCs/laptops (ASCII syntax)',
+            query: 'Fast = project[MODEL](select[SPEED >= 3000](PC)) union project[MODEL](select[SPEED >= 3000](LAPTOP))\n' +
+                'M = project[MANUFACTURER, MODEL](PRODUCT join Fast)\n' +
+                'project[M1.MANUFACTURER](rename[M1](M) join[M1.MANUFACTURER = M2.MANUFACTURER and M1.MODEL <> M2.MODEL] rename[M2](M))'
+        },
+        {
+            label: 'Ex 12 a: Beers liked by every visitor of the pubs selling them',
+            query: 'π[beer](sells) − π[beer](π[person, beer](sells ⋈ visits) − likes)'
+        },
+        {
+            label: 'Ex 12 b: Persons who like every beer sold where they go',
+            query: 'π[person](visits) − π[person](π[person, beer](visits ⋈ sells) − likes)'
+        },
+        {
+            label: 'Division: Persons who visit every pub',
+            query: 'visits ÷ π[pub](sells)'
+        }
+    ],
+
+    /**
+     * Initialize the evaluator panel
+     */
+    init() {
+        this.query = document.getElementById('raQuery');
+        this.relations = document.getElementById('raRelations');
+        this.output = document.getElementById('raOutput');
+        const examples = document.getElementById('raExample');
+
+        if (!this.query || !this.relations || !this.output || !examples) {
+            return;
+        }
+
+        this.examples.forEach((example, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = example.label;
+            examples.appendChild(option);
+        });
+
+        examples.addEventListener('change', () => {
+            const example = this.examples[examples.value];
+            if (!example) return;
+            this.query.value = example.query;
+            this.evaluate();
+        });
+
+        document.querySelectorAll('#raPalette [data-insert]').forEach(button => {
+            button.addEventListener('click', () => this.insert(button.getAttribute('data-insert')));
+        });
+
+        document.getElementById('raRun').addEventListener('click', () => this.evaluate());
+        document.getElementById('raResetRelations').addEventListener('click', () => {
+            this.relations.value = this.relations.defaultValue;
+            this.evaluate();
+        });
+
+        this.query.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                this.evaluate();
+            }
+        });
+
+        this.query.value = this.examples[0].query;
+        examples.value = '0';
+        this.evaluate();
+    },
+
+    /**
+     * Insert text at the cursor of the expression box
+     * @param {string} text - Text to insert; "|" marks where the cursor goes
+     */
+    insert(text) {
+        const cursor = text.indexOf('|');
+        const clean = text.replace('|', '');
+        const start = this.query.selectionStart;
+        const end = this.query.selectionEnd;
+
+        this.query.value = this.query.value.slice(0, start) + clean + this.query.value.slice(end);
+        const position = start + (cursor === -1 ? clean.length : cursor);
+        this.query.focus();
+        this.query.setSelectionRange(position, position);
+    },
+
+    /**
+     * Parse the relations and the expression, evaluate it and render the results
+     */
+    evaluate() {
+        let database;
+        try {
+            database = RelationalAlgebra.parseRelations(this.relations.value);
+        } catch (error) {
+            this.showError(`Sample relations — ${error.message}`);
+            return;
+        }
+
+        try {
+            const statements = RelationalAlgebra.parse(this.query.value);
+            const { result, steps } = RelationalAlgebra.run(statements, database);
+            this.output.innerHTML = this.render(statements, result, steps);
+            Exercises.renderMath(this.output);
+        } catch (error) {
+            this.showError(error.message);
+        }
+    },
+
+    /**
+     * Show an error message in the output area
+     * @param {string} message - Error message
+     */
+    showError(message) {
+        this.output.innerHTML = `<div class="calculator-error">${Utils.escapeHTML(message)}</div>`;
+    },
+
+    /**
+     * Build the output markup
+     * @param {Object[]} statements - Parsed statements
+     * @param {Object} result - Final relation
+     * @param {Object[]} steps - Intermediate results in evaluation order
+     * @returns {string} HTML with KaTeX delimiters
+     */
+    render(statements, result, steps) {
+        const expression = statements
+            .map(statement => `\\[${this.statementLatex(statement.target, statement.expr)}\\]`)
+            .join('\n');
+
+        const stepList = steps.map((step, index) => {
+            const latex = this.statementLatex(step.target, step.node);
+            return `<div class="ra-step"><div class="ra-step-title"><span class="ra-step-number">${index + 1}</span>\\(${latex}\\)</div>${this.renderTable(step.relation)}</div>`;
+        }).join('');
+
+        return `<div class="formula"><strong>Expression:</strong>\n${expression}</div>` +
+            `<h4>Result</h4>${this.renderTable(result)}` +
+            (steps.length > 1 ? `<h4>Intermediate Results</h4><div class="ra-steps">${stepList}</div>` : '');
+    },
+
+    /**
+     * Render an expression as LaTeX, prefixed with its assignment target
+     * @param {string|null} target - Assigned name
+     * @param {Object} node - Expression AST
+     * @returns {string} LaTeX
+     */
+    statementLatex(target, node) {
+        const latex = RelationalAlgebra.toLatex(node);
+        return target ? `${RelationalAlgebra.refToLatex({ name: target })} \\leftarrow ${latex}` : latex;
+    },
+
+    /**
+     * Render a relation as a table
+     * @param {Object} relation - Relation to render
+     * @returns {string} HTML string
+     */
+    renderTable(relation) {
+        const header = relation.attrs
+            .map(attr => `<th>${Utils.escapeHTML(RelationalAlgebra.attributeLabel(relation, attr))}</th>`)
+            .join('');
+        const rows = relation.rows.slice(0, this.maxRows)
+            .map(row => `<tr>${row.map(value => `<td>${Utils.escapeHTML(String(value))}</td>`).join('')}</tr>`)
+            .join('');
+
+        const count = relation.rows.length;
+        let caption = `${count} ${count === 1 ? 'tuple' : 'tuples'}`;
+        if (count > this.maxRows) {
+            caption += `, showing the first ${this.maxRows}`;
+        }
+
+        const empty = count === 0 ? `<tr><td colspan="${relation.attrs.length}" class="ra-empty">∅ (empty relation)</td></tr>` : '';
+        return `<table class="ra-table"><caption>${caption}</caption><tr>${header}</tr>${rows}${empty}</table>`;
+    }
+};
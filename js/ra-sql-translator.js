@@ -0,0 +1,275 @@
+/**
+ * RA ↔ SQL Translator Module
+ * Panel that translates between relational algebra and SQL and checks both sides on the sample relations
+ */
+
+const RASQLTranslator = {
+    direction: null,
+    input: null,
+    output: null,
+    text: '',
+    schema: null,
+
+    examples: [
+        {
+            label: 'Ex 7: Laptop makers that do not make PCs',
+            direction: 'ra',
+            source: "π[MANUFACTURER](σ[TYPE = 'laptop'](PRODUCT)) − π[MANUFACTURER](σ[TYPE = 'pc'](PRODUCT))"
+        },
+        {
+            label: 'Ex 8: Oldest university (self-join with ρ)',
+            direction: 'ra',
+            source: 'Younger ← π[S2.University](ρ[S1](StarUniversity) ⋈[S1.Founded < S2.Founded] ρ[S2](StarUniversity))\nπ[University](StarUniversity) − Younger'
+        },
+        {
+            label: 'Ex 11: Makers of laptops with HDD ≥ 1000 GB',
+            direction: 'ra',
+            source: 'π[MANUFACTURER](PRODUCT ⋈ σ[HDD ≥ 1000](LAPTOP))'
+        },
+        {
+            label: 'Ex 12 a: Beers liked by every visitor of the pubs selling them',
+            direction: 'ra',
+            source: 'π[beer](sells) − π[beer](π[person, beer](sells ⋈ visits) − likes)'
+        },
+        {
+            label: 'Division: Persons who visit every pub',
+            direction: 'ra',
+            source: 'visits ÷ π[pub](sells)'
+        },
+        {
+            label: 'SQL: PC models with speed ≥ 1500',
+            direction: 'sql',
+            source: 'SELECT DISTINCT MODEL\nFROM PC\nWHERE SPEED >= 1500'
+        },
+        {
+            label: 'SQL: Makers of laptops with HDD ≥ 1000 GB (join)',
+            direction: 'sql',
+            source: 'SELECT DISTINCT P.MANUFACTURER\nFROM PRODUCT P JOIN LAPTOP L ON P.MODEL = L.MODEL\nWHERE L.HDD >= 1000'
+        },
+        {
+            label: 'SQL: Laptop makers that do not make PCs (EXCEPT)',
+            direction: 'sql',
+            source: "SELECT MANUFACTURER FROM PRODUCT WHERE TYPE = 'laptop'\nEXCEPT\nSELECT MANUFACTURER FROM PRODUCT WHERE TYPE = 'pc'"
+        },
+        {
+            label: 'SQL: Makers with at least two products (GROUP BY)',
+            direction: 'sql',
+            source: 'SELECT MANUFACTURER, COUNT(*) AS products\nFROM PRODUCT\nGROUP BY MANUFACTURER\nHAVING COUNT(*) >= 2'
+        },
+        {
+            label: 'SQL: Average PC price per speed class (GROUP BY)',
+            direction: 'sql',
+            source: 'SELECT SPEED, AVG(PRICE) AS avg_price\nFROM PC\nWHERE SPEED BETWEEN 2000 AND 3100\nGROUP BY SPEED'
+        }
+    ],
+
+    /**
+     * Initialize the translator panel
+     */
+    init() {
+        this.direction = document.getElementById('raSqlDirection');
+        this.input = document.getElementById('raSqlInput');
+        this.output = document.getElementById('raSqlOutput');
+        const examples = document.getElementById('raSqlExample');
+
+        if (!this.direction || !this.input || !this.output || !examples) {
+            return;
+        }
+
+        this.examples.forEach((example, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = example.label;
+            examples.appendChild(option);
+        });
+
+        examples.addEventListener('change', () => {
+            const example = this.examples[examples.value];
+            if (!example) return;
+            this.direction.value = example.direction;
+            this.input.value = example.source;
+            this.translate();
+        });
+
+        this.direction.addEventListener('change', () => {
+            examples.value = '';
+            this.output.innerHTML = '';
+        });
+
+        document.getElementById('raSqlRun').addEventListener('click', () => this.translate());
+
+        this.input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                this.translate();
+            }
+        });
+
+        this.output.addEventListener('click', (e) => {
+            if (e.target.closest('.ra-sql-copy')) this.copy();
+            if (e.target.closest('.ra-sql-open')) this.open();
+        });
+
+        this.direction.value = this.examples[0].direction;
+        this.input.value = this.examples[0].source;
+        examples.value = '0';
+        this.translate();
+    },
+
+    /**
+     * Translate the input in the chosen direction and render the result
+     */
+    translate() {
+        let database = null;
+        try {
+            database = RelationalAlgebra.parseRelations(document.getElementById('raRelations').value);
+        } catch (error) {
+            this.showError(`Sample relations — ${error.message}`);
+            return;
+        }
+
+        try {
+            this.output.innerHTML = this.direction.value === 'sql' ? this.explain(database) : this.toSQL(database);
+            Exercises.renderMath(this.output);
+        } catch (error) {
+            this.showError(error.message);
+        }
+    },
+
+    /**
+     * Translate relational algebra into SQL
+     * @param {Object} database - Sample relations
+     * @returns {string} HTML string
+     */
+    toSQL(database) {
+        const schema = {};
+        Object.keys(database).forEach(name => {
+            schema[name] = database[name].attrs.map(attr => attr.name);
+        });
+
+        const statements = RelationalAlgebra.parse(this.input.value);
+        const sql = RASQL.toSQL(statements, schema);
+        this.text = sql;
+        this.schema = this.sandboxSchema(statements);
+
+        const { result } = RelationalAlgebra.run(statements, database);
+        return `<pre class="ra-sql-code">${Utils.escapeHTML(sql)}</pre>` +
+            '<div class="ra-actions">' +
+            '<button type="button" class="btn btn-secondary ra-sql-copy">Copy SQL</button>' +
+            (this.schema ? '<button type="button" class="btn btn-secondary ra-sql-open">Open in SQL Sandbox</button>' : '') +
+            '</div>' +
+            this.verify(result.rows, sql, database);
+    },
+
+    /**
+     * Translate SQL into relational algebra
+     * @param {Object} database - Sample relations
+     * @returns {string} HTML with KaTeX delimiters
+     */
+    explain(database) {
+        const query = SQL.parse(this.input.value);
+        const { expr, notes } = RASQL.fromSQL(query);
+        const grouped = this.hasGroup(expr);
+        this.text = grouped ? '' : RelationalAlgebra.toText(expr);
+
+        let html = `<div class="formula">\\[${RelationalAlgebra.toLatex(expr)}\\]</div>`;
+        if (grouped) {
+            notes.push('γ (grouping with aggregation) belongs to the extended relational algebra; the evaluator above does not support it.');
+        } else {
+            html += `<p>In the evaluator's syntax: <code>${Utils.escapeHTML(this.text)}</code></p>` +
+                '<div class="ra-actions"><button type="button" class="btn btn-secondary ra-sql-copy">Copy Expression</button></div>';
+        }
+        if (notes.length > 0) {
+            html += `<div class="tip-box"><ul>${notes.map(note => `<li>${Utils.escapeHTML(note)}</li>`).join('')}</ul></div>`;
+        }
+
+        if (!grouped) {
+            const { result } = RelationalAlgebra.run([{ target: null, expr, line: 1 }], database);
+            html += this.verify(result.rows, query, database);
+        }
+        return html;
+    },
+
+    /**
+     * Check whether an expression contains a grouping node
+     * @param {Object} node - Expression AST
+     * @returns {boolean} True if it does
+     */
+    hasGroup(node) {
+        if (node.type === 'group') return true;
+        return [node.input, node.left, node.right].some(child => child && this.hasGroup(child));
+    },
+
+    /**
+     * Run the SQL side on the sample relations and compare it with the relational algebra result
+     * @param {Array[]} rows - Rows of the relational algebra result
+     * @param {Object|string} sql - SQL query
+     * @param {Object} database - Sample relations
+     * @returns {string} HTML string
+     */
+    verify(rows, sql, database) {
+        let result;
+        try {
+            result = SQL.run(sql, database);
+        } catch (error) {
+            return `<div class="calculator-error">The SQL does not run on the sample relations: ${Utils.escapeHTML(error.message)}</div>`;
+        }
+
+        const key = row => JSON.stringify(row);
+        const expected = new Set(rows.map(key));
+        const actual = new Set(result.rows.map(key));
+        const same = expected.size === actual.size && [...expected].every(row => actual.has(row));
+        const count = `${expected.size} ${expected.size === 1 ? 'tuple' : 'tuples'}`;
+
+        if (same) {
+            const duplicates = result.rows.length > actual.size ? ` (SQL returns ${result.rows.length} rows with duplicates)` : '';
+            return `<p class="ra-sql-verdict correct">✓ Both return the same ${count} on the sample relations${duplicates}.</p>`;
+        }
+        return `<p class="ra-sql-verdict incorrect">✗ The results differ on the sample relations: relational algebra gives ${count}, SQL gives ${actual.size} distinct rows.</p>`;
+    },
+
+    /**
+     * Copy the translation to the clipboard
+     */
+    async copy() {
+        const copied = await Utils.copyToClipboard(this.text);
+        Utils.showNotification(copied ? 'Copied to the clipboard' : 'Could not copy to the clipboard', copied ? 'success' : 'error');
+    },
+
+    /**
+     * Find the SQL sandbox schema that has every base relation of a program
+     * @param {Object[]} statements - Parsed statements
+     * @returns {string|null} Schema name, or null if none has them all
+     */
+    sandboxSchema(statements) {
+        if (typeof SQLSandbox === 'undefined') return null;
+
+        const targets = statements.map(statement => (statement.target || '').toLowerCase());
+        const names = new Set();
+        const collect = node => {
+            if (node.type === 'relation' && !targets.includes(node.name.toLowerCase())) names.add(node.name.toLowerCase());
+            [node.input, node.left, node.right].forEach(child => child && collect(child));
+        };
+        statements.forEach(statement => collect(statement.expr));
+
+        return Object.keys(SQLSandbox.schemas).find(schema => {
+            const tables = Object.keys(SQLSandbox.database(schema)).map(table => table.toLowerCase());
+            return [...names].every(name => tables.includes(name));
+        }) || null;
+    },
+
+    /**
+     * Run the translated SQL in the SQL sandbox
+     */
+    open() {
+        SQLSandbox.open(this.schema, this.text);
+    },
+
+    /**
+     * Show an error message in the output area
+     * @param {string} message - Error message
+     */
+    showError(message) {
+        this.output.innerHTML = `<div class="calculator-error">${Utils.escapeHTML(message)}</div>`;
+    }
+};
@@ -0,0 +1,674 @@
+/**
+ * RA ↔ SQL Module
+ * Translates relational algebra expressions into SQL and SELECT queries into relational algebra
+ *
+ * RA → SQL builds one SELECT block per chain of σ, π, ρ, × and joins, puts set operators
+ * between blocks and writes division as a double NOT EXISTS. Assignments are inlined.
+ * SQL → RA covers SELECT-FROM-WHERE with joins, GROUP BY/HAVING (as γ) and set operators.
+ */
+
+const RASQL = {
+    operators: { '=': '=', '≠': '<>', '<': '<', '≤': '<=', '>': '>', '≥': '>=' },
+
+    /**
+     * Translate a relational algebra program into one SQL query
+     * @param {Object[]} statements - Statements from RelationalAlgebra.parse()
+     * @param {Object} schema - Map of relation name to attribute names
+     * @returns {string} SQL query
+     */
+    toSQL(statements, schema) {
+        const context = { schema, aliases: new Set() };
+        let defs = {};
+
+        statements.slice(0, -1).forEach(statement => {
+            if (!statement.target) {
+                throw RelationalAlgebra.error('Only the last line can be an expression without an assignment', statement.line);
+            }
+            defs = Object.assign({}, defs, { [statement.target.toLowerCase()]: { expr: statement.expr, defs } });
+        });
+
+        const block = this.translate(statements[statements.length - 1].expr, defs, context);
+        return this.render(block);
+    },
+
+    /**
+     * Translate an expression into a block: a SELECT { from, where, columns, distinct }
+     * or a set operation { op, left, right, columns }
+     * @param {Object} node - Expression AST
+     * @param {Object} defs - Assigned expressions by lowercase name
+     * @param {Object} context - Schema and the aliases in use
+     * @returns {Object} Block
+     */
+    translate(node, defs, context) {
+        switch (node.type) {
+            case 'relation':
+                return this.relation(node.name, null, defs, context);
+
+            case 'select': {
+                const block = this.simple(this.translate(node.input, defs, context), context);
+                block.where.push(this.condition(node.cond, block));
+                return block;
+            }
+
+            case 'project': {
+                const block = this.simple(this.translate(node.input, defs, context), context);
+                block.columns = node.attrs.map(ref => this.resolve(block, ref));
+                block.distinct = true;
+                return block;
+            }
+
+            case 'rename':
+                return this.rename(node, defs, context);
+
+            case 'cross':
+            case 'join':
+            case 'theta':
+                return this.product(node, defs, context);
+
+            case 'division':
+                return this.division(node, defs, context);
+
+            default: {
+                // The operands are separate queries, so the right one may reuse the aliases of the left one
+                const aliases = new Set(context.aliases);
+                const left = this.translate(node.left, defs, context);
+                const right = this.translate(node.right, defs, Object.assign({}, context, { aliases }));
+                const op = { union: 'UNION', intersect: 'INTERSECT', difference: 'EXCEPT' }[node.type];
+                if (left.columns.length !== right.columns.length) {
+                    throw new Error(`${op} needs union-compatible relations (${left.columns.length} vs ${right.columns.length} attributes)`);
+                }
+                return {
+                    op, left, right,
+                    columns: left.columns.map(column => ({ attr: column.attr, qualifiers: column.qualifiers }))
+                };
+            }
+        }
+    },
+
+    /**
+     * Block reading a base relation, or the inlined expression of an assigned name
+     * @param {string} name - Relation name
+     * @param {string|null} alias - Alias from ρ, if any
+     * @param {Object} defs - Assigned expressions
+     * @param {Object} context - Translation context
+     * @returns {Object} Block
+     */
+    relation(name, alias, defs, context) {
+        const def = defs[name.toLowerCase()];
+        if (def) {
+            // Like an assigned relation in the evaluator: reachable by the old qualifiers and the new name
+            const block = this.translate(def.expr, def.defs, context);
+            block.columns = block.columns.map(column => Object.assign({}, column, { qualifiers: column.qualifiers.concat(name) }));
+            return block;
+        }
+
+        const table = Object.keys(context.schema).find(key => key.toLowerCase() === name.toLowerCase());
+        if (!table) {
+            throw new Error(`Unknown relation "${name}" (relations: ${Object.keys(context.schema).join(', ')})`);
+        }
+
+        const item = { table, alias: this.fresh(alias || table, context), columns: context.schema[table].slice() };
+        return {
+            distinct: false,
+            from: [item],
+            where: [],
+            columns: item.columns.map(column => ({ attr: column, qualifiers: [alias || table], source: { item, column } }))
+        };
+    },
+
+    /**
+     * Rename ρ: a new alias for a base relation, otherwise new qualifiers or attribute names
+     * @param {Object} node - Rename node
+     * @param {Object} defs - Assigned expressions
+     * @param {Object} context - Translation context
+     * @returns {Object} Block
+     */
+    rename(node, defs, context) {
+        const input = node.input;
+        let block;
+
+        if (node.mapping) {
+            block = this.simple(this.translate(input, defs, context), context);
+            node.mapping.forEach(({ from, to }) => {
+                const index = block.columns.indexOf(this.resolve(block, from));
+                block.columns[index] = Object.assign({}, block.columns[index], { attr: to });
+            });
+            return block;
+        }
+
+        if (input.type === 'relation' && !defs[input.name.toLowerCase()]) {
+            block = this.relation(input.name, node.relation, defs, context);
+        } else {
+            block = this.translate(input, defs, context);
+            block = block.op ? this.wrap(block, node.relation, context) : block;
+        }
+
+        if (node.attributes && node.attributes.length !== block.columns.length) {
+            throw new Error(`ρ[${node.relation}(…)] lists ${node.attributes.length} attributes but the relation has ${block.columns.length}`);
+        }
+        block.columns = block.columns.map((column, index) => Object.assign({}, column, {
+            attr: node.attributes ? node.attributes[index] : column.attr,
+            qualifiers: [node.relation]
+        }));
+        return block;
+    },
+
+    /**
+     * Cartesian product, natural join or theta join of two blocks, merged into one FROM list
+     * @param {Object} node - Binary node
+     * @param {Object} defs - Assigned expressions
+     * @param {Object} context - Translation context
+     * @returns {Object} Block
+     */
+    product(node, defs, context) {
+        const left = this.simple(this.translate(node.left, defs, context), context);
+        const right = this.simple(this.translate(node.right, defs, context), context);
+        const block = {
+            distinct: left.distinct || right.distinct,
+            qualify: left.qualify || right.qualify,
+            from: left.from.concat(right.from),
+            where: [],
+            columns: left.columns.concat(right.columns)
+        };
+
+        // Join conditions come first, then the selections of the operands
+        if (node.type === 'join') {
+            const common = [];
+            left.columns.forEach(column => {
+                const other = right.columns.find(candidate => candidate.attr.toLowerCase() === column.attr.toLowerCase());
+                if (other) common.push([column, other]);
+            });
+            common.forEach(([l, r]) => block.where.push({ type: 'compare', op: '=', left: { type: 'column', column: l }, right: { type: 'column', column: r } }));
+            block.columns = left.columns.concat(right.columns.filter(column => !common.some(([, r]) => r === column)));
+        } else if (node.type === 'theta') {
+            block.where.push(this.condition(node.cond, block));
+        }
+        block.where = block.where.concat(left.where, right.where);
+        return block;
+    },
+
+    /**
+     * Division R ÷ S: the R tuples for which no S tuple is missing, as a double NOT EXISTS
+     * @param {Object} node - Division node
+     * @param {Object} defs - Assigned expressions
+     * @param {Object} context - Translation context
+     * @returns {Object} Block
+     */
+    division(node, defs, context) {
+        const dividend = this.translate(node.left, defs, context);
+        const divisor = this.translate(node.right, defs, context);
+
+        const pairs = divisor.columns.map(column => {
+            const match = dividend.columns.filter(candidate => candidate.attr.toLowerCase() === column.attr.toLowerCase());
+            if (match.length !== 1) {
+                throw new Error(`÷: the dividend must have exactly one attribute ${column.attr}`);
+            }
+            return [dividend.columns.indexOf(match[0]), divisor.columns.indexOf(column)];
+        });
+        const quotient = dividend.columns.map((column, index) => index).filter(index => !pairs.some(([d]) => d === index));
+        if (quotient.length === 0) {
+            throw new Error('÷: the divisor must not contain every attribute of the dividend');
+        }
+
+        // The dividend is read twice: once for the result and once to look for the missing pairs
+        const outer = this.fromItem(dividend, context);
+        const all = this.fromItem(divisor, context);
+        const inner = this.fromItem(this.translate(node.left, defs, context), context);
+        const ref = (entry, index) => `${entry.item.alias}.${entry.names[index]}`;
+
+        const matches = quotient.map(index => `${ref(inner, index)} = ${ref(outer, index)}`)
+            .concat(pairs.map(([d, s]) => `${ref(inner, d)} = ${ref(all, s)}`));
+        const exists = {
+            type: 'raw',
+            render: () => 'NOT EXISTS (\n' + this.indent(
+                `SELECT *\nFROM ${this.renderItem(all.item)}\nWHERE NOT EXISTS (\n` +
+                this.indent(`SELECT *\nFROM ${this.renderItem(inner.item)}\nWHERE ${matches.join('\n  AND ')}`) + '\n)'
+            ) + '\n)'
+        };
+
+        return {
+            distinct: true,
+            qualify: true,
+            from: [outer.item],
+            where: [exists],
+            columns: quotient.map(index => ({
+                attr: dividend.columns[index].attr,
+                qualifiers: dividend.columns[index].qualifiers,
+                source: { item: outer.item, column: outer.names[index] }
+            }))
+        };
+    },
+
+    /**
+     * Make sure a block can take more FROM items and conditions: set operations become a subquery
+     * @param {Object} block - Block
+     * @param {Object} context - Translation context
+     * @returns {Object} SELECT block
+     */
+    simple(block, context) {
+        return block.op ? this.wrap(block, null, context) : block;
+    },
+
+    /**
+     * Use a block as a FROM item: a bare table when it reads one whole table, otherwise a subquery
+     * @param {Object} block - Block
+     * @param {Object} context - Translation context
+     * @returns {{item: Object, names: string[]}} FROM item and the column name of each block column
+     */
+    fromItem(block, context) {
+        if (!block.op && !block.distinct && block.where.length === 0 && block.from.length === 1 && block.from[0].table &&
+            this.isStar(block)) {
+            return { item: block.from[0], names: block.columns.map(column => column.source.column) };
+        }
+        const wrapped = this.wrap(block, null, context);
+        return { item: wrapped.from[0], names: wrapped.columns.map(column => column.source.column) };
+    },
+
+    /**
+     * Turn a block into a subquery in the FROM list of a new block
+     * @param {Object} block - Block to wrap
+     * @param {string|null} alias - Alias from ρ, or null for a generated one
+     * @param {Object} context - Translation context
+     * @returns {Object} SELECT block
+     */
+    wrap(block, alias, context) {
+        // Output names must be unique inside a subquery: qualify the repeated ones
+        const names = [];
+        this.outputColumns(block).forEach(column => {
+            let name = column.attr;
+            if (names.some(other => other.toLowerCase() === name.toLowerCase())) {
+                name = `${column.qualifiers[0] || 'T'}_${column.attr}`;
+                column.outName = name;
+            }
+            names.push(name);
+        });
+
+        const item = { query: block, alias: this.fresh(alias || 't', context), columns: names };
+        return {
+            distinct: false,
+            from: [item],
+            where: [],
+            columns: block.columns.map((column, index) => ({
+                attr: column.attr,
+                qualifiers: alias ? [alias] : column.qualifiers,
+                source: { item, column: names[index] }
+            }))
+        };
+    },
+
+    /**
+     * Columns whose names become the names of a block's result
+     * @param {Object} block - Block
+     * @returns {Object[]} Columns of the block, or of the left operand of a set operation
+     */
+    outputColumns(block) {
+        return block.op ? this.outputColumns(block.left) : block.columns;
+    },
+
+    /**
+     * Reserve an alias, numbering it when it is taken
+     * @param {string} base - Preferred alias
+     * @param {Object} context - Translation context
+     * @returns {string} Alias
+     */
+    fresh(base, context) {
+        let alias = base;
+        for (let n = 2; context.aliases.has(alias.toLowerCase()); n++) {
+            alias = `${base}${n}`;
+        }
+        context.aliases.add(alias.toLowerCase());
+        return alias;
+    },
+
+    /**
+     * Find the column an attribute reference points to
+     * @param {Object} block - SELECT block
+     * @param {Object} ref - Attribute reference { qualifier, name }
+     * @returns {Object} Column
+     */
+    resolve(block, ref) {
+        const same = (a, b) => a.toLowerCase() === b.toLowerCase();
+        const matches = block.columns.filter(column => same(column.attr, ref.name) &&
+            (!ref.qualifier || column.qualifiers.some(q => same(q, ref.qualifier))));
+        const label = RelationalAlgebra.refToText(ref);
+
+        if (matches.length === 0) {
+            const available = block.columns.map(column => column.attr).join(', ');
+            throw new Error(`Unknown attribute "${label}" (available: ${available})`);
+        }
+        if (matches.length > 1) {
+            throw new Error(`Ambiguous attribute "${label}" — qualify it, e.g. ${matches[0].qualifiers[0]}.${ref.name}`);
+        }
+        return matches[0];
+    },
+
+    /**
+     * Resolve the attributes of a condition against a block
+     * @param {Object} cond - Condition AST
+     * @param {Object} block - SELECT block
+     * @returns {Object} Condition with { type: 'column', column } operands
+     */
+    condition(cond, block) {
+        if (cond.type === 'compare') {
+            const value = operand => (operand.type === 'attr' ? { type: 'column', column: this.resolve(block, operand) } : operand);
+            return { type: 'compare', op: cond.op, left: value(cond.left), right: value(cond.right) };
+        }
+        if (cond.type === 'not') {
+            return { type: 'not', operand: this.condition(cond.operand, block) };
+        }
+        return { type: cond.type, left: this.condition(cond.left, block), right: this.condition(cond.right, block) };
+    },
+
+    /**
+     * Check whether a block returns every column of its FROM list unchanged
+     * @param {Object} block - SELECT block
+     * @returns {boolean} True if SELECT * can be used
+     */
+    isStar(block) {
+        const all = [];
+        block.from.forEach(item => item.columns.forEach(column => all.push({ item, column })));
+        return all.length === block.columns.length && block.columns.every((column, index) =>
+            column.source.item === all[index].item && column.source.column === all[index].column &&
+            column.attr === column.source.column && !column.outName);
+    },
+
+    /**
+     * Render a block as SQL text
+     * @param {Object} block - Block
+     * @returns {string} SQL
+     */
+    render(block) {
+        if (block.op) {
+            const operand = child => (child.op ? `(\n${this.indent(this.render(child))}\n)` : this.render(child));
+            return `${block.op === 'UNION' || !block.left.op ? this.render(block.left) : operand(block.left)}\n${block.op}\n${operand(block.right)}`;
+        }
+
+        const columns = this.isStar(block) && !block.distinct ? '*' : block.columns.map(column => {
+            const sql = this.columnSQL(block, column);
+            const name = column.outName || column.attr;
+            return name === column.source.column ? sql : `${sql} AS ${name}`;
+        }).join(', ');
+
+        let sql = `SELECT ${block.distinct ? 'DISTINCT ' : ''}${columns}\nFROM ${block.from.map(item => this.renderItem(item)).join(', ')}`;
+        if (block.where.length > 0) {
+            sql += `\nWHERE ${block.where.map(cond => (cond.type === 'or' ? `(${this.renderCondition(cond, block)})` : this.renderCondition(cond, block))).join('\n  AND ')}`;
+        }
+        return sql;
+    },
+
+    /**
+     * Render a FROM item
+     * @param {Object} item - Table or subquery item
+     * @returns {string} SQL
+     */
+    renderItem(item) {
+        if (item.query) {
+            return `(\n${this.indent(this.render(item.query))}\n) ${item.alias}`;
+        }
+        return item.alias === item.table ? item.table : `${item.table} ${item.alias}`;
+    },
+
+    /**
+     * Render a column reference, qualified when its name is not unique in the FROM list
+     * @param {Object} block - SELECT block
+     * @param {Object} column - Column
+     * @returns {string} SQL
+     */
+    columnSQL(block, column) {
+        const { item, column: name } = column.source;
+        const sharing = block.from.filter(other => other.columns.some(candidate => candidate.toLowerCase() === name.toLowerCase()));
+        return block.qualify || sharing.length > 1 ? `${item.alias}.${name}` : name;
+    },
+
+    /**
+     * Render a resolved condition
+     * @param {Object} cond - Condition
+     * @param {Object} block - SELECT block the condition belongs to
+     * @returns {string} SQL
+     */
+    renderCondition(cond, block) {
+        switch (cond.type) {
+            case 'raw':
+                return cond.render();
+            case 'and': {
+                const wrap = side => (side.type === 'or' ? `(${this.renderCondition(side, block)})` : this.renderCondition(side, block));
+                return `${wrap(cond.left)} AND ${wrap(cond.right)}`;
+            }
+            case 'or':
+                return `${this.renderCondition(cond.left, block)} OR ${this.renderCondition(cond.right, block)}`;
+            case 'not':
+                return `NOT (${this.renderCondition(cond.operand, block)})`;
+            default: {
+                const value = operand => {
+                    if (operand.type === 'column') return this.columnSQL(block, operand.column);
+                    return typeof operand.value === 'number' ? String(operand.value) : `'${String(operand.value).replace(/'/g, "''")}'`;
+                };
+                return `${value(cond.left)} ${this.operators[cond.op]} ${value(cond.right)}`;
+            }
+        }
+    },
+
+    /**
+     * Indent every line of a text
+     * @param {string} text - Text
+     * @returns {string} Text indented by four spaces
+     */
+    indent(text) {
+        return text.split('\n').map(line => `    ${line}`).join('\n');
+    },
+
+    /**
+     * Translate a SELECT query into a relational algebra expression
+     * @param {Object} query - Query AST from SQL.parse()
+     * @returns {{expr: Object, notes: string[]}} Expression AST and remarks on what could not be kept
+     */
+    fromSQL(query) {
+        const notes = [];
+        const expr = this.queryToRA(query, notes, false);
+        return { expr, notes: notes.filter((note, index) => notes.indexOf(note) === index) };
+    },
+
+    /**
+     * Translate a query, set operation or SELECT node
+     * @param {Object} node - SQL AST node
+     * @param {string[]} notes - Collected remarks
+     * @param {boolean} sets - True where duplicates are removed anyway, e.g. in the operands of UNION
+     * @returns {Object} Expression AST
+     */
+    queryToRA(node, notes, sets) {
+        if (node.type === 'query') {
+            if (node.orderBy.length > 0 || node.limit !== null) {
+                notes.push('ORDER BY and LIMIT have no relational algebra equivalent: relations are unordered, so they were left out.');
+            }
+            return this.queryToRA(node.body, notes, sets);
+        }
+
+        if (node.type === 'setop') {
+            if (node.all) {
+                notes.push(`${node.op} ALL keeps duplicates, relational algebra works with sets: it became ${node.op}.`);
+            }
+            const type = { UNION: 'union', INTERSECT: 'intersect', EXCEPT: 'difference' }[node.op];
+            return { type, left: this.queryToRA(node.left, notes, true), right: this.queryToRA(node.right, notes, true) };
+        }
+
+        if (!node.from) {
+            throw SQL.error('Relational algebra needs a FROM clause', node.line);
+        }
+
+        let expr = this.sourceToRA(node.from, notes);
+        if (node.where) {
+            expr = { type: 'select', cond: this.conditionToRA(node.where, null), input: expr };
+        }
+
+        const aggregates = [];
+        const grouped = node.groupBy.length > 0 || node.having ||
+            node.columns.some(item => item.type === 'expr' && SQL.hasAggregate(item.expr));
+        if (!node.distinct && !grouped && !sets) {
+            notes.push('SQL keeps duplicate rows unless DISTINCT is given; relational algebra always removes them.');
+        }
+        if (grouped) {
+            node.columns.forEach(item => {
+                if (item.type === 'expr' && item.expr.type === 'aggregate') this.aggregateRef(item.expr, aggregates, item.alias);
+            });
+            const attrs = node.groupBy.map(column => {
+                if (column.type !== 'column') throw SQL.error('GROUP BY can only list columns here', node.line);
+                return this.columnToRA(column);
+            });
+            const having = node.having ? this.conditionToRA(node.having, aggregates) : null;
+            expr = { type: 'group', attrs, aggregates, input: expr };
+            if (having) {
+                expr = { type: 'select', cond: having, input: expr };
+            }
+        }
+
+        if (node.columns.length === 1 && node.columns[0].type === 'star' && !node.columns[0].table) {
+            return expr;
+        }
+
+        const attrs = [];
+        const mapping = [];
+        node.columns.forEach(item => {
+            if (item.type === 'star') {
+                throw SQL.error(`${item.table ? `${item.table}.*` : '*'} cannot be mixed with other columns here: list the attributes`, item.line);
+            }
+            let ref;
+            if (item.expr.type === 'column') {
+                ref = this.columnToRA(item.expr);
+            } else if (item.expr.type === 'aggregate' && grouped) {
+                ref = this.aggregateRef(item.expr, aggregates, item.alias);
+            } else {
+                throw new Error(`"${item.text}" is not a plain column: relational algebra projects attributes only`);
+            }
+            attrs.push(ref);
+            if (item.alias && item.alias !== ref.name) {
+                mapping.push({ from: ref, to: item.alias });
+            }
+        });
+
+        expr = { type: 'project', attrs, input: expr };
+        return mapping.length > 0 ? { type: 'rename', mapping, input: expr } : expr;
+    },
+
+    /**
+     * Translate a FROM item
+     * @param {Object} node - Table, subquery or join node
+     * @param {string[]} notes - Collected remarks
+     * @returns {Object} Expression AST
+     */
+    sourceToRA(node, notes) {
+        if (node.type === 'table') {
+            const relation = { type: 'relation', name: node.name };
+            return node.alias !== node.name ? { type: 'rename', relation: node.alias, attributes: null, input: relation } : relation;
+        }
+        if (node.type === 'subquery') {
+            const expr = this.queryToRA(node.query, notes, true);
+            return node.alias ? { type: 'rename', relation: node.alias, attributes: null, input: expr } : expr;
+        }
+
+        if (node.kind === 'left' || node.kind === 'right' || node.kind === 'full') {
+            throw SQL.error(`${node.kind.toUpperCase()} OUTER JOIN pads with NULLs and has no basic relational algebra equivalent`, node.line);
+        }
+        if (node.using) {
+            throw SQL.error('Write JOIN … USING (A) as JOIN … ON L.A = R.A', node.line);
+        }
+
+        const left = this.sourceToRA(node.left, notes);
+        const right = this.sourceToRA(node.right, notes);
+        if (node.natural) return { type: 'join', left, right };
+        if (node.on) return { type: 'theta', cond: this.conditionToRA(node.on, null), left, right };
+        return { type: 'cross', left, right };
+    },
+
+    /**
+     * Translate a WHERE, ON or HAVING condition
+     * @param {Object} node - SQL expression
+     * @param {Object[]|null} aggregates - Aggregates of the γ below a HAVING, null elsewhere
+     * @returns {Object} Condition AST
+     */
+    conditionToRA(node, aggregates) {
+        const operand = value => this.operandToRA(value, aggregates);
+        const compare = (op, left, right) => ({ type: 'compare', op, left: operand(left), right: operand(right) });
+
+        switch (node.type) {
+            case 'binary': {
+                if (node.op === 'AND' || node.op === 'OR') {
+                    return { type: node.op.toLowerCase(), left: this.conditionToRA(node.left, aggregates), right: this.conditionToRA(node.right, aggregates) };
+                }
+                const op = { '=': '=', '<>': '≠', '<': '<', '<=': '≤', '>': '>', '>=': '≥' }[node.op];
+                if (!op) break;
+                return compare(op, node.left, node.right);
+            }
+            case 'not':
+                return { type: 'not', operand: this.conditionToRA(node.operand, aggregates) };
+            case 'between': {
+                const range = { type: 'and', left: compare('≥', node.operand, node.low), right: compare('≤', node.operand, node.high) };
+                return node.not ? { type: 'not', operand: range } : range;
+            }
+            case 'in':
+                if (node.list) {
+                    const any = node.list.map(item => compare('=', node.operand, item))
+                        .reduce((left, right) => ({ type: 'or', left, right }));
+                    return node.not ? { type: 'not', operand: any } : any;
+                }
+                break;
+            default:
+                break;
+        }
+
+        const what = { in: 'IN (subquery)', exists: 'EXISTS', quantified: 'ANY/ALL', like: 'LIKE', isnull: 'IS NULL' }[node.type] || 'This condition';
+        throw new Error(`${what} has no equivalent in the translated subset: rewrite subqueries as joins and set operators`);
+    },
+
+    /**
+     * Translate a comparison operand
+     * @param {Object} node - SQL expression
+     * @param {Object[]|null} aggregates - Aggregates of the γ below a HAVING
+     * @returns {Object} Literal or attribute reference
+     */
+    operandToRA(node, aggregates) {
+        if (node.type === 'literal' && node.value !== null && typeof node.value !== 'boolean') {
+            return { type: 'literal', value: node.value };
+        }
+        if (node.type === 'negate' && node.operand.type === 'literal' && typeof node.operand.value === 'number') {
+            return { type: 'literal', value: -node.operand.value };
+        }
+        if (node.type === 'column') {
+            return this.columnToRA(node);
+        }
+        if (node.type === 'aggregate' && aggregates) {
+            return this.aggregateRef(node, aggregates, null);
+        }
+        throw new Error('Comparisons can only use columns and constants here');
+    },
+
+    /**
+     * Translate a column reference
+     * @param {Object} node - Column node
+     * @returns {Object} Attribute reference
+     */
+    columnToRA(node) {
+        return { type: 'attr', qualifier: node.table, name: node.name };
+    },
+
+    /**
+     * Register an aggregate of the γ operator and reference its result attribute
+     * @param {Object} node - Aggregate node
+     * @param {Object[]} aggregates - Aggregates so far { fn, arg, distinct, name }
+     * @param {string|null} alias - Name given with AS
+     * @returns {Object} Attribute reference
+     */
+    aggregateRef(node, aggregates, alias) {
+        if (node.arg && node.arg.type !== 'column') {
+            throw SQL.error(`${node.name}() can only aggregate a column here`, node.line);
+        }
+        const arg = node.arg ? this.columnToRA(node.arg) : null;
+        const text = `${node.name}(${node.distinct ? 'DISTINCT ' : ''}${arg ? RelationalAlgebra.refToText(arg) : '*'})`;
+
+        let aggregate = aggregates.find(other => other.text === text);
+        if (!aggregate) {
+            aggregate = { fn: node.name, arg, distinct: node.distinct, text, name: alias || text };
+            aggregates.push(aggregate);
+        }
+        return { type: 'attr', qualifier: null, name: aggregate.name };
+    }
+};
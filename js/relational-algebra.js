@@ -0,0 +1,1147 @@
+/**
+ * Relational Algebra Module
+ * Parser and evaluator for relational algebra expressions (Unicode and ASCII syntax)
+ *
+ * Syntax overview:
+ *   σ[cond](E)   select[cond](E)      selection (σ_{cond}(E) also works)
+ *   π[A,B](E)    project[A,B](E)      projection
+ *   ρ[S](E)      rename[S](E)         rename relation; ρ[S(A,B)](E) also renames attributes,
+ *                                     ρ[A->B](E) renames a single attribute
+ *   E ⋈ F        E join F             natural join; E ⋈[cond] F is a theta join
+ *   E × F        E cross F / E * F    Cartesian product
+ *   E ∪ F        E union F            union
+ *   E ∩ F        E intersect F        intersection
+ *   E − F        E minus F / E - F    difference
+ *   E ÷ F        E divide F / E / F   division
+ *   X ← E        X := E / X = E       assignment (one statement per line)
+ * Conditions use = ≠ <> != < ≤ <= > ≥ >=, ∧/and, ∨/or, ¬/not and 'string' literals.
+ */
+
+const RelationalAlgebra = {
+    keywords: {
+        select: 'σ', sigma: 'σ',
+        project: 'π', pi: 'π',
+        rename: 'ρ', rho: 'ρ',
+        join: '⋈',
+        cross: '×', times: '×',
+        union: '∪',
+        intersect: '∩',
+        minus: '−', except: '−',
+        divide: '÷',
+        and: '∧', or: '∨', not: '¬'
+    },
+
+    symbols: {
+        '|x|': '⋈', '<-': '←', ':=': '←', '->': '→', '<=': '≤', '>=': '≥',
+        '<>': '≠', '!=': '≠', '&&': '∧', '||': '∨', '_{': '[',
+        '*': '×', '/': '÷', '-': '−', '\\': '−', '!': '¬'
+    },
+
+    binaryOperators: {
+        '⋈': { type: 'join', level: 3 },
+        '×': { type: 'cross', level: 3 },
+        '÷': { type: 'division', level: 3 },
+        '∩': { type: 'intersect', level: 2 },
+        '∪': { type: 'union', level: 1 },
+        '−': { type: 'difference', level: 1 }
+    },
+
+    /**
+     * Split source text into tokens
+     * @param {string} source - Expression text
+     * @returns {Object[]} Tokens with type, value and line
+     */
+    tokenize(source) {
+        const tokens = [];
+        let line = 1;
+        let i = 0;
+        let braceDepth = 0;
+
+        while (i < source.length) {
+            const ch = source[i];
+
+            if (ch === '\n' || ch === ';') {
+                tokens.push({ type: 'newline', value: ch, line });
+                if (ch === '\n') line++;
+                i++;
+                continue;
+            }
+
+            if (/\s/.test(ch)) {
+                i++;
+                continue;
+            }
+
+            // Comments run to the end of the line
+            if (ch === '#' || source.startsWith('--', i)) {
+                while (i < source.length && source[i] !== '\n') i++;
+                continue;
+            }
+
+            if (ch === "'" || ch === '"') {
+                const end = source.indexOf(ch, i + 1);
+                if (end === -1) {
+                    throw this.error('Unterminated string literal', line);
+                }
+                tokens.push({ type: 'string', value: source.slice(i + 1, end), line });
+                i = end + 1;
+                continue;
+            }
+
+            const number = source.slice(i).match(/^\d+(\.\d+)?/);
+            if (number) {
+                tokens.push({ type: 'number', value: parseFloat(number[0]), line });
+                i += number[0].length;
+                continue;
+            }
+
+            const word = source.slice(i).match(/^[\p{L}_][\p{L}\p{N}_]*/u);
+            if (word && !/^[σπρ]/.test(word[0]) && !source.startsWith('_{', i)) {
+                const lower = word[0].toLowerCase();
+                if (Object.prototype.hasOwnProperty.call(this.keywords, lower)) {
+                    tokens.push({ type: 'op', value: this.keywords[lower], line });
+                } else {
+                    tokens.push({ type: 'ident', value: word[0], line });
+                }
+                i += word[0].length;
+                continue;
+            }
+
+            // A "}" closes a "_{" subscript
+            if (ch === '}' && braceDepth > 0) {
+                braceDepth--;
+                tokens.push({ type: 'op', value: ']', line });
+                i++;
+                continue;
+            }
+
+            const symbol = Object.keys(this.symbols)
+                .sort((a, b) => b.length - a.length)
+                .find(sym => source.startsWith(sym, i));
+            if (symbol) {
+                if (symbol === '_{') braceDepth++;
+                tokens.push({ type: 'op', value: this.symbols[symbol], line });
+                i += symbol.length;
+                continue;
+            }
+
+            if ('σπρ⋈×∪∩−÷←→≤≥≠∧∨¬()[],.=<>'.includes(ch)) {
+                tokens.push({ type: 'op', value: ch, line });
+                i++;
+                continue;
+            }
+
+            throw this.error(`Unexpected character "${ch}"`, line);
+        }
+
+        tokens.push({ type: 'eof', value: '', line });
+        return tokens;
+    },
+
+    /**
+     * Parse a program of one or more statements
+     * @param {string} source - Program text
+     * @returns {Object[]} Statements: { target: string|null, expr: AST, line: number }
+     */
+    parse(source) {
+        const parser = this.createParser(this.tokenize(source));
+        const statements = [];
+
+        parser.skipNewlines();
+        while (!parser.at('eof')) {
+            statements.push(parser.statement());
+            parser.skipNewlines();
+        }
+
+        if (statements.length === 0) {
+            throw this.error('Enter an expression', 1);
+        }
+
+        return statements;
+    },
+
+    /**
+     * Parse a single expression (no assignments)
+     * @param {string} source - Expression text
+     * @returns {Object} Expression AST
+     */
+    parseExpression(source) {
+        const parser = this.createParser(this.tokenize(source));
+        parser.skipNewlines();
+        const expr = parser.expression(0);
+        parser.skipNewlines();
+        parser.expect('eof');
+        return expr;
+    },
+
+    /**
+     * Create a recursive-descent parser over a token list
+     * @param {Object[]} tokens - Tokens from tokenize()
+     * @returns {Object} Parser with statement/expression/condition methods
+     */
+    createParser(tokens) {
+        const RA = this;
+        let pos = 0;
+        let depth = 0;
+
+        const parser = {
+            peek(offset = 0) {
+                return tokens[Math.min(pos + offset, tokens.length - 1)];
+            },
+
+            at(type, value) {
+                const token = this.peek();
+                return token.type === type && (value === undefined || token.value === value);
+            },
+
+            next() {
+                const token = tokens[pos];
+                if (pos < tokens.length - 1) pos++;
+                if (token.value === '(' || token.value === '[') depth++;
+                if (token.value === ')' || token.value === ']') depth--;
+                return token;
+            },
+
+            expect(type, value) {
+                const token = this.peek();
+                if (token.type !== type || (value !== undefined && token.value !== value)) {
+                    const found = token.type === 'eof' ? 'end of input' : `"${token.value === '\n' ? 'line break' : token.value}"`;
+                    const wanted = value !== undefined ? `"${value}"` : (type === 'ident' ? 'a name' : type);
+                    throw RA.error(`Expected ${wanted} but found ${found}`, token.line);
+                }
+                return this.next();
+            },
+
+            skipNewlines() {
+                while (this.at('newline')) this.next();
+            },
+
+            // Line breaks are only significant between statements
+            skipContinuation() {
+                let offset = 0;
+                while (this.peek(offset).type === 'newline') offset++;
+                if (offset === 0) return;
+
+                const following = this.peek(offset);
+                if (depth > 0 || (following.type === 'op' && RA.binaryOperators[following.value])) {
+                    pos += offset;
+                }
+            },
+
+            statement() {
+                const first = this.peek();
+                const second = this.peek(1);
+                let target = null;
+
+                if (first.type === 'ident' && second.type === 'op' && (second.value === '←' || second.value === '=')) {
+                    target = first.value;
+                    this.next();
+                    this.next();
+                }
+
+                const expr = this.expression(0);
+                if (!this.at('newline') && !this.at('eof')) {
+                    const token = this.peek();
+                    throw RA.error(`Unexpected "${token.value}"`, token.line);
+                }
+
+                return { target, expr, line: first.line };
+            },
+
+            expression(minLevel) {
+                let left = this.unary();
+
+                for (;;) {
+                    this.skipContinuation();
+                    const token = this.peek();
+                    const operator = token.type === 'op'
+                        ? RA.binaryOperators[token.value]
+                        : (this.isCrossLetter() ? RA.binaryOperators['×'] : null);
+                    if (!operator || operator.level < minLevel) break;
+
+                    this.next();
+                    let condition = null;
+                    if (operator.type === 'join' && this.at('op', '[')) {
+                        condition = this.bracketCondition();
+                    }
+
+                    this.skipNewlines();
+                    const right = this.expression(operator.level + 1);
+                    left = condition
+                        ? { type: 'theta', cond: condition, left, right }
+                        : { type: operator.type, left, right };
+                }
+
+                return left;
+            },
+
+            // A lone "x" between two operands is the ASCII Cartesian product
+            isCrossLetter() {
+                const token = this.peek();
+                const following = this.peek(1);
+                return token.type === 'ident' && token.value.toLowerCase() === 'x' &&
+                    (following.type === 'ident' || (following.type === 'op' && '(σπρ'.includes(following.value)));
+            },
+
+            unary() {
+                const token = this.peek();
+
+                if (token.type === 'op' && token.value === 'σ') {
+                    this.next();
+                    const cond = this.bracketCondition();
+                    return { type: 'select', cond, input: this.operand() };
+                }
+
+                if (token.type === 'op' && token.value === 'π') {
+                    this.next();
+                    this.expect('op', '[');
+                    const attrs = [this.attributeRef()];
+                    while (this.at('op', ',')) {
+                        this.next();
+                        attrs.push(this.attributeRef());
+                    }
+                    this.expect('op', ']');
+                    return { type: 'project', attrs, input: this.operand() };
+                }
+
+                if (token.type === 'op' && token.value === 'ρ') {
+                    this.next();
+                    const rename = this.renameSpec();
+                    return Object.assign({ type: 'rename', input: this.operand() }, rename);
+                }
+
+                if (token.type === 'op' && token.value === '(') {
+                    this.next();
+                    this.skipNewlines();
+                    const expr = this.expression(0);
+                    this.skipNewlines();
+                    this.expect('op', ')');
+                    return expr;
+                }
+
+                if (token.type === 'ident') {
+                    this.next();
+                    return { type: 'relation', name: token.value };
+                }
+
+                const found = token.type === 'eof' ? 'end of input' : `"${token.value}"`;
+                throw RA.error(`Expected a relation or an operator but found ${found}`, token.line);
+            },
+
+            operand() {
+                if (this.at('op', '(')) {
+                    return this.unary();
+                }
+                const token = this.peek();
+                if (token.type === 'ident' || (token.type === 'op' && 'σπρ'.includes(token.value))) {
+                    return this.unary();
+                }
+                throw RA.error('Expected "(" after the operator subscript', token.line);
+            },
+
+            renameSpec() {
+                this.expect('op', '[');
+
+                // ρ[A->B, C->D]
+                if (this.peek().type === 'ident' && this.peek(1).value === '→') {
+                    const mapping = [];
+                    do {
+                        if (mapping.length > 0) this.next();
+                        const from = this.attributeRef();
+                        this.expect('op', '→');
+                        mapping.push({ from, to: this.expect('ident').value });
+                    } while (this.at('op', ','));
+                    this.expect('op', ']');
+                    return { mapping };
+                }
+
+                const relation = this.expect('ident').value;
+                let attributes = null;
+                if (this.at('op', '(')) {
+                    this.next();
+                    attributes = [this.expect('ident').value];
+                    while (this.at('op', ',')) {
+                        this.next();
+                        attributes.push(this.expect('ident').value);
+                    }
+                    this.expect('op', ')');
+                }
+                this.expect('op', ']');
+                return { relation, attributes };
+            },
+
+            bracketCondition() {
+                this.expect('op', '[');
+                const cond = this.condition();
+                this.expect('op', ']');
+                return cond;
+            },
+
+            condition() {
+                let left = this.conjunction();
+                while (this.at('op', '∨')) {
+                    this.next();
+                    left = { type: 'or', left, right: this.conjunction() };
+                }
+                return left;
+            },
+
+            conjunction() {
+                let left = this.negation();
+                while (this.at('op', '∧')) {
+                    this.next();
+                    left = { type: 'and', left, right: this.negation() };
+                }
+                return left;
+            },
+
+            negation() {
+                if (this.at('op', '¬')) {
+                    this.next();
+                    return { type: 'not', operand: this.negation() };
+                }
+                if (this.at('op', '(')) {
+                    this.next();
+                    const cond = this.condition();
+                    this.expect('op', ')');
+                    return cond;
+                }
+                return this.comparison();
+            },
+
+            comparison() {
+                const left = this.value();
+                const token = this.peek();
+                const operators = { '=': '=', '≠': '≠', '<': '<', '≤': '≤', '>': '>', '≥': '≥' };
+                if (token.type !== 'op' || !operators[token.value]) {
+                    throw RA.error('Expected a comparison operator (=, ≠, <, ≤, >, ≥)', token.line);
+                }
+                this.next();
+                return { type: 'compare', op: operators[token.value], left, right: this.value() };
+            },
+
+            value() {
+                const token = this.peek();
+                if (token.type === 'string' || token.type === 'number') {
+                    this.next();
+                    return { type: 'literal', value: token.value };
+                }
+                if (token.type === 'op' && token.value === '−' && this.peek(1).type === 'number') {
+                    this.next();
+                    return { type: 'literal', value: -this.next().value };
+                }
+                return this.attributeRef();
+            },
+
+            attributeRef() {
+                const first = this.expect('ident').value;
+                if (this.at('op', '.')) {
+                    this.next();
+                    return { type: 'attr', qualifier: first, name: this.expect('ident').value };
+                }
+                return { type: 'attr', qualifier: null, name: first };
+            }
+        };
+
+        return parser;
+    },
+
+    /**
+     * Parse relation definitions written as blocks:
+     *   NAME(A, B, C)
+     *   value, value, value
+     * with a blank line between relations
+     * @param {string} text - Relation definitions
+     * @returns {Object} Map of relation name to relation
+     */
+    parseRelations(text) {
+        const relations = {};
+        let current = null;
+
+        text.split(/\r?\n/).forEach((raw, index) => {
+            const line = raw.trim();
+            const lineNumber = index + 1;
+
+            if (line === '' || line.startsWith('#')) {
+                if (line === '') current = null;
+                return;
+            }
+
+            if (!current) {
+                const header = line.match(/^([\p{L}_][\p{L}\p{N}_]*)\s*\(([^)]*)\)$/u);
+                if (!header) {
+                    throw this.error('Expected a relation header like NAME(A, B)', lineNumber);
+                }
+                const attrs = header[2].split(',').map(attr => attr.trim()).filter(Boolean);
+                if (attrs.length === 0) {
+                    throw this.error(`Relation ${header[1]} has no attributes`, lineNumber);
+                }
+                current = this.createRelation(attrs.map(name => ({ name, qualifier: header[1] })), [], header[1]);
+                relations[header[1]] = current;
+                return;
+            }
+
+            const values = this.splitRow(line).map(value => this.parseValue(value));
+            if (values.length !== current.attrs.length) {
+                throw this.error(`${current.name} expects ${current.attrs.length} values but this row has ${values.length}`, lineNumber);
+            }
+            this.addRow(current, values);
+        });
+
+        return relations;
+    },
+
+    /**
+     * Split a comma-separated row, honouring quoted values
+     * @param {string} line - Row text
+     * @returns {string[]} Raw values
+     */
+    splitRow(line) {
+        const values = [];
+        let current = '';
+        let quote = null;
+
+        for (const ch of line) {
+            if (quote) {
+                if (ch === quote) quote = null;
+                else current += ch;
+            } else if (ch === "'" || ch === '"') {
+                quote = ch;
+            } else if (ch === ',') {
+                values.push(current.trim());
+                current = '';
+            } else {
+                current += ch;
+            }
+        }
+        values.push(current.trim());
+        return values;
+    },
+
+    /**
+     * Convert a cell to a number when it looks like one
+     * @param {string} value - Raw cell
+     * @returns {string|number} Cell value
+     */
+    parseValue(value) {
+        return /^-?\d+(\.\d+)?$/.test(value) ? parseFloat(value) : value;
+    },
+
+    /**
+     * Create an empty relation
+     * @param {Object[]} attrs - Attributes { name, qualifier }
+     * @param {Array[]} rows - Initial rows
+     * @param {string} [name] - Display name
+     * @returns {Object} Relation
+     */
+    createRelation(attrs, rows, name) {
+        const relation = { name: name || null, attrs, rows: [], keys: new Set() };
+        rows.forEach(row => this.addRow(relation, row));
+        return relation;
+    },
+
+    /**
+     * Add a row unless an equal row exists (set semantics)
+     * @param {Object} relation - Relation to modify
+     * @param {Array} row - Row values
+     */
+    addRow(relation, row) {
+        const key = JSON.stringify(row.map(value => String(value)));
+        if (!relation.keys.has(key)) {
+            relation.keys.add(key);
+            relation.rows.push(row);
+        }
+    },
+
+    /**
+     * Evaluate a parsed program against a database
+     * @param {Object[]} statements - Statements from parse()
+     * @param {Object} database - Map of relation name to relation
+     * @returns {{result: Object, steps: Object[]}} Final relation and every intermediate result;
+     *          a step that was assigned to a name carries it as target
+     */
+    run(statements, database) {
+        const env = Object.assign({}, database);
+        const steps = [];
+        let result = null;
+
+        statements.forEach(statement => {
+            result = this.evaluate(statement.expr, env, steps);
+            if (statement.target) {
+                result = this.withAlias(result, statement.target);
+                env[statement.target] = result;
+
+                const last = steps[steps.length - 1];
+                if (last && last.node === statement.expr) {
+                    last.target = statement.target;
+                    last.relation = result;
+                } else {
+                    steps.push({ node: statement.expr, relation: result, target: statement.target });
+                }
+            }
+        });
+
+        return { result, steps };
+    },
+
+    /**
+     * Evaluate an expression tree, recording each operator's result
+     * @param {Object} node - Expression AST
+     * @param {Object} env - Relations by name
+     * @param {Object[]} steps - Collected intermediate results
+     * @returns {Object} Result relation
+     */
+    evaluate(node, env, steps) {
+        if (node.type === 'relation') {
+            const relation = this.lookup(env, node.name);
+            if (!relation) {
+                throw new Error(`Unknown relation "${node.name}"`);
+            }
+            return relation;
+        }
+
+        let result;
+        if (node.type === 'select' || node.type === 'project' || node.type === 'rename') {
+            const input = this.evaluate(node.input, env, steps);
+            result = this[node.type](input, node);
+        } else {
+            const left = this.evaluate(node.left, env, steps);
+            const right = this.evaluate(node.right, env, steps);
+            result = this[node.type](left, right, node);
+        }
+
+        steps.push({ node, relation: result });
+        return result;
+    },
+
+    /**
+     * Find a relation by name (exact match first, then case-insensitive)
+     * @param {Object} env - Relations by name
+     * @param {string} name - Relation name
+     * @returns {Object|undefined} Relation
+     */
+    lookup(env, name) {
+        if (env[name]) return env[name];
+        const match = Object.keys(env).find(key => key.toLowerCase() === name.toLowerCase());
+        return match ? env[match] : undefined;
+    },
+
+    /**
+     * Find the column index of an attribute reference
+     * @param {Object} relation - Relation to search
+     * @param {Object} ref - Attribute reference { qualifier, name }
+     * @returns {number} Column index
+     */
+    resolve(relation, ref) {
+        const same = (a, b) => a.toLowerCase() === b.toLowerCase();
+        const matches = [];
+
+        relation.attrs.forEach((attr, index) => {
+            const qualified = [attr.qualifier, attr.alias].some(q => q && same(q, ref.qualifier || ''));
+            if (same(attr.name, ref.name) && (!ref.qualifier || qualified)) {
+                matches.push(index);
+            }
+        });
+
+        const label = ref.qualifier ? `${ref.qualifier}.${ref.name}` : ref.name;
+        if (matches.length === 0) {
+            const available = relation.attrs.map(attr => this.attributeLabel(relation, attr)).join(', ');
+            throw new Error(`Unknown attribute "${label}" (available: ${available})`);
+        }
+        if (matches.length > 1) {
+            throw new Error(`Ambiguous attribute "${label}" — qualify it, e.g. ${relation.attrs[matches[0]].qualifier}.${ref.name}`);
+        }
+        return matches[0];
+    },
+
+    /**
+     * Display label of an attribute, qualified only when its name is ambiguous
+     * @param {Object} relation - Relation owning the attribute
+     * @param {Object} attr - Attribute { name, qualifier }
+     * @returns {string} Label
+     */
+    attributeLabel(relation, attr) {
+        const duplicates = relation.attrs.filter(other => other.name.toLowerCase() === attr.name.toLowerCase()).length;
+        return duplicates > 1 && attr.qualifier ? `${attr.qualifier}.${attr.name}` : attr.name;
+    },
+
+    /**
+     * Name an assigned relation; its attributes stay reachable through their
+     * old qualifiers (S1.A) as well as the new name (T.A)
+     * @param {Object} relation - Input relation
+     * @param {string} alias - Assigned name
+     * @returns {Object} Copy of the relation
+     */
+    withAlias(relation, alias) {
+        const attrs = relation.attrs.map(attr => ({ name: attr.name, qualifier: attr.qualifier || alias, alias }));
+        return this.createRelation(attrs, relation.rows, alias);
+    },
+
+    /**
+     * Selection σ: keep the rows that satisfy the condition
+     * @param {Object} input - Input relation
+     * @param {Object} node - Select node
+     * @returns {Object} Result relation
+     */
+    select(input, node) {
+        const test = this.compileCondition(node.cond, input);
+        return this.createRelation(input.attrs, input.rows.filter(test));
+    },
+
+    /**
+     * Projection π: keep the listed attributes and drop duplicate rows
+     * @param {Object} input - Input relation
+     * @param {Object} node - Project node
+     * @returns {Object} Result relation
+     */
+    project(input, node) {
+        const indexes = node.attrs.map(ref => this.resolve(input, ref));
+        return this.createRelation(
+            indexes.map(index => input.attrs[index]),
+            input.rows.map(row => indexes.map(index => row[index]))
+        );
+    },
+
+    /**
+     * Rename ρ: rename the relation, all of its attributes, or single attributes
+     * @param {Object} input - Input relation
+     * @param {Object} node - Rename node
+     * @returns {Object} Result relation
+     */
+    rename(input, node) {
+        if (node.mapping) {
+            const attrs = input.attrs.slice();
+            node.mapping.forEach(({ from, to }) => {
+                const index = this.resolve(input, from);
+                attrs[index] = { name: to, qualifier: attrs[index].qualifier };
+            });
+            return this.createRelation(attrs, input.rows);
+        }
+
+        if (node.attributes && node.attributes.length !== input.attrs.length) {
+            throw new Error(`ρ[${node.relation}(…)] lists ${node.attributes.length} attributes but the relation has ${input.attrs.length}`);
+        }
+
+        const attrs = input.attrs.map((attr, index) => ({
+            name: node.attributes ? node.attributes[index] : attr.name,
+            qualifier: node.relation
+        }));
+        return this.createRelation(attrs, input.rows, node.relation);
+    },
+
+    /**
+     * Cartesian product ×
+     * @param {Object} left - Left relation
+     * @param {Object} right - Right relation
+     * @returns {Object} Result relation
+     */
+    cross(left, right) {
+        const rows = [];
+        left.rows.forEach(l => right.rows.forEach(r => rows.push(l.concat(r))));
+        return this.createRelation(left.attrs.concat(right.attrs), rows);
+    },
+
+    /**
+     * Natural join ⋈ on every attribute name the two relations share
+     * @param {Object} left - Left relation
+     * @param {Object} right - Right relation
+     * @returns {Object} Result relation
+     */
+    join(left, right) {
+        const common = [];
+        left.attrs.forEach((attr, li) => {
+            const ri = right.attrs.findIndex(other => other.name.toLowerCase() === attr.name.toLowerCase());
+            if (ri !== -1) common.push([li, ri]);
+        });
+
+        const rightKeep = right.attrs
+            .map((attr, index) => index)
+            .filter(index => !common.some(([, ri]) => ri === index));
+
+        const rows = [];
+        left.rows.forEach(l => right.rows.forEach(r => {
+            if (common.every(([li, ri]) => this.equals(l[li], r[ri]))) {
+                rows.push(l.concat(rightKeep.map(index => r[index])));
+            }
+        }));
+
+        return this.createRelation(left.attrs.concat(rightKeep.map(index => right.attrs[index])), rows);
+    },
+
+    /**
+     * Theta join ⋈_θ, defined as σ_θ(left × right)
+     * @param {Object} left - Left relation
+     * @param {Object} right - Right relation
+     * @param {Object} node - Theta join node
+     * @returns {Object} Result relation
+     */
+    theta(left, right, node) {
+        const product = this.cross(left, right);
+        return this.select(product, node);
+    },
+
+    /**
+     * Union ∪ (the result keeps the left operand's attribute names)
+     * @param {Object} left - Left relation
+     * @param {Object} right - Right relation
+     * @returns {Object} Result relation
+     */
+    union(left, right) {
+        this.checkCompatible(left, right, '∪');
+        return this.createRelation(left.attrs, left.rows.concat(right.rows));
+    },
+
+    /**
+     * Intersection ∩
+     * @param {Object} left - Left relation
+     * @param {Object} right - Right relation
+     * @returns {Object} Result relation
+     */
+    intersect(left, right) {
+        this.checkCompatible(left, right, '∩');
+        const keys = this.rowKeys(right);
+        return this.createRelation(left.attrs, left.rows.filter(row => keys.has(this.rowKey(row))));
+    },
+
+    /**
+     * Difference −
+     * @param {Object} left - Left relation
+     * @param {Object} right - Right relation
+     * @returns {Object} Result relation
+     */
+    difference(left, right) {
+        this.checkCompatible(left, right, '−');
+        const keys = this.rowKeys(right);
+        return this.createRelation(left.attrs, left.rows.filter(row => !keys.has(this.rowKey(row))));
+    },
+
+    /**
+     * Division ÷: tuples over the remaining attributes that appear
+     * together with every tuple of the divisor
+     * @param {Object} left - Dividend relation
+     * @param {Object} right - Divisor relation
+     * @returns {Object} Result relation
+     */
+    division(left, right) {
+        const divisorIndexes = right.attrs.map(attr => this.resolve(left, { qualifier: null, name: attr.name }));
+        const quotientIndexes = left.attrs.map((attr, index) => index).filter(index => !divisorIndexes.includes(index));
+
+        if (quotientIndexes.length === 0) {
+            throw new Error('÷: the divisor must not contain every attribute of the dividend');
+        }
+
+        const present = new Set(left.rows.map(row => this.rowKey(quotientIndexes.concat(divisorIndexes).map(index => row[index]))));
+        const candidates = this.createRelation(
+            quotientIndexes.map(index => left.attrs[index]),
+            left.rows.map(row => quotientIndexes.map(index => row[index]))
+        );
+
+        const rows = candidates.rows.filter(candidate =>
+            right.rows.every(divisor => present.has(this.rowKey(candidate.concat(divisor))))
+        );
+        return this.createRelation(candidates.attrs, rows);
+    },
+
+    /**
+     * Throw unless both operands have the same arity
+     * @param {Object} left - Left relation
+     * @param {Object} right - Right relation
+     * @param {string} symbol - Operator symbol for the message
+     */
+    checkCompatible(left, right, symbol) {
+        if (left.attrs.length !== right.attrs.length) {
+            throw new Error(`${symbol} needs union-compatible relations (${left.attrs.length} vs ${right.attrs.length} attributes)`);
+        }
+    },
+
+    /**
+     * Key used to compare rows for set semantics
+     * @param {Array} row - Row values
+     * @returns {string} Row key
+     */
+    rowKey(row) {
+        return JSON.stringify(row.map(value => String(value)));
+    },
+
+    /**
+     * Keys of every row of a relation
+     * @param {Object} relation - Relation
+     * @returns {Set<string>} Row keys
+     */
+    rowKeys(relation) {
+        return new Set(relation.rows.map(row => this.rowKey(row)));
+    },
+
+    /**
+     * Compile a condition AST into a row predicate
+     * @param {Object} cond - Condition AST
+     * @param {Object} relation - Relation the rows belong to
+     * @returns {Function} Predicate taking a row
+     */
+    compileCondition(cond, relation) {
+        switch (cond.type) {
+            case 'and': {
+                const left = this.compileCondition(cond.left, relation);
+                const right = this.compileCondition(cond.right, relation);
+                return row => left(row) && right(row);
+            }
+            case 'or': {
+                const left = this.compileCondition(cond.left, relation);
+                const right = this.compileCondition(cond.right, relation);
+                return row => left(row) || right(row);
+            }
+            case 'not': {
+                const operand = this.compileCondition(cond.operand, relation);
+                return row => !operand(row);
+            }
+            case 'compare': {
+                const left = this.compileValue(cond.left, relation);
+                const right = this.compileValue(cond.right, relation);
+                return row => this.compare(left(row), cond.op, right(row));
+            }
+            default:
+                throw new Error(`Unknown condition type ${cond.type}`);
+        }
+    },
+
+    /**
+     * Compile a condition operand into a function of the row
+     * @param {Object} value - Literal or attribute reference
+     * @param {Object} relation - Relation the rows belong to
+     * @returns {Function} Value getter taking a row
+     */
+    compileValue(value, relation) {
+        if (value.type === 'literal') {
+            return () => value.value;
+        }
+        const index = this.resolve(relation, value);
+        return row => row[index];
+    },
+
+    /**
+     * Equality used by natural join (1001 equals '1001')
+     * @param {*} a - First value
+     * @param {*} b - Second value
+     * @returns {boolean} True when equal
+     */
+    equals(a, b) {
+        return String(a) === String(b);
+    },
+
+    /**
+     * Compare two values numerically when both are numbers, otherwise as strings
+     * @param {*} a - Left value
+     * @param {string} op - Comparison operator
+     * @param {*} b - Right value
+     * @returns {boolean} Comparison result
+     */
+    compare(a, op, b) {
+        const numeric = typeof a === 'number' && typeof b === 'number';
+        const x = numeric ? a : String(a);
+        const y = numeric ? b : String(b);
+
+        switch (op) {
+            case '=': return x === y;
+            case '≠': return x !== y;
+            case '<': return x < y;
+            case '≤': return x <= y;
+            case '>': return x > y;
+            case '≥': return x >= y;
+            default: return false;
+        }
+    },
+
+    /**
+     * Render an expression as LaTeX in the page's notation
+     * @param {Object} node - Expression AST
+     * @returns {string} LaTeX
+     */
+    toLatex(node) {
+        const name = (text) => `\\text{${this.escapeLatex(text)}}`;
+        const wrap = (child, parent) => {
+            const latex = this.toLatex(child);
+            const binary = ['join', 'theta', 'cross', 'union', 'intersect', 'difference', 'division'];
+            return binary.includes(child.type) && child.type !== parent ? `(${latex})` : latex;
+        };
+
+        switch (node.type) {
+            case 'relation':
+                return name(node.name);
+            case 'select':
+                return `\\sigma_{${this.conditionToLatex(node.cond)}}(${this.toLatex(node.input)})`;
+            case 'project':
+                return `\\pi_{${node.attrs.map(attr => this.refToLatex(attr)).join(',')}}(${this.toLatex(node.input)})`;
+            case 'rename': {
+                let subscript;
+                if (node.mapping) {
+                    subscript = node.mapping.map(m => `${name(m.to)} \\leftarrow ${this.refToLatex(m.from)}`).join(',');
+                } else {
+                    subscript = name(node.relation) + (node.attributes ? `(${node.attributes.map(name).join(',')})` : '');
+                }
+                return `\\rho_{${subscript}}(${this.toLatex(node.input)})`;
+            }
+            case 'group': {
+                // Grouping with aggregation, only produced by the SQL translator
+                const aggregates = node.aggregates.map(a => {
+                    const arg = a.arg ? this.refToLatex(a.arg) : '*';
+                    const call = `\\text{${a.fn}}(${a.distinct ? '\\text{DISTINCT }' : ''}${arg})`;
+                    return a.name === a.text ? call : `${call} \\to ${name(a.name)}`;
+                });
+                return `\\gamma_{${node.attrs.map(attr => this.refToLatex(attr)).concat(aggregates).join(',')}}(${this.toLatex(node.input)})`;
+            }
+            case 'theta':
+                return `${wrap(node.left, null)} \\bowtie_{${this.conditionToLatex(node.cond)}} ${wrap(node.right, null)}`;
+            default: {
+                const symbols = {
+                    join: '\\bowtie', cross: '\\times', union: '\\cup',
+                    intersect: '\\cap', difference: '-', division: '\\div'
+                };
+                const associative = ['join', 'cross', 'union', 'intersect'].includes(node.type);
+                const left = wrap(node.left, associative ? node.type : null);
+                const right = wrap(node.right, null);
+                return `${left} ${symbols[node.type]} ${right}`;
+            }
+        }
+    },
+
+    /**
+     * Render a condition as LaTeX
+     * @param {Object} cond - Condition AST
+     * @returns {string} LaTeX
+     */
+    conditionToLatex(cond) {
+        const symbols = { '=': '=', '≠': '\\neq', '<': '<', '≤': '\\leq', '>': '>', '≥': '\\geq' };
+        switch (cond.type) {
+            case 'and':
+                return `${this.wrapCondition(cond.left, 'or')} \\land ${this.wrapCondition(cond.right, 'or')}`;
+            case 'or':
+                return `${this.conditionToLatex(cond.left)} \\lor ${this.conditionToLatex(cond.right)}`;
+            case 'not':
+                return `\\lnot (${this.conditionToLatex(cond.operand)})`;
+            default:
+                return `${this.valueToLatex(cond.left)} ${symbols[cond.op]} ${this.valueToLatex(cond.right)}`;
+        }
+    },
+
+    /**
+     * Render a condition, in parentheses when it binds looser than its parent
+     * @param {Object} cond - Condition AST
+     * @param {string} lowerType - Condition type that needs parentheses
+     * @returns {string} LaTeX
+     */
+    wrapCondition(cond, lowerType) {
+        const latex = this.conditionToLatex(cond);
+        return cond.type === lowerType ? `(${latex})` : latex;
+    },
+
+    /**
+     * Render a condition operand as LaTeX
+     * @param {Object} value - Literal or attribute reference
+     * @returns {string} LaTeX
+     */
+    valueToLatex(value) {
+        if (value.type === 'attr') return this.refToLatex(value);
+        if (typeof value.value === 'number') return String(value.value);
+        return `\\text{'${this.escapeLatex(value.value)}'}`;
+    },
+
+    /**
+     * Render an attribute reference as LaTeX
+     * @param {Object} ref - Attribute reference
+     * @returns {string} LaTeX
+     */
+    refToLatex(ref) {
+        const text = ref.qualifier ? `${ref.qualifier}.${ref.name}` : ref.name;
+        return `\\text{${this.escapeLatex(text)}}`;
+    },
+
+    /**
+     * Render an expression in the Unicode syntax accepted by the parser
+     * @param {Object} node - Expression AST
+     * @returns {string} Expression text
+     */
+    toText(node) {
+        const wrap = (child) => {
+            const text = this.toText(child);
+            return ['relation', 'select', 'project', 'rename'].includes(child.type) ? text : `(${text})`;
+        };
+
+        switch (node.type) {
+            case 'relation':
+                return node.name;
+            case 'select':
+                return `σ[${this.conditionToText(node.cond)}](${this.toText(node.input)})`;
+            case 'project':
+                return `π[${node.attrs.map(attr => this.refToText(attr)).join(', ')}](${this.toText(node.input)})`;
+            case 'rename':
+                if (node.mapping) {
+                    return `ρ[${node.mapping.map(m => `${this.refToText(m.from)}→${m.to}`).join(', ')}](${this.toText(node.input)})`;
+                }
+                return `ρ[${node.relation}${node.attributes ? `(${node.attributes.join(', ')})` : ''}](${this.toText(node.input)})`;
+            case 'theta':
+                return `${wrap(node.left)} ⋈[${this.conditionToText(node.cond)}] ${wrap(node.right)}`;
+            default: {
+                const symbols = { join: '⋈', cross: '×', union: '∪', intersect: '∩', difference: '−', division: '÷' };
+                return `${wrap(node.left)} ${symbols[node.type]} ${wrap(node.right)}`;
+            }
+        }
+    },
+
+    /**
+     * Render a condition in parser syntax
+     * @param {Object} cond - Condition AST
+     * @returns {string} Condition text
+     */
+    conditionToText(cond) {
+        switch (cond.type) {
+            case 'and':
+                return `${cond.left.type === 'or' ? `(${this.conditionToText(cond.left)})` : this.conditionToText(cond.left)} ∧ ${cond.right.type === 'or' ? `(${this.conditionToText(cond.right)})` : this.conditionToText(cond.right)}`;
+            case 'or':
+                return `${this.conditionToText(cond.left)} ∨ ${this.conditionToText(cond.right)}`;
+            case 'not':
+                return `¬(${this.conditionToText(cond.operand)})`;
+            default:
+                return `${this.valueToText(cond.left)} ${cond.op} ${this.valueToText(cond.right)}`;
+        }
+    },
+
+    /**
+     * Render a condition operand in parser syntax
+     * @param {Object} value - Literal or attribute reference
+     * @returns {string} Operand text
+     */
+    valueToText(value) {
+        if (value.type === 'attr') return this.refToText(value);
+        return typeof value.value === 'number' ? String(value.value) : `'${value.value}'`;
+    },
+
+    /**
+     * Render an attribute reference in parser syntax
+     * @param {Object} ref - Attribute reference
+     * @returns {string} Reference text
+     */
+    refToText(ref) {
+        return ref.qualifier ? `${ref.qualifier}.${ref.name}` : ref.name;
+    },
+
+    /**
+     * Escape LaTeX special characters for use inside \text{}
+     * @param {string} text - Raw text
+     * @returns {string} Escaped text
+     */
+    escapeLatex(text) {
+        return String(text).replace(/[\\{}_$%&#^~]/g, ch => (ch === '\\' ? '\\backslash ' : `\\${ch}`));
+    },
+
+    /**
+     * Create an error that carries a line number
+     * @param {string} message - Error message
+     * @param {number} line - 1-based line number
+     * @returns {Error} Error with a line property
+     */
+    error(message, line) {
+        const err = new Error(`Line ${line}: ${message}`);
+        err.line = line;
+        return err;
+    }
+};
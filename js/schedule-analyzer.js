@@ -0,0 +1,189 @@
+/**
+ * Schedule Analyzer Module
+ * Conflicting operation pairs, precedence graph and conflict-serializability of a schedule
+ */
+
+const ScheduleAnalyzer = {
+    form: null,
+    output: null,
+
+    examples: [
+        {
+            label: 'Ex 31: locking schedule of T1–T4',
+            schedule: 'T2: RLOCK A; T3: RLOCK A; T2: WLOCK B; T2: UNLOCK A;\n' +
+                'T3: WLOCK A; T2: UNLOCK B; T1: RLOCK B; T3: UNLOCK A;\n' +
+                'T4: RLOCK B; T1: RLOCK A; T4: UNLOCK B; T1: WLOCK C;\n' +
+                'T1: UNLOCK A; T4: WLOCK A; T4: UNLOCK A; T1: UNLOCK B;\n' +
+                'T1: UNLOCK C.'
+        },
+        {
+            label: 'Ex 32: non-serializable table',
+            schedule: 'T1      | T2\nWRITE B |\n        | WRITE A\nWRITE A |\n        | WRITE B'
+        },
+        {
+            label: 'Lost update (shorthand)',
+            schedule: 'r1(A); r2(A); w1(A); w2(A); c1; c2'
+        },
+        {
+            label: 'Serializable reads and writes',
+            schedule: 'T1      T2      T3\nREAD A\n        READ A\nWRITE A\n                READ A\n        READ B\n                WRITE B'
+        }
+    ],
+
+    /**
+     * Initialize the analyzer panel
+     */
+    init() {
+        this.form = document.getElementById('scheduleAnalyzer');
+        this.output = document.getElementById('scheduleOutput');
+        const examples = document.getElementById('scheduleExample');
+
+        if (!this.form || !this.output || !examples) {
+            return;
+        }
+
+        this.examples.forEach((example, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = example.label;
+            examples.appendChild(option);
+        });
+
+        examples.addEventListener('change', () => {
+            const example = this.examples[examples.value];
+            if (!example) return;
+            this.form.elements.schedule.value = example.schedule;
+            this.update();
+        });
+
+        this.form.addEventListener('submit', (e) => e.preventDefault());
+        this.form.addEventListener('input', Utils.debounce(() => this.update(), 300));
+        this.update();
+    },
+
+    /**
+     * Parse the schedule and re-render every result
+     */
+    update() {
+        try {
+            const schedule = Schedules.parse(this.form.elements.schedule.value);
+            const conflicts = Schedules.conflicts(schedule);
+            const cycle = Schedules.findCycle(schedule.transactions, conflicts.edges);
+            const order = cycle ? null : Schedules.topologicalOrder(schedule.transactions, conflicts.edges);
+
+            this.output.innerHTML = [
+                this.renderSummary(cycle, order),
+                this.renderSchedule(schedule, conflicts, cycle),
+                this.renderConflicts(conflicts),
+                this.renderGraph(schedule, conflicts, cycle),
+                this.renderLocks(schedule)
+            ].join('');
+            Exercises.renderMath(this.output);
+        } catch (error) {
+            this.output.innerHTML = `<div class="calculator-error">${Utils.escapeHTML(error.message)}</div>`;
+        }
+    },
+
+    /**
+     * Build the answer box
+     * @param {string[]|null} cycle - Cycle of the precedence graph
+     * @param {string[]|null} order - Serial-equivalent order
+     * @returns {string} HTML with KaTeX delimiters
+     */
+    renderSummary(cycle, order) {
+        if (cycle) {
+            return '<div class="info-box"><div class="info-box-title">Not conflict-serializable</div>' +
+                `<p>The precedence graph has the cycle \\(${Schedules.pathLatex(cycle.concat(cycle[0]))}\\).</p></div>`;
+        }
+        return '<div class="info-box"><div class="info-box-title">Conflict-serializable</div>' +
+            `<p>The precedence graph has no cycle. Serial equivalent: \\(${Schedules.pathLatex(order)}\\)</p></div>`;
+    },
+
+    /**
+     * Render the schedule as a table with one column per transaction
+     * @param {Object} schedule - Result of Schedules.parse()
+     * @param {Object} conflicts - Result of Schedules.conflicts()
+     * @param {string[]|null} cycle - Cycle to highlight
+     * @returns {string} HTML string
+     */
+    renderSchedule(schedule, conflicts, cycle) {
+        const marked = new Set();
+        if (cycle) {
+            conflicts.edges.filter(edge => Schedules.onCycle(edge, cycle)).forEach(edge => {
+                edge.pairs.forEach(pair => {
+                    marked.add(pair.first.step);
+                    marked.add(pair.second.step);
+                });
+            });
+        }
+
+        const header = schedule.transactions.map(tx => `<th>\\(${Schedules.txLatex(tx)}\\)</th>`).join('');
+        const rows = schedule.operations.map(operation => {
+            const cells = schedule.transactions.map(tx => {
+                if (tx !== operation.tx) return '<td></td>';
+                const text = `${operation.op}${operation.item ? ` ${operation.item}` : ''}`;
+                return `<td${marked.has(operation.step) ? ' class="schedule-cycle"' : ''}>${Utils.escapeHTML(text)}</td>`;
+            }).join('');
+            return `<tr><td>(${operation.step})</td>${cells}</tr>`;
+        }).join('');
+
+        return `<h4>Schedule</h4><table class="schedule-table"><tr><th>Step</th>${header}</tr>${rows}</table>`;
+    },
+
+    /**
+     * List the conflicting pairs grouped by data item
+     * @param {Object} conflicts - Result of Schedules.conflicts()
+     * @returns {string} HTML with KaTeX delimiters
+     */
+    renderConflicts(conflicts) {
+        const rule = conflicts.model === 'rw'
+            ? 'Two operations of different transactions on the same item conflict when at least one of them is a WRITE.'
+            : 'Only locks appear, so RLOCK counts as a read and WLOCK (or LOCK) as a write: two locks of different transactions on the same item conflict unless both are RLOCK.';
+
+        const items = Array.from(new Set(conflicts.pairs.map(pair => pair.first.item)));
+        const groups = items.map(item => {
+            const lines = conflicts.pairs.filter(pair => pair.first.item === item).map(pair =>
+                `<br>(${pair.first.step}) ${Utils.escapeHTML(pair.first.text)} before (${pair.second.step}) ${Utils.escapeHTML(pair.second.text)} ` +
+                `→ \\(${Schedules.pathLatex([pair.first.tx, pair.second.tx])}\\)`
+            ).join('');
+            return `<li><strong>Item ${Utils.escapeHTML(item)}:</strong>${lines}</li>`;
+        }).join('');
+
+        return `<h4>Conflicting Pairs</h4><p>${rule}</p>` +
+            (groups ? `<ul>${groups}</ul>` : '<p>No conflicting pairs: any serial order is equivalent.</p>');
+    },
+
+    /**
+     * Draw the precedence graph
+     * @param {Object} schedule - Result of Schedules.parse()
+     * @param {Object} conflicts - Result of Schedules.conflicts()
+     * @param {string[]|null} cycle - Cycle to highlight
+     * @returns {string} HTML string
+     */
+    renderGraph(schedule, conflicts, cycle) {
+        const edges = conflicts.edges.map(edge => ({ from: edge.from, to: edge.to, label: edge.items.join(', ') }));
+        const svg = Schedules.graphSVG(schedule.transactions, edges, { highlight: cycle || [] });
+        return `<h4>Precedence Graph</h4><div class="schedule-graph">${svg}</div>`;
+    },
+
+    /**
+     * Report illegal lock grants and transactions that break the two-phase rule
+     * @param {Object} schedule - Result of Schedules.parse()
+     * @returns {string} HTML string
+     */
+    renderLocks(schedule) {
+        if (!schedule.operations.some(operation => operation.op.endsWith('LOCK'))) {
+            return '';
+        }
+
+        const { warnings, notTwoPhase } = Schedules.lockChecks(schedule);
+        const legal = warnings.length === 0
+            ? '<p>Every lock is granted legally.</p>'
+            : `<ul>${warnings.map(w => `<li>(${w.operation.step}) ${Utils.escapeHTML(w.message)} ✗</li>`).join('')}</ul>`;
+        const twoPhase = notTwoPhase.length === 0
+            ? '<p>Every transaction follows 2PL (no lock after its first unlock).</p>'
+            : `<p>Not 2PL (locks after unlocking): ${notTwoPhase.map(tx => `\\(${Schedules.txLatex(tx)}\\)`).join(', ')}</p>`;
+
+        return `<h4>Locks</h4><div class="formula">${legal}${twoPhase}</div>`;
+    }
+};
@@ -0,0 +1,436 @@
+/**
+ * Schedules Module
+ * Parses transaction schedules and builds precedence graphs
+ *
+ * Accepted notations:
+ *   "T2: RLOCK A; T3: RLOCK A; T2: WLOCK B; ..."      (one operation per ";" or line)
+ *   "r1(A); w2(A); c1"                                  (shorthand)
+ *   a column table whose header names the transactions:
+ *     T1      | T2
+ *     WRITE B |
+ *             | WRITE A
+ *   (columns separated by "|", tabs, or aligned with spaces)
+ */
+
+const Schedules = {
+    operations: {
+        READ: 'READ', R: 'READ',
+        WRITE: 'WRITE', W: 'WRITE',
+        LOCK: 'LOCK', L: 'LOCK',
+        RLOCK: 'RLOCK', RL: 'RLOCK',
+        WLOCK: 'WLOCK', WL: 'WLOCK',
+        UNLOCK: 'UNLOCK', U: 'UNLOCK', UL: 'UNLOCK',
+        COMMIT: 'COMMIT', C: 'COMMIT',
+        ABORT: 'ABORT', A: 'ABORT', ROLLBACK: 'ABORT'
+    },
+
+    svgCount: 0,
+
+    /**
+     * Parse a schedule in any supported notation
+     * @param {string} text - Schedule text
+     * @returns {{transactions: string[], operations: Object[]}} Transactions in numeric order and
+     *          operations { step, tx, op, item, text } in schedule order
+     */
+    parse(text) {
+        const lines = text.split(/\r?\n/).map(line => this.stripLatex(line));
+        const headerIndex = lines.findIndex(line => line.trim() !== '');
+
+        const operations = headerIndex !== -1 && this.isHeader(lines[headerIndex])
+            ? this.parseTable(lines, headerIndex)
+            : this.parseList(lines);
+
+        if (operations.length === 0) {
+            throw new Error('The schedule has no operations');
+        }
+
+        operations.forEach((operation, index) => {
+            operation.step = index + 1;
+        });
+
+        const transactions = Array.from(new Set(operations.map(operation => operation.tx)))
+            .sort((a, b) => this.txNumber(a) - this.txNumber(b) || a.localeCompare(b));
+
+        return { transactions, operations };
+    },
+
+    /**
+     * Remove the LaTeX markup used on the page, so "\(T_2\)" reads as "T2"
+     * @param {string} line - Raw line
+     * @returns {string} Plain line
+     */
+    stripLatex(line) {
+        return line.replace(/\\[()[\]]/g, '').replace(/T_\{?(\w+)\}?/g, 'T$1').replace(/<br\s*\/?>/g, '');
+    },
+
+    /**
+     * Check whether a line is a table header listing transactions
+     * @param {string} line - Line text
+     * @returns {boolean} True for headers such as "T1 | T2" or "Step | T1 | T2"
+     */
+    isHeader(line) {
+        const cells = line.split(/[|\s]+/).filter(Boolean);
+        const names = cells.filter(cell => /^T\d+$/i.test(cell));
+        return names.length >= 2 && names.length >= cells.length - 1 && /^T\d+$/i.test(cells[cells.length - 1]);
+    },
+
+    /**
+     * Parse the "T2: RLOCK A; ..." and shorthand notations
+     * @param {string[]} lines - Lines of the schedule
+     * @returns {Object[]} Operations
+     */
+    parseList(lines) {
+        const operations = [];
+
+        lines.forEach((line, index) => {
+            line.split(/[;,]/).forEach(part => {
+                const text = part.trim().replace(/\.$/, '');
+                if (text === '') return;
+
+                const operation = this.parseOperation(text, null);
+                if (!operation) {
+                    throw new Error(`Line ${index + 1}: cannot read "${text}" (expected e.g. T1: READ A or r1(A))`);
+                }
+                if (operation.op !== 'LOCAL') operations.push(operation);
+            });
+        });
+
+        return operations;
+    },
+
+    /**
+     * Parse the column table notation
+     * @param {string[]} lines - Lines of the schedule
+     * @param {number} headerIndex - Index of the header line
+     * @returns {Object[]} Operations
+     */
+    parseTable(lines, headerIndex) {
+        const header = lines[headerIndex];
+        const delimited = /[|\t]/.test(header);
+        const columns = delimited
+            ? header.split(/[|\t]/).map(cell => cell.trim())
+            : Array.from(header.matchAll(/\S+/g), match => ({ name: match[0], start: match.index }));
+        const operations = [];
+
+        lines.slice(headerIndex + 1).forEach((line, offset) => {
+            if (line.trim() === '' || /^[\s|\-+:]+$/.test(line)) return;
+
+            let cells;
+            if (delimited) {
+                cells = line.split(/[|\t]/).map((cell, index) => ({ text: cell.trim(), tx: columns[index] }));
+            } else {
+                cells = Array.from(line.matchAll(/\S+(?: \S+)*/g), match => {
+                    const nearest = columns.reduce((best, column) =>
+                        Math.abs(column.start - match.index) < Math.abs(best.start - match.index) ? column : best);
+                    return { text: match[0].trim(), tx: nearest.name };
+                });
+            }
+
+            cells.forEach(cell => {
+                if (cell.text === '' || /^\(?\d+\)?$/.test(cell.text)) return;
+                if (!cell.tx || !/^T\d+$/i.test(cell.tx)) {
+                    throw new Error(`Line ${headerIndex + offset + 2}: "${cell.text}" is not under a transaction column`);
+                }
+
+                cell.text.split(';').map(part => part.trim()).filter(Boolean).forEach(part => {
+                    const operation = this.parseOperation(part, cell.tx.toUpperCase());
+                    if (!operation) {
+                        throw new Error(`Line ${headerIndex + offset + 2}: cannot read "${part}" (expected e.g. READ A)`);
+                    }
+                    if (operation.op !== 'LOCAL') operations.push(operation);
+                });
+            });
+        });
+
+        return operations;
+    },
+
+    /**
+     * Parse a single operation
+     * @param {string} text - Operation text such as "T1: READ A", "READ A" or "r1(A)"
+     * @param {string|null} tx - Transaction of the table column, if any
+     * @returns {Object|null} Operation { tx, op, item, text }, op "LOCAL" for computations like "A = A × 2"
+     */
+    parseOperation(text, tx) {
+        let body = text;
+        let owner = tx;
+
+        const prefixed = text.match(/^(T\d+)\s*:\s*(.+)$/i);
+        if (prefixed) {
+            owner = prefixed[1].toUpperCase();
+            body = prefixed[2].trim();
+        }
+
+        if (owner && body.includes('=')) {
+            return { tx: owner, op: 'LOCAL', item: null, text };
+        }
+
+        if (owner) {
+            const match = body.match(/^([A-Za-z]+)(?:\s*\(?\s*([\p{L}\p{N}_]+)\s*\)?)?$/u);
+            const op = match && this.operations[match[1].toUpperCase()];
+            if (!op || (!match[2] && !['COMMIT', 'ABORT'].includes(op))) return null;
+            return { tx: owner, op, item: match[2] || null, text: `${owner}: ${op}${match[2] ? ` ${match[2]}` : ''}` };
+        }
+
+        const shorthand = body.match(/^([A-Za-z]+?)_?(\d+)\s*(?:\(\s*([\p{L}\p{N}_]+)\s*\))?$/u);
+        if (!shorthand) return null;
+
+        const op = this.operations[shorthand[1].toUpperCase()];
+        const item = shorthand[3] || null;
+        if (!op || (!item && !['COMMIT', 'ABORT'].includes(op))) return null;
+
+        owner = `T${shorthand[2]}`;
+        return { tx: owner, op, item, text: `${owner}: ${op}${item ? ` ${item}` : ''}` };
+    },
+
+    /**
+     * Numeric part of a transaction name
+     * @param {string} tx - Transaction name such as "T12"
+     * @returns {number} Number, or Infinity when there is none
+     */
+    txNumber(tx) {
+        const match = tx.match(/\d+/);
+        return match ? Number(match[0]) : Infinity;
+    },
+
+    /**
+     * Find conflicting operation pairs and the precedence graph
+     *
+     * With READ/WRITE operations, two operations of different transactions on the same item
+     * conflict when at least one is a write. Schedules written only with locks use the
+     * locking model: RLOCK acts as a read, WLOCK and LOCK as writes.
+     *
+     * @param {Object} schedule - Result of parse()
+     * @returns {{model: string, pairs: Object[], edges: Object[]}} Model ("rw" or "lock"),
+     *          pairs { first, second } and edges { from, to, items, pairs }
+     */
+    conflicts(schedule) {
+        const model = schedule.operations.some(operation => ['READ', 'WRITE'].includes(operation.op)) ? 'rw' : 'lock';
+        const kinds = model === 'rw'
+            ? { READ: 'r', WRITE: 'w' }
+            : { RLOCK: 'r', WLOCK: 'w', LOCK: 'w' };
+
+        const relevant = schedule.operations.filter(operation => kinds[operation.op]);
+        const pairs = [];
+        const edges = new Map();
+
+        relevant.forEach((first, i) => {
+            relevant.slice(i + 1).forEach(second => {
+                if (first.item !== second.item || first.tx === second.tx) return;
+                if (kinds[first.op] === 'r' && kinds[second.op] === 'r') return;
+
+                const pair = { first, second };
+                pairs.push(pair);
+
+                const key = `${first.tx}>${second.tx}`;
+                if (!edges.has(key)) {
+                    edges.set(key, { from: first.tx, to: second.tx, items: [], pairs: [] });
+                }
+                const edge = edges.get(key);
+                edge.pairs.push(pair);
+                if (!edge.items.includes(first.item)) edge.items.push(first.item);
+            });
+        });
+
+        return { model, pairs, edges: Array.from(edges.values()) };
+    },
+
+    /**
+     * Check lock legality and the two-phase rule of every transaction
+     * @param {Object} schedule - Result of parse()
+     * @returns {{warnings: Object[], notTwoPhase: string[]}} Illegal lock steps and transactions that lock after unlocking
+     */
+    lockChecks(schedule) {
+        const holders = {};
+        const warnings = [];
+        const unlocked = new Set();
+        const notTwoPhase = new Set();
+
+        schedule.operations.forEach(operation => {
+            const { tx, op, item } = operation;
+            if (!['LOCK', 'RLOCK', 'WLOCK', 'UNLOCK'].includes(op)) return;
+
+            holders[item] = holders[item] || [];
+            const others = holders[item].filter(lock => lock.tx !== tx);
+
+            if (op === 'UNLOCK') {
+                if (!holders[item].some(lock => lock.tx === tx)) {
+                    warnings.push({ operation, message: `${tx} unlocks ${item} without holding a lock on it` });
+                }
+                holders[item] = others;
+                unlocked.add(tx);
+                return;
+            }
+
+            if (unlocked.has(tx)) notTwoPhase.add(tx);
+
+            const blocking = op === 'RLOCK' ? others.filter(lock => lock.op !== 'RLOCK') : others;
+            if (blocking.length > 0) {
+                const names = blocking.map(lock => `${lock.tx} (${lock.op})`).join(', ');
+                warnings.push({ operation, message: `${tx} gets ${op} ${item} while ${names} still holds it` });
+            }
+
+            holders[item] = holders[item].filter(lock => lock.tx !== tx).concat({ tx, op });
+        });
+
+        return { warnings, notTwoPhase: Array.from(notTwoPhase) };
+    },
+
+    /**
+     * Find a directed cycle
+     * @param {string[]} nodes - Node names
+     * @param {Object[]} edges - Edges { from, to }
+     * @returns {string[]|null} Nodes of the cycle in order (first node not repeated), or null
+     */
+    findCycle(nodes, edges) {
+        const state = {};
+        const stack = [];
+
+        const visit = (node) => {
+            state[node] = 'active';
+            stack.push(node);
+
+            for (const edge of edges.filter(e => e.from === node)) {
+                if (state[edge.to] === 'active') {
+                    return stack.slice(stack.indexOf(edge.to));
+                }
+                if (!state[edge.to]) {
+                    const cycle = visit(edge.to);
+                    if (cycle) return cycle;
+                }
+            }
+
+            stack.pop();
+            state[node] = 'done';
+            return null;
+        };
+
+        for (const node of nodes) {
+            if (!state[node]) {
+                const cycle = visit(node);
+                if (cycle) return cycle;
+            }
+        }
+        return null;
+    },
+
+    /**
+     * Check whether an edge lies on a cycle
+     * @param {Object} edge - Edge { from, to }
+     * @param {string[]} cycle - Result of findCycle()
+     * @returns {boolean} True if the edge connects consecutive cycle nodes
+     */
+    onCycle(edge, cycle) {
+        const index = cycle.indexOf(edge.from);
+        return index !== -1 && cycle[(index + 1) % cycle.length] === edge.to;
+    },
+
+    /**
+     * Topological order, taking the lowest-numbered ready node first
+     * @param {string[]} nodes - Node names in preferred order
+     * @param {Object[]} edges - Edges { from, to }
+     * @returns {string[]|null} Order, or null when the graph has a cycle
+     */
+    topologicalOrder(nodes, edges) {
+        const indegree = {};
+        nodes.forEach(node => { indegree[node] = 0; });
+        edges.forEach(edge => { indegree[edge.to]++; });
+
+        const order = [];
+        const remaining = nodes.slice();
+        while (remaining.length > 0) {
+            const next = remaining.find(node => indegree[node] === 0);
+            if (!next) return null;
+
+            order.push(next);
+            remaining.splice(remaining.indexOf(next), 1);
+            edges.filter(edge => edge.from === next).forEach(edge => { indegree[edge.to]--; });
+        }
+        return order;
+    },
+
+    /**
+     * Render a transaction name as LaTeX
+     * @param {string} tx - Name such as "T2"
+     * @returns {string} LaTeX such as T_{2}
+     */
+    txLatex(tx) {
+        const match = tx.match(/^T(\d+)$/i);
+        return match ? `T_{${match[1]}}` : `\\text{${tx}}`;
+    },
+
+    /**
+     * Render a sequence of transactions joined by arrows
+     * @param {string[]} path - Transaction names
+     * @returns {string} LaTeX
+     */
+    pathLatex(path) {
+        return path.map(tx => this.txLatex(tx)).join(' \\rightarrow ');
+    },
+
+    /**
+     * Draw a directed graph as SVG with the nodes on a circle
+     * @param {string[]} nodes - Node names
+     * @param {Object[]} edges - Edges { from, to, label? }
+     * @param {Object} [options] - { highlight: string[] } nodes of a cycle to highlight
+     * @returns {string} SVG markup
+     */
+    graphSVG(nodes, edges, options = {}) {
+        const highlight = options.highlight || [];
+        const nodeRadius = 22;
+        const ring = nodes.length < 2 ? 0 : 70 + 14 * nodes.length;
+        const size = 2 * (ring + nodeRadius + 24);
+        const center = size / 2;
+        const start = nodes.length === 2 ? Math.PI : -Math.PI / 2;
+        const id = `graph${++this.svgCount}`;
+
+        const position = {};
+        nodes.forEach((node, index) => {
+            const angle = start + (2 * Math.PI * index) / nodes.length;
+            position[node] = { x: center + ring * Math.cos(angle), y: center + ring * Math.sin(angle) };
+        });
+
+        const round = (value) => Math.round(value * 10) / 10;
+
+        const paths = edges.map(edge => {
+            const a = position[edge.from];
+            const b = position[edge.to];
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const length = Math.hypot(dx, dy) || 1;
+
+            // Bend the edge when the opposite edge exists so both stay visible
+            const bend = edges.some(other => other.from === edge.to && other.to === edge.from) ? 28 : 0;
+            const control = { x: (a.x + b.x) / 2 - (dy / length) * bend, y: (a.y + b.y) / 2 + (dx / length) * bend };
+
+            const trim = (point, toward, distance) => {
+                const tx = toward.x - point.x;
+                const ty = toward.y - point.y;
+                const t = distance / (Math.hypot(tx, ty) || 1);
+                return { x: point.x + tx * t, y: point.y + ty * t };
+            };
+            const from = trim(a, control, nodeRadius);
+            const to = trim(b, control, nodeRadius + 2);
+            const mid = { x: 0.25 * from.x + 0.5 * control.x + 0.25 * to.x, y: 0.25 * from.y + 0.5 * control.y + 0.25 * to.y };
+
+            const cycle = this.onCycle(edge, highlight);
+            const label = edge.label
+                ? `<text class="graph-edge-label" x="${round(mid.x - (dy / length) * 10)}" y="${round(mid.y + (dx / length) * 10)}">${Utils.escapeHTML(edge.label)}</text>`
+                : '';
+            return `<path class="graph-edge${cycle ? ' graph-cycle' : ''}" d="M ${round(from.x)} ${round(from.y)} Q ${round(control.x)} ${round(control.y)} ${round(to.x)} ${round(to.y)}" marker-end="url(#${id}-${cycle ? 'cycle' : 'arrow'})"/>${label}`;
+        }).join('');
+
+        const circles = nodes.map(node => {
+            const p = position[node];
+            const cycle = highlight.includes(node) ? ' graph-cycle' : '';
+            return `<g class="graph-node${cycle}"><circle cx="${round(p.x)}" cy="${round(p.y)}" r="${nodeRadius}"/>` +
+                `<text x="${round(p.x)}" y="${round(p.y)}">${Utils.escapeHTML(node)}</text></g>`;
+        }).join('');
+
+        const marker = (name) => `<marker id="${id}-${name}" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">` +
+            `<path class="graph-arrow${name === 'cycle' ? ' graph-cycle' : ''}" d="M 0 0 L 10 5 L 0 10 z"/></marker>`;
+
+        return `<svg class="graph-svg" viewBox="0 0 ${size} ${size}" width="${size}" height="${size}" role="img">` +
+            `<defs>${marker('arrow')}${marker('cycle')}</defs>${paths}${circles}</svg>`;
+    }
+};
@@ -0,0 +1,681 @@
+/**
+ * Search Module
+ * Full-text search across sections, exercises, collapsibles and the audio transcript
+ */
+
+const Search = {
+    input: null,
+    resultsList: null,
+    documents: [],
+    cueDocuments: [],
+    indexedCues: null, // Cue array of the indexed subtitle track
+    results: [],
+    selectedIndex: -1,
+    lastTerms: [],
+    maxResults: 12,
+    snippetRadius: 60,
+
+    /**
+     * Initialize search functionality
+     */
+    init() {
+        this.input = document.getElementById('searchInput');
+        this.resultsList = document.getElementById('searchResults');
+
+        if (!this.input || !this.resultsList) {
+            return;
+        }
+
+        this.buildIndex();
+        this.setupEventListeners();
+    },
+
+    /**
+     * Set up event listeners for the search box
+     */
+    setupEventListeners() {
+        this.input.addEventListener('input', Utils.debounce(() => {
+            this.runQuery(this.input.value);
+        }, 150));
+
+        this.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+
+        this.resultsList.addEventListener('click', (e) => {
+            const item = e.target.closest('.search-result');
+            if (item) {
+                this.openResult(parseInt(item.dataset.index, 10));
+            }
+        });
+    },
+
+    /**
+     * Handle keyboard navigation inside the search box
+     * @param {KeyboardEvent} event - The keydown event
+     */
+    handleKeydown(event) {
+        if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+            if (this.results.length === 0) return;
+            event.preventDefault();
+            const step = event.key === 'ArrowDown' ? 1 : -1;
+            const count = this.results.length;
+            this.selectedIndex = (this.selectedIndex + step + count) % count;
+            this.updateSelection();
+        } else if (event.key === 'Enter') {
+            event.preventDefault();
+            this.openResult(this.selectedIndex >= 0 ? this.selectedIndex : 0);
+        } else if (event.key === 'Escape') {
+            this.clear();
+        }
+    },
+
+    /**
+     * Build the search index from the page content
+     * Each exercise, each collapsible and each headed block of a section becomes one document
+     */
+    buildIndex() {
+        this.documents = [];
+
+        document.querySelectorAll('.section').forEach(section => {
+            const sectionTitle = this.getSectionTitle(section.id);
+
+            this.addExercises(section);
+
+            section.querySelectorAll('.collapsible').forEach(collapsible => {
+                if (collapsible.closest('.exercise')) return;
+                const header = collapsible.querySelector('.collapsible-header');
+                this.addDocument({
+                    kind: 'collapsible',
+                    sectionId: section.id,
+                    sectionTitle: sectionTitle,
+                    title: header ? header.textContent.trim() : sectionTitle,
+                    elements: [collapsible],
+                    target: collapsible
+                });
+            });
+
+            this.collectBlocks(section).forEach(block => {
+                this.addDocument({
+                    kind: 'section',
+                    sectionId: section.id,
+                    sectionTitle: sectionTitle,
+                    title: block.heading ? block.heading.textContent.trim() : sectionTitle,
+                    elements: block.elements,
+                    target: block.heading || section
+                });
+            });
+        });
+    },
+
+    /**
+     * Index every exercise inside an element, one document each
+     * @param {HTMLElement} root - A section, or an element added to one later
+     */
+    addExercises(root) {
+        const section = root.closest('.section');
+        const sectionTitle = this.getSectionTitle(section.id);
+
+        root.querySelectorAll('.exercise').forEach(exercise => {
+            const header = exercise.querySelector('.exercise-header');
+            this.addDocument({
+                kind: 'exercise',
+                sectionId: section.id,
+                sectionTitle: sectionTitle,
+                title: header ? header.textContent.trim() : 'Exercise',
+                elements: [exercise],
+                target: exercise
+            });
+        });
+    },
+
+    /**
+     * Drop the documents of the exercises inside an element that is being removed
+     * @param {HTMLElement} root - Element being removed
+     */
+    removeExercises(root) {
+        this.documents = this.documents.filter(doc => !root.contains(doc.target));
+    },
+
+    /**
+     * Split a section into blocks that start at each h2/h3 heading,
+     * skipping exercises, exercise packs and collapsibles (they are indexed on their own)
+     * @param {HTMLElement} section - The section element
+     * @returns {Array<{heading: HTMLElement|null, elements: HTMLElement[]}>} Blocks
+     */
+    collectBlocks(section) {
+        const blocks = [];
+        let current = { heading: null, elements: [] };
+
+        section.querySelectorAll(':scope > .card > *').forEach(child => {
+            if (child.matches('h2, h3')) {
+                blocks.push(current);
+                current = { heading: child, elements: [child] };
+            } else if (!child.matches('.exercise, .exercise-packs, .collapsible')) {
+                current.elements.push(child);
+            }
+        });
+        blocks.push(current);
+
+        return blocks.filter(block => block.elements.length > 0);
+    },
+
+    /**
+     * Add a document to the index
+     * @param {Object} doc - Document with kind, section, title and elements
+     */
+    addDocument(doc) {
+        doc.text = this.cleanText(doc.elements.map(el => this.extractText(el)).join(' '));
+        if (!doc.text) return;
+
+        doc.tokens = this.tokenize(doc.text);
+        doc.titleTokens = this.tokenize(doc.title);
+        this.documents.push(doc);
+    },
+
+    /**
+     * Get the text of an element, leaving out interactive controls marked with data-search-ignore
+     * @param {HTMLElement} element - Element to read
+     * @returns {string} Text content
+     */
+    extractText(element) {
+        if (element.matches('[data-search-ignore]')) {
+            return '';
+        }
+
+        if (!element.querySelector('[data-search-ignore]')) {
+            return element.textContent;
+        }
+
+        const clone = element.cloneNode(true);
+        clone.querySelectorAll('[data-search-ignore]').forEach(el => el.remove());
+        return clone.textContent;
+    },
+
+    /**
+     * Index the parsed audio cues (loaded asynchronously by AudioPlayer)
+     */
+    indexCues() {
+        if (typeof AudioPlayer === 'undefined') return;
+
+        const cues = AudioPlayer.manualCues;
+        if (cues === this.indexedCues) return;
+
+        const sectionTitle = this.getSectionTitle('audio');
+        this.cueDocuments = cues.map(cue => ({
+            kind: 'cue',
+            sectionId: 'audio',
+            sectionTitle: sectionTitle,
+            title: `Transcript ${this.formatTime(cue.startTime)}`,
+            text: cue.text,
+            tokens: this.tokenize(cue.text),
+            titleTokens: [],
+            cue: cue
+        }));
+        this.indexedCues = cues;
+    },
+
+    /**
+     * Run a query and render the ranked results
+     * @param {string} query - The search query
+     */
+    runQuery(query) {
+        const terms = this.tokenize(query);
+        this.lastTerms = terms;
+
+        if (terms.length === 0) {
+            this.results = [];
+            this.renderResults();
+            return;
+        }
+
+        this.indexCues();
+        const allDocs = this.documents.concat(this.cueDocuments);
+        const idf = this.computeIdf(terms, allDocs);
+
+        this.results = allDocs
+            .map(doc => ({ doc: doc, score: this.scoreDocument(doc, terms, idf) }))
+            .filter(result => result.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, this.maxResults);
+
+        this.selectedIndex = this.results.length > 0 ? 0 : -1;
+        this.renderResults();
+    },
+
+    /**
+     * Compute inverse document frequency for each query term
+     * @param {string[]} terms - Query terms
+     * @param {Object[]} docs - All indexed documents
+     * @returns {Object} Map of term to IDF weight
+     */
+    computeIdf(terms, docs) {
+        const idf = {};
+        terms.forEach(term => {
+            const matching = docs.filter(doc => doc.tokens.some(token => token.startsWith(term))).length;
+            idf[term] = Math.log(1 + docs.length / (1 + matching));
+        });
+        return idf;
+    },
+
+    /**
+     * Score a document against the query; every term must match (prefix match)
+     * @param {Object} doc - Indexed document
+     * @param {string[]} terms - Query terms
+     * @param {Object} idf - IDF weights per term
+     * @returns {number} Relevance score (0 if not all terms match)
+     */
+    scoreDocument(doc, terms, idf) {
+        let score = 0;
+
+        for (const term of terms) {
+            let frequency = 0;
+            let exact = false;
+            doc.tokens.forEach(token => {
+                if (token.startsWith(term)) {
+                    frequency++;
+                    if (token === term) exact = true;
+                }
+            });
+
+            const inTitle = doc.titleTokens.some(token => token.startsWith(term));
+            if (frequency === 0 && !inTitle) {
+                return 0;
+            }
+
+            score += idf[term] * (1 + Math.log(1 + frequency)) * (exact ? 1.5 : 1);
+            if (inTitle) score += idf[term] * 3;
+        }
+
+        // Prefer short, focused documents over long ones
+        score /= Math.log(10 + doc.tokens.length);
+
+        // Whole phrase appears verbatim
+        if (terms.length > 1 && this.normalize(doc.text).includes(terms.join(' '))) {
+            score *= 1.5;
+        }
+
+        return score;
+    },
+
+    /**
+     * Render the result list
+     */
+    renderResults() {
+        this.resultsList.innerHTML = '';
+
+        if (this.lastTerms.length === 0) {
+            this.resultsList.classList.remove('open');
+            return;
+        }
+
+        if (this.results.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'search-empty';
+            empty.textContent = 'No matches';
+            this.resultsList.appendChild(empty);
+        }
+
+        this.results.forEach((result, index) => {
+            const item = document.createElement('li');
+            item.className = 'search-result';
+            item.dataset.index = index;
+            item.setAttribute('role', 'option');
+
+            const title = document.createElement('div');
+            title.className = 'search-result-title';
+            title.innerHTML = this.highlightHTML(result.doc.title, this.lastTerms);
+
+            const meta = document.createElement('div');
+            meta.className = 'search-result-meta';
+            meta.textContent = result.doc.sectionTitle;
+
+            const snippet = document.createElement('div');
+            snippet.className = 'search-result-snippet';
+            snippet.innerHTML = this.buildSnippet(result.doc.text, this.lastTerms);
+
+            item.appendChild(title);
+            item.appendChild(meta);
+            item.appendChild(snippet);
+            this.resultsList.appendChild(item);
+        });
+
+        this.resultsList.classList.add('open');
+        this.updateSelection();
+    },
+
+    /**
+     * Mark the currently selected result
+     */
+    updateSelection() {
+        this.resultsList.querySelectorAll('.search-result').forEach((item, index) => {
+            const selected = index === this.selectedIndex;
+            item.classList.toggle('selected', selected);
+            item.setAttribute('aria-selected', selected);
+            if (selected) {
+                item.scrollIntoView({ block: 'nearest' });
+            }
+        });
+    },
+
+    /**
+     * Open a result: show its section, reveal the containing solution or collapsible,
+     * scroll to it and highlight the matched terms
+     * @param {number} index - Index into the current results
+     */
+    openResult(index) {
+        const result = this.results[index];
+        if (!result) return;
+
+        const doc = result.doc;
+        const terms = this.lastTerms;
+
+        this.clearHighlights();
+        Navigation.showSection(doc.sectionId);
+
+        if (doc.kind === 'cue') {
+            this.openCue(doc.cue);
+            return;
+        }
+
+        const revealed = this.revealMatch(doc, terms);
+
+        // Wait for the section switch and any math re-rendering before touching the DOM
+        setTimeout(() => {
+            const marks = [];
+            doc.elements.forEach(el => marks.push(...this.highlightTerms(el, terms)));
+
+            const scrollTarget = marks.find(mark => mark.offsetParent !== null) || revealed || doc.target;
+            this.scrollTo(scrollTarget);
+        }, 200);
+
+        this.resultsList.classList.remove('open');
+    },
+
+    /**
+     * Open the solution or collapsible inside a document that holds the match
+     * @param {Object} doc - Indexed document
+     * @param {string[]} terms - Query terms
+     * @returns {HTMLElement|null} The element that contains the first hidden match
+     */
+    revealMatch(doc, terms) {
+        const root = doc.elements[0];
+        const hidden = Array.from(root.querySelectorAll('.solution, .collapsible'));
+        if (root.matches('.collapsible')) hidden.unshift(root);
+
+        const container = hidden.find(el => {
+            const text = this.normalize(this.cleanText(el.textContent));
+            return terms.some(term => text.includes(term));
+        });
+
+        // Only reveal a hidden part when the visible part does not match already
+        if (!container || (container !== root && this.matchesVisibleText(root, container, terms))) {
+            return null;
+        }
+
+        if (container.matches('.collapsible') && !container.classList.contains('open')) {
+            container.classList.add('open');
+            Exercises.renderMath(container);
+        } else if (container.matches('.solution') && !container.classList.contains('show')) {
+            const button = container.previousElementSibling;
+            if (button) {
+                Exercises.toggleSolution(button);
+            }
+        }
+
+        return container;
+    },
+
+    /**
+     * Check whether the query matches the part of a document outside a hidden container
+     * @param {HTMLElement} root - Document root element
+     * @param {HTMLElement} container - Hidden container inside the root
+     * @param {string[]} terms - Query terms
+     * @returns {boolean} True if every term matches outside the container
+     */
+    matchesVisibleText(root, container, terms) {
+        const visible = root.cloneNode(true);
+        visible.querySelectorAll('.solution, .collapsible-content, [data-search-ignore]').forEach(el => el.remove());
+        const text = this.normalize(this.cleanText(visible.textContent));
+        return terms.every(term => text.includes(term));
+    },
+
+    /**
+     * Seek the audio player to a transcript cue
+     * @param {Object} cue - Parsed cue with startTime and text
+     */
+    openCue(cue) {
+        const index = AudioPlayer.manualCues.indexOf(cue);
+        if (AudioPlayer.player && index >= 0) {
+            AudioPlayer.seekToCue(index);
+            AudioPlayer.updateSubtitle();
+        }
+
+        if (AudioPlayer.subtitleDisplay) {
+            AudioPlayer.subtitleDisplay.innerHTML = AudioPlayer.cueHTML(cue);
+            AudioPlayer.subtitleDisplay.classList.add('active');
+            setTimeout(() => this.scrollTo(AudioPlayer.subtitleDisplay), 200);
+        }
+
+        this.resultsList.classList.remove('open');
+    },
+
+    /**
+     * Scroll an element into view below the fixed header
+     * @param {HTMLElement} element - Element to scroll to
+     */
+    scrollTo(element) {
+        if (!element) return;
+        const offsetPosition = element.getBoundingClientRect().top + window.pageYOffset - 120;
+        window.scrollTo({ top: offsetPosition, behavior: 'smooth' });
+    },
+
+    /**
+     * Wrap matches of the terms in <mark> elements (rendered math is left untouched)
+     * @param {HTMLElement} root - Element to highlight in
+     * @param {string[]} terms - Query terms
+     * @returns {HTMLElement[]} Created mark elements
+     */
+    highlightTerms(root, terms) {
+        if (terms.length === 0) return [];
+
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+            acceptNode(node) {
+                const parent = node.parentElement;
+                if (!parent || parent.closest('.katex, script, style, mark')) {
+                    return NodeFilter.FILTER_REJECT;
+                }
+                // Unrendered LaTeX must stay in one text node for auto-render
+                if (node.nodeValue.includes('\\')) {
+                    return NodeFilter.FILTER_REJECT;
+                }
+                return NodeFilter.FILTER_ACCEPT;
+            }
+        });
+
+        const nodes = [];
+        while (walker.nextNode()) {
+            nodes.push(walker.currentNode);
+        }
+
+        const marks = [];
+        nodes.forEach(node => {
+            const text = node.nodeValue;
+            const matches = this.findMatches(text, terms);
+            if (matches.length === 0) return;
+
+            const fragment = document.createDocumentFragment();
+            let lastIndex = 0;
+            matches.forEach(match => {
+                fragment.appendChild(document.createTextNode(text.slice(lastIndex, match.start)));
+                const mark = document.createElement('mark');
+                mark.className = 'search-highlight';
+                mark.textContent = text.slice(match.start, match.end);
+                fragment.appendChild(mark);
+                marks.push(mark);
+                lastIndex = match.end;
+            });
+            fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+            node.parentNode.replaceChild(fragment, node);
+        });
+
+        return marks;
+    },
+
+    /**
+     * Remove all search highlights from the page
+     */
+    clearHighlights() {
+        document.querySelectorAll('mark.search-highlight').forEach(mark => {
+            const parent = mark.parentNode;
+            parent.replaceChild(document.createTextNode(mark.textContent), mark);
+            parent.normalize();
+        });
+    },
+
+    /**
+     * Clear the query, results and highlights
+     */
+    clear() {
+        this.input.value = '';
+        this.lastTerms = [];
+        this.results = [];
+        this.selectedIndex = -1;
+        this.renderResults();
+        this.clearHighlights();
+    },
+
+    /**
+     * Build an HTML snippet around the first matched term
+     * @param {string} text - Document text
+     * @param {string[]} terms - Query terms
+     * @returns {string} HTML snippet with highlighted terms
+     */
+    buildSnippet(text, terms) {
+        const matches = this.findMatches(text, terms);
+        const position = matches.length > 0 ? matches[0].start : 0;
+
+        const start = Math.max(0, position - this.snippetRadius);
+        const end = Math.min(text.length, position + this.snippetRadius * 2);
+        let snippet = text.slice(start, end);
+
+        if (start > 0) snippet = '…' + snippet;
+        if (end < text.length) snippet += '…';
+
+        return this.highlightHTML(snippet, terms);
+    },
+
+    /**
+     * Escape text and wrap matched terms in <mark>
+     * @param {string} text - Plain text
+     * @param {string[]} terms - Query terms
+     * @returns {string} HTML string
+     */
+    highlightHTML(text, terms) {
+        // Work on the raw text so terms never match inside HTML entities
+        let html = '';
+        let lastIndex = 0;
+        this.findMatches(text, terms).forEach(match => {
+            html += Utils.escapeHTML(text.slice(lastIndex, match.start)) +
+                `<mark>${Utils.escapeHTML(text.slice(match.start, match.end))}</mark>`;
+            lastIndex = match.end;
+        });
+        return html + Utils.escapeHTML(text.slice(lastIndex));
+    },
+
+    /**
+     * Find the terms in text the way the index does (ignoring case and diacritics)
+     * Positions refer to the original text, which can be longer than its normalized form
+     * @param {string} text - Original text
+     * @param {string[]} terms - Normalized query terms
+     * @returns {Array<{start: number, end: number}>} Non-overlapping matches in text order
+     */
+    findMatches(text, terms) {
+        // Normalize character by character, remembering where each normalized unit came from
+        let normalized = '';
+        const starts = [];
+        const ends = [];
+        let index = 0;
+        for (const char of text) {
+            const part = this.normalize(char);
+            for (let i = 0; i < part.length; i++) {
+                starts.push(index);
+                ends.push(index + char.length);
+            }
+            normalized += part;
+            index += char.length;
+        }
+
+        const found = [];
+        terms.filter(term => term.length > 0).forEach(term => {
+            let at = normalized.indexOf(term);
+            while (at !== -1) {
+                found.push({ start: starts[at], end: ends[at + term.length - 1] });
+                at = normalized.indexOf(term, at + term.length);
+            }
+        });
+
+        found.sort((a, b) => a.start - b.start || b.end - a.end);
+        return found.reduce((merged, match) => {
+            const last = merged[merged.length - 1];
+            if (last && match.start < last.end) {
+                last.end = Math.max(last.end, match.end);
+            } else {
+                merged.push(match);
+            }
+            return merged;
+        }, []);
+    },
+
+    /**
+     * Strip LaTeX commands and collapse whitespace
+     * @param {string} text - Raw text content
+     * @returns {string} Cleaned text
+     */
+    cleanText(text) {
+        return text
+            .replace(/\\(text|mathrm|mathbf)\{([^}]*)\}/g, ' $2 ')
+            .replace(/\\[a-zA-Z]+/g, ' ')
+            .replace(/\\[()[\]{},;]/g, ' ')
+            .replace(/[{}]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    },
+
+    /**
+     * Lowercase and strip diacritics
+     * @param {string} text - Text to normalize
+     * @returns {string} Normalized text
+     */
+    normalize(text) {
+        return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    },
+
+    /**
+     * Split text into normalized word tokens
+     * @param {string} text - Text to tokenize
+     * @returns {string[]} Tokens
+     */
+    tokenize(text) {
+        return this.normalize(text).match(/[\p{L}\p{N}]+/gu) || [];
+    },
+
+    /**
+     * Get the navigation label of a section
+     * @param {string} sectionId - Section ID
+     * @returns {string} Section title
+     */
+    getSectionTitle(sectionId) {
+        const button = document.querySelector(`.nav-btn[data-section="${sectionId}"]`);
+        return button ? button.textContent.trim() : sectionId;
+    },
+
+    /**
+     * Format seconds as M:SS
+     * @param {number} seconds - Time in seconds
+     * @returns {string} Formatted time
+     */
+    formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const rest = Math.floor(seconds % 60);
+        return `${minutes}:${String(rest).padStart(2, '0')}`;
+    }
+};
@@ -0,0 +1,588 @@
+/**
+ * SQL Sandbox Module
+ * SQL console over the course's sample schemas, and automatic checking of exercise
+ * queries that declare their expected result
+ *
+ * An exercise declares a check as:
+ *   <div class="sql-check" data-schema="products" [data-ordered]>
+ *       <p>Task description</p>
+ *       <pre class="sql-expected" hidden>MANUFACTURER
+ *   C
+ *   E</pre>
+ *   </div>
+ * The first line of the expected result names the columns, every other line is a
+ * comma-separated row (NULL for a missing value). Rows are compared as a bag, in
+ * order only when data-ordered is set; column names are not compared.
+ */
+
+const SQLSandbox = {
+    query: null,
+    output: null,
+    schema: 'products',
+    databases: {},
+    maxRows: 50,
+
+    schemas: {
+        products: {
+            label: 'Products (Exercises 7 and 11)',
+            source: `PRODUCT(MANUFACTURER, MODEL, TYPE)
+A, 1001, pc
+A, 1002, pc
+A, 2004, laptop
+B, 1003, pc
+B, 2001, laptop
+B, 3001, printer
+C, 2002, laptop
+C, 2003, laptop
+D, 1004, pc
+D, 3002, printer
+E, 2005, laptop
+
+PC(MODEL, SPEED, RAM, HDD, CD, PRICE)
+1001, 2660, 1024, 250, 48x, 2114
+1002, 3000, 512, 250, 48x, 995
+1003, 3060, 2048, 500, 24x, 1049
+1004, 1420, 512, 80, 48x, 510
+
+LAPTOP(MODEL, SPEED, RAM, HDD, SCREEN, PRICE)
+2001, 2000, 2048, 1000, 20.1, 3673
+2002, 1730, 1024, 80, 17.0, 949
+2003, 3200, 2048, 1200, 15.4, 1549
+2004, 3060, 1024, 250, 13.3, 1150
+2005, 3000, 4096, 500, 15.4, 1790
+
+PRINTER(MODEL, COLOR, TYPE, PRICE)
+3001, true, ink-jet, 99
+3002, false, laser, 239`
+        },
+        hospital: {
+            label: 'Hospital (Exercises 4 and 5)',
+            source: `HOSPITAL(HOSPITAL_ID, NAME, CITY, DIRECTOR_ID)
+1, Szent Janos, Budapest, 101
+2, Kenezy, Debrecen, 104
+3, Szent-Gyorgyi, Szeged, 106
+
+FACILITY(HOSPITAL_ID, FACILITY_NO, NAME, LEADER_ID)
+1, 1, Cardiology, 102
+1, 2, Surgery, 103
+1, 3, Radiology, NULL
+2, 1, Cardiology, 104
+2, 2, Neurology, 105
+3, 1, Surgery, 107
+3, 2, Oncology, 106
+
+DOCTOR(DOCTOR_ID, NAME, ASSOCIATION_ID, ECONOMY_DEGREE)
+101, Dr. Kovacs, MOK-1201, yes
+102, Dr. Nagy, MOK-1377, no
+103, Dr. Szabo, MOK-1420, no
+104, Dr. Toth, MOK-1533, yes
+105, Dr. Horvath, MOK-1610, no
+106, Dr. Varga, MOK-1702, yes
+107, Dr. Kiss, MOK-1856, no
+
+WORKS_AT(DOCTOR_ID, HOSPITAL_ID)
+101, 1
+102, 1
+102, 2
+103, 1
+103, 2
+103, 3
+104, 2
+105, 2
+105, 3
+106, 3
+107, 1
+107, 3
+
+NURSE(NURSE_ID, NAME, HOSPITAL_ID, FACILITY_NO)
+201, Gabor Bodnar, 1, 1
+202, Hanna Fekete, 1, 2
+203, Ildiko Racz, 2, 1
+204, Janos Olah, 3, 2
+
+PATIENT(PATIENT_ID, NAME, BIRTH_YEAR)
+1, Anna Balogh, 1958
+2, Bence Farkas, 1972
+3, Csilla Molnar, 1990
+4, Daniel Papp, 1965
+5, Eva Lakatos, 2001
+6, Ferenc Simon, 1949
+
+DISEASE(CODE, NAME)
+I10, Hypertension
+I21, Myocardial infarction
+G40, Epilepsy
+C34, Lung cancer
+K35, Appendicitis
+E11, Type 2 diabetes
+J45, Asthma
+
+HAS_DISEASE(PATIENT_ID, CODE)
+1, I10
+1, I21
+1, E11
+2, G40
+3, K35
+4, C34
+4, I10
+5, G40
+6, I21
+6, E11
+
+TREATS(PATIENT_ID, DOCTOR_ID, HOSPITAL_ID, FACILITY_NO)
+1, 101, 1, 1
+1, 102, 1, 1
+2, 104, 2, 2
+2, 105, 2, 2
+3, 103, 1, 2
+4, 106, 3, 2
+4, 107, 3, 2
+5, 102, 2, 2
+6, 101, 1, 1
+6, 103, 1, 1`
+        },
+        beer: {
+            label: 'Beer (Exercise 12)',
+            source: `likes(person, beer)
+Anna, Dreher
+Anna, Soproni
+Bela, Dreher
+Csaba, Dreher
+Csaba, Pilsner
+
+sells(pub, beer)
+Jazz, Dreher
+Jazz, Soproni
+Kert, Dreher
+Kert, Pilsner
+
+visits(person, pub)
+Anna, Jazz
+Anna, Kert
+Bela, Kert
+Csaba, Kert`
+        }
+    },
+
+    examples: [
+        {
+            schema: 'products',
+            label: 'Ex 7 / 11: Laptop makers that do not make PCs',
+            query: "SELECT MANUFACTURER FROM PRODUCT WHERE TYPE = 'laptop'\nEXCEPT\nSELECT MANUFACTURER FROM PRODUCT WHERE TYPE = 'pc'"
+        },
+        {
+            schema: 'products',
+            label: 'Ex 11: Makers of laptops with HDD ≥ 1000 GB',
+            query: 'SELECT DISTINCT p.MANUFACTURER\nFROM PRODUCT p JOIN LAPTOP l ON p.MODEL = l.MODEL\nWHERE l.HDD >= 1000'
+        },
+        {
+            schema: 'products',
+            label: 'Ex 11: Model and price of every product made by B',
+            query: "SELECT MODEL, PRICE FROM PRODUCT JOIN PC USING (MODEL) WHERE MANUFACTURER = 'B'\nUNION\n" +
+                "SELECT MODEL, PRICE FROM PRODUCT JOIN LAPTOP USING (MODEL) WHERE MANUFACTURER = 'B'\nUNION\n" +
+                "-- NATURAL JOIN would also match PRODUCT.TYPE with PRINTER.TYPE\n" +
+                "SELECT MODEL, PRICE FROM PRODUCT JOIN PRINTER USING (MODEL) WHERE MANUFACTURER = 'B'\nORDER BY MODEL"
+        },
+        {
+            schema: 'products',
+            label: 'Ex 11: Makers of two fast PCs/laptops (GROUP BY)',
+            query: 'SELECT p.MANUFACTURER\nFROM PRODUCT p\nWHERE p.MODEL IN (SELECT MODEL FROM PC WHERE SPEED >= 3000\n' +
+                '                  UNION SELECT MODEL FROM LAPTOP WHERE SPEED >= 3000)\nGROUP BY p.MANUFACTURER\nHAVING COUNT(*) >= 2'
+        },
+        {
+            schema: 'products',
+            label: 'Average PC and laptop price per manufacturer',
+            query: 'SELECT MANUFACTURER, TYPE, COUNT(*) AS models, ROUND(AVG(PRICE), 1) AS avg_price\nFROM PRODUCT NATURAL JOIN\n' +
+                '     (SELECT MODEL, PRICE FROM PC UNION ALL SELECT MODEL, PRICE FROM LAPTOP) m\nGROUP BY MANUFACTURER, TYPE\nORDER BY MANUFACTURER, TYPE'
+        },
+        {
+            schema: 'hospital',
+            label: 'Patients with their diseases',
+            query: 'SELECT p.NAME AS patient, d.NAME AS disease\nFROM PATIENT p\n    JOIN HAS_DISEASE h ON h.PATIENT_ID = p.PATIENT_ID\n    JOIN DISEASE d ON d.CODE = h.CODE\nORDER BY patient, disease'
+        },
+        {
+            schema: 'hospital',
+            label: 'Doctors employed by more than one hospital',
+            query: 'SELECT d.NAME, COUNT(*) AS hospitals\nFROM DOCTOR d JOIN WORKS_AT w ON w.DOCTOR_ID = d.DOCTOR_ID\nGROUP BY d.NAME\nHAVING COUNT(*) > 1\nORDER BY hospitals DESC'
+        },
+        {
+            schema: 'hospital',
+            label: 'Every director works only at the hospital they lead',
+            query: 'SELECT h.NAME AS hospital, d.NAME AS director, d.ECONOMY_DEGREE\nFROM HOSPITAL h JOIN DOCTOR d ON d.DOCTOR_ID = h.DIRECTOR_ID\n' +
+                'WHERE NOT EXISTS (SELECT * FROM WORKS_AT w\n                  WHERE w.DOCTOR_ID = d.DOCTOR_ID AND w.HOSPITAL_ID <> h.HOSPITAL_ID)'
+        },
+        {
+            schema: 'hospital',
+            label: 'Facilities and their number of patients (LEFT JOIN)',
+            query: 'SELECT h.NAME AS hospital, f.NAME AS facility, COUNT(DISTINCT t.PATIENT_ID) AS patients\nFROM FACILITY f\n' +
+                '    JOIN HOSPITAL h ON h.HOSPITAL_ID = f.HOSPITAL_ID\n' +
+                '    LEFT JOIN TREATS t ON t.HOSPITAL_ID = f.HOSPITAL_ID AND t.FACILITY_NO = f.FACILITY_NO\n' +
+                'GROUP BY h.NAME, f.NAME\nORDER BY patients DESC, hospital'
+        },
+        {
+            schema: 'hospital',
+            label: 'Diseases nobody has',
+            query: 'SELECT NAME FROM DISEASE d\nWHERE NOT EXISTS (SELECT * FROM HAS_DISEASE h WHERE h.CODE = d.CODE)'
+        },
+        {
+            schema: 'beer',
+            label: 'Ex 12 a: Beers liked by every visitor of the pubs selling them',
+            query: 'SELECT DISTINCT s.beer\nFROM sells s\nWHERE NOT EXISTS (\n    SELECT * FROM sells s2 JOIN visits v ON v.pub = s2.pub\n' +
+                '    WHERE s2.beer = s.beer\n      AND NOT EXISTS (SELECT * FROM likes l WHERE l.person = v.person AND l.beer = s.beer))'
+        },
+        {
+            schema: 'beer',
+            label: 'Ex 12 b: Persons who like every beer sold where they go',
+            query: 'SELECT DISTINCT v.person\nFROM visits v\nWHERE NOT EXISTS (\n    SELECT * FROM visits v2 JOIN sells s ON s.pub = v2.pub\n' +
+                '    WHERE v2.person = v.person\n      AND NOT EXISTS (SELECT * FROM likes l WHERE l.person = v.person AND l.beer = s.beer))'
+        },
+        {
+            schema: 'beer',
+            label: 'Division: Persons who visit every pub',
+            query: 'SELECT DISTINCT v.person\nFROM visits v\nWHERE NOT EXISTS (\n    SELECT * FROM sells s\n' +
+                '    WHERE NOT EXISTS (SELECT * FROM visits v2 WHERE v2.person = v.person AND v2.pub = s.pub))'
+        }
+    ],
+
+    /**
+     * Initialize the console and the exercise checks
+     */
+    init() {
+        document.querySelectorAll('.exercise .sql-check').forEach(block => this.setupCheck(block));
+
+        this.query = document.getElementById('sqlQuery');
+        this.output = document.getElementById('sqlOutput');
+        const schemas = document.getElementById('sqlSchema');
+        const examples = document.getElementById('sqlExample');
+
+        if (!this.query || !this.output || !schemas || !examples) {
+            return;
+        }
+
+        schemas.innerHTML = Object.keys(this.schemas)
+            .map(name => `<option value="${name}">${Utils.escapeHTML(this.schemas[name].label)}</option>`)
+            .join('');
+        schemas.addEventListener('change', () => {
+            this.selectSchema(schemas.value);
+            this.run();
+        });
+
+        examples.addEventListener('change', () => {
+            const example = this.examples[examples.value];
+            if (!example) return;
+            const index = examples.value;
+            this.selectSchema(example.schema);
+            examples.value = index;
+            this.query.value = example.query;
+            this.run();
+        });
+
+        document.getElementById('sqlRun').addEventListener('click', () => this.run());
+        this.query.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                this.run();
+            }
+        });
+
+        document.getElementById('sqlTables').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-insert]');
+            if (button) this.insert(button.getAttribute('data-insert'));
+        });
+
+        this.selectSchema(this.examples[0].schema);
+        this.query.value = this.examples[0].query;
+        this.run();
+    },
+
+    /**
+     * Parse a sample schema once; the literal NULL marks a missing value
+     * @param {string} name - Schema key
+     * @returns {Object} Map of table name to relation
+     */
+    database(name) {
+        if (!this.databases[name]) {
+            const relations = RelationalAlgebra.parseRelations(this.schemas[name].source);
+            Object.keys(relations).forEach(table => {
+                relations[table].rows = relations[table].rows.map(row => row.map(value => (value === 'NULL' ? null : value)));
+            });
+            this.databases[name] = relations;
+        }
+        return this.databases[name];
+    },
+
+    /**
+     * Switch the console to a schema and list its tables
+     * @param {string} name - Schema key
+     */
+    selectSchema(name) {
+        this.schema = name;
+        document.getElementById('sqlSchema').value = name;
+
+        const examples = document.getElementById('sqlExample');
+        examples.innerHTML = '<option value="">Choose an example…</option>' + this.examples
+            .map((example, index) => ({ example, index }))
+            .filter(entry => entry.example.schema === name)
+            .map(entry => `<option value="${entry.index}">${Utils.escapeHTML(entry.example.label)}</option>`)
+            .join('');
+
+        const database = this.database(name);
+        document.getElementById('sqlTables').innerHTML = Object.keys(database).map(table => {
+            const relation = database[table];
+            const columns = relation.attrs.map(attr =>
+                `<button type="button" class="sql-column" data-insert="${Utils.escapeHTML(attr.name)}">${Utils.escapeHTML(attr.name)}</button>`
+            ).join(', ');
+            return '<details class="sql-table">' +
+                `<summary><button type="button" class="sql-table-name" data-insert="${Utils.escapeHTML(table)}">${Utils.escapeHTML(table)}</button>(${columns})</summary>` +
+                this.renderTable({ columns: relation.attrs.map(attr => attr.name), rows: relation.rows }) +
+                '</details>';
+        }).join('');
+    },
+
+    /**
+     * Insert text at the cursor of the query box
+     * @param {string} text - Text to insert
+     */
+    insert(text) {
+        const start = this.query.selectionStart;
+        const end = this.query.selectionEnd;
+        this.query.value = this.query.value.slice(0, start) + text + this.query.value.slice(end);
+        this.query.focus();
+        this.query.setSelectionRange(start + text.length, start + text.length);
+    },
+
+    /**
+     * Run the console query and show its result
+     */
+    run() {
+        try {
+            const result = SQL.run(this.query.value, this.database(this.schema));
+            this.output.innerHTML = `<h4>Result</h4>${this.renderTable(result)}`;
+        } catch (error) {
+            this.output.innerHTML = `<div class="calculator-error">${Utils.escapeHTML(error.message)}</div>`;
+        }
+    },
+
+    /**
+     * Add a query box and a check button to a declared exercise check
+     * @param {HTMLElement} block - The .sql-check container
+     */
+    setupCheck(block) {
+        const exercise = block.closest('.exercise');
+        const index = Array.from(exercise.querySelectorAll('.sql-check')).indexOf(block);
+        const id = `${exercise.id}-sql-${index + 1}`;
+        const schema = this.schemas[block.getAttribute('data-schema')];
+
+        const field = document.createElement('label');
+        field.className = 'calculator-field';
+        field.setAttribute('for', id);
+        field.innerHTML = `<span>SQL query on the ${Utils.escapeHTML(schema ? schema.label : '?')} sample data (Ctrl+Enter to check)</span>`;
+
+        const textarea = document.createElement('textarea');
+        textarea.id = id;
+        textarea.className = 'sql-check-query';
+        textarea.rows = 4;
+        textarea.spellcheck = false;
+        textarea.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                this.check(block);
+            }
+        });
+        field.appendChild(textarea);
+
+        const controls = document.createElement('div');
+        controls.className = 'answer-controls';
+
+        const checkBtn = document.createElement('button');
+        checkBtn.type = 'button';
+        checkBtn.className = 'btn btn-primary';
+        checkBtn.textContent = 'Check Query';
+        checkBtn.addEventListener('click', () => this.check(block));
+
+        const openBtn = document.createElement('button');
+        openBtn.type = 'button';
+        openBtn.className = 'btn btn-secondary';
+        openBtn.textContent = 'Open in SQL Sandbox';
+        openBtn.addEventListener('click', () => this.open(block.getAttribute('data-schema'), textarea.value));
+
+        controls.appendChild(checkBtn);
+        controls.appendChild(openBtn);
+
+        const output = document.createElement('div');
+        output.className = 'sql-check-output';
+        output.setAttribute('aria-live', 'polite');
+
+        block.appendChild(field);
+        block.appendChild(controls);
+        block.appendChild(output);
+    },
+
+    /**
+     * Show a query in the console
+     * @param {string} schema - Schema key
+     * @param {string} query - Query text
+     */
+    open(schema, query) {
+        if (!this.query || !this.schemas[schema]) return;
+
+        this.selectSchema(schema);
+        if (query.trim()) this.query.value = query;
+        this.run();
+        if (typeof Navigation !== 'undefined') Navigation.showSection('sql');
+    },
+
+    /**
+     * Run an exercise query and compare it with the declared result
+     * @param {HTMLElement} block - The .sql-check container
+     */
+    check(block) {
+        const output = block.querySelector('.sql-check-output');
+        const text = block.querySelector('.sql-check-query').value;
+        if (!text.trim()) {
+            output.innerHTML = '';
+            return;
+        }
+
+        let result;
+        try {
+            result = SQL.run(text, this.database(block.getAttribute('data-schema')));
+        } catch (error) {
+            output.innerHTML = `<div class="calculator-error">${Utils.escapeHTML(error.message)}</div>`;
+            this.record(block, false);
+            return;
+        }
+
+        const expected = this.parseExpected(block.querySelector('.sql-expected').textContent);
+        const diff = this.diff(expected, result, block.hasAttribute('data-ordered'));
+        output.innerHTML = this.renderDiff(diff, expected, result);
+        this.record(block, diff.correct);
+    },
+
+    /**
+     * Read a declared expected result
+     * @param {string} text - Header line of column names, then one comma-separated row per line
+     * @returns {{columns: string[], rows: Array[]}} Expected table
+     */
+    parseExpected(text) {
+        const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+        return {
+            columns: RelationalAlgebra.splitRow(lines[0] || ''),
+            rows: lines.slice(1).map(line => RelationalAlgebra.splitRow(line)
+                .map(value => (value === 'NULL' ? null : RelationalAlgebra.parseValue(value))))
+        };
+    },
+
+    /**
+     * Compare a result with the expected table as bags of rows
+     * @param {Object} expected - Expected { columns, rows }
+     * @param {Object} result - Query result { columns, rows }
+     * @param {boolean} ordered - Whether the row order must match too
+     * @returns {Object} { correct, columns, missing, extra, order } where columns is false on a column count mismatch
+     */
+    diff(expected, result, ordered) {
+        if (expected.columns.length !== result.columns.length) {
+            return { correct: false, columns: false, missing: [], extra: [], order: true };
+        }
+
+        // Round numbers so AVG(...) results match the declared decimals
+        const key = row => SQL.rowKey(row.map(value => (typeof value === 'number' ? Math.round(value * 1e6) / 1e6 : value)));
+        const remaining = new Map();
+        expected.rows.forEach(row => remaining.set(key(row), (remaining.get(key(row)) || 0) + 1));
+
+        const extra = result.rows.filter(row => {
+            const count = remaining.get(key(row)) || 0;
+            if (count === 0) return true;
+            remaining.set(key(row), count - 1);
+            return false;
+        });
+        const missing = expected.rows.filter(row => {
+            const count = remaining.get(key(row)) || 0;
+            if (count === 0) return false;
+            remaining.set(key(row), count - 1);
+            return true;
+        });
+
+        const order = !ordered || result.rows.every((row, index) => key(row) === key(expected.rows[index] || []));
+        return { correct: missing.length === 0 && extra.length === 0 && order, columns: true, missing, extra, order };
+    },
+
+    /**
+     * Build the feedback for a checked query
+     * @param {Object} diff - Comparison from diff()
+     * @param {Object} expected - Expected table
+     * @param {Object} result - Query result
+     * @returns {string} HTML string
+     */
+    renderDiff(diff, expected, result) {
+        const count = rows => `${rows.length} ${rows.length === 1 ? 'row' : 'rows'}`;
+
+        if (diff.correct) {
+            return `<div class="sql-check-result correct">✓ Correct — ${count(result.rows)}, as expected</div>` +
+                this.renderTable(result);
+        }
+
+        let feedback;
+        if (!diff.columns) {
+            feedback = `✗ The query returns ${result.columns.length} column${result.columns.length === 1 ? '' : 's'}, ` +
+                `the expected result has ${expected.columns.length} (${Utils.escapeHTML(expected.columns.join(', '))})`;
+        } else if (diff.missing.length === 0 && diff.extra.length === 0) {
+            feedback = '✗ The rows are right but in the wrong order — check ORDER BY';
+        } else {
+            feedback = `✗ ${count(diff.missing)} missing, ${count(diff.extra)} extra`;
+            if (diff.missing.length === 0 && diff.extra.every(row => expected.rows.some(other => SQL.rowKey(other) === SQL.rowKey(row)))) {
+                feedback += ' — only duplicates are extra; is DISTINCT missing?';
+            }
+        }
+
+        let html = `<div class="sql-check-result incorrect">${feedback}</div>`;
+        if (diff.missing.length > 0) {
+            html += `<h5>Missing rows</h5>${this.renderTable({ columns: expected.columns, rows: diff.missing }, 'sql-missing')}`;
+        }
+        if (diff.extra.length > 0) {
+            html += `<h5>Extra rows</h5>${this.renderTable({ columns: result.columns, rows: diff.extra }, 'sql-extra')}`;
+        }
+        return html + `<h5>Your result</h5>${this.renderTable(result)}`;
+    },
+
+    /**
+     * Record the outcome in the progress tracker once every check of the exercise passes
+     * @param {HTMLElement} block - The .sql-check container
+     * @param {boolean} correct - Whether this check passed
+     */
+    record(block, correct) {
+        block.classList.toggle('correct', correct);
+        block.classList.toggle('incorrect', !correct);
+
+        if (typeof Answers === 'undefined') return;
+        const checks = Array.from(block.closest('.exercise').querySelectorAll('.sql-check'));
+        Answers.updateProgress(block, checks.filter(check => check.classList.contains('correct')).length, 1, checks.length);
+    },
+
+    /**
+     * Render a result as a table
+     * @param {{columns: string[], rows: Array[]}} table - Table to render
+     * @param {string} [className] - Extra class for the table
+     * @returns {string} HTML string
+     */
+    renderTable(table, className = '') {
+        const format = value => {
+            if (value === null) return '<span class="sql-null">NULL</span>';
+            if (typeof value === 'number') return String(Math.round(value * 1e6) / 1e6);
+            return Utils.escapeHTML(String(value));
+        };
+        const header = table.columns.map(column => `<th>${Utils.escapeHTML(column)}</th>`).join('');
+        const rows = table.rows.slice(0, this.maxRows)
+            .map(row => `<tr>${row.map(value => `<td>${format(value)}</td>`).join('')}</tr>`)
+            .join('');
+
+        const count = table.rows.length;
+        let caption = `${count} ${count === 1 ? 'row' : 'rows'}`;
+        if (count > this.maxRows) {
+            caption += `, showing the first ${this.maxRows}`;
+        }
+
+        const empty = count === 0 ? `<tr><td colspan="${table.columns.length}" class="ra-empty">(no rows)</td></tr>` : '';
+        return `<table class="ra-table${className ? ` ${className}` : ''}"><caption>${caption}</caption><tr>${header}</tr>${rows}${empty}</table>`;
+    }
+};
@@ -0,0 +1,1397 @@
+/**
+ * SQL Module
+ * Parser and evaluator for the SELECT subset of SQL used in the course, run against
+ * in-memory relations (the same { attrs, rows } relations RelationalAlgebra builds)
+ *
+ * Supported:
+ *   SELECT [DISTINCT] expr [[AS] alias], t.*, *
+ *   FROM t [[AS] alias], (subquery) [AS] alias
+ *     [INNER | LEFT | RIGHT | FULL [OUTER] | CROSS | NATURAL] JOIN ... ON cond / USING (A, B)
+ *   WHERE / HAVING with AND OR NOT, = <> != < <= > >=, [NOT] BETWEEN, [NOT] IN (list | subquery),
+ *     [NOT] LIKE, IS [NOT] NULL, [NOT] EXISTS, ANY / SOME / ALL (subquery), scalar subqueries
+ *   GROUP BY, COUNT(*), COUNT / SUM / AVG / MIN / MAX ([DISTINCT] expr)
+ *   UNION / INTERSECT / EXCEPT (MINUS) [ALL], ORDER BY expr | alias | position [ASC | DESC],
+ *   LIMIT n [OFFSET m], CASE WHEN, + - * / % ||, UPPER LOWER LENGTH ABS ROUND COALESCE
+ * Results are bags (duplicates are kept) unless DISTINCT or a set operator removes them;
+ * NULL follows three-valued logic.
+ */
+
+const SQL = {
+    keywords: [
+        'SELECT', 'DISTINCT', 'ALL', 'FROM', 'WHERE', 'GROUP', 'BY', 'HAVING', 'ORDER', 'ASC', 'DESC',
+        'LIMIT', 'OFFSET', 'AS', 'JOIN', 'INNER', 'LEFT', 'RIGHT', 'FULL', 'OUTER', 'CROSS', 'NATURAL',
+        'ON', 'USING', 'AND', 'OR', 'NOT', 'IN', 'EXISTS', 'BETWEEN', 'LIKE', 'IS', 'NULL', 'TRUE',
+        'FALSE', 'UNION', 'INTERSECT', 'EXCEPT', 'MINUS', 'CASE', 'WHEN', 'THEN', 'ELSE', 'END',
+        'ANY', 'SOME'
+    ],
+
+    aggregates: ['COUNT', 'SUM', 'AVG', 'MIN', 'MAX'],
+
+    functions: {
+        UPPER: value => String(value).toUpperCase(),
+        LOWER: value => String(value).toLowerCase(),
+        LENGTH: value => String(value).length,
+        ABS: value => Math.abs(SQL.toNumber(value, 'ABS')),
+        ROUND: (value, digits = 0) => {
+            const factor = Math.pow(10, SQL.toNumber(digits, 'ROUND'));
+            return Math.round(SQL.toNumber(value, 'ROUND') * factor) / factor;
+        }
+    },
+
+    /**
+     * Split query text into tokens
+     * @param {string} source - Query text
+     * @returns {Object[]} Tokens with type, value, line and source offsets
+     */
+    tokenize(source) {
+        const tokens = [];
+        let line = 1;
+        let i = 0;
+
+        const push = (type, value, start) => tokens.push({ type, value, line, start, end: i });
+
+        while (i < source.length) {
+            const ch = source[i];
+            const start = i;
+
+            if (ch === '\n') {
+                line++;
+                i++;
+                continue;
+            }
+
+            if (/\s/.test(ch)) {
+                i++;
+                continue;
+            }
+
+            if (source.startsWith('--', i)) {
+                while (i < source.length && source[i] !== '\n') i++;
+                continue;
+            }
+
+            if (source.startsWith('/*', i)) {
+                const end = source.indexOf('*/', i + 2);
+                if (end === -1) {
+                    throw this.error('Unterminated comment', line);
+                }
+                line += source.slice(i, end).split('\n').length - 1;
+                i = end + 2;
+                continue;
+            }
+
+            // 'It''s' doubles the quote; "name" quotes an identifier
+            if (ch === "'" || ch === '"') {
+                let value = '';
+                const startLine = line;
+                i++;
+                for (;;) {
+                    if (i >= source.length) {
+                        throw this.error(ch === "'" ? 'Unterminated string literal' : 'Unterminated quoted name', startLine);
+                    }
+                    if (source[i] === ch && source[i + 1] === ch) {
+                        value += ch;
+                        i += 2;
+                    } else if (source[i] === ch) {
+                        i++;
+                        break;
+                    } else {
+                        if (source[i] === '\n') line++;
+                        value += source[i++];
+                    }
+                }
+                tokens.push({ type: ch === "'" ? 'string' : 'ident', value, line: startLine, start, end: i });
+                continue;
+            }
+
+            const number = source.slice(i).match(/^(\d+(\.\d*)?|\.\d+)/);
+            if (number) {
+                i += number[0].length;
+                push('number', parseFloat(number[0]), start);
+                continue;
+            }
+
+            const word = source.slice(i).match(/^[\p{L}_][\p{L}\p{N}_]*/u);
+            if (word) {
+                i += word[0].length;
+                const upper = word[0].toUpperCase();
+                if (this.keywords.includes(upper)) {
+                    push('keyword', upper, start);
+                } else {
+                    push('ident', word[0], start);
+                }
+                continue;
+            }
+
+            const symbol = ['<>', '!=', '<=', '>=', '||'].find(sym => source.startsWith(sym, i));
+            if (symbol) {
+                i += symbol.length;
+                push('op', symbol === '!=' ? '<>' : symbol, start);
+                continue;
+            }
+
+            if ('=<>+-*/%(),.;'.includes(ch)) {
+                i++;
+                push('op', ch, start);
+                continue;
+            }
+
+            throw this.error(`Unexpected character "${ch}"`, line);
+        }
+
+        tokens.push({ type: 'eof', value: '', line, start: i, end: i });
+        return tokens;
+    },
+
+    /**
+     * Parse one query (a trailing semicolon is allowed)
+     * @param {string} source - Query text
+     * @returns {Object} Query AST
+     */
+    parse(source) {
+        const parser = this.createParser(this.tokenize(source), source);
+
+        if (parser.at('eof')) {
+            throw this.error('Enter a query', 1);
+        }
+
+        const query = parser.query();
+        while (parser.at('op', ';')) parser.next();
+        if (!parser.at('eof')) {
+            const token = parser.peek();
+            throw this.error(`Unexpected "${token.value}" — run one query at a time`, token.line);
+        }
+        return query;
+    },
+
+    /**
+     * Create a recursive-descent parser over a token list
+     * @param {Object[]} tokens - Tokens from tokenize()
+     * @param {string} source - Query text, for the names of computed columns
+     * @returns {Object} Parser with query/expression methods
+     */
+    createParser(tokens, source) {
+        const SQ = this;
+        let pos = 0;
+
+        const parser = {
+            peek(offset = 0) {
+                return tokens[Math.min(pos + offset, tokens.length - 1)];
+            },
+
+            at(type, value) {
+                const token = this.peek();
+                return token.type === type && (value === undefined || token.value === value);
+            },
+
+            atKeyword(...values) {
+                const token = this.peek();
+                return token.type === 'keyword' && values.includes(token.value);
+            },
+
+            next() {
+                const token = tokens[pos];
+                if (pos < tokens.length - 1) pos++;
+                return token;
+            },
+
+            accept(type, value) {
+                if (this.at(type, value)) return this.next();
+                return null;
+            },
+
+            expect(type, value) {
+                const token = this.peek();
+                if (token.type !== type || (value !== undefined && token.value !== value)) {
+                    const found = token.type === 'eof' ? 'end of input' : `"${token.value}"`;
+                    const wanted = value !== undefined ? value : (type === 'ident' ? 'a name' : type);
+                    throw SQ.error(`Expected ${wanted} but found ${found}`, token.line);
+                }
+                return this.next();
+            },
+
+            query() {
+                const body = this.union();
+                const query = { type: 'query', body, orderBy: [], limit: null, offset: 0 };
+
+                if (this.accept('keyword', 'ORDER')) {
+                    this.expect('keyword', 'BY');
+                    do {
+                        const expr = this.expression();
+                        const desc = !!this.accept('keyword', 'DESC');
+                        if (!desc) this.accept('keyword', 'ASC');
+                        query.orderBy.push({ expr, desc });
+                    } while (this.accept('op', ','));
+                }
+
+                if (this.accept('keyword', 'LIMIT')) {
+                    query.limit = this.expect('number').value;
+                    if (this.accept('keyword', 'OFFSET')) {
+                        query.offset = this.expect('number').value;
+                    }
+                }
+                return query;
+            },
+
+            // INTERSECT binds tighter than UNION and EXCEPT
+            union() {
+                let left = this.intersect();
+                while (this.atKeyword('UNION', 'EXCEPT', 'MINUS')) {
+                    const token = this.next();
+                    const all = !!this.accept('keyword', 'ALL');
+                    if (!all) this.accept('keyword', 'DISTINCT');
+                    const op = token.value === 'MINUS' ? 'EXCEPT' : token.value;
+                    left = { type: 'setop', op, all, left, right: this.intersect(), line: token.line };
+                }
+                return left;
+            },
+
+            intersect() {
+                let left = this.queryTerm();
+                while (this.atKeyword('INTERSECT')) {
+                    const token = this.next();
+                    const all = !!this.accept('keyword', 'ALL');
+                    if (!all) this.accept('keyword', 'DISTINCT');
+                    left = { type: 'setop', op: 'INTERSECT', all, left, right: this.queryTerm(), line: token.line };
+                }
+                return left;
+            },
+
+            queryTerm() {
+                if (this.at('op', '(')) {
+                    this.next();
+                    const query = this.query();
+                    this.expect('op', ')');
+                    return query;
+                }
+                return this.select();
+            },
+
+            select() {
+                const token = this.expect('keyword', 'SELECT');
+                const node = {
+                    type: 'select', distinct: false, columns: [], from: null,
+                    where: null, groupBy: [], having: null, line: token.line
+                };
+
+                if (this.accept('keyword', 'DISTINCT')) node.distinct = true;
+                else this.accept('keyword', 'ALL');
+
+                do {
+                    node.columns.push(this.selectItem());
+                } while (this.accept('op', ','));
+
+                if (this.accept('keyword', 'FROM')) {
+                    node.from = this.fromList();
+                }
+                if (this.accept('keyword', 'WHERE')) {
+                    node.where = this.expression();
+                }
+                if (this.accept('keyword', 'GROUP')) {
+                    this.expect('keyword', 'BY');
+                    do {
+                        node.groupBy.push(this.expression());
+                    } while (this.accept('op', ','));
+                }
+                if (this.accept('keyword', 'HAVING')) {
+                    node.having = this.expression();
+                }
+                return node;
+            },
+
+            selectItem() {
+                const token = this.peek();
+                if (this.at('op', '*')) {
+                    this.next();
+                    return { type: 'star', table: null, line: token.line };
+                }
+                if (token.type === 'ident' && this.peek(1).value === '.' && this.peek(2).value === '*') {
+                    pos += 3;
+                    return { type: 'star', table: token.value, line: token.line };
+                }
+
+                const start = token.start;
+                const expr = this.expression();
+                const text = source.slice(start, tokens[pos - 1].end).replace(/\s+/g, ' ');
+                let alias = null;
+                if (this.accept('keyword', 'AS')) {
+                    alias = this.expect('ident').value;
+                } else if (this.at('ident')) {
+                    alias = this.next().value;
+                }
+                return { type: 'expr', expr, alias, text };
+            },
+
+            fromList() {
+                let left = this.joinChain();
+                while (this.accept('op', ',')) {
+                    left = { type: 'join', kind: 'cross', natural: false, left, right: this.joinChain(), on: null, using: null };
+                }
+                return left;
+            },
+
+            joinChain() {
+                let left = this.tablePrimary();
+
+                for (;;) {
+                    const natural = !!this.accept('keyword', 'NATURAL');
+                    let kind = 'inner';
+                    let explicit = natural;
+                    if (this.atKeyword('LEFT', 'RIGHT', 'FULL')) {
+                        kind = this.next().value.toLowerCase();
+                        this.accept('keyword', 'OUTER');
+                        explicit = true;
+                    } else if (this.accept('keyword', 'CROSS')) {
+                        kind = 'cross';
+                        explicit = true;
+                    } else if (this.accept('keyword', 'INNER')) {
+                        explicit = true;
+                    }
+
+                    if (!this.atKeyword('JOIN')) {
+                        if (explicit) this.expect('keyword', 'JOIN');
+                        return left;
+                    }
+                    const token = this.next();
+
+                    const join = { type: 'join', kind, natural, left, right: this.tablePrimary(), on: null, using: null, line: token.line };
+                    if (!natural && kind !== 'cross') {
+                        if (this.accept('keyword', 'ON')) {
+                            join.on = this.expression();
+                        } else if (this.accept('keyword', 'USING')) {
+                            this.expect('op', '(');
+                            join.using = [this.expect('ident').value];
+                            while (this.accept('op', ',')) {
+                                join.using.push(this.expect('ident').value);
+                            }
+                            this.expect('op', ')');
+                        } else {
+                            throw SQ.error('Expected ON or USING after the joined table', this.peek().line);
+                        }
+                    }
+                    left = join;
+                }
+            },
+
+            tablePrimary() {
+                const token = this.peek();
+
+                if (this.at('op', '(')) {
+                    this.next();
+                    if (this.atKeyword('SELECT') || this.at('op', '(')) {
+                        const query = this.query();
+                        this.expect('op', ')');
+                        return { type: 'subquery', query, alias: this.alias(), line: token.line };
+                    }
+                    const inner = this.fromList();
+                    this.expect('op', ')');
+                    return inner;
+                }
+
+                const name = this.expect('ident').value;
+                return { type: 'table', name, alias: this.alias() || name, line: token.line };
+            },
+
+            alias() {
+                if (this.accept('keyword', 'AS')) return this.expect('ident').value;
+                if (this.at('ident')) return this.next().value;
+                return null;
+            },
+
+            expression() {
+                let left = this.conjunction();
+                while (this.atKeyword('OR')) {
+                    this.next();
+                    left = { type: 'binary', op: 'OR', left, right: this.conjunction() };
+                }
+                return left;
+            },
+
+            conjunction() {
+                let left = this.negation();
+                while (this.atKeyword('AND')) {
+                    this.next();
+                    left = { type: 'binary', op: 'AND', left, right: this.negation() };
+                }
+                return left;
+            },
+
+            negation() {
+                if (this.atKeyword('NOT')) {
+                    this.next();
+                    return { type: 'not', operand: this.negation() };
+                }
+                return this.predicate();
+            },
+
+            predicate() {
+                const left = this.additive();
+                const token = this.peek();
+
+                if (token.type === 'op' && ['=', '<>', '<', '<=', '>', '>='].includes(token.value)) {
+                    this.next();
+                    if (this.atKeyword('ANY', 'SOME', 'ALL')) {
+                        const quantifier = this.next().value === 'ALL' ? 'ALL' : 'ANY';
+                        return { type: 'quantified', op: token.value, quantifier, left, query: this.subquery() };
+                    }
+                    return { type: 'binary', op: token.value, left, right: this.additive() };
+                }
+
+                if (this.atKeyword('IS')) {
+                    this.next();
+                    const not = !!this.accept('keyword', 'NOT');
+                    this.expect('keyword', 'NULL');
+                    return { type: 'isnull', operand: left, not };
+                }
+
+                const not = this.atKeyword('NOT') && ['BETWEEN', 'IN', 'LIKE'].includes(this.peek(1).value) && this.peek(1).type === 'keyword';
+                if (not) this.next();
+
+                if (this.accept('keyword', 'BETWEEN')) {
+                    const low = this.additive();
+                    this.expect('keyword', 'AND');
+                    return { type: 'between', operand: left, low, high: this.additive(), not };
+                }
+                if (this.accept('keyword', 'IN')) {
+                    if (this.at('op', '(') && (this.peek(1).value === 'SELECT' && this.peek(1).type === 'keyword')) {
+                        return { type: 'in', operand: left, query: this.subquery(), list: null, not };
+                    }
+                    this.expect('op', '(');
+                    const list = [this.expression()];
+                    while (this.accept('op', ',')) list.push(this.expression());
+                    this.expect('op', ')');
+                    return { type: 'in', operand: left, query: null, list, not };
+                }
+                if (this.accept('keyword', 'LIKE')) {
+                    return { type: 'like', operand: left, pattern: this.additive(), not };
+                }
+                return left;
+            },
+
+            subquery() {
+                this.expect('op', '(');
+                const query = this.query();
+                this.expect('op', ')');
+                return query;
+            },
+
+            additive() {
+                let left = this.multiplicative();
+                while (this.at('op', '+') || this.at('op', '-') || this.at('op', '||')) {
+                    const op = this.next().value;
+                    left = { type: 'binary', op, left, right: this.multiplicative() };
+                }
+                return left;
+            },
+
+            multiplicative() {
+                let left = this.unary();
+                while (this.at('op', '*') || this.at('op', '/') || this.at('op', '%')) {
+                    const op = this.next().value;
+                    left = { type: 'binary', op, left, right: this.unary() };
+                }
+                return left;
+            },
+
+            unary() {
+                if (this.at('op', '-') || this.at('op', '+')) {
+                    const op = this.next().value;
+                    const operand = this.unary();
+                    return op === '-' ? { type: 'negate', operand } : operand;
+                }
+                return this.primary();
+            },
+
+            primary() {
+                const token = this.peek();
+
+                if (token.type === 'number' || token.type === 'string') {
+                    this.next();
+                    return { type: 'literal', value: token.value };
+                }
+                if (this.atKeyword('NULL', 'TRUE', 'FALSE')) {
+                    this.next();
+                    return { type: 'literal', value: { NULL: null, TRUE: true, FALSE: false }[token.value] };
+                }
+                if (this.atKeyword('EXISTS')) {
+                    this.next();
+                    return { type: 'exists', query: this.subquery() };
+                }
+                if (this.atKeyword('CASE')) {
+                    return this.caseExpression();
+                }
+
+                if (this.at('op', '(')) {
+                    if (this.peek(1).type === 'keyword' && this.peek(1).value === 'SELECT') {
+                        return { type: 'scalar', query: this.subquery(), line: token.line };
+                    }
+                    this.next();
+                    const expr = this.expression();
+                    this.expect('op', ')');
+                    return expr;
+                }
+
+                if (token.type === 'ident' && this.peek(1).value === '(' && this.peek(1).type === 'op') {
+                    return this.functionCall();
+                }
+
+                if (token.type === 'ident') {
+                    this.next();
+                    if (this.accept('op', '.')) {
+                        return { type: 'column', table: token.value, name: this.expect('ident').value, line: token.line };
+                    }
+                    return { type: 'column', table: null, name: token.value, line: token.line };
+                }
+
+                const found = token.type === 'eof' ? 'end of input' : `"${token.value}"`;
+                throw SQ.error(`Expected a value, a column or a subquery but found ${found}`, token.line);
+            },
+
+            functionCall() {
+                const token = this.next();
+                const name = token.value.toUpperCase();
+                this.expect('op', '(');
+
+                if (SQ.aggregates.includes(name)) {
+                    const node = { type: 'aggregate', name, distinct: false, arg: null, line: token.line };
+                    if (name === 'COUNT' && this.accept('op', '*')) {
+                        this.expect('op', ')');
+                        return node;
+                    }
+                    if (this.accept('keyword', 'DISTINCT')) node.distinct = true;
+                    else this.accept('keyword', 'ALL');
+                    node.arg = this.expression();
+                    this.expect('op', ')');
+                    return node;
+                }
+
+                if (name !== 'COALESCE' && !SQ.functions[name]) {
+                    throw SQ.error(`Unknown function ${token.value}()`, token.line);
+                }
+                const args = [];
+                if (!this.at('op', ')')) {
+                    do {
+                        args.push(this.expression());
+                    } while (this.accept('op', ','));
+                }
+                this.expect('op', ')');
+                return { type: 'function', name, args, line: token.line };
+            },
+
+            caseExpression() {
+                this.expect('keyword', 'CASE');
+                const node = { type: 'case', operand: null, whens: [], otherwise: null };
+                if (!this.atKeyword('WHEN')) {
+                    node.operand = this.expression();
+                }
+                while (this.accept('keyword', 'WHEN')) {
+                    const when = this.expression();
+                    this.expect('keyword', 'THEN');
+                    node.whens.push({ when, then: this.expression() });
+                }
+                if (node.whens.length === 0) {
+                    throw SQ.error('Expected WHEN after CASE', this.peek().line);
+                }
+                if (this.accept('keyword', 'ELSE')) {
+                    node.otherwise = this.expression();
+                }
+                this.expect('keyword', 'END');
+                return node;
+            }
+        };
+
+        return parser;
+    },
+
+    /**
+     * Run a query against a database
+     * @param {Object|string} query - Query AST from parse(), or query text
+     * @param {Object} database - Map of table name to relation { attrs: [{ name }], rows }
+     * @returns {{columns: string[], rows: Array[]}} Result table
+     */
+    run(query, database) {
+        const ast = typeof query === 'string' ? this.parse(query) : query;
+        const result = this.execute(ast, { database, outer: null });
+        return { columns: result.columns.map(column => column.name), rows: result.rows };
+    },
+
+    /**
+     * Evaluate a query node in a context
+     * @param {Object} node - Query, set operation or SELECT node
+     * @param {Object} context - { database, outer } where outer is the enclosing row scope
+     * @returns {Object} Relation { columns: [{ table, name }], rows }
+     */
+    execute(node, context) {
+        if (node.type === 'query') {
+            return this.executeQuery(node, context);
+        }
+        if (node.type === 'setop') {
+            return this.setOperation(node, context);
+        }
+        return this.executeSelect(node, context);
+    },
+
+    /**
+     * Evaluate a query with ORDER BY and LIMIT around its body
+     * @param {Object} node - Query node
+     * @param {Object} context - Evaluation context
+     * @returns {Object} Relation
+     */
+    executeQuery(node, context) {
+        const result = this.execute(node.body, context);
+        let rows = result.rows;
+
+        if (node.orderBy.length > 0) {
+            const keys = rows.map((row, index) => node.orderBy.map(item => this.orderKey(item.expr, result, index)));
+            const order = rows.map((row, index) => index);
+            order.sort((a, b) => {
+                for (let i = 0; i < node.orderBy.length; i++) {
+                    const cmp = this.sortCompare(keys[a][i], keys[b][i]);
+                    if (cmp !== 0) return node.orderBy[i].desc ? -cmp : cmp;
+                }
+                return a - b;
+            });
+            rows = order.map(index => rows[index]);
+        }
+
+        if (node.limit !== null || node.offset > 0) {
+            rows = rows.slice(node.offset, node.limit === null ? undefined : node.offset + node.limit);
+        }
+        return { columns: result.columns, rows };
+    },
+
+    /**
+     * Sort key of a result row: a column position, an output column name,
+     * or an expression over the row's source (plain SELECTs only)
+     * @param {Object} expr - ORDER BY expression
+     * @param {Object} result - Relation with the scopes its rows came from
+     * @param {number} index - Row index
+     * @returns {*} Key value
+     */
+    orderKey(expr, result, index) {
+        if (expr.type === 'literal' && typeof expr.value === 'number') {
+            if (!Number.isInteger(expr.value) || expr.value < 1 || expr.value > result.columns.length) {
+                throw new Error(`ORDER BY ${expr.value} is not a column position (1–${result.columns.length})`);
+            }
+            return result.rows[index][expr.value - 1];
+        }
+
+        if (expr.type === 'column' && !expr.table) {
+            const matches = result.columns.filter(column => this.sameName(column.name, expr.name));
+            if (matches.length === 1) {
+                return result.rows[index][result.columns.indexOf(matches[0])];
+            }
+        }
+
+        if (!result.scopes) {
+            throw this.error('ORDER BY after a set operator can only use output column names or positions', expr.line || 1);
+        }
+        return this.evaluate(expr, result.scopes[index]);
+    },
+
+    /**
+     * Combine two query results with UNION, INTERSECT or EXCEPT
+     * @param {Object} node - Set operation node
+     * @param {Object} context - Evaluation context
+     * @returns {Object} Relation
+     */
+    setOperation(node, context) {
+        const left = this.execute(node.left, context);
+        const right = this.execute(node.right, context);
+        if (left.columns.length !== right.columns.length) {
+            throw this.error(`${node.op} needs the same number of columns on both sides (${left.columns.length} and ${right.columns.length})`, node.line);
+        }
+
+        const columns = left.columns.map(column => ({ table: null, name: column.name }));
+        const counts = new Map();
+        right.rows.forEach(row => {
+            const key = this.rowKey(row);
+            counts.set(key, (counts.get(key) || 0) + 1);
+        });
+
+        let rows;
+        if (node.op === 'UNION') {
+            rows = left.rows.concat(right.rows);
+        } else if (!node.all) {
+            rows = left.rows.filter(row => counts.has(this.rowKey(row)) === (node.op === 'INTERSECT'));
+        } else {
+            // Each right row cancels (EXCEPT ALL) or matches (INTERSECT ALL) one left row
+            rows = left.rows.filter(row => {
+                const key = this.rowKey(row);
+                const count = counts.get(key) || 0;
+                if (count > 0) counts.set(key, count - 1);
+                return node.op === 'INTERSECT' ? count > 0 : count === 0;
+            });
+        }
+
+        return { columns, rows: node.all ? rows : this.distinct(rows) };
+    },
+
+    /**
+     * Evaluate a SELECT block
+     * @param {Object} node - SELECT node
+     * @param {Object} context - Evaluation context
+     * @returns {Object} Relation, with the row scopes kept for ORDER BY
+     */
+    executeSelect(node, context) {
+        const source = node.from
+            ? this.source(node.from, context)
+            : { columns: [], rows: [[]] };
+
+        let scopes = source.rows.map(row => ({ columns: source.columns, row, outer: context.outer, database: context.database }));
+
+        if (node.where) {
+            this.rejectAggregates(node.where, 'WHERE');
+            scopes = scopes.filter(scope => this.isTrue(this.evaluate(node.where, scope)));
+        }
+
+        const grouped = node.groupBy.length > 0 || node.having ||
+            node.columns.some(item => item.type === 'expr' && this.hasAggregate(item.expr));
+
+        if (grouped) {
+            scopes = this.group(node, source.columns, scopes, context);
+        }
+
+        const items = [];
+        node.columns.forEach(item => {
+            if (item.type === 'star') {
+                if (grouped) {
+                    throw this.error('SELECT * cannot be combined with GROUP BY or aggregates', item.line);
+                }
+                const columns = source.columns
+                    .map((column, index) => ({ column, index }))
+                    .filter(entry => !entry.column.hidden && (!item.table || this.sameName(entry.column.table, item.table)));
+                if (item.table && columns.length === 0) {
+                    throw this.error(`Unknown table "${item.table}" in ${item.table}.*`, item.line);
+                }
+                columns.forEach(entry => items.push({ name: entry.column.name, index: entry.index }));
+            } else {
+                const name = item.alias || (item.expr.type === 'column' ? item.expr.name : item.text);
+                items.push({ name, expr: item.expr });
+            }
+        });
+
+        let rows = scopes.map(scope => items.map(entry => (entry.expr
+            ? this.evaluate(entry.expr, scope)
+            : scope.row[entry.index])));
+
+        if (node.distinct) {
+            const seen = new Set();
+            const keep = rows.map(row => {
+                const key = this.rowKey(row);
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+            rows = rows.filter((row, index) => keep[index]);
+            scopes = scopes.filter((scope, index) => keep[index]);
+        }
+
+        return {
+            columns: items.map(entry => ({ table: null, name: entry.name })),
+            rows,
+            scopes
+        };
+    },
+
+    /**
+     * Form groups, check that ungrouped columns only appear inside aggregates, apply HAVING
+     * @param {Object} node - SELECT node
+     * @param {Object[]} columns - Source columns
+     * @param {Object[]} scopes - Row scopes that passed WHERE
+     * @param {Object} context - Evaluation context
+     * @returns {Object[]} One scope per group, with the group's rows
+     */
+    group(node, columns, scopes, context) {
+        node.groupBy.forEach(expr => this.rejectAggregates(expr, 'GROUP BY'));
+
+        // Grouping by computed expressions is allowed, but then the check is left to the user
+        const plain = node.groupBy.every(expr => expr.type === 'column');
+        const groupedColumns = node.groupBy
+            .map(expr => (expr.type === 'column' ? this.findColumn(columns, expr) : null))
+            .filter(index => index !== null);
+        const check = expr => plain && this.columnRefs(expr).forEach(ref => {
+            const index = this.findColumn(columns, ref);
+            if (index !== null && !groupedColumns.includes(index)) {
+                const label = ref.table ? `${ref.table}.${ref.name}` : ref.name;
+                throw this.error(`Column "${label}" must appear in GROUP BY or be used in an aggregate function`, ref.line);
+            }
+        });
+        node.columns.forEach(item => {
+            if (item.type === 'expr') check(item.expr);
+        });
+        if (node.having) check(node.having);
+
+        const groups = new Map();
+        if (node.groupBy.length === 0) {
+            groups.set('', scopes);
+        }
+        scopes.forEach(scope => {
+            if (node.groupBy.length === 0) return;
+            const key = this.rowKey(node.groupBy.map(expr => this.evaluate(expr, scope)));
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(scope);
+        });
+
+        let result = Array.from(groups.values()).map(members => ({
+            columns,
+            row: members.length > 0 ? members[0].row : columns.map(() => null),
+            group: members.map(member => member.row),
+            outer: context.outer,
+            database: context.database
+        }));
+
+        if (node.having) {
+            result = result.filter(scope => this.isTrue(this.evaluate(node.having, scope)));
+        }
+        return result;
+    },
+
+    /**
+     * Evaluate a FROM item
+     * @param {Object} node - Table, subquery or join node
+     * @param {Object} context - Evaluation context
+     * @returns {Object} Relation with qualified columns
+     */
+    source(node, context) {
+        if (node.type === 'table') {
+            const relation = this.lookup(context.database, node.name);
+            if (!relation) {
+                const tables = Object.keys(context.database).join(', ');
+                throw this.error(`Unknown table "${node.name}" (tables: ${tables})`, node.line);
+            }
+            return {
+                columns: relation.attrs.map(attr => ({ table: node.alias, name: attr.name })),
+                rows: relation.rows
+            };
+        }
+
+        if (node.type === 'subquery') {
+            const result = this.execute(node.query, { database: context.database, outer: null });
+            return {
+                columns: result.columns.map(column => ({ table: node.alias, name: column.name })),
+                rows: result.rows
+            };
+        }
+
+        return this.join(node, context);
+    },
+
+    /**
+     * Evaluate a join, including NATURAL, USING and outer joins
+     * @param {Object} node - Join node
+     * @param {Object} context - Evaluation context
+     * @returns {Object} Relation
+     */
+    join(node, context) {
+        const left = this.source(node.left, context);
+        const right = this.source(node.right, context);
+        const columns = left.columns.concat(right.columns.map(column => Object.assign({}, column)));
+        const pad = (relation) => relation.columns.map(() => null);
+
+        // Common columns appear once: the right-hand copy is only reachable qualified
+        let shared = [];
+        if (node.natural || node.using) {
+            const names = node.natural
+                ? left.columns.filter(column => !column.hidden && right.columns.some(other => !other.hidden && this.sameName(other.name, column.name))).map(column => column.name)
+                : node.using;
+            shared = names.map(name => {
+                const ref = { table: null, name, line: node.line };
+                const pair = [this.findColumn(left.columns, ref), this.findColumn(right.columns, ref)];
+                if (pair[0] === null || pair[1] === null) {
+                    throw this.error(`USING column "${name}" must exist on both sides of the join`, node.line);
+                }
+                columns[left.columns.length + pair[1]].hidden = true;
+                return pair;
+            });
+        }
+
+        const matches = (l, r) => {
+            if (node.on) {
+                const scope = { columns, row: l.concat(r), outer: context.outer, database: context.database };
+                return this.isTrue(this.evaluate(node.on, scope));
+            }
+            return shared.every(([i, j]) => this.compare(l[i], r[j]) === 0);
+        };
+        const combine = (l, r) => {
+            const row = l.concat(r);
+            shared.forEach(([i, j]) => {
+                if (row[i] === null) row[i] = r[j];
+            });
+            return row;
+        };
+
+        const rows = [];
+        const matchedRight = new Set();
+        left.rows.forEach(l => {
+            let matched = false;
+            right.rows.forEach((r, index) => {
+                if (node.kind === 'cross' || matches(l, r)) {
+                    rows.push(combine(l, r));
+                    matched = true;
+                    matchedRight.add(index);
+                }
+            });
+            if (!matched && (node.kind === 'left' || node.kind === 'full')) {
+                rows.push(l.concat(pad(right)));
+            }
+        });
+        if (node.kind === 'right' || node.kind === 'full') {
+            right.rows.forEach((r, index) => {
+                if (!matchedRight.has(index)) rows.push(combine(pad(left), r));
+            });
+        }
+
+        return { columns, rows };
+    },
+
+    /**
+     * Find a table by name (exact match first, then case-insensitive)
+     * @param {Object} database - Tables by name
+     * @param {string} name - Table name
+     * @returns {Object|undefined} Relation
+     */
+    lookup(database, name) {
+        if (database[name]) return database[name];
+        const match = Object.keys(database).find(key => key.toLowerCase() === name.toLowerCase());
+        return match ? database[match] : undefined;
+    },
+
+    /**
+     * Compare names case-insensitively
+     * @param {string|null} a - First name
+     * @param {string|null} b - Second name
+     * @returns {boolean} True if equal
+     */
+    sameName(a, b) {
+        return !!a && !!b && a.toLowerCase() === b.toLowerCase();
+    },
+
+    /**
+     * Find the column a reference points to in one scope
+     * @param {Object[]} columns - Scope columns
+     * @param {Object} ref - Column reference { table, name, line }
+     * @returns {number|null} Column index, or null when the scope has no such column
+     */
+    findColumn(columns, ref) {
+        const matches = [];
+        columns.forEach((column, index) => {
+            if (!this.sameName(column.name, ref.name)) return;
+            if (ref.table ? this.sameName(column.table, ref.table) : !column.hidden) {
+                matches.push(index);
+            }
+        });
+
+        if (matches.length > 1) {
+            const tables = matches.map(index => columns[index].table).filter(Boolean);
+            const hint = tables.length > 0 ? ` — qualify it, e.g. ${tables[0]}.${ref.name}` : '';
+            throw this.error(`Ambiguous column "${ref.name}"${hint}`, ref.line);
+        }
+        return matches.length === 1 ? matches[0] : null;
+    },
+
+    /**
+     * Value of a column reference, searching the enclosing queries outwards
+     * @param {Object} ref - Column reference
+     * @param {Object} scope - Innermost row scope
+     * @returns {*} Value
+     */
+    columnValue(ref, scope) {
+        for (let current = scope; current; current = current.outer) {
+            const index = this.findColumn(current.columns, ref);
+            if (index !== null) return current.row[index];
+        }
+
+        const label = ref.table ? `${ref.table}.${ref.name}` : ref.name;
+        const available = scope.columns.filter(column => !column.hidden)
+            .map(column => (column.table ? `${column.table}.${column.name}` : column.name));
+        throw this.error(`Unknown column "${label}"${available.length > 0 ? ` (available: ${available.join(', ')})` : ''}`, ref.line);
+    },
+
+    /**
+     * Evaluate an expression for one row (or one group)
+     * @param {Object} node - Expression AST
+     * @param {Object} scope - Row scope { columns, row, group?, outer, database }
+     * @returns {*} Value; null is SQL NULL
+     */
+    evaluate(node, scope) {
+        switch (node.type) {
+            case 'literal':
+                return node.value;
+
+            case 'column':
+                return this.columnValue(node, scope);
+
+            case 'negate': {
+                const value = this.evaluate(node.operand, scope);
+                return value === null ? null : -this.toNumber(value, '-');
+            }
+
+            case 'not': {
+                const value = this.truth(this.evaluate(node.operand, scope));
+                return value === null ? null : !value;
+            }
+
+            case 'binary':
+                return this.binary(node, scope);
+
+            case 'isnull': {
+                const isNull = this.evaluate(node.operand, scope) === null;
+                return node.not ? !isNull : isNull;
+            }
+
+            case 'between': {
+                const value = this.evaluate(node.operand, scope);
+                const low = this.compare(value, this.evaluate(node.low, scope));
+                const high = this.compare(value, this.evaluate(node.high, scope));
+                const result = this.and(low === null ? null : low >= 0, high === null ? null : high <= 0);
+                return node.not && result !== null ? !result : result;
+            }
+
+            case 'in': {
+                const value = this.evaluate(node.operand, scope);
+                const candidates = node.query
+                    ? this.subqueryValues(node.query, scope, 'IN')
+                    : node.list.map(item => this.evaluate(item, scope));
+                const result = this.any(candidates.map(candidate => {
+                    const cmp = this.compare(value, candidate);
+                    return cmp === null ? null : cmp === 0;
+                }));
+                return node.not && result !== null ? !result : result;
+            }
+
+            case 'like': {
+                const value = this.evaluate(node.operand, scope);
+                const pattern = this.evaluate(node.pattern, scope);
+                if (value === null || pattern === null) return null;
+                const regex = new RegExp('^' + String(pattern)
+                    .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+                    .replace(/%/g, '.*')
+                    .replace(/_/g, '.') + '$', 's');
+                const result = regex.test(String(value));
+                return node.not ? !result : result;
+            }
+
+            case 'exists':
+                return this.execute(node.query, { database: scope.database, outer: scope }).rows.length > 0;
+
+            case 'quantified': {
+                const value = this.evaluate(node.left, scope);
+                const results = this.subqueryValues(node.query, scope, node.quantifier).map(candidate => this.compareWith(node.op, value, candidate));
+                return node.quantifier === 'ALL' ? this.every(results) : this.any(results);
+            }
+
+            case 'scalar': {
+                const values = this.subqueryValues(node.query, scope, 'A scalar subquery');
+                if (values.length > 1) {
+                    throw this.error(`A scalar subquery returned ${values.length} rows instead of at most one`, node.line);
+                }
+                return values.length === 1 ? values[0] : null;
+            }
+
+            case 'aggregate':
+                return this.aggregate(node, scope);
+
+            case 'function': {
+                const args = node.args.map(arg => this.evaluate(arg, scope));
+                if (node.name === 'COALESCE') {
+                    const found = args.find(value => value !== null);
+                    return found === undefined ? null : found;
+                }
+                if (args.length === 0 || (node.name !== 'ROUND' && args.length > 1) || args.length > 2) {
+                    throw this.error(`Wrong number of arguments for ${node.name}()`, node.line);
+                }
+                return args.some(value => value === null) ? null : this.functions[node.name](...args);
+            }
+
+            case 'case': {
+                const operand = node.operand ? this.evaluate(node.operand, scope) : null;
+                const match = node.whens.find(branch => {
+                    const value = this.evaluate(branch.when, scope);
+                    return node.operand ? this.compare(operand, value) === 0 : this.isTrue(value);
+                });
+                if (match) return this.evaluate(match.then, scope);
+                return node.otherwise ? this.evaluate(node.otherwise, scope) : null;
+            }
+
+            default:
+                throw new Error(`Unknown expression "${node.type}"`);
+        }
+    },
+
+    /**
+     * Evaluate a binary operator
+     * @param {Object} node - Binary node
+     * @param {Object} scope - Row scope
+     * @returns {*} Value
+     */
+    binary(node, scope) {
+        if (node.op === 'AND' || node.op === 'OR') {
+            const left = this.truth(this.evaluate(node.left, scope));
+            // Short-circuit like the truth tables do
+            if (node.op === 'AND' && left === false) return false;
+            if (node.op === 'OR' && left === true) return true;
+            const right = this.truth(this.evaluate(node.right, scope));
+            return node.op === 'AND' ? this.and(left, right) : this.any([left, right]);
+        }
+
+        const left = this.evaluate(node.left, scope);
+        const right = this.evaluate(node.right, scope);
+
+        if (['=', '<>', '<', '<=', '>', '>='].includes(node.op)) {
+            return this.compareWith(node.op, left, right);
+        }
+        if (left === null || right === null) return null;
+        if (node.op === '||') return String(left) + String(right);
+
+        const a = this.toNumber(left, node.op);
+        const b = this.toNumber(right, node.op);
+        switch (node.op) {
+            case '+': return a + b;
+            case '-': return a - b;
+            case '*': return a * b;
+            case '/': return b === 0 ? null : a / b;
+            default: return b === 0 ? null : a % b;
+        }
+    },
+
+    /**
+     * Evaluate an aggregate over the rows of the current group
+     * @param {Object} node - Aggregate node
+     * @param {Object} scope - Group scope
+     * @returns {*} Value
+     */
+    aggregate(node, scope) {
+        if (!scope.group) {
+            throw this.error(`${node.name}() is only allowed in SELECT, HAVING and ORDER BY`, node.line);
+        }
+        if (node.arg && this.hasAggregate(node.arg)) {
+            throw this.error('Aggregate functions cannot be nested', node.line);
+        }
+        if (!node.arg) return scope.group.length;
+
+        let values = scope.group
+            .map(row => this.evaluate(node.arg, { columns: scope.columns, row, outer: scope.outer, database: scope.database }))
+            .filter(value => value !== null);
+        if (node.distinct) values = this.distinct(values.map(value => [value])).map(row => row[0]);
+
+        if (node.name === 'COUNT') return values.length;
+        if (values.length === 0) return null;
+        if (node.name === 'MIN' || node.name === 'MAX') {
+            return values.reduce((best, value) => {
+                const cmp = this.compare(value, best);
+                return (node.name === 'MIN' ? cmp < 0 : cmp > 0) ? value : best;
+            });
+        }
+        const sum = values.reduce((total, value) => total + this.toNumber(value, node.name), 0);
+        return node.name === 'SUM' ? sum : sum / values.length;
+    },
+
+    /**
+     * Values of a one-column subquery evaluated for the current row
+     * @param {Object} query - Subquery AST
+     * @param {Object} scope - Row scope the subquery may refer to
+     * @param {string} use - Construct name for the error message
+     * @returns {Array} Values
+     */
+    subqueryValues(query, scope, use) {
+        const result = this.execute(query, { database: scope.database, outer: scope });
+        if (result.columns.length !== 1) {
+            throw new Error(`${use} subquery must return exactly one column, not ${result.columns.length}`);
+        }
+        return result.rows.map(row => row[0]);
+    },
+
+    /**
+     * Check whether an expression uses an aggregate outside of subqueries
+     * @param {Object} node - Expression AST
+     * @returns {boolean} True if it does
+     */
+    hasAggregate(node) {
+        if (!node || typeof node !== 'object') return false;
+        if (node.type === 'aggregate') return true;
+        return Object.keys(node).some(key => {
+            if (key === 'query') return false;
+            const value = node[key];
+            if (Array.isArray(value)) return value.some(item => this.hasAggregate(item));
+            return value && typeof value === 'object' ? this.hasAggregate(value) : false;
+        });
+    },
+
+    /**
+     * Report an aggregate used where rows are not grouped yet
+     * @param {Object} node - Expression AST
+     * @param {string} clause - Clause name
+     */
+    rejectAggregates(node, clause) {
+        if (this.hasAggregate(node)) {
+            throw new Error(`Aggregate functions are not allowed in ${clause}; use HAVING to filter groups`);
+        }
+    },
+
+    /**
+     * Column references of an expression that are not inside an aggregate or a subquery
+     * @param {Object} node - Expression AST
+     * @returns {Object[]} Column nodes
+     */
+    columnRefs(node) {
+        if (!node || typeof node !== 'object' || node.type === 'aggregate') return [];
+        if (node.type === 'column') return [node];
+        return Object.keys(node).reduce((refs, key) => {
+            if (key === 'query') return refs;
+            const value = node[key];
+            if (Array.isArray(value)) return refs.concat(...value.map(item => this.columnRefs(item)));
+            return value && typeof value === 'object' ? refs.concat(this.columnRefs(value)) : refs;
+        }, []);
+    },
+
+    /**
+     * Convert a value for arithmetic
+     * @param {*} value - Value
+     * @param {string} op - Operator or function name for the error message
+     * @returns {number} Number
+     */
+    toNumber(value, op) {
+        if (typeof value === 'number') return value;
+        if (typeof value === 'string' && /^\s*-?(\d+\.?\d*|\.\d+)\s*$/.test(value)) return parseFloat(value);
+        throw new Error(`Cannot use '${value}' as a number in ${op}`);
+    },
+
+    /**
+     * Compare two values: numbers numerically, everything else as text
+     * @param {*} a - First value
+     * @param {*} b - Second value
+     * @returns {number|null} Negative, zero or positive; null if either is NULL
+     */
+    compare(a, b) {
+        if (a === null || b === null) return null;
+        const numeric = value => typeof value === 'number' || (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value));
+        if (typeof a === 'number' || typeof b === 'number') {
+            if (numeric(a) && numeric(b)) return Number(a) - Number(b);
+        }
+        const x = String(a);
+        const y = String(b);
+        return x < y ? -1 : (x > y ? 1 : 0);
+    },
+
+    /**
+     * Apply a comparison operator
+     * @param {string} op - Operator
+     * @param {*} a - Left value
+     * @param {*} b - Right value
+     * @returns {boolean|null} Result; null when unknown
+     */
+    compareWith(op, a, b) {
+        const cmp = this.compare(a, b);
+        if (cmp === null) return null;
+        switch (op) {
+            case '=': return cmp === 0;
+            case '<>': return cmp !== 0;
+            case '<': return cmp < 0;
+            case '<=': return cmp <= 0;
+            case '>': return cmp > 0;
+            default: return cmp >= 0;
+        }
+    },
+
+    /**
+     * Ordering for ORDER BY: NULL first, then numbers, then text
+     * @param {*} a - First value
+     * @param {*} b - Second value
+     * @returns {number} Negative, zero or positive
+     */
+    sortCompare(a, b) {
+        if (a === null || b === null) return (a === null ? 0 : 1) - (b === null ? 0 : 1);
+        if (typeof a === 'number' && typeof b !== 'number') return -1;
+        if (typeof b === 'number' && typeof a !== 'number') return 1;
+        return this.compare(a, b);
+    },
+
+    /**
+     * Three-valued truth of a value
+     * @param {*} value - Value
+     * @returns {boolean|null} True, false or unknown
+     */
+    truth(value) {
+        if (value === null) return null;
+        if (typeof value === 'boolean') return value;
+        if (typeof value === 'number') return value !== 0;
+        throw new Error(`'${value}' is not a condition`);
+    },
+
+    /**
+     * Check whether a condition holds (unknown counts as false)
+     * @param {*} value - Condition value
+     * @returns {boolean} True only for true
+     */
+    isTrue(value) {
+        return this.truth(value) === true;
+    },
+
+    /**
+     * Three-valued AND
+     * @param {boolean|null} a - First operand
+     * @param {boolean|null} b - Second operand
+     * @returns {boolean|null} Result
+     */
+    and(a, b) {
+        if (a === false || b === false) return false;
+        return a === null || b === null ? null : true;
+    },
+
+    /**
+     * Three-valued OR over a list
+     * @param {Array<boolean|null>} values - Operands
+     * @returns {boolean|null} Result
+     */
+    any(values) {
+        if (values.includes(true)) return true;
+        return values.includes(null) ? null : false;
+    },
+
+    /**
+     * Three-valued AND over a list
+     * @param {Array<boolean|null>} values - Operands
+     * @returns {boolean|null} Result
+     */
+    every(values) {
+        if (values.includes(false)) return false;
+        return values.includes(null) ? null : true;
+    },
+
+    /**
+     * Key identifying a row's values, for grouping and duplicate removal
+     * @param {Array} row - Values
+     * @returns {string} Key
+     */
+    rowKey(row) {
+        return JSON.stringify(row.map(value => (typeof value === 'number' ? value : (value === null ? null : String(value)))));
+    },
+
+    /**
+     * Remove duplicate rows, keeping the first of each
+     * @param {Array[]} rows - Rows
+     * @returns {Array[]} Distinct rows
+     */
+    distinct(rows) {
+        const seen = new Set();
+        return rows.filter(row => {
+            const key = this.rowKey(row);
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    },
+
+    /**
+     * Create an error that carries the line number
+     * @param {string} message - Error message
+     * @param {number} line - 1-based line number
+     * @returns {Error} Error
+     */
+    error(message, line) {
+        const err = new Error(`Line ${line}: ${message}`);
+        err.line = line;
+        return err;
+    }
+};
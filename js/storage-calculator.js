@@ -0,0 +1,246 @@
+/**
+ * Storage Calculator Module
+ * Computes data file, sparse/dense index, B* tree and hash bucket sizes step by step
+ */
+
+const StorageCalculator = {
+    form: null,
+    output: null,
+
+    /**
+     * Initialize the calculator panel
+     */
+    init() {
+        this.form = document.getElementById('storageCalculator');
+        this.output = document.getElementById('storageCalcOutput');
+
+        if (!this.form || !this.output) {
+            return;
+        }
+
+        this.form.addEventListener('submit', (e) => e.preventDefault());
+        this.form.addEventListener('input', Utils.debounce(() => this.update(), 300));
+        this.update();
+    },
+
+    /**
+     * Read the form values
+     * @returns {Object} Parameters keyed by input name
+     */
+    readParams() {
+        const params = {};
+        this.form.querySelectorAll('input[name]').forEach(input => {
+            params[input.name] = Number(input.value);
+        });
+        return params;
+    },
+
+    /**
+     * Recompute and re-render the results
+     */
+    update() {
+        const params = this.readParams();
+        const error = this.validate(params);
+
+        if (error) {
+            this.output.innerHTML = `<div class="calculator-error">${Utils.escapeHTML(error)}</div>`;
+            return;
+        }
+
+        this.output.innerHTML = this.render(params, this.compute(params));
+        Exercises.renderMath(this.output);
+    },
+
+    /**
+     * Validate the input parameters
+     * @param {Object} params - Calculator parameters
+     * @returns {string|null} Error message or null when valid
+     */
+    validate(params) {
+        const names = {
+            records: 'Record count', recordSize: 'Record size', blockSize: 'Block size',
+            keySize: 'Key size', pointerSize: 'Pointer size', bucketBlocks: 'Blocks per bucket'
+        };
+
+        for (const name of Object.keys(names)) {
+            if (!Number.isInteger(params[name]) || params[name] <= 0) {
+                return `${names[name]} must be a positive whole number.`;
+            }
+        }
+
+        if (params.recordSize > params.blockSize) {
+            return 'A record must fit in one block (record size ≤ block size).';
+        }
+
+        if (params.keySize + params.pointerSize > params.blockSize) {
+            return 'An index entry must fit in one block (key + pointer ≤ block size).';
+        }
+
+        if (Math.floor((params.blockSize + params.keySize) / (params.pointerSize + params.keySize)) < 2) {
+            return 'A B* tree block must hold at least two pointers (block size + key ≥ 2 × (pointer + key)).';
+        }
+
+        return null;
+    },
+
+    /**
+     * Compute every derived quantity
+     * @param {Object} params - Validated calculator parameters
+     * @returns {Object} Results
+     */
+    compute(params) {
+        const { records, recordSize, blockSize, keySize, pointerSize, bucketBlocks } = params;
+
+        const fr = Math.floor(blockSize / recordSize);
+        const br = Math.ceil(records / fr);
+
+        // Sparse index: one entry per data block
+        const fi = Math.floor(blockSize / (keySize + pointerSize));
+        const sparseBlocks = Math.ceil(br / fi);
+        const sparseSearch = Math.ceil(Math.log2(sparseBlocks));
+
+        // Dense index: one entry per record
+        const denseBlocks = Math.ceil(records / fi);
+
+        // B* tree: one more pointer than keys per block
+        const branching = Math.floor((blockSize + keySize) / (pointerSize + keySize));
+        const levels = this.treeLevels(br, branching);
+        const height = levels.length;
+
+        // Bucket hashing: each bucket is a chain of bucketBlocks blocks
+        const bucketRecords = bucketBlocks * fr;
+        const buckets = Math.ceil(records / bucketRecords);
+
+        return {
+            fr, br, fi, sparseBlocks, sparseSearch, denseBlocks,
+            branching, levels, height,
+            treeBlocks: levels.reduce((sum, count) => sum + count, 0),
+            bucketRecords, buckets,
+            hashTableBytes: buckets * pointerSize,
+            hashAvgCost: (1 + bucketBlocks) / 2
+        };
+    },
+
+    /**
+     * Block counts of each B* tree index level, from the root down to the level above the data
+     * @param {number} dataBlocks - Number of data blocks (b_r)
+     * @param {number} branching - Branching factor
+     * @returns {number[]} Blocks per index level
+     */
+    treeLevels(dataBlocks, branching) {
+        if (!(branching >= 2)) {
+            throw new Error(`A B* tree needs a branching factor of at least 2 (got ${branching})`);
+        }
+
+        const levels = [];
+        let count = dataBlocks;
+
+        do {
+            count = Math.ceil(count / branching);
+            levels.unshift(count);
+        } while (count > 1);
+
+        return levels;
+    },
+
+    /**
+     * Build the step-by-step solution markup
+     * @param {Object} p - Calculator parameters
+     * @param {Object} r - Results from compute()
+     * @returns {string} HTML with KaTeX delimiters
+     */
+    render(p, r) {
+        const n = (value) => this.formatNumber(value);
+        const ratio = (a, b) => this.formatDecimal(a / b);
+        const steps = [];
+
+        steps.push(this.step('1. Blocking factor (records per block):', [
+            `f_r = \\left\\lfloor \\frac{${n(p.blockSize)}}{${n(p.recordSize)}} \\right\\rfloor = \\lfloor ${ratio(p.blockSize, p.recordSize)} \\rfloor = ${n(r.fr)} \\text{ records/block}`
+        ]));
+
+        steps.push(this.step('2. Data blocks needed:', [
+            `b_r = \\left\\lceil \\frac{${n(p.records)}}{${n(r.fr)}} \\right\\rceil = ${n(r.br)} \\text{ blocks}`,
+            `\\text{Data file size} = ${n(r.br)} \\times ${n(p.blockSize)} = ${n(r.br * p.blockSize)} \\text{ bytes} = ${this.formatKB(r.br * p.blockSize)}`
+        ]));
+
+        steps.push(this.step('3. Index entries per block:', [
+            `f_i = \\left\\lfloor \\frac{${n(p.blockSize)}}{${n(p.keySize)} + ${n(p.pointerSize)}} \\right\\rfloor = \\lfloor ${ratio(p.blockSize, p.keySize + p.pointerSize)} \\rfloor = ${n(r.fi)} \\text{ entries/block}`
+        ]));
+
+        steps.push(this.step('4. Sparse index (1 entry per data block):', [
+            `\\text{Index entries} = b_r = ${n(r.br)}`,
+            `\\text{Index blocks} = \\left\\lceil \\frac{${n(r.br)}}{${n(r.fi)}} \\right\\rceil = ${n(r.sparseBlocks)} \\text{ blocks}`,
+            `\\text{Search cost} = \\left\\lceil \\log_2 ${n(r.sparseBlocks)} \\right\\rceil + 1 = ${n(r.sparseSearch)} + 1 = ${n(r.sparseSearch + 1)} \\text{ block accesses}`
+        ]));
+
+        steps.push(this.step('5. Dense index (1 entry per record):', [
+            `\\text{Index blocks} = \\left\\lceil \\frac{${n(p.records)}}{${n(r.fi)}} \\right\\rceil = ${n(r.denseBlocks)} \\text{ blocks}`,
+            `\\text{Sparse index on top} = \\left\\lceil \\frac{${n(r.denseBlocks)}}{${n(r.fi)}} \\right\\rceil = ${n(Math.ceil(r.denseBlocks / r.fi))} \\text{ blocks}`
+        ]));
+
+        const levelList = r.levels
+            .map((count, index) => `<li>Level ${index + 1}${index === 0 ? ' (root)' : ''}: ${n(count)} blocks</li>`)
+            .join('');
+
+        steps.push(this.step('6. B* tree:', [
+            `f_i = \\left\\lfloor \\frac{${n(p.blockSize)} + ${n(p.keySize)}}{${n(p.pointerSize)} + ${n(p.keySize)}} \\right\\rfloor = \\left\\lfloor \\frac{${n(p.blockSize + p.keySize)}}{${n(p.pointerSize + p.keySize)}} \\right\\rfloor = ${n(r.branching)}`,
+            // A single data block still needs a root, although its logarithm is 0
+            r.br > 1
+                ? `HT_i = \\left\\lceil \\log_{${n(r.branching)}} ${n(r.br)} \\right\\rceil = ${r.height} \\text{ levels}`
+                : `HT_i = \\max\\left(1, \\left\\lceil \\log_{${n(r.branching)}} 1 \\right\\rceil\\right) = 1 \\text{ level}`,
+            `\\text{Search cost} = HT_i + 1 = ${r.height} + 1 = ${r.height + 1} \\text{ block accesses}`
+        ], `<ul>${levelList}</ul>`, [
+            `\\text{Total index blocks} = ${n(r.treeBlocks)}`
+        ]));
+
+        steps.push(this.step('7. Bucket hashing:', [
+            `\\text{Records per bucket} = ${n(p.bucketBlocks)} \\times ${n(r.fr)} = ${n(r.bucketRecords)}`,
+            `B = \\left\\lceil \\frac{${n(p.records)}}{${n(r.bucketRecords)}} \\right\\rceil = ${n(r.buckets)} \\text{ buckets}`,
+            `\\text{Hash table size} = ${n(r.buckets)} \\times ${n(p.pointerSize)} = ${n(r.hashTableBytes)} \\text{ bytes}`,
+            `\\text{Avg. access cost} = \\frac{1 + ${n(p.bucketBlocks)}}{2} = ${this.formatDecimal(r.hashAvgCost)} \\text{ block accesses}`
+        ]));
+
+        return steps.join('');
+    },
+
+    /**
+     * Build one .formula step
+     * @param {string} title - Step title
+     * @param {string[]} equations - Display equations (LaTeX)
+     * @param {string} [extraHTML] - Extra markup after the equations
+     * @param {string[]} [trailing] - Display equations after the extra markup
+     * @returns {string} HTML string
+     */
+    step(title, equations, extraHTML = '', trailing = []) {
+        const display = (list) => list.map(eq => `\\[${eq}\\]`).join('\n');
+        return `<div class="formula"><strong>${title}</strong>\n${display(equations)}${extraHTML}${display(trailing)}</div>`;
+    },
+
+    /**
+     * Format an integer with thousands separators for KaTeX
+     * @param {number} value - Number to format
+     * @returns {string} LaTeX-safe number
+     */
+    formatNumber(value) {
+        return value.toLocaleString('en-US').replace(/,/g, '{,}');
+    },
+
+    /**
+     * Format a ratio with one decimal, as in the worked solutions
+     * @param {number} value - Number to format
+     * @returns {string} Formatted number
+     */
+    formatDecimal(value) {
+        return Number.isInteger(value) ? this.formatNumber(value) : this.formatNumber(Math.round(value * 10) / 10);
+    },
+
+    /**
+     * Format bytes as KB/MB/GB for KaTeX
+     * @param {number} bytes - Size in bytes
+     * @returns {string} LaTeX string
+     */
+    formatKB(bytes) {
+        const [value, unit] = Utils.formatFileSize(bytes).split(' ');
+        return `${this.formatNumber(Number(value))} \\text{ ${unit}}`;
+    }
+};
@@ -0,0 +1,202 @@
+/**
+ * Subtitles Module
+ * Parser for WebVTT and SRT subtitle files
+ */
+
+const Subtitles = {
+    /**
+     * Parse a subtitle file, choosing the format from the file name or the contents
+     * @param {string} text - File contents
+     * @param {string} [fileName] - File name or URL
+     * @returns {{cues: Object[], errors: string[]}} Cues { id, startTime, endTime, text, voice, settings, line } and problems found
+     */
+    parse(text, fileName = '') {
+        const normalized = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+        const isSRT = /\.srt$/i.test(fileName) || (!/\.vtt$/i.test(fileName) && !/^WEBVTT/.test(normalized));
+        return isSRT ? this.parseSRT(normalized) : this.parseVTT(normalized);
+    },
+
+    /**
+     * Split a file into blocks separated by blank lines
+     * @param {string} text - Normalized file contents
+     * @returns {Object[]} Blocks { lines, line } where line is the 1-based number of the first line
+     */
+    blocks(text) {
+        const blocks = [];
+        let current = null;
+
+        text.split('\n').forEach((content, index) => {
+            if (content.trim() === '') {
+                current = null;
+                return;
+            }
+            if (!current) {
+                current = { lines: [], line: index + 1 };
+                blocks.push(current);
+            }
+            current.lines.push(content);
+        });
+        return blocks;
+    },
+
+    /**
+     * Parse a WebVTT file
+     * @param {string} text - Normalized file contents
+     * @returns {{cues: Object[], errors: string[]}} Cues and problems found
+     */
+    parseVTT(text) {
+        const cues = [];
+        const errors = [];
+        const blocks = this.blocks(text);
+
+        if (blocks.length === 0 || blocks[0].line !== 1 || !/^WEBVTT([ \t].*)?$/.test(blocks[0].lines[0])) {
+            return { cues, errors: ['Line 1: a WebVTT file must start with "WEBVTT"'] };
+        }
+
+        blocks.slice(1).forEach(block => {
+            // Comments, style sheets and region definitions carry no cue
+            if (/^(NOTE|STYLE|REGION)([ \t]|$)/.test(block.lines[0]) && !block.lines[0].includes('-->')) return;
+
+            const timingIndex = block.lines[0].includes('-->') ? 0 : 1;
+            const timing = block.lines[timingIndex];
+            const line = block.line + timingIndex;
+            if (!timing || !timing.includes('-->')) {
+                errors.push(`Line ${block.line}: expected a cue timing line such as "00:01:02.000 --> 00:01:05.500"`);
+                return;
+            }
+
+            const cue = this.parseTiming(timing, line, errors, /^(?:(\d{2,}):)?([0-5]\d):([0-5]\d)\.(\d{3})$/);
+            if (!cue) return;
+
+            const textLines = block.lines.slice(timingIndex + 1);
+            const arrow = textLines.findIndex(content => content.includes('-->'));
+            if (arrow >= 0) {
+                errors.push(`Line ${line + 1 + arrow}: cue text cannot contain "-->" (is a blank line missing before the next cue?)`);
+                return;
+            }
+
+            cue.id = timingIndex === 1 ? block.lines[0].trim() : '';
+            cue.settings = this.parseSettings(timing.replace(/^\S+\s+-->\s+\S+/, ''));
+            Object.assign(cue, this.parseText(textLines.join('\n')));
+            this.add(cues, cue, errors);
+        });
+
+        return { cues, errors };
+    },
+
+    /**
+     * Parse an SRT file
+     * @param {string} text - Normalized file contents
+     * @returns {{cues: Object[], errors: string[]}} Cues and problems found
+     */
+    parseSRT(text) {
+        const cues = [];
+        const errors = [];
+
+        this.blocks(text).forEach(block => {
+            const timingIndex = block.lines[0].includes('-->') ? 0 : 1;
+            const timing = block.lines[timingIndex];
+            const line = block.line + timingIndex;
+            if (timingIndex === 1 && !/^\d+$/.test(block.lines[0].trim())) {
+                errors.push(`Line ${block.line}: expected a cue number`);
+                return;
+            }
+            if (!timing || !timing.includes('-->')) {
+                errors.push(`Line ${block.line}: expected a cue timing line such as "00:01:02,000 --> 00:01:05,500"`);
+                return;
+            }
+
+            const cue = this.parseTiming(timing, line, errors, /^(\d{1,2}):([0-5]\d):([0-5]\d)[,.](\d{3})$/);
+            if (!cue) return;
+
+            cue.id = timingIndex === 1 ? block.lines[0].trim() : '';
+            cue.settings = {};
+            Object.assign(cue, this.parseText(block.lines.slice(timingIndex + 1).join('\n')));
+            this.add(cues, cue, errors);
+        });
+
+        return { cues, errors };
+    },
+
+    /**
+     * Read the start and end time of a cue
+     * @param {string} timing - Timing line
+     * @param {number} line - Line number for errors
+     * @param {string[]} errors - Problems found so far
+     * @param {RegExp} pattern - Timestamp pattern with hours, minutes, seconds and milliseconds groups
+     * @returns {Object|null} Cue { startTime, endTime, line }, or null when the line is malformed
+     */
+    parseTiming(timing, line, errors, pattern) {
+        const match = timing.trim().match(/^(\S+)\s+-->\s+(\S+)/);
+        if (!match) {
+            errors.push(`Line ${line}: "-->" must have a timestamp on both sides`);
+            return null;
+        }
+
+        const [startTime, endTime] = [match[1], match[2]].map(value => {
+            const parts = value.match(pattern);
+            return parts ? Number(parts[1] || 0) * 3600 + Number(parts[2]) * 60 + Number(parts[3]) + Number(parts[4]) / 1000 : null;
+        });
+        if (startTime === null || endTime === null) {
+            errors.push(`Line ${line}: "${startTime === null ? match[1] : match[2]}" is not a valid timestamp`);
+            return null;
+        }
+        if (endTime <= startTime) {
+            errors.push(`Line ${line}: the cue ends (${match[2]}) before it starts (${match[1]})`);
+            return null;
+        }
+        return { startTime, endTime, line };
+    },
+
+    /**
+     * Read cue settings such as "line:0 align:start"
+     * @param {string} text - Settings after the timestamps
+     * @returns {Object} Map of setting name to value
+     */
+    parseSettings(text) {
+        const settings = {};
+        text.trim().split(/\s+/).filter(Boolean).forEach(pair => {
+            const index = pair.indexOf(':');
+            if (index > 0 && index < pair.length - 1) {
+                settings[pair.slice(0, index)] = pair.slice(index + 1);
+            }
+        });
+        return settings;
+    },
+
+    /**
+     * Turn cue text with tags and entities into plain text and the speaker of the first voice tag
+     * @param {string} text - Cue text
+     * @returns {{text: string, voice: string}} Plain text and speaker name ('' without a voice tag)
+     */
+    parseText(text) {
+        const voice = text.match(/<v(?:\.[^\s>]*)?\s+([^>]+)>/);
+        const plain = text
+            .replace(/<[^>]*>/g, '')
+            .replace(/&(amp|lt|gt|nbsp|quot|apos|lrm|rlm);/g, (entity, name) => ({
+                amp: '&', lt: '<', gt: '>', nbsp: ' ', quot: '"', apos: "'", lrm: '\u200E', rlm: '\u200F'
+            }[name]))
+            .split('\n')
+            .map(content => content.trim())
+            .filter(Boolean)
+            .join(' ');
+        return { text: plain, voice: voice ? voice[1].trim() : '' };
+    },
+
+    /**
+     * Add a cue in start time order, reporting cues that start before the previous one
+     * @param {Object[]} cues - Cues so far
+     * @param {Object} cue - New cue
+     * @param {string[]} errors - Problems found so far
+     */
+    add(cues, cue, errors) {
+        const previous = cues[cues.length - 1];
+        if (previous && cue.startTime < previous.startTime) {
+            errors.push(`Line ${cue.line}: the cue starts before the previous one (line ${previous.line}); cues must be in order`);
+            const index = cues.findIndex(other => other.startTime > cue.startTime);
+            cues.splice(index, 0, cue);
+            return;
+        }
+        cues.push(cue);
+    }
+};
@@ -154,6 +154,43 @@ const Utils = {
         return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
     },
 
+    /**
+     * Load a text file, falling back to XMLHttpRequest where fetch is blocked (file:// pages)
+     * @param {string} url - File to load
+     * @returns {Promise<string>} File contents
+     */
+    loadText(url) {
+        return fetch(url)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return response.text();
+            })
+            .catch(() => new Promise((resolve, reject) => {
+                const xhr = new XMLHttpRequest();
+                xhr.open('GET', url, true);
+                xhr.onload = () => (xhr.status === 200 || xhr.status === 0 ? resolve(xhr.responseText) : reject(new Error(`XHR failed with status: ${xhr.status}`)));
+                xhr.onerror = () => reject(new Error('XHR request failed'));
+                xhr.send();
+            }));
+    },
+
+    /**
+     * Escape HTML special characters
+     * @param {string} text - Plain text
+     * @returns {string} Text safe to insert as HTML
+     */
+    escapeHTML(text) {
+        return String(text).replace(/[&<>"']/g, ch => ({
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#39;'
+        }[ch]));
+    },
+
     /**
      * Show a temporary notification
      * @param {string} message - Message to display
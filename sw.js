@@ -0,0 +1,302 @@
+/**
+ * Service Worker
+ * Precaches the cheatsheet, KaTeX and the audio guide so the whole page works offline.
+ * The page and the content files come from the network when it is reachable. Scripts and styles come
+ * from the cache and are revalidated in the background, so edited files reach users without a new worker;
+ * KaTeX, fonts, images and the audio never change in place and are served from the cache only
+ */
+
+// Bump when the file list changes; edits to scripts, styles and content are picked up without it
+const CACHE_VERSION = 'v1';
+const CACHE_NAME = `db-cheatsheet-${CACHE_VERSION}`;
+
+// KaTeX fonts in assets/katex/fonts, loaded by katex.min.css
+const KATEX_FONTS = [
+    'AMS-Regular', 'Caligraphic-Bold', 'Caligraphic-Regular', 'Fraktur-Bold', 'Fraktur-Regular',
+    'Main-Bold', 'Main-BoldItalic', 'Main-Italic', 'Main-Regular', 'Math-BoldItalic', 'Math-Italic',
+    'SansSerif-Bold', 'SansSerif-Italic', 'SansSerif-Regular', 'Script-Regular',
+    'Size1-Regular', 'Size2-Regular', 'Size3-Regular', 'Size4-Regular', 'Typewriter-Regular'
+];
+
+const PRECACHE = [
+    './',
+    'index.html',
+    'styles.css',
+    'manifest.webmanifest',
+    'css/answers.css',
+    'css/base.css',
+    'css/calculator.css',
+    'css/exercises.css',
+    'css/flashcards.css',
+    'css/header.css',
+    'css/navigation.css',
+    'css/progress.css',
+    'css/search.css',
+    'js/answers.js',
+    'js/audio.js',
+    'js/bstar-tree.js',
+    'js/bstar-visualizer.js',
+    'js/content.js',
+    'js/cost-estimator.js',
+    'js/decomposition-tool.js',
+    'js/er-editor.js',
+    'js/er-model.js',
+    'js/exercise-generator.js',
+    'js/exercise-packs.js',
+    'js/exercises.js',
+    'js/fd-toolkit.js',
+    'js/flashcards.js',
+    'js/functional-dependencies.js',
+    'js/hash-simulator.js',
+    'js/main.js',
+    'js/markdown.js',
+    'js/mock-exam.js',
+    'js/navigation.js',
+    'js/offline.js',
+    'js/progress.js',
+    'js/proof-editor.js',
+    'js/protocol-simulator.js',
+    'js/protocols.js',
+    'js/query-tree-builder.js',
+    'js/query-tree.js',
+    'js/ra-evaluator.js',
+    'js/ra-sql-translator.js',
+    'js/ra-sql.js',
+    'js/relational-algebra.js',
+    'js/schedule-analyzer.js',
+    'js/schedules.js',
+    'js/search.js',
+    'js/sql-sandbox.js',
+    'js/sql.js',
+    'js/storage-calculator.js',
+    'js/subtitles.js',
+    'js/utils.js',
+    'content/exercises.json',
+    'content/tables.json',
+    'assets/icon.svg',
+    'assets/katex/katex.min.css',
+    'assets/katex/katex.min.js',
+    'assets/katex/contrib/auto-render.min.js',
+    ...KATEX_FONTS.map(font => `assets/katex/fonts/KaTeX_${font}.woff2`),
+    'assets/audio/Transcript.vtt',
+    'assets/audio/Chapters.vtt',
+    'assets/images/2025_11_17_3e411b347a9f7ed15910g-24.jpg',
+    'assets/images/2025_11_17_bce3bd94d5331fb8b735g-09.jpg',
+    'assets/images/2025_11_17_bce3bd94d5331fb8b735g-10.jpg',
+    'assets/images/2025_11_17_bce3bd94d5331fb8b735g-11.jpg',
+    'assets/images/2025_11_17_bce3bd94d5331fb8b735g-12(1).jpg',
+    'assets/images/2025_11_17_bce3bd94d5331fb8b735g-12.jpg',
+    'assets/images/2025_11_17_bce3bd94d5331fb8b735g-18.jpg'
+];
+
+// Large or not always deployed: cached when available, without failing the install
+const OPTIONAL = [
+    'assets/audio/Mastering_Databases_Midterm_SQL_Theory_IO_ACID_with_subs.m4a'
+];
+
+// Always fetched fresh when online: the page itself and the exercise and table content
+const NETWORK_FIRST = /(\/|\/index\.html|\/content\/[^/]+\.json)$/;
+
+// Not edited in place (a new file gets a new name), so never revalidated
+const CACHE_FIRST = /(\/assets\/katex\/.*|\.(woff2?|jpe?g|png|gif|svg|m4a))$/i;
+
+self.addEventListener('install', (event) => {
+    // No skipWaiting here: the page asks the user before a new version takes over
+    event.waitUntil(caches.open(CACHE_NAME).then(cache =>
+        cache.addAll(PRECACHE).then(() => Promise.all(OPTIONAL.map(url =>
+            cache.add(url).catch(error => console.warn(`Not cached for offline use: ${url}`, error))
+        )))
+    ));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key.startsWith('db-cheatsheet-') && key !== CACHE_NAME)
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (request.headers.has('Range') || CACHE_FIRST.test(url.pathname)) {
+        event.respondWith(cacheFirst(request));
+    } else if (request.mode === 'navigate' || NETWORK_FIRST.test(url.pathname)) {
+        event.respondWith(networkFirst(request));
+    } else {
+        staleWhileRevalidate(event);
+    }
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data === 'skip-waiting') {
+        self.skipWaiting();
+    } else if (event.data === 'status' && event.ports[0]) {
+        missingFiles().then(missing => {
+            event.ports[0].postMessage({ version: CACHE_VERSION, missing });
+        });
+    }
+});
+
+/**
+ * Serve a file from the cache, answering the Range requests of the audio, and fall back to the network
+ * @param {Request} request - Request of KaTeX, a font, an image or the audio
+ * @returns {Promise<Response>} Response
+ */
+function cacheFirst(request) {
+    return caches.open(CACHE_NAME).then(cache => cache.match(request, { ignoreSearch: true })).then(cached => {
+        if (!cached) return fetch(request);
+        const range = request.headers.get('Range');
+        return range ? rangeResponse(cached, range) : cached;
+    });
+}
+
+/**
+ * Fetch from the network and update the cache; use the cache when offline
+ * @param {Request} request - Page or content request
+ * @returns {Promise<Response>} Response
+ */
+function networkFirst(request) {
+    return caches.open(CACHE_NAME).then(cache => fetch(request)
+        .then(response => {
+            if (response.ok) cache.put(cacheKey(request), response.clone());
+            return response;
+        })
+        .catch(error => cache.match(request, { ignoreSearch: true })
+            .then(cached => cached || (request.mode === 'navigate' ? cache.match('./') : undefined))
+            .then(cached => {
+                if (!cached) throw error;
+                return cached;
+            })));
+}
+
+/**
+ * Serve from the cache and revalidate the cached copy in the background.
+ * When the server sends a different copy, the pages are told a new version is available
+ * @param {FetchEvent} event - Fetch event of a script or style
+ */
+function staleWhileRevalidate(event) {
+    const request = event.request;
+    const cache = caches.open(CACHE_NAME);
+    const cached = cache.then(store => store.match(request, { ignoreSearch: true }));
+    // Copied before the page reads the cached body
+    const previous = cached.then(response => response && response.clone());
+
+    const refresh = Promise.all([cache, previous]).then(([store, old]) => revalidate(request, old).then(response => {
+        // 304 Not Modified: the cached copy is current
+        if (response.status === 304 || !response.ok) return response;
+        return (old ? isChanged(old, response.clone()) : Promise.resolve(false))
+            .then(changed => store.put(cacheKey(request), response.clone()).then(() => {
+                if (changed) notifyClients();
+            }))
+            .then(() => response);
+    }));
+
+    event.waitUntil(refresh.catch(() => {}));
+    event.respondWith(cached.then(response => response || refresh));
+}
+
+/**
+ * Cache key of a request: its URL without the query string
+ * @param {Request} request - Request
+ * @returns {string} URL
+ */
+function cacheKey(request) {
+    return request.url.split(/[?#]/)[0];
+}
+
+/**
+ * Fetch a file conditionally, so the server answers 304 without a body when the cached copy is current
+ * @param {Request} request - Request of a script or style
+ * @param {Response|undefined} cached - Cached response, if any
+ * @returns {Promise<Response>} Network response
+ */
+function revalidate(request, cached) {
+    const etag = cached && cached.headers.get('ETag');
+    const modified = cached && cached.headers.get('Last-Modified');
+    if (!etag && !modified) return fetch(request);
+
+    // A new request: validators cannot be added to the no-cors request of a script
+    const headers = {};
+    if (etag) headers['If-None-Match'] = etag;
+    if (modified) headers['If-Modified-Since'] = modified;
+    return fetch(request.url, { headers });
+}
+
+/**
+ * Compare a cached response with a fresh one, by validator or byte by byte when the server sends none
+ * @param {Response} cached - Cached response
+ * @param {Response} fresh - Network response
+ * @returns {Promise<boolean>} True if the file changed
+ */
+function isChanged(cached, fresh) {
+    const validator = ['ETag', 'Last-Modified']
+        .map(name => [cached, fresh].map(response => response.headers.get(name)))
+        .find(([a, b]) => a && b);
+    if (validator) return Promise.resolve(validator[0] !== validator[1]);
+
+    return Promise.all([cached.arrayBuffer(), fresh.arrayBuffer()]).then(([a, b]) => {
+        if (a.byteLength !== b.byteLength) return true;
+        const x = new Uint8Array(a);
+        const y = new Uint8Array(b);
+        return x.some((byte, index) => byte !== y[index]);
+    });
+}
+
+/**
+ * Tell the open pages that files changed, so they can offer a reload
+ */
+function notifyClients() {
+    self.clients.matchAll({ type: 'window' }).then(clients => {
+        clients.forEach(client => client.postMessage('content-updated'));
+    });
+}
+
+/**
+ * Answer a Range request from a cached full response; audio elements seek with these
+ * @param {Response} response - Cached response
+ * @param {string} header - Range header, e.g. "bytes=100-" or "bytes=-500"
+ * @returns {Promise<Response>} 206 response with the requested bytes
+ */
+function rangeResponse(response, header) {
+    return response.arrayBuffer().then(buffer => {
+        const size = buffer.byteLength;
+        const match = header.match(/^bytes=(\d*)-(\d*)$/);
+        let start = match && match[1] !== '' ? Number(match[1]) : NaN;
+        let end = match && match[2] !== '' ? Number(match[2]) : size - 1;
+
+        // A suffix range "bytes=-N" asks for the last N bytes
+        if (match && match[1] === '' && match[2] !== '') {
+            start = Math.max(size - Number(match[2]), 0);
+            end = size - 1;
+        }
+        if (isNaN(start) || start >= size || start > end) {
+            return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${size}` } });
+        }
+        end = Math.min(end, size - 1);
+
+        return new Response(buffer.slice(start, end + 1), {
+            status: 206,
+            statusText: 'Partial Content',
+            headers: {
+                'Content-Type': response.headers.get('Content-Type') || 'application/octet-stream',
+                'Content-Range': `bytes ${start}-${end}/${size}`,
+                'Content-Length': String(end - start + 1),
+                'Accept-Ranges': 'bytes'
+            }
+        });
+    });
+}
+
+/**
+ * List the files that are not in the cache yet
+ * @returns {Promise<string[]>} URLs of the missing files
+ */
+function missingFiles() {
+    return caches.open(CACHE_NAME).then(cache => Promise.all(PRECACHE.concat(OPTIONAL).map(url =>
+        cache.match(url, { ignoreSearch: true }).then(cached => (cached ? null : url))
+    ))).then(urls => urls.filter(url => url !== null));
+}